@@ -1,10 +1,14 @@
+const crypto = require('crypto');
 const express = require('express');
 const { mockOrders } = require('./data');
+const { mockOpenApi } = require('./openapi');
+const { executeMockQuery } = require('./graphql');
 
 const app = express();
 
-// Middleware to parse JSON
+// Middleware to parse JSON and form bodies
 app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
 
 // Auth middleware
 const requireAuth = (req, res, next) => {
@@ -17,8 +21,43 @@ const requireAuth = (req, res, next) => {
   next();
 };
 
-// GET /orders - Paginated orders endpoint
-app.get('/orders', requireAuth, (req, res) => {
+// OAuth 2.0 client registered with the token endpoint
+const OAUTH_CLIENT = { id: 'demo-client', secret: 'demo-secret' };
+
+// Long-lived refresh token handed to the demo client out of band
+const DEMO_REFRESH_TOKEN = 'demo-refresh';
+
+// Access tokens issued by /oauth/token, with their expiry time
+const accessTokens = new Map();
+const refreshTokens = new Set([DEMO_REFRESH_TOKEN]);
+let tokenCounter = 0;
+
+// Reads client credentials from HTTP Basic auth or the request body
+const readClient = (req) => {
+  const authHeader = req.headers.authorization || '';
+
+  if (authHeader.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(authHeader.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+    return { id, secret };
+  }
+
+  return { id: req.body.client_id, secret: req.body.client_secret };
+};
+
+// OAuth auth middleware - only tokens issued by /oauth/token and not yet expired or revoked
+const requireAccessToken = (req, res, next) => {
+  const authHeader = req.headers.authorization || '';
+  const expiresAt = accessTokens.get(authHeader.replace(/^Bearer /, ''));
+
+  if (!authHeader.startsWith('Bearer ') || !expiresAt || expiresAt < Date.now()) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  next();
+};
+
+// Paginated orders, shared by the bearer and OAuth endpoints
+const listOrders = (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
 
@@ -41,6 +80,289 @@ app.get('/orders', requireAuth, (req, res) => {
   };
 
   res.status(200).json(response);
+};
+
+// GET /orders - Paginated orders endpoint
+app.get('/orders', requireAuth, listOrders);
+
+// POST /oauth/token - Client-credentials and refresh-token grants
+app.post('/oauth/token', (req, res) => {
+  const client = readClient(req);
+  const { grant_type: grantType, refresh_token: refreshToken, scope } = req.body;
+
+  res.set('Cache-Control', 'no-store');
+
+  if (client.id !== OAUTH_CLIENT.id || client.secret !== OAUTH_CLIENT.secret) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  if (grantType === 'refresh_token') {
+    if (!refreshTokens.has(refreshToken)) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown refresh token' });
+    }
+    // Issued refresh tokens rotate; the demo token stays valid
+    if (refreshToken !== DEMO_REFRESH_TOKEN) {
+      refreshTokens.delete(refreshToken);
+    }
+  } else if (grantType !== 'client_credentials') {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+
+  tokenCounter += 1;
+  const accessToken = `mock-access-${tokenCounter}`;
+  accessTokens.set(accessToken, Date.now() + 3600 * 1000);
+
+  const response = {
+    access_token: accessToken,
+    token_type: 'bearer',
+    expires_in: 3600,
+    scope: scope || 'orders:read'
+  };
+
+  if (grantType === 'refresh_token') {
+    response.refresh_token = `mock-refresh-${tokenCounter}`;
+    refreshTokens.add(response.refresh_token);
+  }
+
+  res.status(200).json(response);
+});
+
+// POST /oauth/revoke - Revokes an access token (RFC 7009)
+app.post('/oauth/revoke', (req, res) => {
+  accessTokens.delete(req.body.token);
+  res.status(200).end();
+});
+
+// GET /oauth/orders - Paginated orders for OAuth clients
+app.get('/oauth/orders', requireAccessToken, listOrders);
+
+// HMAC key shared with signing clients, by key ID
+const SIGNING_KEYS = { 'demo-key': 'demo-signing-secret' };
+
+// Signatures with a timestamp further than this from the server clock are rejected
+const SIGNATURE_MAX_AGE_SECONDS = 300;
+
+// HMAC auth middleware - sha256 hex of method, path, query, unix timestamp and body hash, one per line
+const requireSignature = (req, res, next) => {
+  const secret = SIGNING_KEYS[req.headers['x-key-id']];
+  const timestamp = Number(req.headers['x-timestamp']);
+  const signature = req.headers['x-signature'] || '';
+
+  if (!secret || !timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_MAX_AGE_SECONDS) {
+    return res.status(401).json({ error: 'invalid_signature', error_description: 'Unknown key or stale timestamp' });
+  }
+
+  const queryIndex = req.originalUrl.indexOf('?');
+  const canonical = [
+    req.method,
+    req.path,
+    queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex + 1),
+    req.headers['x-timestamp'],
+    // Only GET endpoints are signed, so the body is always empty
+    crypto.createHash('sha256').update('').digest('hex')
+  ].join('\n');
+  const expected = crypto.createHmac('sha256', secret).update(canonical).digest('hex');
+
+  if (signature !== expected) {
+    return res.status(401).json({ error: 'invalid_signature', error_description: 'Signature mismatch' });
+  }
+
+  next();
+};
+
+// GET /signed/orders - Paginated orders for HMAC-signed requests
+app.get('/signed/orders', requireSignature, listOrders);
+
+// GET /orders/legacy - Moved permanently to /orders, keeping the query string
+app.get('/orders/legacy', (req, res) => {
+  const queryIndex = req.originalUrl.indexOf('?');
+  res.redirect(301, `/orders${queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex)}`);
+});
+
+// Requests seen by /orders/flaky, by test key
+const flakyRequests = new Map();
+
+// GET /orders/flaky - Fails the first `failures` requests of each `key` with `status` (503 or 429)
+// 503 responses carry Retry-After; 429 responses carry X-RateLimit-Reset in epoch seconds
+app.get('/orders/flaky', requireAuth, (req, res) => {
+  const key = req.query.key || 'default';
+  const failures = parseInt(req.query.failures) || 0;
+  const status = parseInt(req.query.status) === 429 ? 429 : 503;
+  const seen = flakyRequests.get(key) || 0;
+
+  flakyRequests.set(key, seen + 1);
+
+  if (seen < failures) {
+    if (status === 429) {
+      res.set('X-RateLimit-Remaining', '0');
+      res.set('X-RateLimit-Reset', String(Math.ceil(Date.now() / 1000)));
+    } else {
+      res.set('Retry-After', req.query.retryAfter || '0');
+    }
+    return res.status(status).json({ error: status === 429 ? 'Too Many Requests' : 'Service Unavailable' });
+  }
+
+  listOrders(req, res);
+});
+
+// GET /orders/feed - Cursor-paginated orders as a top-level array with a Link header
+app.get('/orders/feed', requireAuth, (req, res) => {
+  const limit = parseInt(req.query.limit) || 10;
+  const afterId = parseInt(req.query.cursor) || 0;
+
+  const startIndex = mockOrders.findIndex(order => order.id > afterId);
+  const page = startIndex === -1 ? [] : mockOrders.slice(startIndex, startIndex + limit);
+  const last = page[page.length - 1];
+
+  if (last && last.id < mockOrders[mockOrders.length - 1].id) {
+    const nextUrl = `${req.protocol}://${req.get('host')}/orders/feed?cursor=${last.id}&limit=${limit}`;
+    res.set('Link', `<${nextUrl}>; rel="next"`);
+  }
+
+  res.status(200).json(page);
+});
+
+// GET /orders/export - Streams `count` orders (default 10000) as one large JSON document
+app.get('/orders/export', requireAuth, async (req, res) => {
+  const count = Math.min(parseInt(req.query.count) || 10000, 1000000);
+
+  res.status(200).type('application/json');
+  res.write('{"orders":[');
+
+  for (let index = 0; index < count && !res.destroyed; index++) {
+    const order = { ...mockOrders[index % mockOrders.length], id: index + 1 };
+    const ok = res.write(`${index > 0 ? ',' : ''}${JSON.stringify(order)}`);
+    // Waits for the client to read, and stops writing once it hangs up
+    if (!ok) {
+      await new Promise(resolve => {
+        const resume = () => {
+          res.off('drain', resume);
+          res.off('close', resume);
+          resolve();
+        };
+        res.on('drain', resume);
+        res.on('close', resume);
+      });
+    }
+  }
+
+  if (!res.destroyed) {
+    res.end(`],"total":${count}}`);
+  }
+});
+
+// POST /orders/search - Filters orders by the criteria in the request body
+app.post('/orders/search', requireAuth, (req, res) => {
+  const { status, minAmount } = req.body || {};
+
+  const results = mockOrders.filter(order =>
+    (!status || order.status === status) &&
+    (minAmount === undefined || order.amount >= Number(minAmount))
+  );
+
+  res.status(200).json({
+    results,
+    total: results.length
+  });
+});
+
+// GET /openapi.json - Describes the mock endpoints (public, like most published specs)
+app.get('/openapi.json', (req, res) => {
+  res.status(200).json(mockOpenApi);
+});
+
+/**
+ * Escapes text for XML element content
+ * @param {*} value - Value to write
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Writes an order as an XML element with its id as attribute
+ * @param {Object} order - Mock order
+ * @param {string} prefix - Namespace prefix of the elements, with colon
+ * @returns {string} - Order element
+ */
+const orderXml = (order, prefix = '') =>
+  `<${prefix}order id="${order.id}">` +
+  ['customer', 'amount', 'status', 'date'].map(key => `<${prefix}${key}>${escapeXml(order[key])}</${prefix}${key}>`).join('') +
+  `</${prefix}order>`;
+
+// GET /xml/orders - Paginated orders as XML, the way legacy ERP endpoints return them
+app.get('/xml/orders', requireAuth, (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const orders = mockOrders.slice((page - 1) * limit, page * limit);
+
+  res.status(200).type('application/xml').send(
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<orders page="${page}" per_page="${limit}" total="${mockOrders.length}">${orders.map(order => orderXml(order)).join('')}</orders>`
+  );
+});
+
+// POST /soap/orders - SOAP 1.1 GetOrders operation; ?fault=1 answers with a SOAP fault
+app.post('/soap/orders', requireAuth, (req, res) => {
+  const envelope = (body) =>
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" xmlns:m="urn:mock-erp:orders">' +
+    `<soap:Body>${body}</soap:Body></soap:Envelope>`;
+
+  res.type('text/xml');
+
+  if (req.query.fault) {
+    return res.status(500).send(envelope(
+      '<soap:Fault><faultcode>soap:Client</faultcode><faultstring>Unknown customer account</faultstring></soap:Fault>'
+    ));
+  }
+
+  res.status(200).send(envelope(
+    `<m:GetOrdersResponse><m:GetOrdersResult>${mockOrders.slice(0, 10).map(order => orderXml(order, 'm:')).join('')}</m:GetOrdersResult></m:GetOrdersResponse>`
+  ));
+});
+
+/**
+ * Quotes a CSV cell when it holds the delimiter, a quote or a line break
+ * @param {*} value - Cell value
+ * @param {string} delimiter - Cell delimiter
+ * @returns {string} - Cell text
+ */
+const csvCell = (value, delimiter) => {
+  const text = String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// GET /reports/orders - Order export as CSV (default), TSV or NDJSON, like reporting endpoints
+app.get('/reports/orders', requireAuth, (req, res) => {
+  const format = req.query.format || 'csv';
+  const columns = ['id', 'customer', 'amount', 'status', 'date'];
+  // A customer name holding the delimiter and quotes checks that cells are quoted
+  const orders = mockOrders.map((order, index) => index === 0 ? { ...order, customer: 'Smith, "Jr."' } : order);
+
+  if (format === 'ndjson') {
+    return res.status(200).type('application/x-ndjson').send(orders.map(order => JSON.stringify(order)).join('\n') + '\n');
+  }
+
+  if (format !== 'csv' && format !== 'tsv') {
+    return res.status(400).json({ error: 'invalid_format', message: 'format must be csv, tsv or ndjson' });
+  }
+
+  const delimiter = format === 'tsv' ? '\t' : ',';
+  const lines = [columns, ...orders.map(order => columns.map(column => order[column]))]
+    .map(cells => cells.map(cell => csvCell(cell, delimiter)).join(delimiter));
+
+  res.status(200).type(format === 'tsv' ? 'text/tab-separated-values' : 'text/csv').send(lines.join('\r\n') + '\r\n');
+});
+
+// POST /graphql - GraphQL endpoint with introspection; orders are a Relay connection
+app.post('/graphql', requireAuth, (req, res) => {
+  const { query, variables } = req.body || {};
+
+  if (typeof query !== 'string' || query.trim() === '') {
+    return res.status(400).json({ errors: [{ message: 'Must provide query string.' }] });
+  }
+
+  res.status(200).json(executeMockQuery(query, variables || {}));
 });
 
 // GET /html - Returns HTML for testing non-JSON response
@@ -0,0 +1,156 @@
+/**
+ * GraphQL schema of the mock server, for testing introspection and GraphQL queries
+ */
+const { mockOrders } = require('./data');
+
+/**
+ * Object types and their fields, written in GraphQL type notation
+ */
+const objectTypes = {
+  Query: {
+    orders: {
+      type: 'OrderConnection!',
+      description: 'Orders by date, paged as a Relay connection',
+      args: { first: 'Int', after: 'String', status: 'OrderStatus' }
+    },
+    order: { type: 'Order', args: { id: 'ID!' } }
+  },
+  Order: {
+    id: 'ID!',
+    customer: 'String!',
+    amount: { type: 'Float!', description: 'Order total in USD' },
+    status: 'OrderStatus!',
+    date: 'String!',
+    note: 'String'
+  },
+  OrderConnection: { edges: '[OrderEdge!]!', pageInfo: 'PageInfo!', totalCount: 'Int!' },
+  OrderEdge: { cursor: 'String!', node: 'Order!' },
+  PageInfo: { hasNextPage: 'Boolean!', endCursor: 'String' }
+};
+
+const enumTypes = {
+  OrderStatus: ['completed', 'pending', 'shipped']
+};
+
+const scalarTypes = ['ID', 'String', 'Int', 'Float', 'Boolean'];
+
+/**
+ * Converts type notation such as [Order!]! to an introspection type reference
+ * @param {string} notation - Type in GraphQL notation
+ * @returns {Object} - Type reference
+ */
+const typeRef = (notation) => {
+  if (notation.endsWith('!')) {
+    return { kind: 'NON_NULL', name: null, ofType: typeRef(notation.slice(0, -1)) };
+  }
+  if (notation.startsWith('[')) {
+    return { kind: 'LIST', name: null, ofType: typeRef(notation.slice(1, -1)) };
+  }
+
+  const kind = objectTypes[notation] ? 'OBJECT' : (enumTypes[notation] ? 'ENUM' : 'SCALAR');
+  return { kind, name: notation, ofType: null };
+};
+
+/**
+ * Builds the introspection field list of an object type
+ * @param {Object} fields - Fields as type notation or { type, description, args }
+ * @returns {Array<Object>} - Introspection fields
+ */
+const introspectFields = (fields) => Object.entries(fields).map(([name, definition]) => {
+  const { type, description = null, args = {} } = typeof definition === 'string' ? { type: definition } : definition;
+  return {
+    name,
+    description,
+    args: Object.entries(args).map(([argName, argType]) => ({
+      name: argName,
+      description: null,
+      type: typeRef(argType),
+      defaultValue: null
+    })),
+    type: typeRef(type)
+  };
+});
+
+/**
+ * Introspection result of the mock schema
+ */
+const mockIntrospection = {
+  data: {
+    __schema: {
+      queryType: { name: 'Query' },
+      types: [
+        ...Object.entries(objectTypes).map(([name, fields]) => ({
+          kind: 'OBJECT', name, description: null, fields: introspectFields(fields), enumValues: null
+        })),
+        ...Object.entries(enumTypes).map(([name, values]) => ({
+          kind: 'ENUM', name, description: null, fields: null, enumValues: values.map(value => ({ name: value }))
+        })),
+        ...scalarTypes.map(name => ({ kind: 'SCALAR', name, description: null, fields: null, enumValues: null }))
+      ]
+    }
+  }
+};
+
+/**
+ * Converts a mock order to the Order type
+ * @param {Object} order - Mock order
+ * @returns {Object} - Order with a string ID and every field set
+ */
+const toOrder = (order) => ({ ...order, id: String(order.id), note: null });
+
+/**
+ * Encodes the opaque cursor of an order
+ * @param {Object} order - Mock order
+ * @returns {string} - Cursor
+ */
+const orderCursor = (order) => Buffer.from(`order:${order.id}`).toString('base64');
+
+/**
+ * Runs a query against the mock schema
+ * Only the root field is read from the query; every field of the result is returned.
+ * @param {string} query - Query document
+ * @param {Object} variables - Query variables
+ * @returns {Object} - GraphQL result with data or errors
+ */
+const executeMockQuery = (query, variables = {}) => {
+  if (query.includes('__schema')) {
+    return mockIntrospection;
+  }
+
+  const match = query.match(/\{\s*(\w+)/);
+  const field = match ? match[1] : null;
+
+  if (field === 'orders') {
+    const { first = 10, after, status } = variables;
+    const matching = mockOrders.filter(order => !status || order.status === status);
+    const start = after ? matching.findIndex(order => orderCursor(order) === after) + 1 : 0;
+    const page = matching.slice(start, start + first);
+
+    return {
+      data: {
+        orders: {
+          edges: page.map(order => ({ cursor: orderCursor(order), node: toOrder(order) })),
+          pageInfo: {
+            hasNextPage: start + first < matching.length,
+            endCursor: page.length > 0 ? orderCursor(page[page.length - 1]) : null
+          },
+          totalCount: matching.length
+        }
+      }
+    };
+  }
+
+  if (field === 'order') {
+    const order = mockOrders.find(candidate => String(candidate.id) === String(variables.id));
+    return order
+      ? { data: { order: toOrder(order) } }
+      : { data: { order: null }, errors: [{ message: `Order ${variables.id} not found`, path: ['order'] }] };
+  }
+
+  return { errors: [{ message: `Cannot query field "${field}" on type "Query".` }] };
+};
+
+module.exports = {
+  mockIntrospection,
+  executeMockQuery
+};
@@ -0,0 +1,95 @@
+/**
+ * OpenAPI document describing the mock server, for testing spec imports
+ */
+const order = {
+  type: 'object',
+  required: ['id', 'customer', 'amount', 'status', 'date'],
+  properties: {
+    id: { type: 'integer', example: 1 },
+    customer: { type: 'string', example: 'John Doe' },
+    amount: { type: 'number', example: 150.00 },
+    status: { type: 'string', enum: ['completed', 'pending', 'shipped'] },
+    date: { type: 'string', format: 'date', example: '2025-01-15' },
+    note: { type: 'string', nullable: true }
+  }
+};
+
+const mockOpenApi = {
+  openapi: '3.0.3',
+  info: { title: 'Mock Orders API', version: '1.0.0' },
+  servers: [{ url: 'http://localhost:3001' }],
+  components: {
+    schemas: { Order: order },
+    securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } }
+  },
+  security: [{ bearerAuth: [] }],
+  paths: {
+    '/orders': {
+      get: {
+        operationId: 'listOrders',
+        summary: 'List orders',
+        parameters: [
+          { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1 } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1 } }
+        ],
+        responses: {
+          200: {
+            description: 'A page of orders',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    orders: { type: 'array', items: { $ref: '#/components/schemas/Order' } },
+                    meta: {
+                      type: 'object',
+                      properties: {
+                        page: { type: 'integer' },
+                        per_page: { type: 'integer' },
+                        total: { type: 'integer' },
+                        total_pages: { type: 'integer' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/orders/feed': {
+      get: {
+        operationId: 'listOrderFeed',
+        summary: 'Order feed with Link header pagination',
+        parameters: [
+          { name: 'cursor', in: 'query', schema: { type: 'string' } },
+          { name: 'limit', in: 'query', schema: { type: 'integer' } }
+        ],
+        responses: {
+          200: {
+            description: 'Orders after the cursor',
+            content: {
+              'application/json': {
+                schema: { type: 'array', items: { $ref: '#/components/schemas/Order' } }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/orders/search': {
+      post: {
+        operationId: 'searchOrders',
+        summary: 'Search orders',
+        responses: {
+          200: { description: 'Matching orders' }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  mockOpenApi
+};
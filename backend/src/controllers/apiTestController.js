@@ -17,17 +17,32 @@ async function saveApiTest(testData) {
   }
 
   try {
-    // Check if URL was tested before
-    const existingTest = await ApiTest.findOne({ url: testData.url }).sort({ testedAt: -1 });
+    // Check if URL was tested before with the same method
+    const existingTest = await ApiTest.findOne({
+      url: testData.url,
+      method: testData.method || 'GET'
+    }).sort({ testedAt: -1 });
 
     if (existingTest) {
       // Update existing test
+      existingTest.body = testData.body;
+      existingTest.bodyType = testData.bodyType;
+      existingTest.auth = testData.auth;
+      existingTest.signing = testData.signing;
       existingTest.success = testData.success;
       existingTest.status = testData.status;
       existingTest.responseTime = testData.responseTime;
+      existingTest.totalTime = testData.totalTime;
+      existingTest.responseSize = testData.responseSize;
+      existingTest.truncated = testData.truncated;
+      existingTest.redirects = testData.redirects;
+      existingTest.attempts = testData.attempts;
       existingTest.errorMessage = testData.errorMessage;
+      existingTest.responseFormat = testData.responseFormat;
+      existingTest.formatOptions = testData.formatOptions;
       existingTest.samplePath = testData.samplePath;
       existingTest.fields = testData.fields;
+      existingTest.keys = testData.keys;
       existingTest.pagination = testData.pagination;
       await existingTest.incrementTestCount();
       return existingTest;
@@ -20,8 +20,12 @@ app.use(express.urlencoded({ extended: true }));
 
 // Routes
 const statsRouter = require('./routes/stats');
+const importRouter = require('./routes/import');
+const graphqlRouter = require('./routes/graphql');
 app.use('/api', testRouter);
 app.use('/api/stats', statsRouter);
+app.use('/api/import', importRouter);
+app.use('/api/graphql', graphqlRouter);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -0,0 +1,207 @@
+/**
+ * Typed authentication schemes: validation, application to requests and masking
+ */
+const { validateOAuthConfig, maskOAuthConfig } = require('./oauth');
+
+/**
+ * Supported auth types
+ */
+const AUTH_TYPES = ['basic', 'bearer', 'apikey', 'custom', 'oauth2'];
+
+/**
+ * Where an API key can be sent
+ */
+const API_KEY_LOCATIONS = ['header', 'query'];
+
+/**
+ * Placeholder replacing secret values
+ */
+const MASK = '<masked>';
+
+/**
+ * Variable references in custom header templates, e.g. {{token}}
+ */
+const TEMPLATE_VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Lists the variables used by a custom header template
+ * @param {string} template - Header value template
+ * @returns {Array<string>} - Unique variable names in order of appearance
+ */
+function templateVariables(template) {
+  return [...new Set([...String(template).matchAll(TEMPLATE_VARIABLE)].map(match => match[1]))];
+}
+
+/**
+ * Checks an optional auth configuration
+ * @param {*} auth - Auth configuration with a type and its type-specific fields
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateAuth(auth) {
+  if (auth === undefined || auth === null) {
+    return null;
+  }
+
+  if (typeof auth !== 'object' || Array.isArray(auth)) {
+    return 'auth must be an object with a type';
+  }
+
+  if (!AUTH_TYPES.includes(auth.type)) {
+    return `Unsupported auth type: ${auth.type}. Use one of ${AUTH_TYPES.join(', ')}`;
+  }
+
+  if (auth.type === 'basic') {
+    return auth.username ? null : 'auth.username is required for basic auth';
+  }
+
+  if (auth.type === 'bearer') {
+    return auth.token ? null : 'auth.token is required for bearer auth';
+  }
+
+  if (auth.type === 'apikey') {
+    if (!auth.name || !auth.value) {
+      return 'auth.name and auth.value are required for API key auth';
+    }
+    if (auth.in !== undefined && !API_KEY_LOCATIONS.includes(auth.in)) {
+      return `Unsupported auth.in: ${auth.in}. Use one of ${API_KEY_LOCATIONS.join(', ')}`;
+    }
+    return null;
+  }
+
+  if (auth.type === 'custom') {
+    if (!auth.header || typeof auth.template !== 'string' || !auth.template) {
+      return 'auth.header and auth.template are required for custom auth';
+    }
+    const values = auth.values || {};
+    const missing = templateVariables(auth.template).find(name => values[name] === undefined || values[name] === '');
+    return missing ? `auth.values.${missing} is required by the template` : null;
+  }
+
+  return validateOAuthConfig(auth);
+}
+
+/**
+ * Removes a header, ignoring case
+ * @param {Object} headers - Headers object, modified in place
+ * @param {string} name - Header name
+ */
+function removeHeader(headers, name) {
+  Object.keys(headers)
+    .filter(key => key.toLowerCase() === name.toLowerCase())
+    .forEach(key => delete headers[key]);
+}
+
+/**
+ * Applies an auth scheme to the headers and query parameters of a request
+ * OAuth tokens are obtained by the fetcher and are not applied here.
+ * @param {Object} auth - Auth configuration (may be undefined)
+ * @param {Object} headers - Request headers
+ * @param {Object} queryParams - Request query parameters
+ * @returns {{headers: Object, queryParams: Object}} - New headers and query parameters
+ */
+function applyAuth(auth, headers = {}, queryParams = {}) {
+  const result = { headers: { ...headers }, queryParams: { ...queryParams } };
+
+  if (!auth) {
+    return result;
+  }
+
+  if (auth.type === 'basic') {
+    removeHeader(result.headers, 'Authorization');
+    const credentials = Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64');
+    result.headers.Authorization = `Basic ${credentials}`;
+  } else if (auth.type === 'bearer') {
+    removeHeader(result.headers, 'Authorization');
+    result.headers.Authorization = `Bearer ${auth.token}`;
+  } else if (auth.type === 'apikey' && auth.in === 'query') {
+    result.queryParams[auth.name] = auth.value;
+  } else if (auth.type === 'apikey') {
+    removeHeader(result.headers, auth.name);
+    result.headers[auth.name] = auth.value;
+  } else if (auth.type === 'custom') {
+    const values = auth.values || {};
+    removeHeader(result.headers, auth.header);
+    result.headers[auth.header] = auth.template.replace(TEMPLATE_VARIABLE, (match, name) => values[name]);
+  }
+
+  return result;
+}
+
+/**
+ * Masks the secrets of an auth configuration by type, for storage and export
+ * @param {Object} auth - Auth configuration
+ * @returns {Object|null} - Configuration with secrets replaced by <masked>, or null without auth
+ */
+function maskAuth(auth) {
+  if (!auth) {
+    return null;
+  }
+
+  if (auth.type === 'basic') {
+    return { type: 'basic', username: auth.username, password: MASK };
+  }
+
+  if (auth.type === 'bearer') {
+    return { type: 'bearer', token: MASK };
+  }
+
+  if (auth.type === 'apikey') {
+    return { type: 'apikey', name: auth.name, in: auth.in || 'header', value: MASK };
+  }
+
+  if (auth.type === 'custom') {
+    return {
+      type: 'custom',
+      header: auth.header,
+      template: auth.template,
+      values: Object.fromEntries(templateVariables(auth.template).map(name => [name, MASK]))
+    };
+  }
+
+  return maskOAuthConfig(auth);
+}
+
+/**
+ * Maps an auth configuration to the auth settings of a ToolJet REST API datasource
+ * API keys and custom headers have no ToolJet auth type and are sent as headers or parameters.
+ * @param {Object} auth - Masked auth configuration
+ * @returns {Object} - ToolJet auth settings (auth_type and its fields)
+ */
+function toToolJetAuth(auth) {
+  if (!auth) {
+    return { auth_type: 'none' };
+  }
+
+  if (auth.type === 'basic') {
+    return { auth_type: 'basic', username: auth.username, password: auth.password };
+  }
+
+  if (auth.type === 'bearer') {
+    return { auth_type: 'bearer', bearer_token: auth.token };
+  }
+
+  if (auth.type === 'oauth2') {
+    return {
+      auth_type: 'oauth2',
+      grant_type: auth.grantType,
+      access_token_url: auth.tokenUrl,
+      client_id: auth.clientId,
+      client_secret: auth.clientSecret || '',
+      scopes: auth.scopes.join(' '),
+      client_auth: auth.clientAuth === 'body' ? 'body' : 'header',
+      add_token_to: 'header',
+      header_prefix: 'Bearer '
+    };
+  }
+
+  return { auth_type: 'none' };
+}
+
+module.exports = {
+  AUTH_TYPES,
+  templateVariables,
+  validateAuth,
+  applyAuth,
+  maskAuth,
+  toToolJetAuth
+};
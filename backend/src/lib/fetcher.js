@@ -1,7 +1,38 @@
 /**
- * HTTP fetcher with retry and exponential backoff
+ * HTTP fetcher with retry, full-jitter backoff and server-requested retry delays
  */
 const axios = require('axios');
+const { getAccessToken } = require('./oauth');
+const { applyAuth } = require('./auth');
+const { appendQuery, signRequest } = require('./signing');
+const { createTimedTransport, summarizeTiming } = require('./timing');
+const { POLICY_VIOLATION, loadPolicy, checkUrl, createPolicyLookup } = require('./outboundPolicy');
+const { DEFAULT_MAX_RESPONSE_SIZE, readResponseBody } = require('./responseBody');
+
+/**
+ * HTTP methods supported by the fetcher
+ */
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
+
+/**
+ * Request body encodings supported by the fetcher
+ */
+const BODY_TYPES = ['json', 'form', 'multipart', 'raw'];
+
+/**
+ * Status codes retried by default: rate limiting and temporary gateway or server unavailability
+ */
+const RETRY_STATUSES = [429, 502, 503, 504];
+
+/**
+ * Redirect statuses followed by the fetcher
+ */
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Headers that carry credentials and are not forwarded to another origin
+ */
+const CREDENTIAL_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
 
 /**
  * Sleep utility for retry delays
@@ -12,79 +43,418 @@ function sleep(ms) {
 }
 
 /**
- * Fetches data from a URL with retry logic and exponential backoff
+ * Checks whether a header is present, ignoring case
+ * @param {Object} headers - Headers object
+ * @param {string} name - Header name
+ * @returns {boolean} - True if the header is set
+ */
+function hasHeader(headers, name) {
+  const lowerName = name.toLowerCase();
+  return Object.keys(headers).some(key => key.toLowerCase() === lowerName);
+}
+
+/**
+ * Copies headers without the given names, ignoring case
+ * @param {Object} headers - Headers object
+ * @param {Array<string>} names - Lowercase header names to drop
+ * @returns {Object} - New headers object
+ */
+function withoutHeaders(headers, names) {
+  return Object.fromEntries(Object.entries(headers).filter(([key]) => !names.includes(key.toLowerCase())));
+}
+
+/**
+ * Builds the request that follows a redirect
+ * 303 responses, and 301/302 responses to a POST, are followed with a GET without body, as browsers do.
+ * @param {Object} request - Redirected request ({ url, method, headers, data, params })
+ * @param {number} status - Redirect status
+ * @param {string} location - Absolute URL of the redirect target
+ * @returns {Object} - Request to send next
+ */
+function followRedirect(request, status, location) {
+  const next = { ...request, url: location, params: undefined };
+
+  if ((status === 303 && request.method !== 'HEAD') || ((status === 301 || status === 302) && request.method === 'POST')) {
+    next.method = 'GET';
+    next.data = undefined;
+    next.headers = withoutHeaders(request.headers, ['content-type', 'content-length']);
+  }
+
+  if (new URL(location).origin !== new URL(request.url).origin) {
+    next.headers = withoutHeaders(next.headers, CREDENTIAL_HEADERS);
+  }
+
+  return next;
+}
+
+/**
+ * Reads a header, ignoring case
+ * @param {Object} headers - Headers object
+ * @param {string} name - Header name
+ * @returns {string|undefined} - Header value
+ */
+function getHeader(headers = {}, name) {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : String(headers[key]);
+}
+
+/**
+ * Reads the delay a server asked for before the next request
+ * Retry-After holds seconds or an HTTP date; X-RateLimit-Reset holds epoch seconds
+ * (or milliseconds) or, on some APIs, seconds until the window resets.
+ * @param {Object} headers - Response headers
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {{delay: number, source: string}|null} - Delay in ms and the header it came from, or null
+ */
+function parseRetryDelay(headers, now = Date.now()) {
+  const retryAfter = getHeader(headers, 'retry-after');
+
+  if (retryAfter !== undefined && retryAfter.trim() !== '') {
+    if (/^\d+$/.test(retryAfter.trim())) {
+      return { delay: Number(retryAfter) * 1000, source: 'Retry-After' };
+    }
+
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return { delay: Math.max(date - now, 0), source: 'Retry-After' };
+    }
+  }
+
+  const reset = Number(getHeader(headers, 'x-ratelimit-reset'));
+
+  if (Number.isFinite(reset) && reset > 0) {
+    if (reset > 1e12) {
+      return { delay: Math.max(reset - now, 0), source: 'X-RateLimit-Reset' };
+    }
+    if (reset > 1e9) {
+      return { delay: Math.max(reset * 1000 - now, 0), source: 'X-RateLimit-Reset' };
+    }
+    return { delay: reset * 1000, source: 'X-RateLimit-Reset' };
+  }
+
+  return null;
+}
+
+/**
+ * Computes a full-jitter backoff delay: a random wait between zero and the capped exponential delay
+ * @param {number} retry - Retry number, starting at 1
+ * @param {number} initialDelay - Delay cap of the first retry in ms
+ * @param {number} maxDelay - Upper bound of any delay in ms
+ * @param {Function} random - Random number generator in [0, 1) (default: Math.random)
+ * @returns {number} - Delay in ms
+ */
+function backoffDelay(retry, initialDelay, maxDelay, random = Math.random) {
+  return Math.floor(random() * Math.min(maxDelay, initialDelay * Math.pow(2, retry - 1)));
+}
+
+/**
+ * Converts a form or multipart field to text; nested objects and arrays are sent as JSON
+ * @param {*} value - Field value
+ * @returns {string} - Field text
+ */
+function fieldText(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Encodes a request body for the given body type
+ * @param {*} body - Request body (object for json/form/multipart, string for raw)
+ * @param {string} bodyType - One of BODY_TYPES (default: json)
+ * @returns {{data: *, contentType: string|null}} - Encoded body and its Content-Type
+ */
+function buildRequestBody(body, bodyType = 'json') {
+  if (body === undefined || body === null || body === '') {
+    return { data: undefined, contentType: null };
+  }
+
+  if (bodyType === 'json') {
+    return {
+      data: typeof body === 'string' ? body : JSON.stringify(body),
+      contentType: 'application/json'
+    };
+  }
+
+  if (bodyType === 'form') {
+    const data = typeof body === 'string'
+      ? body
+      : new URLSearchParams(Object.entries(body).map(([key, value]) => [key, fieldText(value)])).toString();
+    return { data, contentType: 'application/x-www-form-urlencoded' };
+  }
+
+  if (bodyType === 'multipart') {
+    const formData = new FormData();
+    for (const key in body) {
+      formData.append(key, fieldText(body[key]));
+    }
+    // Boundary is added by axios when it serializes the FormData
+    return { data: formData, contentType: null };
+  }
+
+  if (bodyType === 'raw') {
+    return {
+      data: typeof body === 'string' ? body : JSON.stringify(body),
+      contentType: 'text/plain'
+    };
+  }
+
+  throw new Error(`Unsupported body type: ${bodyType}`);
+}
+
+/**
+ * Builds the fetcher result of an HTTP response
+ * @param {Object} response - Axios response, with the body read by readResponseBody
+ * @param {Array<Object>} attempts - Attempts made, with status, delay, reason, timing, size and redirects
+ * @returns {Object} - Result with data, status, headers, truncated flag and attempts
+ */
+function toResult(response, attempts) {
+  return {
+    success: true,
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    data: response.data,
+    truncated: response.truncated,
+    attempts
+  };
+}
+
+/**
+ * Fetches data from a URL, retrying network errors and retryable statuses
+ * A Retry-After or X-RateLimit-Reset header sets the delay before the next attempt;
+ * otherwise the delay is a full-jitter exponential backoff. Retries stop once the next
+ * delay would exceed the total retry budget. Redirects are followed by the fetcher so
+ * every request of an attempt is timed and checked against the outbound policy. Bodies are
+ * streamed: reading stops at maxResponseSize, or once a large JSON response holds maxItems
+ * items, and the result is then flagged as truncated.
  * @param {Object} options - Fetch options
  * @param {string} options.url - The URL to fetch
+ * @param {string} options.method - HTTP method (default: GET)
  * @param {Object} options.headers - HTTP headers
  * @param {Object} options.queryParams - Query parameters
+ * @param {*} options.body - Request body, ignored for GET
+ * @param {string} options.bodyType - Body encoding: json, form, multipart or raw (default: json)
+ * @param {Object} options.auth - Auth scheme (basic, bearer, apikey, custom or oauth2) applied to the request
+ * @param {Object} options.signing - Request signer (hmac or aws-sigv4), applied again on every attempt
  * @param {number} options.maxRetries - Maximum number of retries (default: 3)
- * @param {number} options.initialDelay - Initial delay in ms (default: 1000)
+ * @param {Array<number>} options.retryOn - Status codes to retry (default: RETRY_STATUSES)
+ * @param {number} options.initialDelay - Backoff delay cap of the first retry in ms (default: 1000)
+ * @param {number} options.maxDelay - Upper bound of a backoff delay in ms (default: 30000)
+ * @param {number} options.retryBudget - Total time in ms that attempts and delays may take (default: 60000)
+ * @param {number} options.maxRedirects - Maximum number of redirects followed per attempt (default: 5)
  * @param {number} options.timeout - Request timeout in ms (default: 10000)
- * @returns {Promise<Object>} - Response object with data, status, headers
+ * @param {Object} options.policy - Outbound policy of outboundPolicy.createPolicy (default: loadPolicy())
+ * @param {number} options.maxResponseSize - Maximum body size in bytes (default: MAX_RESPONSE_SIZE or 20 MB)
+ * @param {number} options.maxItems - Stop reading a response over 1 MB once an array holds this many items (default: no limit)
+ * @returns {Promise<Object>} - Response object with data, status, headers and the attempts made
  */
 async function fetchWithRetry(options) {
   const {
     url,
+    method = 'GET',
     headers = {},
     queryParams = {},
+    body,
+    bodyType = 'json',
+    auth,
+    signing,
     maxRetries = 3,
+    retryOn = RETRY_STATUSES,
     initialDelay = 1000,
-    timeout = 10000
+    maxDelay = 30000,
+    retryBudget = 60000,
+    maxRedirects = 5,
+    timeout = 10000,
+    policy = loadPolicy(),
+    maxResponseSize = Number(process.env.MAX_RESPONSE_SIZE) || DEFAULT_MAX_RESPONSE_SIZE,
+    maxItems
   } = options;
 
-  let lastError = null;
-  let attempt = 0;
+  const lookup = createPolicyLookup(policy);
 
-  while (attempt <= maxRetries) {
-    try {
-      const response = await axios({
-        url,
-        method: 'GET',
-        headers,
-        params: queryParams,
-        timeout,
-        validateStatus: () => true // Don't throw on any status code
-      });
+  const requestMethod = method.toUpperCase();
+  const { data, contentType } = requestMethod === 'GET'
+    ? { data: undefined, contentType: null }
+    : buildRequestBody(body, bodyType);
+
+  // Credentials of the auth scheme replace headers of the same name typed alongside it
+  const authorized = applyAuth(auth, headers, queryParams);
+  const requestHeaders = authorized.headers;
+  if (contentType && !hasHeader(requestHeaders, 'content-type')) {
+    requestHeaders['Content-Type'] = contentType;
+  }
+
+  // Signatures cover the query string, so signed requests are sent with a query string built here
+  const requestUrl = signing ? appendQuery(url, authorized.queryParams) : url;
+  const requestParams = signing ? undefined : authorized.queryParams;
+
+  const useOAuth = !!auth && auth.type === 'oauth2';
+
+  /**
+   * Sets the Authorization header from a cached or newly obtained access token
+   * @param {boolean} forceRefresh - Obtain a new token even if one is cached
+   * @returns {Promise<Object>} - Result of getAccessToken
+   */
+  const authorize = async (forceRefresh) => {
+    const token = await getAccessToken(auth, { forceRefresh, timeout, lookup });
+    if (token.success) {
+      Object.keys(requestHeaders)
+        .filter(key => key.toLowerCase() === 'authorization')
+        .forEach(key => delete requestHeaders[key]);
+      requestHeaders.Authorization = `${token.tokenType} ${token.accessToken}`;
+    }
+    return token;
+  };
 
+  if (useOAuth) {
+    const violation = checkUrl(auth.tokenUrl, policy);
+    if (violation) {
+      return { success: false, status: 0, error: violation.message, errorType: POLICY_VIOLATION };
+    }
+
+    const token = await authorize(false);
+    if (!token.success) {
       return {
-        success: true,
-        status: response.status,
-        statusText: response.statusText,
-        headers: response.headers,
-        data: response.data
+        success: false,
+        status: 0,
+        error: `OAuth token request failed: ${token.error}`,
+        errorType: 'OAUTH_ERROR'
       };
-    } catch (error) {
-      lastError = error;
-      attempt++;
-
-      // Don't retry if it's not a network error
-      if (error.response) {
-        // Server responded with error status
-        return {
-          success: false,
-          status: error.response.status,
-          statusText: error.response.statusText,
-          headers: error.response.headers,
-          data: error.response.data,
-          error: error.message
-        };
+    }
+  }
+
+  /**
+   * Sends one attempt, following redirects and timing every request of the chain
+   * @returns {Promise<Object>} - { response, error, timing, size, redirects } of the last request
+   */
+  const send = async () => {
+    const redirects = [];
+    let request = { url: requestUrl, method: requestMethod, headers: requestHeaders, data, params: requestParams };
+
+    while (true) {
+      const timing = {};
+      let response;
+
+      const violation = checkUrl(request.url, policy);
+      if (violation) {
+        return { response: null, error: violation, timing: summarizeTiming(timing), size: 0, redirects };
       }
 
-      // Network error or timeout - retry with exponential backoff
-      if (attempt <= maxRetries) {
-        const delay = initialDelay * Math.pow(2, attempt - 1);
-        await sleep(delay);
+      try {
+        response = await axios({
+          url: request.url,
+          method: request.method,
+          headers: signing ? signRequest(signing, request) : request.headers,
+          params: request.params,
+          data: request.data,
+          timeout,
+          maxRedirects: 0,
+          lookup,
+          transport: createTimedTransport(timing),
+          responseType: 'stream',
+          validateStatus: () => true // Statuses are handled by the caller rather than thrown
+        });
+      } catch (error) {
+        return { response: null, error, timing: summarizeTiming(timing), size: 0, redirects };
       }
-    }
-  }
 
-  // All retries exhausted
-  return {
-    success: false,
-    status: 0,
-    error: lastError.message,
-    errorType: lastError.code || 'NETWORK_ERROR'
+      const location = REDIRECT_STATUSES.includes(response.status) ? response.headers.location : null;
+
+      if (!location || redirects.length >= maxRedirects) {
+        let body;
+        try {
+          body = await readResponseBody(response.data, { maxBytes: maxResponseSize, maxItems });
+        } catch (error) {
+          return { response: null, error, timing: summarizeTiming(timing), size: 0, redirects };
+        }
+
+        response.data = body.data;
+        response.truncated = body.truncated;
+        // A body cut short never ends, so its download ends where reading stopped
+        timing.end = timing.end || performance.now();
+        return { response, error: null, timing: summarizeTiming(timing), size: body.bytesRead, redirects };
+      }
+
+      response.data.destroy();
+      const target = new URL(location, request.url).toString();
+      redirects.push({ url: request.url, status: response.status, location: target, timing: summarizeTiming(timing) });
+      request = followRedirect(request, response.status, target);
+    }
   };
+
+  const startTime = Date.now();
+  const attempts = [];
+  let retries = 0;
+  let refreshed = false;
+
+  while (true) {
+    const startedAt = Date.now() - startTime;
+    const { response, error, timing, size, redirects } = await send();
+
+    const attempt = {
+      attempt: attempts.length + 1,
+      status: response ? response.status : 0,
+      delay: 0,
+      reason: null,
+      startedAt,
+      timing,
+      size,
+      redirects
+    };
+    attempts.push(attempt);
+
+    // A token revoked or expired early is replaced once before the 401 is reported
+    if (response && response.status === 401 && useOAuth && !refreshed) {
+      refreshed = true;
+      const token = await authorize(true);
+      if (token.success) {
+        attempt.reason = 'HTTP 401, access token refreshed';
+        continue;
+      }
+    }
+
+    const failure = error ? (error.code || 'NETWORK_ERROR') : `HTTP ${response.status}`;
+
+    // Blocked requests would be blocked again, so they are not retried
+    if (error && error.code === POLICY_VIOLATION) {
+      attempt.reason = `${failure}, not retried`;
+      return { success: false, status: 0, error: error.message, errorType: POLICY_VIOLATION, attempts };
+    }
+
+    if (response && !retryOn.includes(response.status)) {
+      attempt.reason = response.status >= 200 && response.status < 300 ? null : `${failure}, not retried`;
+      return toResult(response, attempts);
+    }
+
+    // Network error or retryable status - wait as long as the server asks, or back off with jitter
+    const requested = response ? parseRetryDelay(response.headers) : null;
+    const delay = requested ? requested.delay : backoffDelay(retries + 1, initialDelay, maxDelay);
+
+    let stopReason = null;
+    if (retries >= maxRetries) {
+      stopReason = 'retries exhausted';
+    } else if (Date.now() - startTime + delay > retryBudget) {
+      stopReason = 'retry budget exhausted';
+    }
+
+    if (stopReason) {
+      attempt.reason = `${failure}, ${stopReason}`;
+      if (response) {
+        return toResult(response, attempts);
+      }
+      return {
+        success: false,
+        status: 0,
+        error: error.message,
+        errorType: error.code || 'NETWORK_ERROR',
+        attempts
+      };
+    }
+
+    attempt.delay = delay;
+    attempt.reason = `${failure}, retrying after ${requested ? requested.source : 'backoff'}`;
+    retries++;
+    await sleep(delay);
+  }
 }
 
 /**
@@ -138,7 +508,7 @@ function generateHints(status, errorType) {
   }
 
   if (status === 429) {
-    return 'Rate limit exceeded. Wait before retrying or check your rate limit settings.';
+    return 'Rate limit exceeded, even after waiting as long as the API asked. Wait before testing again, or allow a larger retry budget.';
   }
 
   if (status >= 500) {
@@ -153,6 +523,14 @@ function generateHints(status, errorType) {
     return 'Request timed out. The server may be slow or unreachable.';
   }
 
+  if (errorType === 'OAUTH_ERROR') {
+    return 'Could not obtain an OAuth access token. Check the token URL, client ID, client secret and scopes.';
+  }
+
+  if (errorType === POLICY_VIOLATION) {
+    return 'The outbound policy blocks this URL. Private, loopback and link-local addresses, other schemes and ports, and denied hosts are refused; an administrator can allow a host with OUTBOUND_ALLOW.';
+  }
+
   return 'Request failed. Check your URL, headers, and network connection.';
 }
 
@@ -175,7 +553,13 @@ function truncate(text, maxLength = 500) {
 }
 
 module.exports = {
+  HTTP_METHODS,
+  BODY_TYPES,
+  RETRY_STATUSES,
   fetchWithRetry,
+  parseRetryDelay,
+  backoffDelay,
+  buildRequestBody,
   isJsonResponse,
   generateHints,
   truncate,
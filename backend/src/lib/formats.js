@@ -0,0 +1,169 @@
+/**
+ * Semantic format detection for sampled field values
+ */
+const net = require('net');
+
+/**
+ * Minimum share of sampled values that must match for a format to be reported
+ */
+const MIN_FORMAT_CONFIDENCE = 0.8;
+
+/**
+ * Field names that suggest an integer holds a Unix timestamp
+ */
+const TIMESTAMP_NAME_PATTERN = /(^|_)(ts|time|timestamp|date)$|_at$|At$|(Time|Date|Timestamp)$/;
+
+/**
+ * Checks that a date string is a real calendar date
+ * @param {string} value - Date or date-time string
+ * @returns {boolean} - True if Date can parse it
+ */
+function isValidDate(value) {
+  return !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Checks whether a number looks like a Unix timestamp in seconds or milliseconds (2001-2286)
+ * @param {number} value - The value to check
+ * @returns {boolean} - True if in either range
+ */
+function isEpoch(value) {
+  return Number.isInteger(value) &&
+    ((value >= 1e9 && value < 1e10) || (value >= 1e12 && value < 1e13));
+}
+
+/**
+ * String formats in priority order; the first format with the highest match ratio wins
+ */
+const STRING_FORMATS = [
+  {
+    format: 'date',
+    test: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && isValidDate(value)
+  },
+  {
+    format: 'date-time',
+    // ISO 8601 with a T separator; a space or lowercase t and z fail generated validators such as Zod
+    test: value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value) &&
+      isValidDate(value)
+  },
+  {
+    format: 'uuid',
+    test: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+  },
+  {
+    format: 'email',
+    test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+  },
+  {
+    format: 'uri',
+    test: value => {
+      if (!/^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value)) {
+        return false;
+      }
+      try {
+        new URL(value);
+        return true;
+      } catch {
+        return false;
+      }
+    }
+  },
+  {
+    format: 'ipv4',
+    test: value => net.isIPv4(value)
+  },
+  {
+    format: 'ipv6',
+    test: value => net.isIPv6(value)
+  },
+  {
+    format: 'numeric',
+    test: value => /^[-+]?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(value)
+  },
+  {
+    format: 'currency',
+    test: value => /^[-+]?(?:[$€£¥₹]\s?|[A-Z]{3}\s)\d{1,3}(?:,?\d{3})*(?:\.\d{1,2})?$/.test(value) ||
+      /^[-+]?\d{1,3}(?:,?\d{3})*(?:\.\d{1,2})?\s?(?:[$€£¥₹]|[A-Z]{3})$/.test(value)
+  },
+  {
+    format: 'phone',
+    // Digits with a leading + or separators, so bare numbers stay numeric and dates are not phones
+    test: value => /^\+?[\d\s().-]{7,20}$/.test(value) &&
+      /[+\s().-]/.test(value) &&
+      !/^\d{4}-\d{1,2}-\d{1,2}$/.test(value) &&
+      (value.match(/\d/g) || []).length >= 7
+  }
+];
+
+/**
+ * Detects the semantic format shared by a field's sampled values
+ * @param {Array<*>} values - Non-null values observed for the field
+ * @param {string} name - Field name, used to recognize integer timestamps
+ * @returns {{format: string, confidence: number}|null} - Best format and the share of values matching it
+ */
+function detectFormat(values, name = '') {
+  const present = (values || []).filter(value => value !== null && value !== undefined);
+
+  if (present.length === 0) {
+    return null;
+  }
+
+  const strings = present.filter(value => typeof value === 'string' && value.trim() !== '');
+
+  // Integer timestamps are only recognized on time-like field names to avoid flagging ids
+  if (strings.length === 0) {
+    const lastSegment = String(name).split('.').pop();
+    if (!TIMESTAMP_NAME_PATTERN.test(lastSegment)) {
+      return null;
+    }
+    const matches = present.filter(isEpoch).length;
+    const confidence = matches / present.length;
+    return confidence >= MIN_FORMAT_CONFIDENCE
+      ? { format: 'epoch', confidence: Math.round(confidence * 100) / 100 }
+      : null;
+  }
+
+  let best = null;
+
+  for (const { format, test } of STRING_FORMATS) {
+    const matches = strings.filter(value => test(value.trim())).length;
+    const confidence = matches / present.length;
+    if (confidence > 0 && (!best || confidence > best.confidence)) {
+      best = { format, confidence };
+    }
+  }
+
+  if (!best || best.confidence < MIN_FORMAT_CONFIDENCE) {
+    return null;
+  }
+
+  return { format: best.format, confidence: Math.round(best.confidence * 100) / 100 };
+}
+
+/**
+ * Converts text from a text-only format (XML, CSV) to a number or boolean when it is written as one
+ * Integers with leading zeros or beyond the safe range stay strings, like codes and identifiers.
+ * @param {string} text - Trimmed text
+ * @returns {*} - Number, boolean or the text
+ */
+function coerceText(text) {
+  if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text)) {
+    const value = Number(text);
+    if (!/^-?\d+$/.test(text) || Number.isSafeInteger(value)) {
+      return value;
+    }
+  }
+
+  if (/^(true|false)$/i.test(text)) {
+    return text.toLowerCase() === 'true';
+  }
+
+  return text;
+}
+
+module.exports = {
+  MIN_FORMAT_CONFIDENCE,
+  detectFormat,
+  isEpoch,
+  coerceText
+};
@@ -1,6 +1,9 @@
 /**
  * Generator for ToolJet datasource JSON from schema inference
  */
+const { toJsonPath, parseJsonPath, inferFields, inferType } = require('./schema');
+const { applyAuth, maskAuth, toToolJetAuth } = require('./auth');
+const { TABULAR_FORMATS } = require('./tabular');
 
 /**
  * List of sensitive header names (case-insensitive)
@@ -19,11 +22,50 @@ const SENSITIVE_HEADERS = [
 ];
 
 /**
- * Masks sensitive headers with a deterministic placeholder
- * @param {Object} headers - Headers object
- * @returns {Object} - Headers with sensitive values masked
+ * Query parameter names that carry a credential (case-insensitive, exact)
+ * Parameters are matched by full name, so pagination tokens such as pageToken stay readable.
  */
-function maskSensitiveHeaders(headers) {
+const SENSITIVE_PARAMS = [
+  'api_key',
+  'api-key',
+  'apikey',
+  'key',
+  'token',
+  'access_token',
+  'auth_token',
+  'client_secret',
+  'secret',
+  'password',
+  'signature',
+  'sig'
+];
+
+/**
+ * Checks whether a header name carries a credential
+ * @param {string} name - Header name
+ * @returns {boolean} - True if the name matches a sensitive header name
+ */
+function isSensitiveKey(name) {
+  const lowerName = name.toLowerCase();
+  return SENSITIVE_HEADERS.some(sensitive => lowerName.includes(sensitive));
+}
+
+/**
+ * Checks whether a query parameter name carries a credential
+ * @param {string} name - Query parameter name
+ * @returns {boolean} - True if the name is a known credential parameter
+ */
+function isSensitiveParam(name) {
+  return SENSITIVE_PARAMS.includes(name.toLowerCase());
+}
+
+/**
+ * Masks sensitive headers (or query parameters) with a deterministic placeholder
+ * @param {Object} headers - Headers or query parameters object
+ * @param {Function} isSensitive - Name check (default: isSensitiveKey, for headers)
+ * @returns {Object} - Entries with sensitive values masked
+ */
+function maskSensitiveHeaders(headers, isSensitive = isSensitiveKey) {
   if (!headers || typeof headers !== 'object') {
     return {};
   }
@@ -31,17 +73,81 @@ function maskSensitiveHeaders(headers) {
   const masked = {};
 
   for (const key in headers) {
-    const lowerKey = key.toLowerCase();
-    const isSensitive = SENSITIVE_HEADERS.some(sensitive =>
-      lowerKey.includes(sensitive)
-    );
-
-    masked[key] = isSensitive ? '<masked>' : headers[key];
+    masked[key] = isSensitive(key) ? '<masked>' : headers[key];
   }
 
   return masked;
 }
 
+/**
+ * Auth types ToolJet configures natively; it adds their Authorization header itself
+ */
+const TOOLJET_AUTH_TYPES = ['basic', 'bearer', 'oauth2'];
+
+/**
+ * Builds the JavaScript transformation that turns a CSV, TSV or NDJSON response into the rows the fields describe
+ * ToolJet runs it on the response text as `data`; delimited cells are coerced like the schema inference did.
+ * @param {string} responseFormat - csv, tsv or ndjson
+ * @param {Object} formatOptions - Delimited text layout ({ delimiter, header, columns })
+ * @returns {{language: string, code: string}} - ToolJet transformation
+ */
+function tabularTransformation(responseFormat, formatOptions = {}) {
+  if (responseFormat === 'ndjson') {
+    return {
+      language: 'javascript',
+      code: 'return data.split(/\\r?\\n/).filter(line => line.trim() !== \'\').map(line => JSON.parse(line));'
+    };
+  }
+
+  const delimiter = formatOptions.delimiter || (responseFormat === 'tsv' ? '\t' : ',');
+  const columns = Array.isArray(formatOptions.columns) ? formatOptions.columns : [];
+
+  const code = [
+    `const delimiter = ${JSON.stringify(delimiter)};`,
+    `const header = ${formatOptions.header !== false};`,
+    `const names = ${JSON.stringify(columns)};`,
+    'const coerce = (cell) => {',
+    '  const text = cell.trim();',
+    '  if (text === \'\') return null;',
+    '  if (/^\\d{4}[/.]\\d{2}[/.]\\d{2}$/.test(text)) return text.replace(/[/.]/g, \'-\');',
+    '  if (/^\\d{4}-\\d{2}-\\d{2} \\d{2}:\\d{2}/.test(text)) return text.replace(\' \', \'T\');',
+    '  if (/^-?(0|[1-9]\\d*)(\\.\\d+)?([eE][+-]?\\d+)?$/.test(text) && (!/^-?\\d+$/.test(text) || Number.isSafeInteger(Number(text)))) return Number(text);',
+    '  if (/^(true|false)$/i.test(text)) return text.toLowerCase() === \'true\';',
+    '  return text;',
+    '};',
+    'const rows = [];',
+    'let row = [];',
+    'let cell = \'\';',
+    'let quoted = false;',
+    'const endRow = () => {',
+    '  row.push(cell);',
+    '  if (row.length > 1 || row[0] !== \'\') rows.push(row);',
+    '  row = [];',
+    '  cell = \'\';',
+    '};',
+    'const text = data.replace(/^\\uFEFF/, \'\');',
+    'for (let i = 0; i < text.length; i++) {',
+    '  const char = text[i];',
+    '  if (quoted) {',
+    '    if (char === \'"\' && text[i + 1] === \'"\') { cell += \'"\'; i++; }',
+    '    else if (char === \'"\') quoted = false;',
+    '    else cell += char;',
+    '  } else if (char === \'"\' && cell.trim() === \'\') { quoted = true; cell = \'\'; }',
+    '  else if (char === delimiter) { row.push(cell); cell = \'\'; }',
+    '  else if (char === \'\\n\' || char === \'\\r\') { if (char === \'\\r\' && text[i + 1] === \'\\n\') i++; endRow(); }',
+    '  else cell += char;',
+    '}',
+    'if (cell !== \'\' || row.length > 0) endRow();',
+    'const body = header ? rows.slice(1) : rows;',
+    'return body.map(cells => Object.fromEntries(',
+    '  (names.length > 0 ? names : cells.map((_, index) => `column${index + 1}`))',
+    '    .map((name, index) => [name, index < cells.length ? coerce(cells[index]) : null])',
+    '));'
+  ].join('\n');
+
+  return { language: 'javascript', code };
+}
+
 /**
  * Generates ToolJet datasource JSON from schema inference
  * @param {Object} schema - Schema from inferSchema
@@ -55,20 +161,69 @@ function generateDatasourceJSON(schema, opts = {}) {
     samplePath,
     pagination,
     headers = {},
-    queryParams = {}
+    queryParams = {},
+    method = 'GET',
+    body,
+    bodyType = 'json',
+    auth,
+    responseFormat,
+    formatOptions,
+    graphql
   } = schema;
 
-  const maskedHeaders = maskSensitiveHeaders(headers);
+  // Credentials of a typed auth scheme are masked by type, other headers and parameters by name
+  const maskedAuth = maskAuth(auth);
+  const request = applyAuth(maskedAuth, headers, queryParams);
+
+  if (maskedAuth && TOOLJET_AUTH_TYPES.includes(maskedAuth.type)) {
+    request.headers = Object.fromEntries(
+      Object.entries(request.headers).filter(([key]) => key.toLowerCase() !== 'authorization')
+    );
+  }
 
   const datasource = {
     name: opts.name || 'API Datasource',
     type: 'restapi',
     url: url,
-    method: 'GET',
-    headers: maskedHeaders,
-    queryParams: queryParams
+    method: method.toUpperCase(),
+    headers: maskSensitiveHeaders(request.headers),
+    // A typed auth parameter is already masked by maskAuth
+    queryParams: maskSensitiveHeaders(request.queryParams, isSensitiveParam)
   };
 
+  if (maskedAuth) {
+    datasource.auth = maskedAuth;
+    datasource.authOptions = toToolJetAuth(maskedAuth);
+  }
+
+  // Carry the request body for non-GET requests
+  if (body !== undefined && body !== null && body !== '' && datasource.method !== 'GET') {
+    datasource.body = body;
+    datasource.bodyType = bodyType;
+  }
+
+  // GraphQL endpoints become ToolJet GraphQL datasources, which post the query and variables themselves
+  if (graphql && graphql.query) {
+    datasource.type = 'graphql';
+    datasource.method = 'POST';
+    datasource.query = graphql.query;
+    datasource.variables = graphql.variables || {};
+    if (graphql.operationName) {
+      datasource.operationName = graphql.operationName;
+    }
+  }
+
+  // XML and SOAP data is described by the JSON tree the connector converts it to
+  if (responseFormat === 'xml' || responseFormat === 'soap') {
+    datasource.responseFormat = responseFormat;
+  }
+
+  // CSV, TSV and NDJSON text is turned into rows by a transformation
+  if (TABULAR_FORMATS.includes(responseFormat)) {
+    datasource.responseFormat = responseFormat;
+    datasource.transformation = tabularTransformation(responseFormat, formatOptions);
+  }
+
   const output = {
     datasource,
     fields,
@@ -79,12 +234,33 @@ function generateDatasourceJSON(schema, opts = {}) {
   return output;
 }
 
+/**
+ * ToolJet column types for detected string formats
+ */
+const FORMAT_COLUMN_TYPES = {
+  'date': 'date',
+  'date-time': 'date',
+  'epoch': 'date',
+  'uri': 'link',
+  'numeric': 'number',
+  'currency': 'number'
+};
+
 /**
  * Maps field type to ToolJet column type
  * @param {string} type - Field type from schema
+ * @param {string} format - Optional detected format from schema
  * @returns {string} - ToolJet column type
  */
-function mapFieldType(type) {
+function mapFieldType(type, format) {
+  // A detected format wins as long as the field is otherwise a string/integer (null allowed)
+  if (format && FORMAT_COLUMN_TYPES[format]) {
+    const baseTypes = (type || '').split('|').filter(t => t !== 'null');
+    if (baseTypes.length === 1 && (baseTypes[0] === 'string' || baseTypes[0] === 'integer')) {
+      return FORMAT_COLUMN_TYPES[format];
+    }
+  }
+
   const typeMap = {
     'integer': 'number',
     'number': 'number',
@@ -103,6 +279,86 @@ function mapFieldType(type) {
   return typeMap[type] || 'text';
 }
 
+/**
+ * Builds a binding expression that reports whether another page exists
+ * @param {Object} terminal - Terminal condition from detectPagination
+ * @returns {string|null} - ToolJet binding expression
+ */
+function buildHasMoreBinding(terminal) {
+  if (!terminal) {
+    return null;
+  }
+
+  if (terminal.condition === 'no-next-link') {
+    return '{{!!datasource.links.next}}';
+  }
+
+  if (terminal.condition === 'false') {
+    return `{{datasource.data.${terminal.path} === true}}`;
+  }
+
+  return `{{!!datasource.data.${terminal.path}}}`;
+}
+
+/**
+ * Builds the Pagination component for a pagination descriptor
+ * @param {Object} pagination - Pagination from detectPagination
+ * @param {string} samplePath - Path to the item array
+ * @returns {Object} - ToolJet Pagination component
+ */
+function generatePaginationComponent(pagination, samplePath = '$') {
+  const component = {
+    component: 'Pagination',
+    type: pagination.type
+  };
+
+  if (pagination.type === 'cursor' || pagination.type === 'token') {
+    let cursorBinding;
+    if (pagination.cursorSource === 'lastItem') {
+      // Cursor is a field of the last item, e.g. Stripe's starting_after=<last id>
+      const field = pagination.cursorPath.split('.').pop();
+      cursorBinding = `{{datasource.data${samplePath.replace('$', '')}.at(-1)?.${field}}}`;
+    } else {
+      cursorBinding = `{{datasource.data.${pagination.cursorPath}}}`;
+    }
+
+    const cursorComponent = {
+      ...component,
+      cursorParam: pagination.cursorParam || 'cursor',
+      limitParam: pagination.limitParam || 'limit',
+      cursorPath: pagination.cursorPath,
+      cursorBinding,
+      hasMoreBinding: buildHasMoreBinding(pagination.terminal)
+    };
+
+    // Relay connections take the cursor and page size as GraphQL variables
+    if (pagination.paramLocation) {
+      cursorComponent.paramLocation = pagination.paramLocation;
+    }
+
+    return cursorComponent;
+  }
+
+  if (pagination.type === 'link') {
+    return {
+      ...component,
+      rel: pagination.rel || 'next',
+      nextUrlBinding: '{{datasource.links.next}}',
+      pageParam: pagination.pageParam,
+      cursorParam: pagination.cursorParam,
+      limitParam: pagination.limitParam,
+      hasMoreBinding: buildHasMoreBinding(pagination.terminal)
+    };
+  }
+
+  return {
+    ...component,
+    pageParam: pagination.pageParam || 'page',
+    limitParam: pagination.limitParam || 'limit',
+    metaPaths: pagination.metaPaths || {}
+  };
+}
+
 /**
  * Generates a complete ToolJet import wrapper
  * @param {Object} schema - Schema from inferSchema
@@ -110,17 +366,17 @@ function mapFieldType(type) {
  * @returns {Object} - Complete ToolJet import JSON
  */
 function generateImportWrapper(schema, opts = {}) {
-  const { fields = [], samplePath = '$', pagination } = schema;
+  const { fields = [], samplePath = '$', pagination, keys } = schema;
 
   // Generate datasource configuration
   const datasourceConfig = generateDatasourceJSON(schema, opts);
 
-  // Generate table columns from fields
+  // Generate table columns from fields; flattened fields select through their property path
   const columns = fields.map(field => ({
     name: field.name,
     key: field.name,
-    type: mapFieldType(field.type),
-    selector: `${samplePath}[].${field.name}`
+    type: mapFieldType(field.type, field.format),
+    selector: `${samplePath}[]${toJsonPath(field.path || [field.name]).slice(1)}`
   }));
 
   // Build components
@@ -132,15 +388,28 @@ function generateImportWrapper(schema, opts = {}) {
     }
   };
 
+  // Identify rows by the detected primary key so selection and detail views work
+  const keyColumn = keys && keys.primaryKey;
+  if (keyColumn && columns.some(column => column.key === keyColumn)) {
+    components.table.keyColumn = keyColumn;
+  }
+
+  // Add a dropdown filter for every enum-like field
+  const enumFields = fields.filter(field => field.isEnum && Array.isArray(field.enumValues));
+  if (enumFields.length > 0) {
+    components.filters = enumFields.map(field => ({
+      component: 'Dropdown',
+      label: field.name,
+      column: field.name,
+      selector: columns.find(column => column.key === field.name).selector,
+      options: field.enumValues.map(value => ({ label: String(value), value })),
+      multiSelect: true
+    }));
+  }
+
   // Add pagination if present
   if (pagination) {
-    components.pagination = {
-      component: 'Pagination',
-      type: pagination.type,
-      pageParam: pagination.pageParam || 'page',
-      limitParam: pagination.limitParam || 'limit',
-      metaPaths: pagination.metaPaths || {}
-    };
+    components.pagination = generatePaginationComponent(pagination, samplePath);
   }
 
   // Build complete wrapper
@@ -158,25 +427,257 @@ function generateImportWrapper(schema, opts = {}) {
   return wrapper;
 }
 
+/**
+ * Formats understood by JSON Schema validators; others are kept as x-format annotations
+ */
+const JSON_SCHEMA_FORMATS = ['date', 'date-time', 'email', 'uuid', 'uri', 'ipv4', 'ipv6'];
+
+/**
+ * Converts a field type such as "null|string" to a JSON Schema type keyword
+ * @param {string} type - Field type from schema
+ * @returns {string|Array<string>|undefined} - JSON Schema type, or undefined if unconstrained
+ */
+function toJsonSchemaType(type) {
+  const types = (type || '').split('|').filter(t => t && t !== 'undefined');
+
+  if (types.length === 0) {
+    return undefined;
+  }
+
+  return types.length === 1 ? types[0] : types;
+}
+
+/**
+ * Builds a JSON Schema for a single sample value
+ * @param {*} value - Sample value
+ * @returns {Object} - JSON Schema
+ */
+function sampleToJsonSchema(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? { type: 'array', items: sampleToJsonSchema(value[0]) } : { type: 'array' };
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    return fieldsToJsonSchema(inferFields(value));
+  }
+
+  return { type: inferType(value) };
+}
+
+/**
+ * Builds the JSON Schema of a single field
+ * @param {Object} field - Field from mergeFieldTypes
+ * @returns {Object} - JSON Schema for the field value
+ */
+function fieldToJsonSchema(field) {
+  const types = (field.type || '').split('|');
+  const nonNull = types.filter(t => t !== 'null');
+  let property;
+
+  if (nonNull.length === 1 && nonNull[0] === 'array') {
+    property = { type: 'array' };
+    if (field.itemFields) {
+      property.items = fieldsToJsonSchema(field.itemFields);
+    } else if (Array.isArray(field.sample) && field.sample.length > 0) {
+      property.items = sampleToJsonSchema(field.sample[0]);
+    }
+  } else if (nonNull.length === 1 && nonNull[0] === 'object' && field.sample && typeof field.sample === 'object') {
+    property = sampleToJsonSchema(field.sample);
+  } else {
+    property = {};
+  }
+
+  const type = toJsonSchemaType(field.type);
+  if (type) {
+    property.type = type;
+  }
+
+  if (field.format) {
+    property[JSON_SCHEMA_FORMATS.includes(field.format) ? 'format' : 'x-format'] = field.format;
+  }
+
+  if (field.isEnum && Array.isArray(field.enumValues)) {
+    property.enum = types.includes('null') ? [...field.enumValues, null] : [...field.enumValues];
+  }
+
+  if (field.sample !== undefined && field.sample !== null && typeof field.sample !== 'object') {
+    property.examples = [field.sample];
+  }
+
+  return property;
+}
+
+/**
+ * Checks whether a field is present in every item
+ * @param {Object} field - Field from mergeFieldTypes or an imported document
+ * @returns {boolean} - True if declared required, or observed in every sample
+ */
+function isRequiredField(field) {
+  if (typeof field.required === 'boolean') {
+    return field.required;
+  }
+
+  // Fields without presence information are assumed present in every item
+  return field.presenceRatio === undefined || field.presenceRatio === 1;
+}
+
+/**
+ * Builds an object JSON Schema from inferred fields, nesting flattened fields again
+ * @param {Array<Object>} fields - Fields from mergeFieldTypes
+ * @returns {Object} - JSON Schema of type object
+ */
+function fieldsToJsonSchema(fields) {
+  const root = { type: 'object', properties: {}, required: [] };
+
+  fields.forEach(field => {
+    const path = field.path || [field.name];
+    let node = root;
+
+    // Walk or create the parent objects of a flattened field
+    path.slice(0, -1).forEach(segment => {
+      if (!node.properties[segment]) {
+        node.properties[segment] = { type: 'object', properties: {}, required: [] };
+        if (isRequiredField(field)) {
+          node.required.push(segment);
+        }
+      }
+      node = node.properties[segment];
+      if (!node.properties) {
+        node.properties = {};
+        node.required = [];
+      }
+    });
+
+    const name = path[path.length - 1];
+    node.properties[name] = fieldToJsonSchema(field);
+
+    if (isRequiredField(field)) {
+      node.required.push(name);
+    }
+  });
+
+  // Drop empty required lists to keep the document tidy
+  const prune = node => {
+    if (node.required && node.required.length === 0) {
+      delete node.required;
+    }
+    Object.values(node.properties || {}).forEach(prune);
+    if (node.items) {
+      prune(node.items);
+    }
+  };
+  prune(root);
+
+  return root;
+}
+
+/**
+ * Lists the response body paths that carry pagination state, with their JSON Schema types
+ * @param {Object} pagination - Pagination from detectPagination
+ * @returns {Array<{path: Array<string>, schema: Object}>} - Paths from the response root
+ */
+function paginationMetaPaths(pagination) {
+  if (!pagination) {
+    return [];
+  }
+
+  const paths = Object.values(pagination.metaPaths || {})
+    .map(path => ({ path: path.split('.'), schema: { type: 'integer' } }));
+
+  if (pagination.cursorSource === 'body' && pagination.cursorPath) {
+    paths.push({ path: pagination.cursorPath.split('.'), schema: { type: ['string', 'null'] } });
+  }
+
+  if (pagination.terminal && pagination.terminal.condition === 'false' && pagination.terminal.path) {
+    paths.push({ path: pagination.terminal.path.split('.'), schema: { type: 'boolean' } });
+  }
+
+  return paths;
+}
+
+/**
+ * Generates a JSON Schema (draft 2020-12) document for the full API response
+ * @param {Object} schema - Schema from inferSchema
+ * @param {Object} opts - Options
+ * @param {string} opts.name - Title of the schema
+ * @returns {Object} - JSON Schema document; the item type is available under $defs.Item
+ */
+function generateJsonSchema(schema, opts = {}) {
+  const { fields = [], samplePath = '$', url, pagination } = schema;
+
+  // Wrap the item array in the objects leading to it, e.g. $.data.items
+  let responseSchema = { type: 'array', items: { $ref: '#/$defs/Item' } };
+  parseJsonPath(samplePath).reverse().forEach(segment => {
+    responseSchema = {
+      type: 'object',
+      properties: { [segment]: responseSchema },
+      required: [segment]
+    };
+  });
+
+  // Describe pagination metadata next to the items (optional, it may be absent on the last page)
+  if (responseSchema.type === 'object') {
+    paginationMetaPaths(pagination).forEach(({ path, schema: metaSchema }) => {
+      let node = responseSchema;
+      path.slice(0, -1).forEach(segment => {
+        node.properties[segment] = node.properties[segment] || { type: 'object', properties: {} };
+        node = node.properties[segment];
+      });
+      if (node.properties && !node.properties[path[path.length - 1]]) {
+        node.properties[path[path.length - 1]] = metaSchema;
+      }
+    });
+  }
+
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: opts.name || (url ? `Response of ${url}` : 'API Response'),
+    ...responseSchema,
+    $defs: {
+      Item: fieldsToJsonSchema(fields)
+    }
+  };
+}
+
+/**
+ * Download file naming per generate format
+ */
+const FORMAT_FILES = {
+  full: { prefix: 'tooljet', extension: 'json' },
+  datasource: { prefix: 'tooljet', extension: 'json' },
+  jsonschema: { prefix: 'jsonschema', extension: 'schema.json' },
+  typescript: { prefix: 'types', extension: 'ts' },
+  zod: { prefix: 'zod', extension: 'ts' },
+  openapi: { prefix: 'openapi', extension: 'openapi.json' },
+  postman: { prefix: 'postman', extension: 'postman_collection.json' }
+};
+
 /**
  * Generates a downloadable filename
  * @param {Object} schema - Schema object
+ * @param {string} format - Generate format (default: full)
  * @returns {string} - Filename
  */
-function generateFilename(schema) {
+function generateFilename(schema, format = 'full') {
+  const { prefix, extension } = FORMAT_FILES[format] || FORMAT_FILES.full;
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
   const sanitizedUrl = (schema.url || 'datasource')
     .replace(/https?:\/\//, '')
     .replace(/[^a-z0-9]/gi, '-')
     .substring(0, 50);
 
-  return `tooljet-${sanitizedUrl}-${timestamp}.json`;
+  return `${prefix}-${sanitizedUrl}-${timestamp}.${extension}`;
 }
 
 module.exports = {
+  isSensitiveKey,
+  isSensitiveParam,
   maskSensitiveHeaders,
   generateDatasourceJSON,
   generateImportWrapper,
+  generatePaginationComponent,
   mapFieldType,
+  generateJsonSchema,
+  sampleToJsonSchema,
   generateFilename
 };
@@ -0,0 +1,515 @@
+/**
+ * GraphQL endpoints: introspection, generated queries for the root query fields, and field types
+ * read from the introspected schema instead of sampled values
+ */
+const { fetchWithRetry } = require('./fetcher');
+const { parseJsonPath, isPlainObject } = require('./schema');
+
+/**
+ * How long an introspected schema is reused for /api/test runs against the same endpoint
+ */
+const INTROSPECTION_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Most endpoints whose introspection results are kept; the least recently stored is dropped first
+ */
+const MAX_CACHED_INTROSPECTIONS = 100;
+
+/**
+ * Introspection results by endpoint and credentials, shared by all requests of the process
+ */
+const introspectionCache = new Map();
+
+/**
+ * Introspection query for the root query fields and the object, enum and scalar types they return
+ */
+const INTROSPECTION_QUERY = `query IntrospectionQuery {
+  __schema {
+    queryType { name }
+    types {
+      kind
+      name
+      description
+      fields(includeDeprecated: false) {
+        name
+        description
+        args { name description type { ...TypeRef } defaultValue }
+        type { ...TypeRef }
+      }
+      enumValues(includeDeprecated: false) { name }
+    }
+  }
+}
+
+fragment TypeRef on __Type {
+  kind
+  name
+  ofType { kind name ofType { kind name ofType { kind name ofType { kind name } } } }
+}`;
+
+/**
+ * Field types of the built-in scalars; custom scalars keep their sampled type
+ */
+const SCALAR_TYPES = {
+  Int: 'integer',
+  Float: 'number',
+  String: 'string',
+  ID: 'string',
+  Boolean: 'boolean'
+};
+
+/**
+ * Depth of nested objects selected in generated queries
+ */
+const MAX_SELECTION_DEPTH = 2;
+
+/**
+ * Checks optional GraphQL options
+ * @param {*} graphql - GraphQL options ({ query, variables, operationName })
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateGraphql(graphql) {
+  if (graphql === undefined || graphql === null) {
+    return null;
+  }
+
+  if (typeof graphql !== 'object' || Array.isArray(graphql)) {
+    return 'graphql must be an object with query, variables and operationName';
+  }
+
+  if (typeof graphql.query !== 'string' || graphql.query.trim() === '') {
+    return 'graphql.query is required';
+  }
+
+  if (graphql.variables !== undefined && graphql.variables !== null &&
+    (typeof graphql.variables !== 'object' || Array.isArray(graphql.variables))) {
+    return 'graphql.variables must be an object';
+  }
+
+  if (graphql.operationName !== undefined && graphql.operationName !== null && typeof graphql.operationName !== 'string') {
+    return 'graphql.operationName must be a string';
+  }
+
+  return null;
+}
+
+/**
+ * Builds the JSON body of a GraphQL request
+ * @param {Object} graphql - GraphQL options
+ * @param {string} graphql.query - Query document
+ * @param {Object} graphql.variables - Variables (optional)
+ * @param {string} graphql.operationName - Operation to run when the document has several (optional)
+ * @returns {Object} - Request body
+ */
+function buildGraphqlBody(graphql) {
+  const body = { query: graphql.query };
+
+  if (graphql.variables && Object.keys(graphql.variables).length > 0) {
+    body.variables = graphql.variables;
+  }
+
+  if (graphql.operationName) {
+    body.operationName = graphql.operationName;
+  }
+
+  return body;
+}
+
+/**
+ * Summarizes the errors of a GraphQL result
+ * @param {Array<Object>} errors - errors of the result
+ * @returns {string} - First message, with the number of further errors
+ */
+function describeErrors(errors) {
+  const first = errors[0] && errors[0].message ? errors[0].message : 'Unknown error';
+  return errors.length > 1 ? `${first} (and ${errors.length - 1} more)` : first;
+}
+
+/**
+ * Unwraps NON_NULL and LIST wrappers of a type reference
+ * @param {Object} typeRef - Type reference from introspection
+ * @returns {{name: string, kind: string, nonNull: boolean, list: boolean}} - Named type and its wrappers
+ */
+function unwrapType(typeRef) {
+  const nonNull = !!typeRef && typeRef.kind === 'NON_NULL';
+  let list = false;
+  let type = typeRef;
+
+  while (type && (type.kind === 'NON_NULL' || type.kind === 'LIST')) {
+    list = list || type.kind === 'LIST';
+    type = type.ofType;
+  }
+
+  return { name: type ? type.name : null, kind: type ? type.kind : null, nonNull, list };
+}
+
+/**
+ * Writes a type reference in GraphQL notation
+ * @param {Object} typeRef - Type reference from introspection
+ * @returns {string} - Type such as [Order!]!
+ */
+function typeToString(typeRef) {
+  if (!typeRef) {
+    return 'Unknown';
+  }
+
+  if (typeRef.kind === 'NON_NULL') {
+    return `${typeToString(typeRef.ofType)}!`;
+  }
+
+  if (typeRef.kind === 'LIST') {
+    return `[${typeToString(typeRef.ofType)}]`;
+  }
+
+  return typeRef.name;
+}
+
+/**
+ * Reads an introspection result
+ * @param {*} result - Response body of the introspection query
+ * @returns {{queryType: string, types: Object}} - Name of the query type and the types by name
+ * @throws {Error} - If the result holds errors or no schema
+ */
+function readIntrospection(result) {
+  if (isPlainObject(result) && Array.isArray(result.errors) && result.errors.length > 0) {
+    throw new Error(`GraphQL introspection failed: ${describeErrors(result.errors)}`);
+  }
+
+  const schema = isPlainObject(result) && isPlainObject(result.data) ? result.data.__schema : null;
+
+  if (!isPlainObject(schema) || !Array.isArray(schema.types)) {
+    throw new Error('The response is not a GraphQL introspection result');
+  }
+
+  const types = {};
+  schema.types.forEach(type => {
+    if (type && type.name) {
+      types[type.name] = type;
+    }
+  });
+
+  return { queryType: (schema.queryType && schema.queryType.name) || 'Query', types };
+}
+
+/**
+ * Finds a field of an object or interface type
+ * @param {Object} schema - Schema from readIntrospection
+ * @param {string} typeName - Type name
+ * @param {string} fieldName - Field name
+ * @returns {Object|null} - Field, or null if the type has no such field
+ */
+function findField(schema, typeName, fieldName) {
+  const type = schema.types[typeName];
+  return (type && Array.isArray(type.fields) && type.fields.find(field => field.name === fieldName)) || null;
+}
+
+/**
+ * Checks whether a type is a Relay connection: edges of { node } and pageInfo
+ * @param {Object} schema - Schema from readIntrospection
+ * @param {string} typeName - Type name
+ * @returns {string|null} - Type of the nodes, or null if the type is not a connection
+ */
+function connectionNodeType(schema, typeName) {
+  const edges = findField(schema, typeName, 'edges');
+
+  if (!edges || !findField(schema, typeName, 'pageInfo')) {
+    return null;
+  }
+
+  const node = findField(schema, unwrapType(edges.type).name, 'node');
+  return node ? unwrapType(node.type).name : null;
+}
+
+/**
+ * Builds the selection set of an object type: its scalar and enum fields, and nested objects
+ * up to MAX_SELECTION_DEPTH. Fields with required arguments are left out.
+ * @param {Object} schema - Schema from readIntrospection
+ * @param {string} typeName - Object type name
+ * @param {number} depth - Current nesting depth
+ * @param {string} indent - Indentation of the selected fields
+ * @returns {string} - Selected fields, one per line, or an empty string
+ */
+function buildSelection(schema, typeName, depth, indent) {
+  const type = schema.types[typeName];
+
+  if (!type || !Array.isArray(type.fields)) {
+    return '';
+  }
+
+  const lines = [];
+
+  for (const field of type.fields) {
+    if ((field.args || []).some(arg => arg.type && arg.type.kind === 'NON_NULL' && arg.defaultValue == null)) {
+      continue;
+    }
+
+    const { name, kind } = unwrapType(field.type);
+
+    if (kind === 'SCALAR' || kind === 'ENUM') {
+      lines.push(`${indent}${field.name}`);
+    } else if ((kind === 'OBJECT' || kind === 'INTERFACE') && depth < MAX_SELECTION_DEPTH) {
+      const nested = buildSelection(schema, name, depth + 1, `${indent}  `);
+      if (nested) {
+        lines.push(`${indent}${field.name} {`, nested, `${indent}}`);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Generates a query for a root query field
+ * Arguments become variables; connections select their nodes and page info, paged with first and after.
+ * @param {Object} schema - Schema from readIntrospection
+ * @param {Object} field - Root query field
+ * @returns {string} - Query document
+ */
+function buildQuery(schema, field) {
+  const args = field.args || [];
+  const { name: typeName } = unwrapType(field.type);
+  const nodeType = connectionNodeType(schema, typeName);
+
+  const variables = args.map(arg => `$${arg.name}: ${typeToString(arg.type)}`);
+  const call = args.length > 0 ? `(${args.map(arg => `${arg.name}: $${arg.name}`).join(', ')})` : '';
+  const operation = `${field.name.charAt(0).toUpperCase()}${field.name.slice(1)}`;
+
+  let selection;
+  if (nodeType) {
+    selection = [
+      '    edges {',
+      '      cursor',
+      '      node {',
+      buildSelection(schema, nodeType, 1, '        '),
+      '      }',
+      '    }',
+      '    pageInfo {',
+      '      hasNextPage',
+      '      endCursor',
+      '    }'
+    ].join('\n');
+  } else {
+    selection = buildSelection(schema, typeName, 1, '    ');
+  }
+
+  const header = `query ${operation}${variables.length > 0 ? `(${variables.join(', ')})` : ''}`;
+
+  return selection
+    ? `${header} {\n  ${field.name}${call} {\n${selection}\n  }\n}`
+    : `${header} {\n  ${field.name}${call}\n}`;
+}
+
+/**
+ * Lists the root query fields with a generated query for each
+ * @param {Object} schema - Schema from readIntrospection
+ * @returns {Array<Object>} - Queries with name, description, args, returnType, isConnection and query
+ */
+function listQueries(schema) {
+  const queryType = schema.types[schema.queryType];
+
+  if (!queryType || !Array.isArray(queryType.fields)) {
+    return [];
+  }
+
+  return queryType.fields
+    .filter(field => !field.name.startsWith('__'))
+    .map(field => ({
+      name: field.name,
+      description: field.description || null,
+      args: (field.args || []).map(arg => ({
+        name: arg.name,
+        type: typeToString(arg.type),
+        required: arg.type.kind === 'NON_NULL' && arg.defaultValue == null
+      })),
+      returnType: typeToString(field.type),
+      isConnection: !!connectionNodeType(schema, unwrapType(field.type).name),
+      query: buildQuery(schema, field)
+    }));
+}
+
+/**
+ * Resolves the type of the items at a sample path of a GraphQL result
+ * @param {Object} schema - Schema from readIntrospection
+ * @param {string} samplePath - JSONPath of the collection, starting at data
+ * @returns {string|null} - Item type name, or null if the path leaves the schema (aliases, unknown fields)
+ */
+function resolveItemType(schema, samplePath) {
+  const [root, ...segments] = parseJsonPath(samplePath);
+
+  if (root !== 'data') {
+    return null;
+  }
+
+  let typeName = schema.queryType;
+  for (const segment of segments) {
+    const field = findField(schema, typeName, segment);
+    if (!field) {
+      return null;
+    }
+    typeName = unwrapType(field.type).name;
+  }
+
+  return typeName;
+}
+
+/**
+ * Replaces sampled field types with the introspected ones
+ * Scalars map to field types, enums carry their values, and non-null fields are required.
+ * Fields the schema does not describe (aliases, custom scalars) keep their sampled type.
+ * @param {Array<Object>} fields - Fields from mergeFieldTypes
+ * @param {Object} schema - Schema from readIntrospection
+ * @param {string} typeName - Type of the items the fields belong to
+ * @returns {Array<Object>} - Fields with graphqlType, and type, required, description and enum values where known
+ */
+function applyIntrospectedTypes(fields, schema, typeName) {
+  return fields.map(field => {
+    let ownerType = typeName;
+    let definition = null;
+
+    for (const segment of field.path || [field.name]) {
+      definition = ownerType && findField(schema, ownerType, segment);
+      if (!definition) {
+        return field;
+      }
+      ownerType = unwrapType(definition.type).name;
+    }
+
+    const { name, kind, nonNull, list } = unwrapType(definition.type);
+    const result = { ...field, graphqlType: typeToString(definition.type), required: nonNull };
+
+    let baseType = null;
+    if (list) {
+      baseType = 'array';
+    } else if (kind === 'ENUM') {
+      baseType = 'string';
+    } else if (kind === 'OBJECT' || kind === 'INTERFACE') {
+      baseType = 'object';
+    } else if (SCALAR_TYPES[name]) {
+      baseType = SCALAR_TYPES[name];
+    }
+
+    // Sampled nulls are kept, so nullable fields that were always set keep a precise column type
+    if (baseType) {
+      result.type = field.nullRatio > 0 ? [baseType, 'null'].sort().join('|') : baseType;
+    }
+
+    if (definition.description && result.description === undefined) {
+      result.description = definition.description;
+    }
+
+    const enumType = kind === 'ENUM' && schema.types[name];
+    if (enumType && Array.isArray(enumType.enumValues)) {
+      result.isEnum = true;
+      result.enumValues = enumType.enumValues.map(value => value.name);
+    }
+
+    if (list && Array.isArray(field.itemFields)) {
+      result.itemFields = applyIntrospectedTypes(field.itemFields, schema, name);
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Builds the cache key of an endpoint; credentials are part of it since they can change the visible schema
+ * @param {Object} request - Fetcher options of the endpoint
+ * @returns {string} - Key identifying the endpoint and credentials
+ */
+function introspectionKey(request) {
+  return JSON.stringify([
+    request.url,
+    request.headers || {},
+    request.queryParams || {},
+    request.auth || null,
+    request.signing || null
+  ]);
+}
+
+/**
+ * Runs the introspection query against an endpoint
+ * Answers, including refusals, are cached for INTROSPECTION_TTL_MS; network errors are not.
+ * @param {Object} request - Fetcher options of the endpoint (url, headers, queryParams, auth, signing)
+ * @param {Object} opts - Options
+ * @param {boolean} opts.cached - Reuse an unexpired result instead of querying the endpoint (default: false)
+ * @returns {Promise<{schema: Object|null, response: Object, error: string|null}>} - Schema, or why it could not be read
+ */
+async function introspect(request, opts = {}) {
+  const key = introspectionKey(request);
+  const cached = introspectionCache.get(key);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    if (opts.cached) {
+      return cached.result;
+    }
+  } else if (cached) {
+    introspectionCache.delete(key);
+  }
+
+  const result = await runIntrospection(request);
+
+  if (result.response.status !== 0) {
+    introspectionCache.delete(key);
+    introspectionCache.set(key, { result, expiresAt: Date.now() + INTROSPECTION_TTL_MS });
+    if (introspectionCache.size > MAX_CACHED_INTROSPECTIONS) {
+      introspectionCache.delete(introspectionCache.keys().next().value);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Forgets all cached introspection results
+ */
+function clearIntrospectionCache() {
+  introspectionCache.clear();
+}
+
+/**
+ * Sends the introspection query and reads the schema from the answer
+ * @param {Object} request - Fetcher options of the endpoint
+ * @returns {Promise<{schema: Object|null, response: Object, error: string|null}>} - Schema, or why it could not be read
+ */
+async function runIntrospection(request) {
+  const response = await fetchWithRetry({
+    maxRetries: 1,
+    initialDelay: 500,
+    timeout: 10000,
+    ...request,
+    method: 'POST',
+    body: { query: INTROSPECTION_QUERY },
+    bodyType: 'json'
+  });
+
+  if (!response.success) {
+    return { schema: null, response, error: response.error };
+  }
+
+  // Servers report disabled or invalid introspection as GraphQL errors, often with a 4xx status
+  const hasErrors = isPlainObject(response.data) && Array.isArray(response.data.errors);
+  if ((response.status < 200 || response.status >= 300) && !hasErrors) {
+    return { schema: null, response, error: `HTTP ${response.status}: ${response.statusText || 'Request failed'}` };
+  }
+
+  try {
+    return { schema: readIntrospection(response.data), response, error: null };
+  } catch (error) {
+    return { schema: null, response, error: error.message };
+  }
+}
+
+module.exports = {
+  INTROSPECTION_QUERY,
+  validateGraphql,
+  buildGraphqlBody,
+  describeErrors,
+  typeToString,
+  readIntrospection,
+  listQueries,
+  buildQuery,
+  resolveItemType,
+  applyIntrospectedTypes,
+  introspect,
+  clearIntrospectionCache
+};
@@ -0,0 +1,295 @@
+/**
+ * OAuth 2.0 access tokens for the client-credentials and refresh-token grants
+ */
+const axios = require('axios');
+
+/**
+ * Grant types the fetcher can obtain tokens with
+ */
+const OAUTH_GRANT_TYPES = ['client_credentials', 'refresh_token'];
+
+/**
+ * Ways of sending client credentials to the token endpoint (RFC 6749 section 2.3.1)
+ */
+const CLIENT_AUTH_METHODS = ['basic', 'body'];
+
+/**
+ * Tokens are renewed this long before they expire so requests in flight stay valid
+ */
+const EXPIRY_MARGIN_MS = 30000;
+
+/**
+ * Most client configurations whose tokens are kept; the least recently stored is dropped first
+ */
+const MAX_CACHED_TOKENS = 100;
+
+/**
+ * Access tokens by client configuration, shared by all requests of the process
+ */
+const tokenCache = new Map();
+
+/**
+ * Caches a token, dropping tokens that can no longer be used and the oldest beyond MAX_CACHED_TOKENS
+ * Expired tokens with a refresh token are kept: rotated refresh tokens are only known from the cache.
+ * @param {string} key - Cache key of the client configuration
+ * @param {Object} token - Token to cache
+ */
+function storeToken(key, token) {
+  const now = Date.now();
+
+  for (const [cachedKey, cached] of tokenCache) {
+    if (cached.expiresAt !== null && cached.expiresAt <= now && !cached.refreshToken) {
+      tokenCache.delete(cachedKey);
+    }
+  }
+
+  tokenCache.delete(key);
+  tokenCache.set(key, token);
+
+  if (tokenCache.size > MAX_CACHED_TOKENS) {
+    tokenCache.delete(tokenCache.keys().next().value);
+  }
+}
+
+/**
+ * Resolves the grant type of an auth configuration
+ * @param {Object} auth - OAuth configuration
+ * @returns {string} - Explicit grant type, or refresh_token when a refresh token is given
+ */
+function resolveGrantType(auth) {
+  return auth.grantType || (auth.refreshToken ? 'refresh_token' : 'client_credentials');
+}
+
+/**
+ * Joins scopes into the space-separated form of the scope parameter
+ * @param {Array<string>|string} scopes - Scopes as a list or string
+ * @returns {string} - Scope parameter, empty if none
+ */
+function normalizeScopes(scopes) {
+  if (Array.isArray(scopes)) {
+    return scopes.map(scope => String(scope).trim()).filter(Boolean).join(' ');
+  }
+
+  return typeof scopes === 'string' ? scopes.trim().split(/[\s,]+/).filter(Boolean).join(' ') : '';
+}
+
+/**
+ * Checks an optional OAuth 2.0 auth configuration
+ * @param {*} auth - Auth configuration ({ type: 'oauth2', tokenUrl, clientId, clientSecret, scopes, refreshToken })
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateOAuthConfig(auth) {
+  if (auth === undefined || auth === null) {
+    return null;
+  }
+
+  if (typeof auth !== 'object' || Array.isArray(auth)) {
+    return 'auth must be an object with type, tokenUrl and clientId';
+  }
+
+  if (auth.type !== 'oauth2') {
+    return `Unsupported auth type: ${auth.type}. Use oauth2`;
+  }
+
+  try {
+    new URL(auth.tokenUrl);
+  } catch {
+    return 'auth.tokenUrl must be an absolute URL of the OAuth token endpoint';
+  }
+
+  const grantType = resolveGrantType(auth);
+
+  if (!OAUTH_GRANT_TYPES.includes(grantType)) {
+    return `Unsupported OAuth grant type: ${grantType}. Use one of ${OAUTH_GRANT_TYPES.join(', ')}`;
+  }
+
+  if (!auth.clientId) {
+    return 'auth.clientId is required for OAuth 2.0';
+  }
+
+  if (grantType === 'client_credentials' && !auth.clientSecret) {
+    return 'auth.clientSecret is required for the client_credentials grant';
+  }
+
+  if (grantType === 'refresh_token' && !auth.refreshToken) {
+    return 'auth.refreshToken is required for the refresh_token grant';
+  }
+
+  if (auth.clientAuth !== undefined && !CLIENT_AUTH_METHODS.includes(auth.clientAuth)) {
+    return `Unsupported auth.clientAuth: ${auth.clientAuth}. Use one of ${CLIENT_AUTH_METHODS.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Masks the secrets of an auth configuration for storage and export
+ * @param {Object} auth - OAuth configuration
+ * @returns {Object|null} - Configuration with clientSecret and refreshToken masked
+ */
+function maskOAuthConfig(auth) {
+  if (!auth || auth.type !== 'oauth2') {
+    return null;
+  }
+
+  const masked = {
+    type: 'oauth2',
+    grantType: resolveGrantType(auth),
+    tokenUrl: auth.tokenUrl,
+    clientId: auth.clientId,
+    scopes: normalizeScopes(auth.scopes).split(' ').filter(Boolean),
+    clientAuth: auth.clientAuth || 'basic'
+  };
+
+  if (auth.clientSecret) {
+    masked.clientSecret = '<masked>';
+  }
+
+  if (auth.refreshToken) {
+    masked.refreshToken = '<masked>';
+  }
+
+  return masked;
+}
+
+/**
+ * Builds the cache key of an auth configuration
+ * @param {Object} auth - OAuth configuration
+ * @returns {string} - Key identifying the client, grant and scopes
+ */
+function cacheKey(auth) {
+  return JSON.stringify([
+    auth.tokenUrl,
+    auth.clientId,
+    auth.clientSecret || '',
+    resolveGrantType(auth),
+    auth.refreshToken || '',
+    normalizeScopes(auth.scopes)
+  ]);
+}
+
+/**
+ * Requests a token from the token endpoint
+ * @param {Object} auth - OAuth configuration
+ * @param {Object} params - Grant parameters (grant_type, refresh_token)
+ * @param {number} timeout - Request timeout in ms
+ * @param {Function} lookup - DNS lookup used to connect, e.g. one enforcing the outbound policy
+ * @returns {Promise<Object>} - { success, token } or { success: false, status, error }
+ */
+async function requestToken(auth, params, timeout, lookup) {
+  const form = new URLSearchParams(params);
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json'
+  };
+
+  const scope = normalizeScopes(auth.scopes);
+  if (scope) {
+    form.set('scope', scope);
+  }
+
+  // Public clients without a secret always identify themselves in the body
+  if ((auth.clientAuth || 'basic') === 'basic' && auth.clientSecret) {
+    const credentials = `${encodeURIComponent(auth.clientId)}:${encodeURIComponent(auth.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    form.set('client_id', auth.clientId);
+    if (auth.clientSecret) {
+      form.set('client_secret', auth.clientSecret);
+    }
+  }
+
+  try {
+    const response = await axios({
+      url: auth.tokenUrl,
+      method: 'POST',
+      headers,
+      data: form.toString(),
+      timeout,
+      lookup,
+      maxRedirects: 0, // A redirect would resend the client credentials to a URL not checked by the caller
+      validateStatus: () => true
+    });
+
+    const data = response.data && typeof response.data === 'object' ? response.data : {};
+
+    if (response.status < 200 || response.status >= 300 || !data.access_token) {
+      const reason = data.error
+        ? `${data.error}${data.error_description ? ` (${data.error_description})` : ''}`
+        : 'no access_token in response';
+      return { success: false, status: response.status, error: `HTTP ${response.status}: ${reason}` };
+    }
+
+    const expiresIn = Number(data.expires_in);
+
+    return {
+      success: true,
+      token: {
+        accessToken: data.access_token,
+        tokenType: !data.token_type || /^bearer$/i.test(data.token_type) ? 'Bearer' : data.token_type,
+        expiresAt: expiresIn > 0 ? Date.now() + expiresIn * 1000 : null,
+        refreshToken: data.refresh_token || null
+      }
+    };
+  } catch (error) {
+    return { success: false, status: 0, error: error.message };
+  }
+}
+
+/**
+ * Returns a cached access token, or obtains a new one from the token endpoint
+ * @param {Object} auth - OAuth configuration
+ * @param {Object} opts - Options
+ * @param {boolean} opts.forceRefresh - Ignore the cached token, e.g. after a 401 (default: false)
+ * @param {number} opts.timeout - Token request timeout in ms (default: 10000)
+ * @param {Function} opts.lookup - DNS lookup used for the token request (default: dns.lookup)
+ * @returns {Promise<Object>} - { success, accessToken, tokenType, expiresAt } or { success: false, status, error }
+ */
+async function getAccessToken(auth, opts = {}) {
+  const { forceRefresh = false, timeout = 10000, lookup } = opts;
+  const key = cacheKey(auth);
+  const cached = tokenCache.get(key);
+
+  if (cached && !forceRefresh && (cached.expiresAt === null || cached.expiresAt - EXPIRY_MARGIN_MS > Date.now())) {
+    return { success: true, ...cached };
+  }
+
+  const grantType = resolveGrantType(auth);
+
+  // A refresh token handed out with the previous access token takes precedence over the configured one
+  const refreshToken = (cached && cached.refreshToken) || (grantType === 'refresh_token' ? auth.refreshToken : null);
+
+  let result = null;
+  if (refreshToken) {
+    result = await requestToken(auth, { grant_type: 'refresh_token', refresh_token: refreshToken }, timeout, lookup);
+  }
+
+  if ((!result || !result.success) && grantType === 'client_credentials') {
+    result = await requestToken(auth, { grant_type: 'client_credentials' }, timeout, lookup);
+  }
+
+  if (!result.success) {
+    tokenCache.delete(key);
+    return result;
+  }
+
+  const token = { ...result.token, refreshToken: result.token.refreshToken || refreshToken || null };
+  storeToken(key, token);
+
+  return { success: true, ...token };
+}
+
+/**
+ * Forgets all cached access tokens
+ */
+function clearTokenCache() {
+  tokenCache.clear();
+}
+
+module.exports = {
+  OAUTH_GRANT_TYPES,
+  validateOAuthConfig,
+  maskOAuthConfig,
+  getAccessToken,
+  clearTokenCache
+};
@@ -0,0 +1,336 @@
+/**
+ * OpenAPI 3.1 document generation for a tested endpoint
+ */
+const { isSensitiveKey, isSensitiveParam, generateJsonSchema, sampleToJsonSchema } = require('./generator');
+const { parseJsonPath } = require('./schema');
+const { resolveTypeName, toCamelCase, toPascalCase } = require('./typegen');
+const { maskAuth } = require('./auth');
+const { safeDecode } = require('./signing');
+
+/**
+ * Request headers OpenAPI describes elsewhere and ignores as header parameters
+ */
+const RESERVED_HEADERS = ['accept', 'content-type', 'authorization'];
+
+/**
+ * Media types for request body types
+ */
+const BODY_MEDIA_TYPES = {
+  json: 'application/json',
+  form: 'application/x-www-form-urlencoded',
+  multipart: 'multipart/form-data',
+  raw: 'text/plain'
+};
+
+/**
+ * Derives security schemes from the credentials sent with the request
+ * @param {Object} headers - Request headers
+ * @param {Object} queryParams - Request query parameters
+ * @returns {Object} - Security schemes keyed by name
+ */
+function deriveSecuritySchemes(headers = {}, queryParams = {}) {
+  const schemes = {};
+
+  Object.entries(headers).forEach(([name, value]) => {
+    if (name.toLowerCase() === 'authorization') {
+      const scheme = String(value).trim().split(/\s+/)[0].toLowerCase();
+
+      if (scheme === 'bearer') {
+        schemes.bearerAuth = { type: 'http', scheme: 'bearer' };
+      } else if (scheme === 'basic') {
+        schemes.basicAuth = { type: 'http', scheme: 'basic' };
+      } else {
+        schemes.authorizationHeader = { type: 'apiKey', in: 'header', name };
+      }
+    } else if (isSensitiveKey(name)) {
+      schemes[toCamelCase(name)] = { type: 'apiKey', in: 'header', name };
+    }
+  });
+
+  Object.keys(queryParams).forEach(name => {
+    if (isSensitiveParam(name)) {
+      schemes[`${toCamelCase(name)}Query`] = { type: 'apiKey', in: 'query', name };
+    }
+  });
+
+  return schemes;
+}
+
+/**
+ * Describes a typed auth scheme as an OpenAPI security scheme
+ * @param {Object} auth - Auth configuration
+ * @returns {Object} - Security scheme keyed by name, empty without auth
+ */
+function authSecurityScheme(auth) {
+  const masked = maskAuth(auth);
+
+  if (!masked) {
+    return {};
+  }
+
+  if (masked.type === 'basic') {
+    return { basicAuth: { type: 'http', scheme: 'basic' } };
+  }
+
+  if (masked.type === 'bearer') {
+    return { bearerAuth: { type: 'http', scheme: 'bearer' } };
+  }
+
+  if (masked.type === 'apikey') {
+    const suffix = masked.in === 'query' ? 'Query' : '';
+    return { [`${toCamelCase(masked.name)}${suffix}`]: { type: 'apiKey', in: masked.in, name: masked.name } };
+  }
+
+  if (masked.type === 'custom') {
+    return { [toCamelCase(masked.header)]: { type: 'apiKey', in: 'header', name: masked.header } };
+  }
+
+  // Refresh-token clients obtain tokens from the same endpoint, which OpenAPI models as refreshUrl
+  const flow = {
+    tokenUrl: masked.tokenUrl,
+    scopes: Object.fromEntries(masked.scopes.map(scope => [scope, '']))
+  };
+  if (masked.grantType === 'refresh_token') {
+    flow.refreshUrl = masked.tokenUrl;
+  }
+
+  return { oauth2: { type: 'oauth2', flows: { clientCredentials: flow } } };
+}
+
+/**
+ * Builds a parameter schema from a value that was sent with the request
+ * @param {*} value - Query or header value
+ * @returns {Object} - JSON Schema with the value as example
+ */
+function parameterSchema(value) {
+  return /^-?\d+$/.test(String(value))
+    ? { type: 'integer', examples: [Number(value)] }
+    : { type: 'string', examples: [value] };
+}
+
+/**
+ * Describes the request parameters that drive pagination
+ * @param {Object} pagination - Pagination from detectPagination
+ * @returns {Array<Object>} - OpenAPI parameter objects
+ */
+function paginationParameters(pagination) {
+  if (!pagination) {
+    return [];
+  }
+
+  const parameters = [];
+
+  if (pagination.pageParam) {
+    parameters.push({
+      name: pagination.pageParam,
+      description: 'Page number',
+      schema: { type: 'integer', minimum: 1 }
+    });
+  }
+
+  if (pagination.offsetParam) {
+    parameters.push({
+      name: pagination.offsetParam,
+      description: 'Number of items to skip',
+      schema: { type: 'integer', minimum: 0 }
+    });
+  }
+
+  if (pagination.cursorParam) {
+    parameters.push({
+      name: pagination.cursorParam,
+      description: pagination.cursorSource === 'lastItem'
+        ? 'Id of the last item of the previous page'
+        : 'Cursor returned by the previous page',
+      schema: { type: 'string' }
+    });
+  }
+
+  if (pagination.limitParam) {
+    parameters.push({
+      name: pagination.limitParam,
+      description: 'Maximum number of items per page',
+      schema: { type: 'integer', minimum: 1 }
+    });
+  }
+
+  return parameters.map(({ name, description, schema }) =>
+    ({ name, in: 'query', required: false, description, schema }));
+}
+
+/**
+ * Replaces JSON Schema $defs references with component references
+ * @param {*} node - JSON Schema node
+ * @param {string} ref - Component reference for the item type
+ * @returns {*} - Copy of the node with references rewritten
+ */
+function rewriteRefs(node, ref) {
+  if (Array.isArray(node)) {
+    return node.map(child => rewriteRefs(child, ref));
+  }
+
+  if (node && typeof node === 'object') {
+    return Object.fromEntries(Object.entries(node).map(([key, value]) =>
+      [key, key === '$ref' && value === '#/$defs/Item' ? ref : rewriteRefs(value, ref)]
+    ));
+  }
+
+  return node;
+}
+
+/**
+ * Builds the request body object for requests that send one
+ * @param {*} body - Request body
+ * @param {string} bodyType - One of BODY_TYPES
+ * @returns {Object} - OpenAPI request body object
+ */
+function buildRequestBody(body, bodyType = 'json') {
+  let value = body;
+
+  if (bodyType === 'json' && typeof body === 'string') {
+    try {
+      value = JSON.parse(body);
+    } catch {
+      value = body;
+    }
+  }
+
+  const schema = bodyType === 'raw' ? { type: 'string' } : sampleToJsonSchema(value);
+
+  return {
+    required: true,
+    content: {
+      [BODY_MEDIA_TYPES[bodyType] || BODY_MEDIA_TYPES.json]: { schema }
+    }
+  };
+}
+
+/**
+ * Generates an OpenAPI 3.1 document describing the tested request and its response
+ * @param {Object} schema - Schema from inferSchema plus the request (url, method, headers, queryParams, body)
+ * @param {Object} opts - Options
+ * @param {string} opts.title - API title (default: host name)
+ * @param {string} opts.typeName - Item schema name (default: singular of the collection name)
+ * @returns {Object} - OpenAPI document
+ */
+function generateOpenApi(schema, opts = {}) {
+  const {
+    url,
+    samplePath = '$',
+    pagination,
+    headers = {},
+    queryParams = {},
+    body,
+    bodyType = 'json',
+    auth
+  } = schema;
+  const method = (schema.method || 'GET').toLowerCase();
+  const name = resolveTypeName(schema, opts);
+
+  let server = '/';
+  let path = '/';
+  const urlParams = {};
+
+  if (url) {
+    const parsed = new URL(url);
+    server = parsed.origin;
+    // A literal % that is not an escape stays as written instead of failing the document
+    path = safeDecode(parsed.pathname);
+    parsed.searchParams.forEach((value, key) => {
+      urlParams[key] = value;
+    });
+  }
+
+  // Parameters sent with the request, minus credentials which become security schemes
+  const sentParams = { ...urlParams, ...queryParams };
+  const parameters = Object.entries(sentParams)
+    .filter(([key]) => !isSensitiveParam(key))
+    .map(([key, value]) => ({ name: key, in: 'query', required: false, schema: parameterSchema(value) }));
+
+  paginationParameters(pagination).forEach(parameter => {
+    const index = parameters.findIndex(p => p.name === parameter.name);
+    if (index !== -1) {
+      // Keep the value that was sent as example
+      parameters[index] = { ...parameter, schema: { ...parameter.schema, examples: parameters[index].schema.examples } };
+    } else {
+      parameters.push(parameter);
+    }
+  });
+
+  Object.entries(headers)
+    .filter(([key]) => !RESERVED_HEADERS.includes(key.toLowerCase()) && !isSensitiveKey(key))
+    .forEach(([key, value]) => {
+      parameters.push({ name: key, in: 'header', required: false, schema: parameterSchema(value) });
+    });
+
+  // Reuse the JSON Schema export for the response body
+  const { $schema, title, $defs, ...responseSchema } = generateJsonSchema(schema);
+  const ref = `#/components/schemas/${name}`;
+
+  const response = {
+    description: 'Successful response',
+    content: {
+      'application/json': { schema: rewriteRefs(responseSchema, ref) }
+    }
+  };
+
+  if (pagination && pagination.type === 'link') {
+    response.headers = {
+      Link: {
+        description: 'RFC 8288 links to the next and previous pages',
+        schema: { type: 'string' }
+      }
+    };
+  }
+
+  const collection = parseJsonPath(samplePath).pop() || path.split('/').filter(Boolean).pop() || name;
+
+  const operation = {
+    operationId: `${method}${toPascalCase(collection)}`,
+    summary: `${method.toUpperCase()} ${path}`,
+    parameters,
+    responses: { '200': response }
+  };
+
+  if (body !== undefined && body !== null && body !== '' && method !== 'get') {
+    operation.requestBody = buildRequestBody(body, bodyType);
+  }
+
+  const securitySchemes = { ...deriveSecuritySchemes(headers, sentParams), ...authSecurityScheme(auth) };
+  if (Object.keys(securitySchemes).length > 0) {
+    // All credentials were sent together, so they form a single requirement
+    operation.security = [
+      Object.fromEntries(Object.entries(securitySchemes).map(([scheme, definition]) => [
+        scheme,
+        definition.type === 'oauth2' ? Object.keys(definition.flows.clientCredentials.scopes) : []
+      ]))
+    ];
+  }
+
+  const components = {
+    schemas: { [name]: rewriteRefs($defs.Item, ref) }
+  };
+
+  if (operation.security) {
+    components.securitySchemes = securitySchemes;
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: opts.title || (url ? `${new URL(url).host} API` : 'API'),
+      version: '1.0.0',
+      description: 'Generated by Smart Data Connector from a tested request'
+    },
+    servers: [{ url: server }],
+    paths: {
+      [path]: { [method]: operation }
+    },
+    components
+  };
+}
+
+module.exports = {
+  deriveSecuritySchemes,
+  generateOpenApi
+};
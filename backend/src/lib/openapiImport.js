@@ -0,0 +1,534 @@
+/**
+ * OpenAPI 3 and Swagger 2 import: lists GET operations and derives schemas from declared responses
+ */
+const YAML = require('yaml');
+const { CURSOR_KEYS, CURSOR_PARAMS, toJsonPath, detectKeys } = require('./schema');
+
+/**
+ * Maximum nesting followed when resolving schemas and searching for the item array
+ */
+const MAX_SCHEMA_DEPTH = 6;
+
+/**
+ * Query parameters that set the page size
+ */
+const LIMIT_PARAMS = ['limit', 'per_page', 'perPage', 'page_size', 'pageSize', 'size', 'count', 'max_results', 'maxResults'];
+
+/**
+ * Declared formats that map to detected field formats
+ */
+const SPEC_FORMATS = {
+  'date': 'date',
+  'date-time': 'date-time',
+  'uuid': 'uuid',
+  'email': 'email',
+  'uri': 'uri',
+  'url': 'uri',
+  'ipv4': 'ipv4',
+  'ipv6': 'ipv6'
+};
+
+/**
+ * Parses an uploaded or pasted OpenAPI/Swagger document
+ * @param {string|Object} input - Document as JSON or YAML text, or parsed object
+ * @returns {Object} - Parsed document
+ * @throws {Error} - If the input is not a JSON or YAML OpenAPI 3 or Swagger 2 document
+ */
+function parseSpec(input) {
+  let spec = input;
+
+  if (typeof input === 'string') {
+    try {
+      spec = JSON.parse(input);
+    } catch {
+      // JSON is a subset of YAML, but the JSON parser is faster for the common case
+      try {
+        spec = YAML.parse(input);
+      } catch (error) {
+        throw new Error(`Invalid OpenAPI document: expected JSON or YAML (${error.message.split('\n')[0]})`);
+      }
+    }
+  }
+
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('Invalid OpenAPI document: expected an object');
+  }
+
+  const isOpenApi3 = typeof spec.openapi === 'string' && spec.openapi.startsWith('3.');
+  const isSwagger2 = spec.swagger === '2.0';
+
+  if (!isOpenApi3 && !isSwagger2) {
+    throw new Error('Unsupported document: expected "openapi: 3.x" or "swagger: 2.0"');
+  }
+
+  if (!spec.paths || typeof spec.paths !== 'object') {
+    throw new Error('Invalid OpenAPI document: paths are missing');
+  }
+
+  return spec;
+}
+
+/**
+ * Resolves a local $ref such as #/components/schemas/Order
+ * @param {Object} spec - OpenAPI document
+ * @param {string} ref - Reference
+ * @returns {*} - Referenced node, or undefined if not found
+ */
+function resolveRef(spec, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+    return undefined;
+  }
+
+  return ref.slice(2).split('/').reduce((node, segment) => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    return node && typeof node === 'object' ? node[key] : undefined;
+  }, spec);
+}
+
+/**
+ * Resolves references and combinators of a schema into a single plain schema
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} schema - Schema node
+ * @param {number} depth - Current nesting depth
+ * @param {Set<string>} seen - References being resolved, to stop at cycles
+ * @returns {Object} - Schema without $ref, allOf, oneOf or anyOf at the top level
+ */
+function normalizeSchema(spec, schema, depth = 0, seen = new Set()) {
+  if (!schema || typeof schema !== 'object' || depth > MAX_SCHEMA_DEPTH) {
+    return {};
+  }
+
+  if (schema.$ref) {
+    if (seen.has(schema.$ref)) {
+      return { type: 'object' };
+    }
+    return normalizeSchema(spec, resolveRef(spec, schema.$ref), depth, new Set([...seen, schema.$ref]));
+  }
+
+  const { allOf, oneOf, anyOf, ...rest } = schema;
+  let result = { ...rest };
+
+  // allOf merges its parts; oneOf/anyOf are widened to the union of their variants
+  const parts = [...(allOf || []), ...(oneOf || anyOf || [])]
+    .map(part => normalizeSchema(spec, part, depth + 1, seen));
+
+  parts.forEach(part => {
+    const types = [...schemaTypes(result), ...schemaTypes(part)];
+    result = {
+      ...part,
+      ...result,
+      properties: { ...result.properties, ...part.properties },
+      required: allOf ? [...(result.required || []), ...(part.required || [])] : result.required
+    };
+    if (types.length > 0) {
+      result.type = [...new Set(types)];
+    }
+  });
+
+  if (Object.keys(result.properties || {}).length === 0) {
+    delete result.properties;
+  }
+
+  return result;
+}
+
+/**
+ * Lists the types of a schema, including null for OpenAPI 3.0 nullable schemas
+ * @param {Object} schema - Normalized schema
+ * @returns {Array<string>} - Types
+ */
+function schemaTypes(schema) {
+  const types = Array.isArray(schema.type) ? [...schema.type] : (schema.type ? [schema.type] : []);
+
+  if (types.length === 0 && schema.properties) {
+    types.push('object');
+  }
+
+  if (types.length === 0 && schema.items) {
+    types.push('array');
+  }
+
+  if (schema.nullable === true && !types.includes('null')) {
+    types.push('null');
+  }
+
+  return types;
+}
+
+/**
+ * Builds an example value for a schema from its example, default or structure
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} schema - Schema node
+ * @param {number} depth - Current nesting depth
+ * @returns {*} - Example value, or null if none can be derived
+ */
+function exampleFromSchema(spec, schema, depth = 0) {
+  const node = normalizeSchema(spec, schema);
+
+  if (node.example !== undefined) {
+    return node.example;
+  }
+
+  if (Array.isArray(node.examples) && node.examples.length > 0) {
+    return node.examples[0];
+  }
+
+  if (node.default !== undefined) {
+    return node.default;
+  }
+
+  if (Array.isArray(node.enum) && node.enum.length > 0) {
+    return node.enum[0];
+  }
+
+  if (depth >= MAX_SCHEMA_DEPTH) {
+    return null;
+  }
+
+  const types = schemaTypes(node);
+
+  if (types.includes('object') && node.properties) {
+    return Object.fromEntries(Object.entries(node.properties)
+      .map(([key, child]) => [key, exampleFromSchema(spec, child, depth + 1)]));
+  }
+
+  if (types.includes('array') && node.items) {
+    const item = exampleFromSchema(spec, node.items, depth + 1);
+    return item === null ? [] : [item];
+  }
+
+  return null;
+}
+
+/**
+ * Converts the properties of an item schema to fields shaped like inferred fields
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} itemSchema - Schema of one item
+ * @param {number} depth - Current nesting depth
+ * @returns {Array<Object>} - Fields with name, type, sample, required and optional format/enum details
+ */
+function schemaToFields(spec, itemSchema, depth = 0) {
+  const node = normalizeSchema(spec, itemSchema);
+  const required = node.required || [];
+
+  return Object.entries(node.properties || {}).map(([name, propertySchema]) => {
+    const property = normalizeSchema(spec, propertySchema);
+    const types = schemaTypes(property);
+    const field = {
+      name,
+      type: types.length > 0 ? types.sort().join('|') : 'string',
+      sample: exampleFromSchema(spec, property),
+      required: required.includes(name)
+    };
+
+    if (SPEC_FORMATS[property.format]) {
+      field.format = SPEC_FORMATS[property.format];
+    }
+
+    if (Array.isArray(property.enum)) {
+      field.isEnum = true;
+      field.enumValues = property.enum.filter(value => value !== null);
+    }
+
+    if (types.includes('array') && property.items && depth < MAX_SCHEMA_DEPTH) {
+      const items = normalizeSchema(spec, property.items);
+      if (schemaTypes(items).includes('object') && items.properties) {
+        field.itemFields = schemaToFields(spec, items, depth + 1);
+      }
+    }
+
+    if (property.description) {
+      field.description = property.description;
+    }
+
+    return field;
+  });
+}
+
+/**
+ * Finds the array of objects in a response schema, breadth first
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} responseSchema - Schema of the response body
+ * @returns {{samplePath: string, itemSchema: Object, root: Object}|null} - Item array location, or null
+ */
+function findItemArray(spec, responseSchema) {
+  const root = normalizeSchema(spec, responseSchema);
+  const queue = [{ node: root, segments: [] }];
+
+  while (queue.length > 0) {
+    const { node, segments } = queue.shift();
+    const types = schemaTypes(node);
+
+    if (types.includes('array') && node.items) {
+      const itemSchema = normalizeSchema(spec, node.items);
+      if (schemaTypes(itemSchema).includes('object') || itemSchema.properties) {
+        return { samplePath: toJsonPath(segments), itemSchema, root };
+      }
+    }
+
+    if (node.properties && segments.length < MAX_SCHEMA_DEPTH) {
+      Object.entries(node.properties).forEach(([key, child]) => {
+        queue.push({ node: normalizeSchema(spec, child), segments: [...segments, key] });
+      });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds the body property that carries the next cursor, e.g. meta.next_cursor
+ * @param {Object} root - Normalized response schema
+ * @returns {string|null} - Dotted path, or null if none is declared
+ */
+function findCursorPath(root) {
+  const search = (node, prefix, depth) => {
+    for (const [key, child] of Object.entries((node && node.properties) || {})) {
+      if (key in CURSOR_KEYS) {
+        return `${prefix}${key}`;
+      }
+      if (depth < 2) {
+        const found = search(child, `${prefix}${key}.`, depth + 1);
+        if (found) {
+          return found;
+        }
+      }
+    }
+    return null;
+  };
+
+  return search(root, '', 0);
+}
+
+/**
+ * Derives pagination from the declared query parameters of an operation
+ * @param {Array<Object>} parameters - Resolved operation parameters
+ * @param {Object} root - Normalized response schema
+ * @returns {Object|null} - Pagination shaped like detectPagination output, or null
+ */
+function detectDeclaredPagination(parameters, root) {
+  const names = parameters.filter(p => p.in === 'query').map(p => p.name);
+  const limitParam = names.find(name => LIMIT_PARAMS.includes(name)) || 'limit';
+
+  if (names.includes('page')) {
+    return { type: 'page', pageParam: 'page', limitParam, metaPaths: {} };
+  }
+
+  if (names.includes('offset')) {
+    return { type: 'offset', offsetParam: 'offset', limitParam, metaPaths: {} };
+  }
+
+  const cursorParam = names.find(name => CURSOR_PARAMS.includes(name));
+  const cursorPath = root && findCursorPath(root);
+
+  if (cursorParam && cursorPath) {
+    return {
+      type: /token/i.test(cursorParam) ? 'token' : 'cursor',
+      cursorSource: 'body',
+      cursorPath,
+      cursorParam,
+      limitParam,
+      terminal: { path: cursorPath, condition: 'empty' }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Determines the base URL of the API
+ * @param {Object} spec - OpenAPI document
+ * @returns {string} - Base URL without trailing slash (may be relative if the document has no host)
+ */
+function getBaseUrl(spec) {
+  if (spec.swagger) {
+    const scheme = (spec.schemes && spec.schemes[0]) || 'https';
+    return spec.host ? `${scheme}://${spec.host}${spec.basePath || ''}`.replace(/\/$/, '') : (spec.basePath || '').replace(/\/$/, '');
+  }
+
+  const server = spec.servers && spec.servers[0];
+  if (!server || !server.url) {
+    return '';
+  }
+
+  // Substitute server variables with their defaults
+  const variables = server.variables || {};
+  return server.url
+    .replace(/\{([^}]+)\}/g, (match, name) => (variables[name] ? variables[name].default : match))
+    .replace(/\/$/, '');
+}
+
+/**
+ * Picks the JSON schema of the success response of an operation
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} operation - Operation object
+ * @returns {Object|null} - Response schema, or null if none is declared
+ */
+function getResponseSchema(spec, operation) {
+  const responses = operation.responses || {};
+  const status = ['200', '201', '203', '206'].find(code => responses[code]) ||
+    Object.keys(responses).find(code => /^2/.test(code)) ||
+    (responses.default ? 'default' : null);
+
+  if (!status) {
+    return null;
+  }
+
+  let response = responses[status];
+  if (response && response.$ref) {
+    response = resolveRef(spec, response.$ref);
+  }
+
+  if (!response) {
+    return null;
+  }
+
+  if (spec.swagger) {
+    return response.schema || null;
+  }
+
+  const content = response.content || {};
+  const mediaType = Object.keys(content).find(type => /json/i.test(type));
+
+  return mediaType && content[mediaType].schema ? content[mediaType].schema : null;
+}
+
+/**
+ * Resolves path-level and operation-level parameters, operation entries overriding path entries
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} pathItem - Path item object
+ * @param {Object} operation - Operation object
+ * @returns {Array<Object>} - Parameter objects
+ */
+function resolveParameters(spec, pathItem, operation) {
+  const byKey = new Map();
+
+  [...(pathItem.parameters || []), ...(operation.parameters || [])].forEach(parameter => {
+    const resolved = parameter.$ref ? resolveRef(spec, parameter.$ref) : parameter;
+    if (resolved && resolved.name) {
+      byKey.set(`${resolved.in}:${resolved.name}`, resolved);
+    }
+  });
+
+  return Array.from(byKey.values());
+}
+
+/**
+ * Detects keys of declared fields; without observed values only a required id can be the primary key
+ * @param {Array<Object>} fields - Fields from schemaToFields
+ * @param {string} samplePath - JSONPath of the item array
+ * @returns {Object} - Keys shaped like detectKeys output
+ */
+function detectDeclaredKeys(fields, samplePath) {
+  const { foreignKeys } = detectKeys(fields, samplePath);
+  const idField = fields.find(field =>
+    (field.name.toLowerCase() === 'id' || field.name === '_id') &&
+    field.required &&
+    ['integer', 'string'].includes(field.type)
+  );
+
+  return {
+    primaryKey: idField ? idField.name : null,
+    primaryKeyCandidates: idField ? [idField.name] : [],
+    foreignKeys: foreignKeys.filter(foreignKey => !idField || foreignKey.field !== idField.name)
+  };
+}
+
+/**
+ * Lists the GET operations of a document with the schema each one declares
+ * @param {Object} spec - Parsed OpenAPI document
+ * @returns {Array<Object>} - Operations with id, method, path, url, summary, isList, samplePath, fields, keys and pagination
+ */
+function listOperations(spec) {
+  const baseUrl = getBaseUrl(spec);
+  const operations = [];
+
+  Object.entries(spec.paths).forEach(([path, pathItem]) => {
+    const operation = pathItem && pathItem.get;
+    if (!operation) {
+      return;
+    }
+
+    const parameters = resolveParameters(spec, pathItem, operation);
+    const responseSchema = getResponseSchema(spec, operation);
+    const found = responseSchema ? findItemArray(spec, responseSchema) : null;
+
+    // Required query parameters are pre-filled from their example or default
+    const queryParams = {};
+    parameters
+      .filter(p => p.in === 'query' && p.required)
+      .forEach(p => {
+        const schema = p.schema || p;
+        const example = p.example !== undefined ? p.example : exampleFromSchema(spec, schema);
+        if (example !== null && example !== undefined) {
+          queryParams[p.name] = String(example);
+        }
+      });
+
+    const fields = found ? schemaToFields(spec, found.itemSchema) : [];
+    const samplePath = found ? found.samplePath : '$';
+
+    operations.push({
+      id: operation.operationId || `GET ${path}`,
+      method: 'GET',
+      path,
+      url: `${baseUrl}${path}`,
+      summary: operation.summary || operation.description || '',
+      deprecated: !!operation.deprecated,
+      // Paths ending in a parameter, e.g. /orders/{id}, fetch a single resource
+      isList: !!found && !/\}$/.test(path),
+      pathParams: parameters.filter(p => p.in === 'path').map(p => p.name),
+      queryParams,
+      samplePath,
+      fields,
+      keys: detectDeclaredKeys(fields, samplePath),
+      pagination: detectDeclaredPagination(parameters, found && found.root)
+    });
+  });
+
+  return operations;
+}
+
+/**
+ * Merges declared fields into fields inferred from a live response
+ * @param {Array<Object>} declared - Fields from the document
+ * @param {Array<Object>} inferred - Fields from mergeFieldTypes
+ * @returns {Array<Object>} - Inferred fields enriched with declared formats, enums and descriptions,
+ *   followed by declared fields the live response did not contain
+ */
+function mergeDeclaredFields(declared, inferred) {
+  const declaredByName = new Map(declared.map(field => [field.name, field]));
+
+  const merged = inferred.map(field => {
+    const spec = declaredByName.get(field.name);
+    if (!spec) {
+      return field;
+    }
+
+    const result = { ...field, required: spec.required };
+    ['format', 'description'].forEach(key => {
+      if (result[key] === undefined && spec[key] !== undefined) {
+        result[key] = spec[key];
+      }
+    });
+    if (!result.isEnum && spec.isEnum) {
+      result.isEnum = true;
+      result.enumValues = spec.enumValues;
+    }
+    return result;
+  });
+
+  const inferredNames = new Set(inferred.map(field => field.name));
+  declared
+    .filter(field => !inferredNames.has(field.name))
+    .forEach(field => merged.push({ ...field, observedCount: 0 }));
+
+  return merged;
+}
+
+module.exports = {
+  parseSpec,
+  getBaseUrl,
+  listOperations,
+  mergeDeclaredFields
+};
@@ -0,0 +1,316 @@
+/**
+ * Outbound URL policy: which schemes, ports, hosts and addresses the fetcher may connect to
+ * Private, loopback and link-local addresses are blocked unless allowed, so the connector
+ * cannot be used to reach internal services or cloud metadata endpoints.
+ */
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Error code of requests refused by the policy
+ */
+const POLICY_VIOLATION = 'POLICY_VIOLATION';
+
+/**
+ * Address ranges that are not publicly routable, blocked by default
+ */
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'unspecified'],
+  ['10.0.0.0', 8, 'private'],
+  ['100.64.0.0', 10, 'shared (carrier-grade NAT)'],
+  ['127.0.0.0', 8, 'loopback'],
+  ['169.254.0.0', 16, 'link-local'],
+  ['172.16.0.0', 12, 'private'],
+  ['192.0.0.0', 24, 'reserved'],
+  ['192.168.0.0', 16, 'private'],
+  ['198.18.0.0', 15, 'reserved'],
+  ['224.0.0.0', 4, 'multicast'],
+  ['240.0.0.0', 4, 'reserved'],
+  ['::', 128, 'unspecified'],
+  ['::1', 128, 'loopback'],
+  ['64:ff9b:1::', 48, 'NAT64 (local-use)'],
+  ['fc00::', 7, 'private'],
+  ['fe80::', 10, 'link-local'],
+  ['ff00::', 8, 'multicast']
+].map(([network, prefix, name]) => {
+  const list = new net.BlockList();
+  const type = net.isIPv6(network) ? 'ipv6' : 'ipv4';
+  list.addSubnet(network, prefix, type);
+  return { name, list, type };
+});
+
+/**
+ * Default ports of the allowed schemes
+ */
+const DEFAULT_PORTS = { 'http:': 80, 'https:': 443 };
+
+/**
+ * Creates a policy violation error
+ * @param {string} message - What was blocked and why
+ * @returns {Error} - Error with code POLICY_VIOLATION
+ */
+function policyError(message) {
+  const error = new Error(`Blocked by outbound policy: ${message}`);
+  error.code = POLICY_VIOLATION;
+  return error;
+}
+
+/**
+ * Splits a comma-separated list
+ * @param {string|Array<string>} value - List as a string or array
+ * @returns {Array<string>} - Trimmed, non-empty entries
+ */
+function splitList(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  return entries.map(entry => String(entry).trim()).filter(Boolean);
+}
+
+/**
+ * Normalizes a host name for matching: lowercase, without the trailing dot of a fully qualified name
+ * @param {string} hostname - Host name
+ * @returns {string} - Normalized host name
+ */
+function normalizeHost(hostname) {
+  return hostname.toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Compiles allow or deny entries: IP addresses and CIDR ranges, host names and *.domain wildcards
+ * @param {Array<string>} entries - List entries
+ * @returns {{hosts: Array<string>, addresses: net.BlockList}} - Host patterns and address ranges
+ */
+function compileList(entries) {
+  const hosts = [];
+  const addresses = new net.BlockList();
+
+  for (const entry of entries) {
+    const [network, prefix] = entry.split('/');
+    const family = net.isIP(network);
+
+    if (family) {
+      const type = family === 6 ? 'ipv6' : 'ipv4';
+      addresses.addSubnet(network, prefix === undefined ? (family === 6 ? 128 : 32) : Number(prefix), type);
+    } else {
+      hosts.push(normalizeHost(entry));
+    }
+  }
+
+  return { hosts, addresses };
+}
+
+/**
+ * Creates an outbound policy
+ * @param {Object} options - Policy options
+ * @param {Array<string>|string} options.schemes - Allowed URL schemes (default: http, https)
+ * @param {Array<number|string>|string} options.ports - Allowed ports; empty allows any port (default: any)
+ * @param {Array<string>|string} options.allow - Hosts and CIDR ranges exempt from the blocked ranges
+ * @param {Array<string>|string} options.deny - Hosts and CIDR ranges that are always blocked
+ * @param {boolean} options.allowPrivate - Allow private, loopback and link-local addresses (default: false)
+ * @returns {Object} - Compiled policy
+ */
+function createPolicy(options = {}) {
+  const schemes = splitList(options.schemes || 'http,https').map(scheme => scheme.toLowerCase().replace(/:$/, ''));
+  const ports = splitList(options.ports).map(Number).filter(Number.isInteger);
+
+  return {
+    schemes,
+    ports,
+    allow: compileList(splitList(options.allow)),
+    deny: compileList(splitList(options.deny)),
+    allowPrivate: options.allowPrivate === true
+  };
+}
+
+/**
+ * Creates the policy configured by environment variables
+ * OUTBOUND_SCHEMES and OUTBOUND_PORTS restrict schemes and ports, OUTBOUND_ALLOW and
+ * OUTBOUND_DENY list hosts and CIDR ranges, and OUTBOUND_ALLOW_PRIVATE=true disables range blocking.
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} - Compiled policy
+ */
+function loadPolicy(env = process.env) {
+  return createPolicy({
+    schemes: env.OUTBOUND_SCHEMES,
+    ports: env.OUTBOUND_PORTS,
+    allow: env.OUTBOUND_ALLOW,
+    deny: env.OUTBOUND_DENY,
+    allowPrivate: env.OUTBOUND_ALLOW_PRIVATE === 'true'
+  });
+}
+
+/**
+ * Checks whether a host name matches a list of host patterns
+ * @param {string} hostname - Normalized host name
+ * @param {Array<string>} patterns - Host names and *.domain wildcards
+ * @returns {boolean} - True if a pattern matches
+ */
+function matchesHost(hostname, patterns) {
+  return patterns.some(pattern =>
+    pattern.startsWith('*.') ? hostname.endsWith(pattern.slice(1)) : hostname === pattern
+  );
+}
+
+/**
+ * Expands an IPv6 address into its eight 16-bit words
+ * @param {string} address - IPv6 address, possibly with a dotted IPv4 tail
+ * @returns {Array<number>} - Words
+ */
+function ipv6Words(address) {
+  let text = address.toLowerCase().replace(/%.*$/, '');
+
+  const tail = text.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (tail) {
+    const [a, b, c, d] = tail.slice(2).map(Number);
+    text = `${tail[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, rest] = text.split('::');
+  const headWords = head ? head.split(':') : [];
+  const restWords = rest ? rest.split(':') : [];
+  const fill = rest === undefined ? 0 : 8 - headWords.length - restWords.length;
+
+  return [...headWords, ...Array(fill).fill('0'), ...restWords].map(word => parseInt(word, 16));
+}
+
+/**
+ * Converts IPv6 addresses that embed an IPv4 address to IPv4 so IPv4 rules apply to them:
+ * IPv4-mapped (::ffff:a.b.c.d), IPv4-translated (::ffff:0:a.b.c.d), IPv4-compatible (::a.b.c.d),
+ * NAT64 (64:ff9b::a.b.c.d) and 6to4 (2002:aabb:ccdd::)
+ * @param {string} address - IP address
+ * @returns {string} - IPv4 address, or the address unchanged
+ */
+function unmapAddress(address) {
+  if (!net.isIPv6(address)) {
+    return address;
+  }
+
+  const words = ipv6Words(address);
+  const zeros = (from, to) => words.slice(from, to).every(word => word === 0);
+  const ipv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+
+  if (zeros(0, 5) && words[5] === 0xffff) {
+    return ipv4(words[6], words[7]);
+  }
+
+  if (zeros(0, 4) && words[4] === 0xffff && words[5] === 0) {
+    return ipv4(words[6], words[7]);
+  }
+
+  if (words[0] === 0x64 && words[1] === 0xff9b && zeros(2, 6)) {
+    return ipv4(words[6], words[7]);
+  }
+
+  // :: and ::1 keep their IPv6 names
+  if (zeros(0, 6) && (words[6] !== 0 || words[7] > 1)) {
+    return ipv4(words[6], words[7]);
+  }
+
+  if (words[0] === 0x2002) {
+    return ipv4(words[1], words[2]);
+  }
+
+  return address;
+}
+
+/**
+ * Checks an IP address against the policy
+ * @param {string} address - IP address
+ * @param {Object} policy - Compiled policy
+ * @returns {string|null} - Why the address is blocked, or null if allowed
+ */
+function checkAddress(address, policy) {
+  const ip = unmapAddress(address);
+  const type = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+
+  if (policy.deny.addresses.check(ip, type)) {
+    return 'on the deny list';
+  }
+
+  if (policy.allow.addresses.check(ip, type) || policy.allowPrivate) {
+    return null;
+  }
+
+  const range = BLOCKED_RANGES.find(candidate => candidate.type === type && candidate.list.check(ip, type));
+  return range ? `a ${range.name} address` : null;
+}
+
+/**
+ * Checks a URL against the policy before it is requested
+ * Host names are checked again once resolved, by the lookup of createPolicyLookup.
+ * @param {string} url - URL to request
+ * @param {Object} policy - Compiled policy
+ * @returns {Error|null} - Policy violation, or null if the URL may be requested
+ */
+function checkUrl(url, policy) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return policyError(`${url} is not a valid URL`);
+  }
+
+  const scheme = parsed.protocol.replace(/:$/, '');
+  if (!policy.schemes.includes(scheme)) {
+    return policyError(`scheme ${scheme} is not allowed (allowed: ${policy.schemes.join(', ')})`);
+  }
+
+  const port = parsed.port ? Number(parsed.port) : DEFAULT_PORTS[parsed.protocol];
+  if (policy.ports.length > 0 && !policy.ports.includes(port)) {
+    return policyError(`port ${port} is not allowed (allowed: ${policy.ports.join(', ')})`);
+  }
+
+  const hostname = normalizeHost(parsed.hostname.replace(/^\[|\]$/g, ''));
+
+  if (matchesHost(hostname, policy.deny.hosts)) {
+    return policyError(`${hostname} is on the deny list`);
+  }
+
+  if (net.isIP(hostname)) {
+    const reason = checkAddress(hostname, policy);
+    return reason ? policyError(`${hostname} is ${reason}`) : null;
+  }
+
+  return null;
+}
+
+/**
+ * Creates a DNS lookup that refuses denied host names and host names resolving to blocked addresses
+ * Checking at connection time also covers redirects and DNS rebinding between check and connect.
+ * @param {Object} policy - Compiled policy
+ * @returns {Function} - Lookup function with the signature of dns.lookup
+ */
+function createPolicyLookup(policy) {
+  return (hostname, options, callback) => {
+    // Redirect targets are only seen here, so denied hosts are refused before resolving
+    const host = normalizeHost(hostname);
+    if (matchesHost(host, policy.deny.hosts)) {
+      return process.nextTick(() => callback(policyError(`${host} is on the deny list`)));
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+
+      if (!matchesHost(host, policy.allow.hosts)) {
+        for (const { address } of addresses) {
+          const reason = checkAddress(address, policy);
+          if (reason) {
+            return callback(policyError(`${host} resolves to ${address}, which is ${reason}`));
+          }
+        }
+      }
+
+      return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+module.exports = {
+  POLICY_VIOLATION,
+  createPolicy,
+  loadPolicy,
+  checkAddress,
+  checkUrl,
+  createPolicyLookup
+};
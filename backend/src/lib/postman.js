@@ -0,0 +1,442 @@
+/**
+ * Postman collection v2.1 import and export
+ */
+const { isSensitiveKey, isSensitiveParam } = require('./generator');
+const { parseJsonPath } = require('./schema');
+const { toCamelCase } = require('./typegen');
+const { maskAuth, templateVariables } = require('./auth');
+
+/**
+ * Schema URL identifying Postman collection v2.1
+ */
+const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+/**
+ * Postman body modes mapped to fetcher body types, and back
+ */
+const BODY_MODES = {
+  urlencoded: 'form',
+  formdata: 'multipart'
+};
+
+/**
+ * Parses an uploaded or pasted Postman collection
+ * @param {string|Object} input - Collection as JSON text or parsed object
+ * @returns {Object} - Parsed collection
+ * @throws {Error} - If the input is not a Postman v2 collection
+ */
+function parseCollection(input) {
+  let collection = input;
+
+  if (typeof input === 'string') {
+    try {
+      collection = JSON.parse(input);
+    } catch {
+      throw new Error('Invalid Postman collection: expected JSON');
+    }
+  }
+
+  if (!collection || typeof collection !== 'object' || !collection.info || !Array.isArray(collection.item)) {
+    throw new Error('Invalid Postman collection: expected info and item');
+  }
+
+  const schema = String(collection.info.schema || '');
+  if (!/collection\/v2\.[01]/.test(schema)) {
+    throw new Error('Unsupported Postman collection: export it as Collection v2.1');
+  }
+
+  return collection;
+}
+
+/**
+ * Converts a Postman key/value list to an object, skipping disabled entries
+ * @param {Array<Object>} list - Entries with key, value and optional disabled
+ * @returns {Object} - Map of key to value
+ */
+function keyValueObject(list) {
+  const result = {};
+
+  (Array.isArray(list) ? list : []).forEach(entry => {
+    if (entry && entry.key && !entry.disabled) {
+      result[entry.key] = entry.value === undefined ? '' : entry.value;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Replaces {{variable}} references, leaving unknown variables in place
+ * @param {*} value - String (other values are returned unchanged)
+ * @param {Object} variables - Map of variable name to value
+ * @returns {*} - Resolved value
+ */
+function resolveVariables(value, variables) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  return value.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, name) =>
+    (Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match)
+  );
+}
+
+/**
+ * Applies a Postman auth block to the headers and query parameters of a request
+ * @param {Object} auth - Postman auth block
+ * @param {Object} request - Request with headers and queryParams to update
+ * @returns {string|null} - Warning for unsupported auth types, or null
+ */
+function applyAuth(auth, request) {
+  if (!auth || auth.type === 'noauth') {
+    return null;
+  }
+
+  const params = keyValueObject(auth[auth.type]);
+
+  if (auth.type === 'bearer') {
+    request.headers.Authorization = `Bearer ${params.token || ''}`;
+    return null;
+  }
+
+  if (auth.type === 'basic') {
+    const credentials = Buffer.from(`${params.username || ''}:${params.password || ''}`).toString('base64');
+    request.headers.Authorization = `Basic ${credentials}`;
+    return null;
+  }
+
+  if (auth.type === 'apikey') {
+    if (params.in === 'query') {
+      request.queryParams[params.key] = params.value;
+    } else {
+      request.headers[params.key || 'X-API-Key'] = params.value;
+    }
+    return null;
+  }
+
+  return `Auth type ${auth.type} is not supported; the request was sent without it`;
+}
+
+/**
+ * Converts a Postman body to a fetcher body and body type
+ * @param {Object} body - Postman request body
+ * @returns {{body: *, bodyType: string}|null} - Body, or null if the request has none
+ */
+function convertBody(body) {
+  if (!body || !body.mode || body.disabled) {
+    return null;
+  }
+
+  if (body.mode === 'raw') {
+    const language = body.options && body.options.raw && body.options.raw.language;
+    const raw = body.raw || '';
+    if (raw === '') {
+      return null;
+    }
+    return { body: raw, bodyType: language === 'json' || /^\s*[{[]/.test(raw) ? 'json' : 'raw' };
+  }
+
+  if (BODY_MODES[body.mode]) {
+    // File parts cannot be replayed, only text parts are kept
+    const entries = (body[body.mode] || []).filter(entry => entry.type !== 'file');
+    return { body: keyValueObject(entries), bodyType: BODY_MODES[body.mode] };
+  }
+
+  if (body.mode === 'graphql' && body.graphql) {
+    let variables = body.graphql.variables;
+    try {
+      variables = variables ? JSON.parse(variables) : undefined;
+    } catch {
+      // Keep unparsable variables as text
+    }
+    return { body: { query: body.graphql.query, variables }, bodyType: 'json' };
+  }
+
+  return null;
+}
+
+/**
+ * Converts one Postman request item into the /api/test request shape
+ * @param {Object} item - Postman item with a request
+ * @param {Object} variables - Collection and user variables
+ * @param {Object} inheritedAuth - Auth block of the enclosing folder or collection
+ * @returns {Object} - Request with name, method, url, headers, queryParams, body, bodyType and warnings
+ */
+function toTestRequest(item, variables, inheritedAuth) {
+  const source = typeof item.request === 'string' ? { url: item.request } : item.request;
+  const rawUrl = typeof source.url === 'string' ? source.url : (source.url && source.url.raw) || '';
+  const [base] = resolveVariables(rawUrl, variables).split('?');
+
+  const request = {
+    name: item.name || rawUrl,
+    method: (source.method || 'GET').toUpperCase(),
+    url: base,
+    headers: {},
+    queryParams: {},
+    warnings: []
+  };
+
+  // Query parameters come from the structured URL when present, otherwise from the raw string
+  const query = source.url && typeof source.url === 'object' && Array.isArray(source.url.query)
+    ? keyValueObject(source.url.query)
+    : Object.fromEntries(new URLSearchParams(resolveVariables(rawUrl, variables).split('?')[1] || ''));
+  Object.entries(query).forEach(([key, value]) => {
+    request.queryParams[key] = resolveVariables(value, variables);
+  });
+
+  Object.entries(keyValueObject(source.header)).forEach(([key, value]) => {
+    request.headers[key] = resolveVariables(value, variables);
+  });
+
+  const auth = source.auth && source.auth.type !== 'inherit' ? source.auth : inheritedAuth;
+  if (auth) {
+    const resolvedAuth = {
+      type: auth.type,
+      [auth.type]: (auth[auth.type] || []).map(entry => ({ ...entry, value: resolveVariables(entry.value, variables) }))
+    };
+    const warning = applyAuth(resolvedAuth, request);
+    if (warning) {
+      request.warnings.push(warning);
+    }
+  }
+
+  const body = convertBody(source.body);
+  if (body) {
+    request.body = typeof body.body === 'string'
+      ? resolveVariables(body.body, variables)
+      : JSON.parse(JSON.stringify(body.body), (key, value) => resolveVariables(value, variables));
+    request.bodyType = body.bodyType;
+  }
+
+  const unresolved = `${request.url}${JSON.stringify(request.headers)}${JSON.stringify(request.queryParams)}`.match(/\{\{[^{}]+\}\}/g);
+  if (unresolved) {
+    request.warnings.push(`Unresolved variables: ${[...new Set(unresolved)].join(', ')}`);
+  }
+
+  return request;
+}
+
+/**
+ * Lists the requests of a collection, descending into folders and inheriting auth
+ * @param {Object} collection - Parsed Postman collection
+ * @param {Object} overrides - Variable values that take precedence over collection variables
+ * @returns {Array<Object>} - Requests in the /api/test shape with their folder path
+ */
+function listRequests(collection, overrides = {}) {
+  const variables = { ...keyValueObject(collection.variable), ...overrides };
+  const requests = [];
+
+  const walk = (items, auth, folder) => {
+    items.forEach(item => {
+      if (Array.isArray(item.item)) {
+        const folderAuth = item.auth && item.auth.type !== 'inherit' ? item.auth : auth;
+        walk(item.item, folderAuth, folder ? `${folder}/${item.name}` : item.name);
+      } else if (item.request) {
+        requests.push({ folder: folder || null, ...toTestRequest(item, variables, auth) });
+      }
+    });
+  };
+
+  walk(collection.item, collection.auth, null);
+  return requests;
+}
+
+/**
+ * Converts a credential into a Postman variable reference, recording the variable
+ * @param {string} name - Header or parameter name
+ * @param {Array<Object>} variables - Collection variables to append to
+ * @returns {string} - Variable reference, e.g. {{xApiKey}}
+ */
+function credentialVariable(name, variables) {
+  const key = toCamelCase(name);
+  if (!variables.some(variable => variable.key === key)) {
+    variables.push({ key, value: '', type: 'secret' });
+  }
+  return `{{${key}}}`;
+}
+
+/**
+ * Converts a typed auth scheme into a Postman auth block with credentials as variables
+ * @param {Object} auth - Auth configuration
+ * @param {Array<Object>} variables - Collection variables to append to
+ * @returns {Object|null} - Postman auth block, or null for schemes Postman sends as plain headers
+ */
+function toPostmanAuth(auth, variables) {
+  const masked = maskAuth(auth);
+  const entry = (key, value) => ({ key, value, type: 'string' });
+
+  if (!masked || masked.type === 'custom') {
+    return null;
+  }
+
+  if (masked.type === 'basic') {
+    return {
+      type: 'basic',
+      basic: [entry('username', masked.username), entry('password', credentialVariable('password', variables))]
+    };
+  }
+
+  if (masked.type === 'bearer') {
+    return { type: 'bearer', bearer: [entry('token', credentialVariable('token', variables))] };
+  }
+
+  if (masked.type === 'apikey') {
+    return {
+      type: 'apikey',
+      apikey: [
+        entry('key', masked.name),
+        entry('value', credentialVariable(masked.name, variables)),
+        entry('in', masked.in)
+      ]
+    };
+  }
+
+  const oauth2 = [
+    entry('grant_type', masked.grantType === 'refresh_token' ? 'refresh_token' : 'client_credentials'),
+    entry('accessTokenUrl', masked.tokenUrl),
+    entry('clientId', masked.clientId),
+    entry('scope', masked.scopes.join(' ')),
+    entry('client_authentication', masked.clientAuth === 'body' ? 'body' : 'header')
+  ];
+  if (masked.clientSecret) {
+    oauth2.push(entry('clientSecret', credentialVariable('clientSecret', variables)));
+  }
+  if (masked.refreshToken) {
+    oauth2.push(entry('refreshToken', credentialVariable('refreshToken', variables)));
+  }
+
+  return { type: 'oauth2', oauth2 };
+}
+
+/**
+ * Generates a Postman v2.1 collection with one request for a tested endpoint
+ * @param {Object} schema - Schema from inferSchema plus the request (url, method, headers, queryParams, body)
+ * @param {Object} opts - Options
+ * @param {string} opts.name - Collection name (default: host name)
+ * @returns {Object} - Postman collection; credentials are replaced by empty secret variables
+ */
+function generatePostmanCollection(schema, opts = {}) {
+  const { url, headers = {}, queryParams = {}, body, bodyType = 'json', samplePath = '$' } = schema;
+  const method = (schema.method || 'GET').toUpperCase();
+  const parsed = new URL(url);
+  const variables = [{ key: 'baseUrl', value: parsed.origin, type: 'string' }];
+
+  const item = {
+    name: `${method} ${parsed.pathname}`,
+    request: {
+      method,
+      header: [],
+      url: {
+        raw: '',
+        host: ['{{baseUrl}}'],
+        path: parsed.pathname.split('/').filter(Boolean),
+        query: []
+      }
+    },
+    response: []
+  };
+
+  // Masked credentials become collection variables the user fills in after import
+  Object.entries(headers).forEach(([key, value]) => {
+    if (key.toLowerCase() === 'authorization') {
+      const scheme = String(value).trim().split(/\s+/)[0].toLowerCase();
+      if (scheme === 'bearer') {
+        item.request.auth = { type: 'bearer', bearer: [{ key: 'token', value: credentialVariable('token', variables), type: 'string' }] };
+        return;
+      }
+      if (scheme === 'basic') {
+        item.request.auth = {
+          type: 'basic',
+          basic: [
+            { key: 'username', value: credentialVariable('username', variables), type: 'string' },
+            { key: 'password', value: credentialVariable('password', variables), type: 'string' }
+          ]
+        };
+        return;
+      }
+    }
+
+    item.request.header.push({
+      key,
+      value: isSensitiveKey(key) ? credentialVariable(key, variables) : String(value)
+    });
+  });
+
+  // A typed auth scheme takes precedence over credentials found in the headers
+  if (schema.auth) {
+    const auth = toPostmanAuth(schema.auth, variables);
+    if (auth) {
+      item.request.auth = auth;
+    } else {
+      // Custom header templates use {{name}} references, which Postman resolves as variables
+      templateVariables(schema.auth.template)
+        .filter(name => !variables.some(variable => variable.key === name))
+        .forEach(name => variables.push({ key: name, value: '', type: 'secret' }));
+      item.request.header = item.request.header.filter(header => header.key.toLowerCase() !== schema.auth.header.toLowerCase());
+      item.request.header.push({ key: schema.auth.header, value: schema.auth.template });
+    }
+  }
+
+  const query = { ...Object.fromEntries(parsed.searchParams), ...queryParams };
+  Object.entries(query).forEach(([key, value]) => {
+    item.request.url.query.push({
+      key,
+      value: isSensitiveParam(key) ? credentialVariable(key, variables) : String(value)
+    });
+  });
+
+  const queryString = item.request.url.query.map(({ key, value }) => `${key}=${value}`).join('&');
+  item.request.url.raw = `{{baseUrl}}${parsed.pathname}${queryString ? `?${queryString}` : ''}`;
+  if (item.request.url.query.length === 0) {
+    delete item.request.url.query;
+  }
+
+  if (body !== undefined && body !== null && body !== '' && method !== 'GET') {
+    const mode = Object.keys(BODY_MODES).find(key => BODY_MODES[key] === bodyType);
+    if (mode && typeof body === 'object') {
+      item.request.body = {
+        mode,
+        [mode]: Object.entries(body).map(([key, value]) => ({ key, value: String(value), type: 'text' }))
+      };
+    } else {
+      item.request.body = {
+        mode: 'raw',
+        raw: typeof body === 'string' ? body : JSON.stringify(body, null, 2),
+        options: { raw: { language: bodyType === 'json' ? 'json' : 'text' } }
+      };
+    }
+  }
+
+  // A test script guards the shape the datasource relies on
+  const itemsPath = parseJsonPath(samplePath)
+    .map(segment => (/^[A-Za-z_$][\w$]*$/.test(segment) ? `.${segment}` : `[${JSON.stringify(segment)}]`))
+    .join('');
+  item.event = [{
+    listen: 'test',
+    script: {
+      type: 'text/javascript',
+      exec: [
+        "pm.test('responds with items', function () {",
+        '  pm.response.to.have.status(200);',
+        `  pm.expect(pm.response.json()${itemsPath}).to.be.an('array');`,
+        '});'
+      ]
+    }
+  }];
+
+  return {
+    info: {
+      name: opts.name || `${parsed.host} API`,
+      schema: POSTMAN_SCHEMA
+    },
+    item: [item],
+    variable: variables
+  };
+}
+
+module.exports = {
+  parseCollection,
+  resolveVariables,
+  listRequests,
+  generatePostmanCollection
+};
@@ -0,0 +1,349 @@
+/**
+ * Parsing of cURL commands and HAR files into the /api/test request shape
+ */
+
+/**
+ * cURL options that take a value and do not affect the request we replay
+ */
+const IGNORED_VALUE_OPTIONS = [
+  '-o', '--output', '-w', '--write-out', '-m', '--max-time', '--connect-timeout', '--retry',
+  '-x', '--proxy', '--cacert', '--cert', '--key', '-c', '--cookie-jar', '-T', '--upload-file'
+];
+
+/**
+ * HAR request headers set by the browser or transport rather than the caller
+ */
+const BROWSER_HEADERS = ['host', 'content-length', 'connection', 'accept-encoding', 'origin', 'referer', 'user-agent'];
+
+/**
+ * Splits a shell command into arguments, honouring quotes, escapes and line continuations
+ * @param {string} command - Shell command line
+ * @returns {Array<string>} - Arguments
+ * @throws {Error} - If a quote is not closed
+ */
+function tokenizeShell(command) {
+  const tokens = [];
+  let current = '';
+  let inToken = false;
+  let i = 0;
+
+  const text = command.replace(/\\\r?\n/g, ' ');
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      if (inToken) {
+        tokens.push(current);
+        current = '';
+        inToken = false;
+      }
+      i += 1;
+    } else if (char === "'") {
+      const end = text.indexOf("'", i + 1);
+      if (end === -1) {
+        throw new Error('Unterminated single quote in cURL command');
+      }
+      current += text.slice(i + 1, end);
+      inToken = true;
+      i = end + 1;
+    } else if (char === '$' && text[i + 1] === "'") {
+      // ANSI-C quoting, used by browsers when copying requests with special characters
+      let j = i + 2;
+      while (j < text.length && text[j] !== "'") {
+        if (text[j] === '\\' && j + 1 < text.length) {
+          const next = text[j + 1];
+          const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"' };
+          if (next === 'u' || next === 'x') {
+            const length = next === 'u' ? 4 : 2;
+            current += String.fromCharCode(parseInt(text.substr(j + 2, length), 16));
+            j += 2 + length;
+          } else {
+            current += escapes[next] !== undefined ? escapes[next] : next;
+            j += 2;
+          }
+        } else {
+          current += text[j];
+          j += 1;
+        }
+      }
+      if (j >= text.length) {
+        throw new Error('Unterminated quote in cURL command');
+      }
+      inToken = true;
+      i = j + 1;
+    } else if (char === '"') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== '"') {
+        if (text[j] === '\\' && ['"', '\\', '$', '`'].includes(text[j + 1])) {
+          current += text[j + 1];
+          j += 2;
+        } else {
+          current += text[j];
+          j += 1;
+        }
+      }
+      if (j >= text.length) {
+        throw new Error('Unterminated double quote in cURL command');
+      }
+      inToken = true;
+      i = j + 1;
+    } else if (char === '\\' && i + 1 < text.length) {
+      current += text[i + 1];
+      inToken = true;
+      i += 2;
+    } else {
+      current += char;
+      inToken = true;
+      i += 1;
+    }
+  }
+
+  if (inToken) {
+    tokens.push(current);
+  }
+
+  return tokens;
+}
+
+/**
+ * Finds a header value ignoring case
+ * @param {Object} headers - Headers object
+ * @param {string} name - Header name
+ * @returns {string|undefined} - Header value
+ */
+function findHeader(headers, name) {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Picks the body type for a request body from its Content-Type
+ * @param {string} contentType - Content-Type header value
+ * @returns {string} - One of the fetcher BODY_TYPES
+ */
+function bodyTypeFor(contentType) {
+  if (!contentType || /application\/x-www-form-urlencoded/i.test(contentType)) {
+    return 'form';
+  }
+
+  if (/json/i.test(contentType)) {
+    return 'json';
+  }
+
+  if (/multipart\/form-data/i.test(contentType)) {
+    return 'multipart';
+  }
+
+  return 'raw';
+}
+
+/**
+ * Splits the query string off a URL
+ * @param {string} url - Absolute URL, possibly with a query string
+ * @returns {{url: string, queryParams: Object}} - URL without query and its parameters
+ * @throws {Error} - If the URL is invalid
+ */
+function splitQuery(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+  const queryParams = {};
+
+  parsed.searchParams.forEach((value, key) => {
+    queryParams[key] = value;
+  });
+
+  parsed.search = '';
+  parsed.hash = '';
+  return { url: parsed.toString(), queryParams };
+}
+
+/**
+ * Parses a cURL command into the /api/test request shape
+ * @param {string} command - cURL command, e.g. copied from browser devtools
+ * @returns {Object} - Request with method, url, headers, queryParams and optional body and bodyType
+ * @throws {Error} - If the command is not a cURL command or has no URL
+ */
+function parseCurl(command) {
+  const tokens = tokenizeShell(command.trim());
+
+  if (tokens[0] !== 'curl') {
+    throw new Error('Expected a command starting with curl');
+  }
+
+  const headers = {};
+  const data = [];
+  const form = {};
+  let method = null;
+  let url = null;
+  let asQuery = false;
+  let isJson = false;
+
+  for (let i = 1; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    // Short options may carry their value directly, e.g. -XPOST or -HAccept:*/*
+    const attached = /^-[XHdubAeF]./.test(token) && !token.startsWith('--') ? token.slice(2) : null;
+    const option = attached !== null ? token.slice(0, 2) : token;
+    const next = () => (attached !== null ? attached : tokens[++i]);
+
+    if (option === '-X' || option === '--request') {
+      method = String(next()).toUpperCase();
+    } else if (option === '-H' || option === '--header') {
+      const header = String(next());
+      const separator = header.indexOf(':');
+      if (separator > 0) {
+        headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+      }
+    } else if (['-d', '--data', '--data-raw', '--data-binary', '--data-ascii'].includes(option)) {
+      data.push(String(next()));
+    } else if (option === '--data-urlencode') {
+      const value = String(next());
+      const separator = value.indexOf('=');
+      data.push(separator === -1
+        ? encodeURIComponent(value)
+        : `${value.slice(0, separator)}=${encodeURIComponent(value.slice(separator + 1))}`);
+    } else if (option === '--json') {
+      data.push(String(next()));
+      isJson = true;
+    } else if (option === '-F' || option === '--form') {
+      const value = String(next());
+      const separator = value.indexOf('=');
+      if (separator > 0) {
+        form[value.slice(0, separator)] = value.slice(separator + 1);
+      }
+    } else if (option === '-u' || option === '--user') {
+      headers.Authorization = `Basic ${Buffer.from(String(next())).toString('base64')}`;
+    } else if (option === '-b' || option === '--cookie') {
+      headers.Cookie = String(next());
+    } else if (option === '-A' || option === '--user-agent') {
+      headers['User-Agent'] = String(next());
+    } else if (option === '-e' || option === '--referer') {
+      headers.Referer = String(next());
+    } else if (option === '-G' || option === '--get') {
+      asQuery = true;
+    } else if (option === '--url') {
+      url = String(next());
+    } else if (IGNORED_VALUE_OPTIONS.includes(option)) {
+      i += 1;
+    } else if (!token.startsWith('-') && url === null) {
+      url = token;
+    }
+  }
+
+  if (!url) {
+    throw new Error('The cURL command has no URL');
+  }
+
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+    url = `http://${url}`;
+  }
+
+  if (isJson) {
+    if (findHeader(headers, 'Content-Type') === undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (findHeader(headers, 'Accept') === undefined) {
+      headers.Accept = 'application/json';
+    }
+  }
+
+  const request = { method: method || 'GET', ...splitQuery(url), headers };
+
+  if (asQuery) {
+    // -G sends the data as query parameters of a GET request
+    new URLSearchParams(data.join('&')).forEach((value, key) => {
+      request.queryParams[key] = value;
+    });
+    request.method = method || 'GET';
+  } else if (Object.keys(form).length > 0) {
+    request.method = method || 'POST';
+    request.body = form;
+    request.bodyType = 'multipart';
+  } else if (data.length > 0) {
+    request.method = method || 'POST';
+    request.body = data.join('&');
+    request.bodyType = bodyTypeFor(findHeader(headers, 'Content-Type'));
+  }
+
+  return request;
+}
+
+/**
+ * Parses a HAR file into requests in the /api/test shape
+ * @param {string|Object} input - HAR document as JSON text or parsed object
+ * @returns {Array<Object>} - One request per entry, with the recorded status and response mime type
+ * @throws {Error} - If the input is not a HAR document
+ */
+function parseHar(input) {
+  let har = input;
+
+  if (typeof input === 'string') {
+    try {
+      har = JSON.parse(input);
+    } catch {
+      throw new Error('Invalid HAR file: expected JSON');
+    }
+  }
+
+  if (!har || !har.log || !Array.isArray(har.log.entries)) {
+    throw new Error('Invalid HAR file: expected log.entries');
+  }
+
+  return har.log.entries
+    .filter(entry => entry.request && /^https?:/i.test(entry.request.url || ''))
+    .map(entry => {
+      const { method = 'GET', url, headers = [], postData } = entry.request;
+      const request = { method: method.toUpperCase(), ...splitQuery(url), headers: {} };
+
+      // Pseudo-headers (:authority) and headers owned by the browser cannot be replayed
+      headers
+        .filter(({ name }) => !name.startsWith(':') &&
+          !BROWSER_HEADERS.includes(name.toLowerCase()) &&
+          !name.toLowerCase().startsWith('sec-'))
+        .forEach(({ name, value }) => {
+          request.headers[name] = value;
+        });
+
+      if (postData && (postData.text || (postData.params && postData.params.length > 0))) {
+        request.bodyType = bodyTypeFor(postData.mimeType);
+        request.body = postData.text !== undefined && postData.text !== ''
+          ? postData.text
+          : Object.fromEntries(postData.params.map(({ name, value }) => [name, value || '']));
+      }
+
+      const response = entry.response || {};
+      request.status = response.status;
+      request.mimeType = (response.content && response.content.mimeType) || null;
+
+      return request;
+    });
+}
+
+/**
+ * Parses a pasted cURL command or HAR file, detecting which one it is
+ * @param {string|Object} input - cURL command or HAR document
+ * @returns {{source: string, requests: Array<Object>}} - Source ('curl' or 'har') and parsed requests
+ * @throws {Error} - If the input is neither
+ */
+function parseRequestImport(input) {
+  if (typeof input === 'string' && /^\s*curl\s/.test(input)) {
+    return { source: 'curl', requests: [parseCurl(input)] };
+  }
+
+  if (typeof input === 'object' || /^\s*\{/.test(input)) {
+    return { source: 'har', requests: parseHar(input) };
+  }
+
+  throw new Error('Paste a cURL command or a HAR file');
+}
+
+module.exports = {
+  tokenizeShell,
+  parseCurl,
+  parseHar,
+  parseRequestImport
+};
@@ -0,0 +1,197 @@
+/**
+ * Bounded response bodies: read a response stream up to a size limit, and stop reading large
+ * JSON responses once an array holds enough items to infer a schema from
+ */
+
+/**
+ * Default maximum response size in bytes
+ */
+const DEFAULT_MAX_RESPONSE_SIZE = 20 * 1024 * 1024;
+
+/**
+ * Responses smaller than this are always read whole, so metadata after the items is kept
+ */
+const DEFAULT_STREAM_THRESHOLD = 1024 * 1024;
+
+/**
+ * Structural bytes of JSON; UTF-8 continuation bytes never collide with them
+ */
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+const OPEN_OBJECT = 0x7b;
+const CLOSE_OBJECT = 0x7d;
+const OPEN_ARRAY = 0x5b;
+const CLOSE_ARRAY = 0x5d;
+
+/**
+ * Creates an incremental scanner of JSON structure
+ * The scanner remembers the last offset at which a container closed, and the containers still
+ * open there, so the text up to that offset can be completed into valid JSON.
+ * @param {Object} options - Scanner options
+ * @param {number} options.maxItems - Stop once an array holds this many objects (default: no limit)
+ * @param {number} options.fromByte - Only stop after this many bytes have been scanned (default: 0)
+ * @returns {Object} - Scanner with write(chunk) returning true once enough items were read,
+ * and isJson, cut and closers describing the prefix read so far
+ */
+function createJsonScanner(options = {}) {
+  const { maxItems, fromByte = 0 } = options;
+  const stack = [];
+  let offset = 0;
+  let inString = false;
+  let escaped = false;
+
+  const scanner = {
+    isJson: null,
+    cut: 0,
+    closers: '',
+
+    write(chunk) {
+      for (let i = 0; i < chunk.length; i++) {
+        const byte = chunk[i];
+
+        if (scanner.isJson === null) {
+          if (byte === 0x20 || byte === 0x0a || byte === 0x0d || byte === 0x09 || byte === 0xef || byte === 0xbb || byte === 0xbf) {
+            continue; // Whitespace and byte order mark
+          }
+          scanner.isJson = byte === OPEN_OBJECT || byte === OPEN_ARRAY;
+        }
+
+        if (!scanner.isJson) {
+          break;
+        }
+
+        if (inString) {
+          if (escaped) {
+            escaped = false;
+          } else if (byte === BACKSLASH) {
+            escaped = true;
+          } else if (byte === QUOTE) {
+            inString = false;
+          }
+          continue;
+        }
+
+        if (byte === QUOTE) {
+          inString = true;
+        } else if (byte === OPEN_OBJECT || byte === OPEN_ARRAY) {
+          stack.push({ closer: byte === OPEN_OBJECT ? '}' : ']', objects: 0 });
+        } else if ((byte === CLOSE_OBJECT || byte === CLOSE_ARRAY) && stack.length > 0) {
+          const closed = stack.pop();
+          const parent = stack[stack.length - 1];
+
+          scanner.cut = offset + i + 1;
+          scanner.closers = stack.map(container => container.closer).reverse().join('');
+
+          if (closed.closer === '}' && parent && parent.closer === ']') {
+            parent.objects++;
+            if (maxItems && parent.objects >= maxItems && offset + i >= fromByte) {
+              offset += i + 1;
+              return true;
+            }
+          }
+        }
+      }
+
+      offset += chunk.length;
+      return false;
+    }
+  };
+
+  return scanner;
+}
+
+/**
+ * Parses a complete body the way axios does: JSON when it parses, text otherwise
+ * @param {string} text - Response text
+ * @returns {*} - Parsed JSON or the text
+ */
+function parseBody(text) {
+  if (text.trim() === '') {
+    return text;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Reads a response stream without holding more than maxBytes of it
+ * A body cut short is parsed up to its last complete value, with the containers still open
+ * closed, so the items read so far can be sampled.
+ * @param {Object} stream - Readable response stream
+ * @param {Object} options - Read options
+ * @param {number} options.maxBytes - Maximum bytes to read (default: DEFAULT_MAX_RESPONSE_SIZE)
+ * @param {number} options.maxItems - Stop once an array holds this many objects (default: no limit)
+ * @param {number} options.streamThreshold - Bytes always read before stopping for maxItems (default: 1 MB)
+ * @returns {Promise<Object>} - { data, truncated, bytesRead }
+ */
+function readResponseBody(stream, options = {}) {
+  const { maxBytes = DEFAULT_MAX_RESPONSE_SIZE, maxItems, streamThreshold = DEFAULT_STREAM_THRESHOLD } = options;
+  const scanner = createJsonScanner({ maxItems, fromByte: streamThreshold });
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let bytesRead = 0;
+    let done = false;
+
+    const finish = (truncated) => {
+      done = true;
+      const buffer = Buffer.concat(chunks);
+
+      if (!truncated) {
+        return resolve({ data: parseBody(buffer.toString('utf8')), truncated, bytesRead });
+      }
+
+      if (scanner.isJson && scanner.cut > 0) {
+        try {
+          const data = JSON.parse(buffer.subarray(0, scanner.cut).toString('utf8') + scanner.closers);
+          return resolve({ data, truncated, bytesRead });
+        } catch {
+          // Fall back to the text read
+        }
+      }
+
+      return resolve({ data: buffer.subarray(0, maxBytes).toString('utf8'), truncated, bytesRead });
+    };
+
+    stream.on('data', chunk => {
+      if (done) {
+        return;
+      }
+
+      // Values beyond the limit are not scanned, so the body is always cut within it
+      const over = bytesRead + chunk.length > maxBytes;
+      const enough = scanner.write(over ? chunk.subarray(0, maxBytes - bytesRead) : chunk);
+      chunks.push(chunk);
+      bytesRead += chunk.length;
+
+      if (enough || over) {
+        finish(true);
+        stream.destroy();
+      }
+    });
+
+    stream.on('end', () => {
+      if (!done) {
+        finish(false);
+      }
+    });
+
+    stream.on('error', error => {
+      if (!done) {
+        done = true;
+        reject(error);
+      }
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_MAX_RESPONSE_SIZE,
+  DEFAULT_STREAM_THRESHOLD,
+  createJsonScanner,
+  readResponseBody
+};
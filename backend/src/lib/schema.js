@@ -1,11 +1,147 @@
 /**
  * Schema inference utilities for API responses
  */
+const { detectFormat } = require('./formats');
 
 /**
- * Finds the path to the first array in the response object
+ * Maximum object depth searched for candidate arrays
+ */
+const MAX_ARRAY_SEARCH_DEPTH = 6;
+
+/**
+ * Number of items inspected when scoring a candidate array
+ */
+const CANDIDATE_SAMPLE_SIZE = 20;
+
+/**
+ * Builds a JSONPath expression from property names
+ * @param {Array<string>} segments - Property names from the root
+ * @returns {string} - JSONPath such as $.data.items or $['odd-key']
+ */
+function toJsonPath(segments) {
+  return segments.reduce((path, segment) => (
+    /^[A-Za-z_$][\w$]*$/.test(segment)
+      ? `${path}.${segment}`
+      : `${path}['${segment.replace(/'/g, "\\'")}']`
+  ), '$');
+}
+
+/**
+ * Splits a JSONPath expression into property names
+ * @param {string} path - JSONPath such as $.data.items or $['odd-key']
+ * @returns {Array<string>} - Property names from the root
+ */
+function parseJsonPath(path) {
+  if (!path || path === '$') {
+    return [];
+  }
+
+  const segments = [];
+  const pattern = /\.([A-Za-z_$][\w$]*)|\['((?:[^'\\]|\\.)*)'\]|\[(\d+)\]/g;
+  const body = path.startsWith('$') ? path.slice(1) : `.${path}`;
+  let consumed = 0;
+  let match;
+
+  while ((match = pattern.exec(body)) !== null) {
+    if (match.index !== consumed) {
+      throw new Error(`Invalid JSONPath: ${path}`);
+    }
+    segments.push(match[1] ?? (match[2] !== undefined ? match[2].replace(/\\'/g, "'") : match[3]));
+    consumed = pattern.lastIndex;
+  }
+
+  if (consumed !== body.length) {
+    throw new Error(`Invalid JSONPath: ${path}`);
+  }
+
+  return segments;
+}
+
+/**
+ * Resolves a JSONPath expression against a value
+ * @param {*} data - Root value
+ * @param {string} path - JSONPath such as $.data.items
+ * @returns {*} - The value at the path, or undefined if missing
+ */
+function getValueAtPath(data, path) {
+  return parseJsonPath(path).reduce(
+    (value, segment) => (value !== null && typeof value === 'object' ? value[segment] : undefined),
+    data
+  );
+}
+
+/**
+ * Scores how consistent the items of an array are
+ * @param {Array} array - Candidate array
+ * @returns {number} - 0..1, share of object items times key overlap between them
+ */
+function scoreHomogeneity(array) {
+  const items = array.slice(0, CANDIDATE_SAMPLE_SIZE);
+  const objects = items.filter(item => typeof item === 'object' && item !== null && !Array.isArray(item));
+
+  if (objects.length === 0) {
+    return 0;
+  }
+
+  const keySets = objects.map(item => new Set(Object.keys(item)));
+  const union = new Set(keySets.flatMap(keys => [...keys]));
+  const shared = [...union].filter(key => keySets.every(keys => keys.has(key)));
+  const keyOverlap = union.size === 0 ? 0 : shared.length / union.size;
+
+  return (objects.length / items.length) * keyOverlap;
+}
+
+/**
+ * Finds every non-empty array of objects in a response and scores it as the item collection
  * @param {*} obj - The response object
- * @returns {string|null} - The property name containing an array, or null if top-level array or not found
+ * @returns {Array<{samplePath: string, depth: number, length: number, homogeneity: number, score: number}>}
+ *   Candidates, best first
+ */
+function findArrayCandidates(obj) {
+  const candidates = [];
+
+  const visit = (value, segments) => {
+    if (Array.isArray(value)) {
+      const hasObjects = value.some(item => typeof item === 'object' && item !== null && !Array.isArray(item));
+      if (hasObjects) {
+        const homogeneity = scoreHomogeneity(value);
+        const depth = segments.length;
+        // Larger, more uniform and shallower arrays win; size saturates at ~1000 items
+        const sizeScore = Math.min(Math.log10(value.length + 1) / 3, 1);
+        const depthScore = 1 / (1 + Math.max(depth - 1, 0) * 0.25);
+        const score = homogeneity * 0.5 + sizeScore * 0.3 + depthScore * 0.2;
+
+        candidates.push({
+          samplePath: toJsonPath(segments),
+          depth,
+          length: value.length,
+          homogeneity: Math.round(homogeneity * 100) / 100,
+          score: Math.round(score * 1000) / 1000
+        });
+      }
+      return;
+    }
+
+    if (typeof value !== 'object' || value === null || segments.length >= MAX_ARRAY_SEARCH_DEPTH) {
+      return;
+    }
+
+    for (const key in value) {
+      visit(value[key], [...segments, key]);
+    }
+  };
+
+  visit(obj, []);
+
+  // Stable sort keeps document order for equal scores
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Finds the path to the best array of objects in the response object
+ * @param {*} obj - The response object
+ * @returns {string|null} - Dotted property path to the array (e.g. "data.items"),
+ *   or null if top-level array or not found
  */
 function findArrayPath(obj) {
   // If the input itself is an array, return null (top-level array)
@@ -18,14 +154,8 @@ function findArrayPath(obj) {
     return null;
   }
 
-  // Find the first property that contains an array
-  for (const key in obj) {
-    if (Array.isArray(obj[key]) && obj[key].length > 0) {
-      return key;
-    }
-  }
-
-  return null;
+  const [best] = findArrayCandidates(obj);
+  return best ? parseJsonPath(best.samplePath).join('.') : null;
 }
 
 /**
@@ -52,37 +182,245 @@ function inferType(value) {
 }
 
 /**
- * Infers fields and their types from a sample object
- * @param {Object} sampleObj - A sample object to analyze
- * @returns {Array<{name: string, type: string, sample: *}>} - Array of field definitions
+ * Maximum nesting depth flattened into dotted field names
  */
-function inferFields(sampleObj) {
-  if (typeof sampleObj !== 'object' || sampleObj === null) {
-    return [];
+const MAX_FLATTEN_DEPTH = 4;
+
+/**
+ * Maximum number of child collection items inspected per field
+ */
+const CHILD_SAMPLE_SIZE = 20;
+
+/**
+ * Sampling strategies for picking the items to infer from
+ */
+const SAMPLING_STRATEGIES = ['first', 'random', 'all'];
+
+/**
+ * Default sampling: the first 50 items
+ */
+const DEFAULT_SAMPLING = { strategy: 'first', size: 50, maxBytes: 1024 * 1024 };
+
+/**
+ * Upper bound on items sampled by the first and random strategies
+ */
+const MAX_SAMPLE_SIZE = 1000;
+
+/**
+ * Upper bound on the JSON size budget of the all strategy
+ */
+const MAX_SAMPLE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Rounds a ratio to two decimals
+ * @param {number} value - Ratio between 0 and 1
+ * @returns {number} - Rounded ratio
+ */
+function roundRatio(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Picks the items to infer the schema from
+ * @param {Array} array - The item collection
+ * @param {Object} sampling - Sampling options
+ * @param {string} sampling.strategy - first, random or all (default: first)
+ * @param {number} sampling.size - Items to take for first and random (default: 50)
+ * @param {number} sampling.maxBytes - JSON size budget for all (default: 1 MB, at most 10 MB)
+ * @returns {Array} - Sampled items, in their original order
+ */
+function selectSamples(array, sampling = {}) {
+  const { strategy, size, maxBytes } = { ...DEFAULT_SAMPLING, ...sampling };
+  const count = Math.min(Math.max(Math.floor(size), 1), MAX_SAMPLE_SIZE, array.length);
+
+  if (strategy === 'random') {
+    // Partial Fisher-Yates over indices, then restore document order
+    const indices = array.map((_, index) => index);
+    for (let i = 0; i < count; i++) {
+      const j = i + Math.floor(Math.random() * (indices.length - i));
+      [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, count).sort((a, b) => a - b).map(index => array[index]);
   }
 
-  const fields = [];
+  if (strategy === 'all') {
+    // Every item until the serialized size budget runs out, but always at least one
+    const samples = [];
+    let bytes = 0;
+    for (const item of array) {
+      bytes += Buffer.byteLength(JSON.stringify(item) ?? '');
+      if (samples.length > 0 && bytes > Math.min(maxBytes, MAX_SAMPLE_BYTES)) {
+        break;
+      }
+      samples.push(item);
+    }
+    return samples;
+  }
+
+  return array.slice(0, count);
+}
 
-  for (const key in sampleObj) {
-    const value = sampleObj[key];
-    const type = inferType(value);
+/**
+ * Number of items selectSamples may pick from an array, so larger responses can be read partially
+ * @param {Object} sampling - Sampling options
+ * @returns {number|null} - Items needed, or null if every item may be sampled
+ */
+function sampleItemLimit(sampling = {}) {
+  const { strategy, size } = { ...DEFAULT_SAMPLING, ...sampling };
 
-    fields.push({
-      name: key,
-      type: type,
+  if (strategy === 'all') {
+    return null;
+  }
+
+  // Random samples are drawn from as many items as the first strategy could ever take
+  return strategy === 'random' ? MAX_SAMPLE_SIZE : Math.min(Math.max(Math.floor(size), 1), MAX_SAMPLE_SIZE);
+}
+
+/**
+ * Most distinct values a string field may have to be reported as an enum
+ */
+const ENUM_MAX_DISTINCT = 10;
+
+/**
+ * Number of most frequent values reported per field
+ */
+const TOP_VALUES_LIMIT = 5;
+
+/**
+ * Computes value statistics for a field from its observed values
+ * @param {Array<*>} values - Values observed for the field, nulls included
+ * @returns {Object|null} - { distinctCount, topValues, min, max, avg } for numbers,
+ *   { distinctCount, topValues, minLength, maxLength } for strings, or null if not scalar
+ */
+function computeFieldStats(values) {
+  const scalars = values.filter(value =>
+    typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean'
+  );
+
+  if (scalars.length === 0) {
+    return null;
+  }
+
+  const counts = new Map();
+  scalars.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+  const stats = {
+    distinctCount: counts.size,
+    topValues: Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_VALUES_LIMIT)
+      .map(([value, count]) => ({ value, count }))
+  };
+
+  // Bounds are folded in one pass; spreading a large 'all' sample into Math.min overflows the stack
+  const numbers = scalars.filter(value => typeof value === 'number');
+  if (numbers.length > 0) {
+    stats.min = numbers.reduce((min, n) => (n < min ? n : min), Infinity);
+    stats.max = numbers.reduce((max, n) => (n > max ? n : max), -Infinity);
+    stats.avg = Math.round((numbers.reduce((sum, n) => sum + n, 0) / numbers.length) * 10000) / 10000;
+  }
+
+  const lengths = scalars.filter(value => typeof value === 'string').map(value => value.length);
+  if (lengths.length > 0) {
+    stats.minLength = lengths.reduce((min, n) => (n < min ? n : min), Infinity);
+    stats.maxLength = lengths.reduce((max, n) => (n > max ? n : max), -Infinity);
+  }
+
+  return stats;
+}
+
+/**
+ * Decides whether a string field holds a small set of repeated values
+ * @param {Array<string>} types - Types observed for the field
+ * @param {Object} stats - Stats from computeFieldStats
+ * @param {number} nonNullCount - Number of non-null values observed
+ * @returns {boolean} - True if the field looks like an enum
+ */
+function isEnumField(types, stats, nonNullCount) {
+  const baseTypes = types.filter(type => type !== 'null');
+
+  return baseTypes.length === 1 &&
+    baseTypes[0] === 'string' &&
+    stats.distinctCount <= ENUM_MAX_DISTINCT &&
+    // Every value should repeat on average, otherwise it is free text
+    nonNullCount >= stats.distinctCount * 2;
+}
+
+/**
+ * Checks whether a value is a plain (non-array) object
+ * @param {*} value - The value to check
+ * @returns {boolean} - True for objects that are not arrays or null
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Collects fields from an object, optionally descending into nested objects
+ * @param {Object} obj - Object to analyze
+ * @param {Array<string>} prefix - Property names leading to obj
+ * @param {Object} options - Inference options
+ * @param {Array<Object>} fields - Accumulated field definitions
+ */
+function collectFields(obj, prefix, options, fields) {
+  for (const key in obj) {
+    const value = obj[key];
+    const path = [...prefix, key];
+
+    const canFlatten = options.flatten &&
+      isPlainObject(value) &&
+      Object.keys(value).length > 0 &&
+      path.length < MAX_FLATTEN_DEPTH;
+
+    if (canFlatten) {
+      collectFields(value, path, options, fields);
+      continue;
+    }
+
+    const field = {
+      name: path.join('.'),
+      type: inferType(value),
       sample: value
-    });
+    };
+
+    // Flattened fields keep their property path for selectors
+    if (path.length > 1) {
+      field.path = path;
+    }
+
+    fields.push(field);
   }
+}
 
+/**
+ * Infers fields and their types from a sample object
+ * @param {Object} sampleObj - A sample object to analyze
+ * @param {Object} options - Inference options
+ * @param {boolean} options.flatten - Flatten nested objects into dotted field names (default: false)
+ * @returns {Array<{name: string, type: string, sample: *, path?: Array<string>}>} - Array of field definitions
+ */
+function inferFields(sampleObj, options = {}) {
+  if (typeof sampleObj !== 'object' || sampleObj === null) {
+    return [];
+  }
+
+  const fields = [];
+  collectFields(sampleObj, [], options, fields);
   return fields;
 }
 
 /**
  * Merges multiple field type inferences, handling inconsistent types
  * @param {Array<Object>} samples - Array of sample objects
- * @returns {Array<{name: string, type: string, sample: *}>} - Merged field definitions
+ * @param {Object} options - Inference options passed to inferFields
+ * @returns {Array<{name: string, type: string, sample: *, observedCount: number, presenceRatio: number,
+ *   nullRatio: number, format?: string, itemFields?: Array<Object>}>} - Merged field definitions.
+ *   observedCount counts the samples containing the field, presenceRatio is that share of all samples
+ *   and nullRatio the share of observed values that are null. Strings with a recognized format carry
+ *   format and formatConfidence, scalars carry stats (see computeFieldStats), small repeated string sets
+ *   are flagged isEnum with their enumValues, and arrays of objects carry their items' fields as itemFields
  */
-function mergeFieldTypes(samples) {
+function mergeFieldTypes(samples, options = {}) {
   if (!samples || samples.length === 0) {
     return [];
   }
@@ -91,20 +429,57 @@ function mergeFieldTypes(samples) {
   const fieldMap = new Map();
 
   samples.forEach(sample => {
-    const fields = inferFields(sample);
+    const fields = inferFields(sample, options);
     fields.forEach(field => {
       if (!fieldMap.has(field.name)) {
         fieldMap.set(field.name, {
           name: field.name,
+          path: field.path,
           types: new Set([field.type]),
-          sample: field.sample
+          sample: field.sample,
+          values: [],
+          childItems: [],
+          observedCount: 0,
+          nullCount: 0
         });
       } else {
         fieldMap.get(field.name).types.add(field.type);
       }
+
+      const fieldInfo = fieldMap.get(field.name);
+      fieldInfo.values.push(field.sample);
+      fieldInfo.observedCount++;
+
+      // Prefer a non-null sample value when one shows up later
+      if (field.sample === null) {
+        fieldInfo.nullCount++;
+      } else if (fieldInfo.sample === null) {
+        fieldInfo.sample = field.sample;
+      }
+
+      // Gather objects of nested arrays as a child collection
+      if (Array.isArray(field.sample)) {
+        const room = CHILD_SAMPLE_SIZE - fieldInfo.childItems.length;
+        fieldInfo.childItems.push(...field.sample.filter(isPlainObject).slice(0, Math.max(room, 0)));
+      }
     });
   });
 
+  // A null parent of flattened fields makes those fields nullable rather than a field of its own
+  if (options.flatten) {
+    for (const [name, fieldInfo] of fieldMap) {
+      const children = Array.from(fieldMap.values()).filter(other => other.name.startsWith(`${name}.`));
+      if (children.length > 0 && fieldInfo.types.size === 1 && fieldInfo.types.has('null')) {
+        children.forEach(child => {
+          child.types.add('null');
+          child.observedCount += fieldInfo.observedCount;
+          child.nullCount += fieldInfo.nullCount;
+        });
+        fieldMap.delete(name);
+      }
+    }
+  }
+
   // Convert to final format
   return Array.from(fieldMap.values()).map(fieldInfo => {
     const types = Array.from(fieldInfo.types);
@@ -112,14 +487,351 @@ function mergeFieldTypes(samples) {
     // If multiple types, create union type
     const type = types.length === 1 ? types[0] : types.sort().join('|');
 
-    return {
+    const field = {
       name: fieldInfo.name,
       type: type,
-      sample: fieldInfo.sample
+      sample: fieldInfo.sample,
+      observedCount: fieldInfo.observedCount,
+      presenceRatio: roundRatio(fieldInfo.observedCount / samples.length),
+      nullRatio: roundRatio(fieldInfo.nullCount / fieldInfo.observedCount)
     };
+
+    if (fieldInfo.path) {
+      field.path = fieldInfo.path;
+    }
+
+    // Semantic format of string (or timestamp-like integer) values
+    if (fieldInfo.types.has('string') || fieldInfo.types.has('integer')) {
+      const detected = detectFormat(fieldInfo.values, fieldInfo.name);
+      if (detected) {
+        field.format = detected.format;
+        field.formatConfidence = detected.confidence;
+      }
+    }
+
+    const stats = computeFieldStats(fieldInfo.values);
+    if (stats) {
+      field.stats = stats;
+      const nonNullCount = fieldInfo.observedCount - fieldInfo.nullCount;
+      if (!field.format && isEnumField(types, stats, nonNullCount)) {
+        field.isEnum = true;
+        field.enumValues = Array.from(new Set(fieldInfo.values.filter(value => typeof value === 'string')));
+      }
+    }
+
+    if (fieldInfo.childItems.length > 0) {
+      field.itemFields = mergeFieldTypes(fieldInfo.childItems, options);
+    }
+
+    return field;
   });
 }
 
+/**
+ * Field names that reference another entity, e.g. customer_id, customerId or customer.id
+ */
+const REFERENCE_PATTERN = /^(.+?)(?:_id|Id|\.id)$/;
+
+/**
+ * Guesses the singular entity name of a collection from its sample path
+ * @param {string} samplePath - JSONPath of the collection, e.g. $.orders
+ * @returns {string|null} - Singular name, e.g. order
+ */
+function entityNameFromPath(samplePath) {
+  const segments = parseJsonPath(samplePath || '$');
+  const last = segments[segments.length - 1];
+
+  if (!last) {
+    return null;
+  }
+
+  if (/ies$/.test(last)) {
+    return last.replace(/ies$/, 'y');
+  }
+
+  return last.replace(/s$/, '');
+}
+
+/**
+ * Detects primary key and foreign key candidates among inferred fields
+ * @param {Array<Object>} fields - Fields from mergeFieldTypes
+ * @param {string} samplePath - JSONPath of the collection the fields belong to
+ * @returns {{primaryKey: string|null, primaryKeyCandidates: Array<string>,
+ *   foreignKeys: Array<{field: string, references: string}>}} - Key candidates, best primary key first
+ */
+function detectKeys(fields, samplePath = '$') {
+  const entity = entityNameFromPath(samplePath);
+
+  const scored = fields
+    .filter(field => {
+      const baseTypes = field.type.split('|');
+      // Identifiers are strings or integers, present and non-null in every sample, never repeated
+      return baseTypes.length === 1 &&
+        (baseTypes[0] === 'string' || baseTypes[0] === 'integer') &&
+        field.presenceRatio === 1 &&
+        field.nullRatio === 0 &&
+        field.stats &&
+        field.stats.distinctCount === field.observedCount;
+    })
+    .map(field => {
+      const reference = field.name.match(REFERENCE_PATTERN);
+      let score = 0;
+
+      if (field.name.toLowerCase() === 'id' || field.name === '_id') {
+        score = 4;
+      } else if (reference && entity && reference[1].toLowerCase() === entity.toLowerCase()) {
+        score = 3;
+      } else if (field.format === 'uuid') {
+        score = 2;
+      } else if (reference && !field.name.includes('.')) {
+        score = 1;
+      }
+
+      return { name: field.name, score };
+    })
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const primaryKey = scored.length > 0 ? scored[0].name : null;
+
+  const foreignKeys = fields
+    .filter(field => field.name !== primaryKey)
+    .map(field => ({ field: field.name, match: field.name.match(REFERENCE_PATTERN) }))
+    .filter(({ match }) => match && (!entity || match[1].toLowerCase() !== entity.toLowerCase()))
+    .map(({ field, match }) => ({ field, references: match[1] }));
+
+  return {
+    primaryKey,
+    primaryKeyCandidates: scored.map(candidate => candidate.name),
+    foreignKeys
+  };
+}
+
+/**
+ * Response body keys holding the cursor for the next page, mapped to the
+ * request parameter the cursor is conventionally sent back in
+ */
+const CURSOR_KEYS = {
+  next_cursor: 'cursor',
+  nextCursor: 'cursor',
+  next_page_token: 'page_token',
+  nextPageToken: 'pageToken',
+  continuation_token: 'continuation_token',
+  continuationToken: 'continuationToken'
+};
+
+/**
+ * Query parameters that carry a cursor in a next-page URL
+ */
+const CURSOR_PARAMS = ['cursor', 'after', 'starting_after', 'page_token', 'pageToken', 'next', 'continuation_token'];
+
+/**
+ * Parses an RFC 5988 Link header into a map of rel to URL
+ * @param {string} value - Link header value
+ * @returns {Object} - Map of rel names to URLs, e.g. { next: 'https://...' }
+ */
+function parseLinkHeader(value) {
+  const links = {};
+
+  if (typeof value !== 'string') {
+    return links;
+  }
+
+  value.split(/,(?=\s*<)/).forEach(part => {
+    const match = part.match(/<([^>]*)>(.*)/);
+    if (!match) {
+      return;
+    }
+
+    const relMatch = match[2].match(/rel="?([^";]+)"?/i);
+    if (relMatch) {
+      relMatch[1].trim().split(/\s+/).forEach(rel => {
+        links[rel.toLowerCase()] = match[1];
+      });
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Gets a header value, ignoring case
+ * @param {Object} headers - HTTP headers
+ * @param {string} name - Header name
+ * @returns {string|undefined} - Header value
+ */
+function getHeader(headers, name) {
+  if (!headers || typeof headers !== 'object') {
+    return undefined;
+  }
+
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Detects pagination from a Link header with rel="next"
+ * @param {Object} headers - HTTP headers
+ * @returns {Object|null} - Link pagination descriptor or null
+ */
+function detectLinkPagination(headers) {
+  const links = parseLinkHeader(getHeader(headers, 'link'));
+
+  if (!links.next) {
+    return null;
+  }
+
+  const pagination = {
+    type: 'link',
+    rel: 'next',
+    nextUrl: links.next,
+    terminal: { header: 'link', condition: 'no-next-link' }
+  };
+
+  // Report which parameter the next URL advances, when it can be read
+  try {
+    const params = new URL(links.next, 'http://placeholder').searchParams;
+    if (params.has('page')) {
+      pagination.pageParam = 'page';
+    }
+    const cursorParam = CURSOR_PARAMS.find(param => params.has(param));
+    if (cursorParam) {
+      pagination.cursorParam = cursorParam;
+    }
+    const limitParam = ['per_page', 'limit', 'page_size', 'pageSize'].find(param => params.has(param));
+    if (limitParam) {
+      pagination.limitParam = limitParam;
+    }
+  } catch {
+    // Leave the parameters undetected for malformed URLs
+  }
+
+  return pagination;
+}
+
+/**
+ * Detects cursor or token pagination from next-cursor keys in the body
+ * @param {Object} obj - The response object
+ * @returns {Object|null} - Cursor pagination descriptor or null
+ */
+function detectCursorPagination(obj) {
+  // Cursor keys may live at the top level or one level down (meta, response_metadata...)
+  const candidates = [{ prefix: '', value: obj }];
+  for (const key in obj) {
+    const value = obj[key];
+    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+      candidates.push({ prefix: `${key}.`, value });
+    }
+  }
+
+  for (const { prefix, value } of candidates) {
+    for (const cursorKey in CURSOR_KEYS) {
+      if (cursorKey in value) {
+        const cursorPath = `${prefix}${cursorKey}`;
+        return {
+          type: /token/i.test(cursorKey) ? 'token' : 'cursor',
+          cursorSource: 'body',
+          cursorPath,
+          cursorParam: CURSOR_KEYS[cursorKey],
+          limitParam: 'limit',
+          terminal: { path: cursorPath, condition: 'empty' }
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Detects has_more + starting_after pagination, where the cursor is the id of the last item
+ * @param {Object} obj - The response object
+ * @returns {Object|null} - Cursor pagination descriptor or null
+ */
+function detectHasMorePagination(obj) {
+  const hasMoreKey = ['has_more', 'hasMore'].find(key => typeof obj[key] === 'boolean');
+
+  if (!hasMoreKey) {
+    return null;
+  }
+
+  const itemsKey = Object.keys(obj).find(key =>
+    Array.isArray(obj[key]) &&
+    obj[key].some(item => typeof item === 'object' && item !== null && 'id' in item)
+  );
+
+  if (!itemsKey) {
+    return null;
+  }
+
+  return {
+    type: 'cursor',
+    cursorSource: 'lastItem',
+    cursorPath: `${itemsKey}[-1].id`,
+    cursorParam: hasMoreKey === 'has_more' ? 'starting_after' : 'startingAfter',
+    limitParam: 'limit',
+    terminal: { path: hasMoreKey, condition: 'false' }
+  };
+}
+
+/**
+ * Finds a Relay connection: an object with an edges array of { cursor, node } items and a pageInfo object
+ * @param {Object} obj - The response object
+ * @returns {Array<string>|null} - Property names leading to the first connection, or null if none
+ */
+function findRelayConnection(obj) {
+  // Breadth first, so the outermost connection wins over connections nested in its nodes
+  const queue = [{ value: obj, segments: [] }];
+
+  while (queue.length > 0) {
+    const { value, segments } = queue.shift();
+
+    const edges = value.edges;
+    const pageInfo = value.pageInfo;
+    if (Array.isArray(edges) && edges.every(edge => isPlainObject(edge) && 'node' in edge) &&
+      isPlainObject(pageInfo) && ('hasNextPage' in pageInfo || 'endCursor' in pageInfo)) {
+      return segments;
+    }
+
+    if (segments.length < MAX_ARRAY_SEARCH_DEPTH) {
+      for (const key in value) {
+        if (isPlainObject(value[key])) {
+          queue.push({ value: value[key], segments: [...segments, key] });
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Detects Relay cursor connections (edges/node with pageInfo), the GraphQL pagination convention
+ * The cursor and page size are arguments of the connection field, so they are sent as variables.
+ * @param {Object} obj - The response object
+ * @returns {Object|null} - Cursor pagination descriptor or null
+ */
+function detectRelayPagination(obj) {
+  const segments = findRelayConnection(obj);
+
+  if (!segments) {
+    return null;
+  }
+
+  const pageInfoPath = [...segments, 'pageInfo'].join('.');
+
+  return {
+    type: 'cursor',
+    style: 'relay',
+    cursorSource: 'body',
+    cursorPath: `${pageInfoPath}.endCursor`,
+    cursorParam: 'after',
+    limitParam: 'first',
+    paramLocation: 'variables',
+    terminal: { path: `${pageInfoPath}.hasNextPage`, condition: 'false' }
+  };
+}
+
 /**
  * Detects pagination metadata in the response
  * @param {Object} obj - The response object
@@ -127,14 +839,17 @@ function mergeFieldTypes(samples) {
  * @returns {Object|null} - Pagination information or null if not detected
  */
 function detectPagination(obj, headers = {}) {
-  if (typeof obj !== 'object' || obj === null) {
-    return null;
+  // Bodies that are not wrapper objects can only paginate through headers
+  if (typeof obj !== 'object' || obj === null || Array.isArray(obj)) {
+    return detectLinkPagination(headers);
   }
 
-  // Common pagination field names
-  const paginationKeys = ['meta', 'pagination', 'paging', 'page_info'];
+  const relay = detectRelayPagination(obj);
+  if (relay) {
+    return relay;
+  }
 
-  // Look for pagination metadata
+  // Look for page or offset metadata
   for (const key in obj) {
     const value = obj[key];
 
@@ -180,16 +895,22 @@ function detectPagination(obj, headers = {}) {
     }
   }
 
-  return null;
+  return detectCursorPagination(obj) ||
+    detectHasMorePagination(obj) ||
+    detectLinkPagination(headers);
 }
 
 /**
  * Main schema inference function
  * @param {*} data - The API response data
  * @param {Object} headers - Optional HTTP headers
+ * @param {Object} options - Optional inference options
+ * @param {string} options.samplePath - JSONPath of the collection to use instead of the best candidate
+ * @param {boolean} options.flatten - Flatten nested objects into dotted field names
+ * @param {Object} options.sampling - Which items to infer from, see selectSamples
  * @returns {Object|null} - Inferred schema information
  */
-function inferSchema(data, headers = {}) {
+function inferSchema(data, headers = {}, options = {}) {
   // Handle null or undefined
   if (data == null) {
     return null;
@@ -201,47 +922,89 @@ function inferSchema(data, headers = {}) {
   }
 
   let samplePath = '$';
-  let samples = [];
-
-  // Determine if data is top-level array or wrapped
-  if (Array.isArray(data)) {
+  let array;
+  let alternatives = [];
+
+  if (options.samplePath) {
+    // Caller chose the collection explicitly
+    samplePath = options.samplePath;
+    array = getValueAtPath(data, samplePath);
+    if (!Array.isArray(array) || array.length === 0) {
+      return null;
+    }
+    if (!Array.isArray(data)) {
+      alternatives = findArrayCandidates(data).filter(c => c.samplePath !== samplePath);
+    }
+  } else if (Array.isArray(data)) {
     // Top-level array
-    samplePath = '$';
-    samples = data.slice(0, Math.min(5, data.length)); // Sample first 5 items
+    array = data;
   } else if (typeof data === 'object') {
-    // Find array in wrapped response
-    const arrayKey = findArrayPath(data);
-
-    if (arrayKey) {
-      samplePath = `$.${arrayKey}`;
-      const array = data[arrayKey];
-      samples = array.slice(0, Math.min(5, array.length));
-    } else {
+    // Find the best array in the wrapped response
+    const [best, ...rest] = findArrayCandidates(data);
+
+    if (!best) {
       // No array found, treat the object itself as the sample
       return null;
     }
+
+    samplePath = best.samplePath;
+    array = getValueAtPath(data, samplePath);
+    alternatives = rest;
   } else {
     return null;
   }
 
+  const samples = selectSamples(array, options.sampling);
+
+  // Relay edges wrap every item in a node next to its cursor; the fields describe the nodes
+  const edges = samples.every(item => isPlainObject(item) && isPlainObject(item.node));
+
   // Infer fields from samples
-  const fields = mergeFieldTypes(samples);
+  const fields = mergeFieldTypes(edges ? samples.map(edge => edge.node) : samples, { flatten: !!options.flatten });
+  if (edges) {
+    fields.forEach(field => {
+      field.path = ['node', ...(field.path || [field.name])];
+    });
+  }
 
-  // Detect pagination
-  const pagination = Array.isArray(data) ? null : detectPagination(data, headers);
+  // Detect pagination (top-level arrays can still be paginated through Link headers)
+  const pagination = detectPagination(data, headers);
 
   return {
     samplePath,
     fields,
-    pagination
+    keys: detectKeys(fields, samplePath),
+    pagination,
+    alternatives,
+    sampling: {
+      strategy: (options.sampling && options.sampling.strategy) || DEFAULT_SAMPLING.strategy,
+      sampledCount: samples.length,
+      totalCount: array.length
+    }
   };
 }
 
 module.exports = {
   findArrayPath,
+  findArrayCandidates,
+  parseJsonPath,
+  getValueAtPath,
+  toJsonPath,
   inferFields,
   inferType,
+  isPlainObject,
+  computeFieldStats,
+  SAMPLING_STRATEGIES,
+  MAX_SAMPLE_BYTES,
+  selectSamples,
+  sampleItemLimit,
   mergeFieldTypes,
+  detectKeys,
+  entityNameFromPath,
+  CURSOR_KEYS,
+  CURSOR_PARAMS,
   detectPagination,
+  detectRelayPagination,
+  parseLinkHeader,
   inferSchema
 };
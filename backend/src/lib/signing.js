@@ -0,0 +1,396 @@
+/**
+ * Request signers: generic HMAC and AWS Signature Version 4
+ */
+const crypto = require('crypto');
+
+/**
+ * Supported signer types
+ */
+const SIGNING_TYPES = ['hmac', 'aws-sigv4'];
+
+/**
+ * Digest algorithms of the HMAC signer
+ */
+const HMAC_ALGORITHMS = ['sha1', 'sha256', 'sha512'];
+
+/**
+ * Signature encodings of the HMAC signer
+ */
+const SIGNATURE_ENCODINGS = ['hex', 'base64'];
+
+/**
+ * Timestamp formats of the HMAC signer: seconds, milliseconds or ISO 8601
+ */
+const TIMESTAMP_FORMATS = ['unix', 'unix-ms', 'iso'];
+
+/**
+ * Default HMAC settings; the canonical string is a template of {{variables}}
+ */
+const HMAC_DEFAULTS = {
+  algorithm: 'sha256',
+  encoding: 'hex',
+  timestampFormat: 'unix',
+  canonical: '{{method}}\n{{path}}\n{{query}}\n{{timestamp}}\n{{bodyHash}}',
+  signatureHeader: 'X-Signature',
+  signaturePrefix: '',
+  timestampHeader: 'X-Timestamp',
+  keyIdHeader: 'X-Key-Id',
+  nonceHeader: null
+};
+
+/**
+ * Variables available in HMAC canonical string templates
+ */
+const CANONICAL_VARIABLES = ['method', 'path', 'query', 'host', 'url', 'timestamp', 'nonce', 'keyId', 'body', 'bodyHash'];
+
+/**
+ * Variable references in canonical string templates, e.g. {{timestamp}}
+ */
+const TEMPLATE_VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Placeholder replacing secret values
+ */
+const MASK = '<masked>';
+
+/**
+ * Checks an optional signer configuration
+ * @param {*} signing - Signer configuration with a type and its type-specific fields
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateSigning(signing) {
+  if (signing === undefined || signing === null) {
+    return null;
+  }
+
+  if (typeof signing !== 'object' || Array.isArray(signing)) {
+    return 'signing must be an object with a type';
+  }
+
+  if (!SIGNING_TYPES.includes(signing.type)) {
+    return `Unsupported signing type: ${signing.type}. Use one of ${SIGNING_TYPES.join(', ')}`;
+  }
+
+  if (signing.type === 'aws-sigv4') {
+    const missing = ['region', 'service', 'accessKeyId', 'secretAccessKey'].find(key => !signing[key]);
+    return missing ? `signing.${missing} is required for AWS SigV4` : null;
+  }
+
+  if (!signing.secret) {
+    return 'signing.secret is required for HMAC signing';
+  }
+
+  const choices = { algorithm: HMAC_ALGORITHMS, encoding: SIGNATURE_ENCODINGS, timestampFormat: TIMESTAMP_FORMATS };
+  for (const [key, allowed] of Object.entries(choices)) {
+    if (signing[key] !== undefined && !allowed.includes(signing[key])) {
+      return `Unsupported signing.${key}: ${signing[key]}. Use one of ${allowed.join(', ')}`;
+    }
+  }
+
+  if (signing.canonical !== undefined) {
+    if (typeof signing.canonical !== 'string' || !signing.canonical) {
+      return 'signing.canonical must be a non-empty template string';
+    }
+    const unknown = [...signing.canonical.matchAll(TEMPLATE_VARIABLE)]
+      .map(match => match[1])
+      .find(name => !CANONICAL_VARIABLES.includes(name));
+    if (unknown) {
+      return `Unknown variable {{${unknown}}} in signing.canonical. Use ${CANONICAL_VARIABLES.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Masks the secrets of a signer configuration for storage
+ * @param {Object} signing - Signer configuration
+ * @returns {Object|null} - Configuration with secrets replaced by <masked>, or null without signing
+ */
+function maskSigning(signing) {
+  if (!signing) {
+    return null;
+  }
+
+  if (signing.type === 'aws-sigv4') {
+    const masked = {
+      type: 'aws-sigv4',
+      region: signing.region,
+      service: signing.service,
+      accessKeyId: signing.accessKeyId,
+      secretAccessKey: MASK
+    };
+    if (signing.sessionToken) {
+      masked.sessionToken = MASK;
+    }
+    return masked;
+  }
+
+  return { ...HMAC_DEFAULTS, ...signing, secret: MASK };
+}
+
+/**
+ * Percent-encodes a string as required by RFC 3986 (and AWS): only unreserved characters are kept
+ * @param {string} value - String to encode
+ * @returns {string} - Encoded string
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Decodes percent-escapes, leaving invalid ones such as the % of ?q=100% as written
+ * @param {string} value - Encoded string
+ * @returns {string} - Decoded string
+ */
+function safeDecode(value) {
+  // Runs of escapes are decoded together so multi-byte UTF-8 characters stay whole
+  return value.replace(/(%[0-9A-Fa-f]{2})+/g, escapes => {
+    try {
+      return decodeURIComponent(escapes);
+    } catch {
+      return escapes;
+    }
+  });
+}
+
+/**
+ * Appends query parameters to a URL with RFC 3986 encoding
+ * Signed requests are sent with this exact query string so the signature covers what the server receives.
+ * @param {string} url - Request URL, possibly with a query string
+ * @param {Object} queryParams - Query parameters to append
+ * @returns {string} - URL with the parameters appended
+ */
+function appendQuery(url, queryParams = {}) {
+  const pairs = Object.entries(queryParams).map(([key, value]) => `${encodeRfc3986(key)}=${encodeRfc3986(String(value))}`);
+
+  if (pairs.length === 0) {
+    return url;
+  }
+
+  const parsed = new URL(url);
+  parsed.search = [parsed.search.slice(1), ...pairs].filter(Boolean).join('&');
+  return parsed.toString();
+}
+
+/**
+ * Hashes a payload
+ * @param {string} algorithm - Digest algorithm
+ * @param {string} payload - Payload to hash
+ * @returns {string} - Hex digest
+ */
+function hash(algorithm, payload) {
+  return crypto.createHash(algorithm).update(payload).digest('hex');
+}
+
+/**
+ * Computes an HMAC
+ * @param {string} algorithm - Digest algorithm
+ * @param {string|Buffer} key - Signing key
+ * @param {string} payload - Payload to sign
+ * @returns {Buffer} - Raw HMAC
+ */
+function hmac(algorithm, key, payload) {
+  return crypto.createHmac(algorithm, key).update(payload).digest();
+}
+
+/**
+ * Reads a request body as the string that is sent
+ * @param {*} data - Encoded request body
+ * @returns {string} - Body, empty if none
+ */
+function payloadOf(data) {
+  if (data === undefined || data === null) {
+    return '';
+  }
+
+  if (typeof data !== 'string') {
+    throw new Error('Only text request bodies can be signed; multipart bodies are not supported');
+  }
+
+  return data;
+}
+
+/**
+ * Formats the signing time for the HMAC timestamp header
+ * @param {Date} now - Signing time
+ * @param {string} format - One of TIMESTAMP_FORMATS
+ * @returns {string} - Timestamp
+ */
+function formatTimestamp(now, format) {
+  if (format === 'iso') {
+    return now.toISOString();
+  }
+
+  return String(format === 'unix-ms' ? now.getTime() : Math.floor(now.getTime() / 1000));
+}
+
+/**
+ * Signs a request with the generic HMAC signer
+ * @param {Object} signing - HMAC configuration
+ * @param {Object} request - { method, url, headers, data, now }
+ * @returns {Object} - Headers with the signature, timestamp, key ID and nonce headers added
+ */
+function signHmac(signing, request) {
+  const config = { ...HMAC_DEFAULTS, ...signing };
+  const parsed = new URL(request.url);
+  const body = payloadOf(request.data);
+  const variables = {
+    method: request.method,
+    path: parsed.pathname,
+    query: parsed.search.slice(1),
+    host: parsed.host,
+    url: parsed.toString(),
+    timestamp: formatTimestamp(request.now, config.timestampFormat),
+    nonce: crypto.randomUUID(),
+    keyId: config.keyId || '',
+    body,
+    bodyHash: hash(config.algorithm, body)
+  };
+
+  const canonical = config.canonical.replace(TEMPLATE_VARIABLE, (match, name) => variables[name]);
+  const signature = hmac(config.algorithm, config.secret, canonical).toString(config.encoding);
+
+  const headers = { ...request.headers };
+  headers[config.signatureHeader] = `${config.signaturePrefix}${signature}`;
+  if (config.timestampHeader) {
+    headers[config.timestampHeader] = variables.timestamp;
+  }
+  if (config.keyId && config.keyIdHeader) {
+    headers[config.keyIdHeader] = config.keyId;
+  }
+  if (config.nonceHeader) {
+    headers[config.nonceHeader] = variables.nonce;
+  }
+
+  return headers;
+}
+
+/**
+ * Builds the canonical URI of an AWS request
+ * Every service except S3 encodes the already-encoded path a second time.
+ * @param {string} pathname - Path as sent on the wire
+ * @param {string} service - AWS service name
+ * @returns {string} - Canonical URI
+ */
+function canonicalUri(pathname, service) {
+  return pathname
+    .split('/')
+    .map(segment => (service === 's3' ? encodeRfc3986(safeDecode(segment)) : encodeRfc3986(segment)))
+    .join('/') || '/';
+}
+
+/**
+ * Compares strings by code unit, as AWS sorts canonical query parameters
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Negative, zero or positive
+ */
+function compare(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Builds the canonical query string of an AWS request: pairs encoded and sorted by name, then value
+ * @param {string} search - Query string without the leading ?
+ * @returns {string} - Canonical query string
+ */
+function canonicalQuery(search) {
+  return search
+    .split('&')
+    .filter(Boolean)
+    .map(pair => {
+      const index = pair.indexOf('=');
+      const [name, value] = index === -1 ? [pair, ''] : [pair.slice(0, index), pair.slice(index + 1)];
+      return [encodeRfc3986(safeDecode(name)), encodeRfc3986(safeDecode(value))];
+    })
+    .sort(([nameA, valueA], [nameB, valueB]) => compare(nameA, nameB) || compare(valueA, valueB))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+}
+
+/**
+ * Signs a request with AWS Signature Version 4
+ * @param {Object} signing - AWS configuration (region, service, accessKeyId, secretAccessKey, sessionToken)
+ * @param {Object} request - { method, url, headers, data, now }
+ * @returns {Object} - Headers with X-Amz-Date, the security token and the Authorization header added
+ */
+function signAwsV4(signing, request) {
+  const { region, service, accessKeyId, secretAccessKey, sessionToken } = signing;
+  const parsed = new URL(request.url);
+  const amzDate = request.now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = hash('sha256', payloadOf(request.data));
+
+  // Credentials of the signer replace any headers of the same name typed alongside it
+  const headers = Object.fromEntries(
+    Object.entries(request.headers).filter(([key]) =>
+      !['authorization', 'x-amz-date', 'x-amz-security-token', 'x-amz-content-sha256'].includes(key.toLowerCase())
+    )
+  );
+  headers['X-Amz-Date'] = amzDate;
+  if (sessionToken) {
+    headers['X-Amz-Security-Token'] = sessionToken;
+  }
+  // S3 requires the payload hash as a header; other services compute it themselves
+  if (service === 's3') {
+    headers['X-Amz-Content-Sha256'] = payloadHash;
+  }
+
+  // Host and x-amz-* headers are signed, along with the Content-Type when there is one
+  const signed = { host: parsed.host };
+  for (const [key, value] of Object.entries(headers)) {
+    const name = key.toLowerCase();
+    if (name === 'content-type' || name.startsWith('x-amz-')) {
+      signed[name] = String(value).trim().replace(/\s+/g, ' ');
+    }
+  }
+  const signedNames = Object.keys(signed).sort();
+  const signedHeaders = signedNames.join(';');
+
+  const canonicalRequest = [
+    request.method,
+    canonicalUri(parsed.pathname, service),
+    canonicalQuery(parsed.search.slice(1)),
+    signedNames.map(name => `${name}:${signed[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, hash('sha256', canonicalRequest)].join('\n');
+
+  const signingKey = [dateStamp, region, service, 'aws4_request']
+    .reduce((key, part) => hmac('sha256', key, part), `AWS4${secretAccessKey}`);
+  const signature = hmac('sha256', signingKey, stringToSign).toString('hex');
+
+  headers.Authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+  return headers;
+}
+
+/**
+ * Signs a request; called for every attempt so retries carry a fresh timestamp and signature
+ * @param {Object} signing - Signer configuration (hmac or aws-sigv4)
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full URL including the query string that is sent
+ * @param {Object} request.headers - Request headers
+ * @param {string} request.data - Encoded request body, if any
+ * @param {Date} request.now - Signing time (default: current time)
+ * @returns {Object} - New headers including the signature
+ */
+function signRequest(signing, request) {
+  const signable = { headers: {}, now: new Date(), ...request, method: request.method.toUpperCase() };
+
+  return signing.type === 'aws-sigv4' ? signAwsV4(signing, signable) : signHmac(signing, signable);
+}
+
+module.exports = {
+  SIGNING_TYPES,
+  validateSigning,
+  maskSigning,
+  appendQuery,
+  safeDecode,
+  signRequest
+};
@@ -0,0 +1,312 @@
+/**
+ * Tabular responses: CSV, TSV and newline-delimited JSON as arrays of rows for schema inference
+ */
+const { coerceText } = require('./formats');
+
+/**
+ * Tabular formats the connector reads, recorded as the response format of a test
+ */
+const TABULAR_FORMATS = ['csv', 'tsv', 'ndjson'];
+
+/**
+ * Delimiters tried when sniffing delimited text, in order of preference
+ */
+const DELIMITERS = [',', '\t', ';', '|'];
+
+/**
+ * Lines looked at when sniffing the format, delimiter and header
+ */
+const SNIFF_LINES = 20;
+
+/**
+ * Splits delimited text into rows of cells (RFC 4180: quoted cells may hold delimiters, quotes and line breaks)
+ * @param {string} text - Delimited text
+ * @param {string} delimiter - Cell delimiter
+ * @param {number} maxRows - Stop after this many rows (default: all)
+ * @returns {Array<Array<string>>} - Rows of raw cells; blank lines are skipped
+ * @throws {Error} - If a quoted cell is not closed
+ */
+function splitRows(text, delimiter, maxRows = Infinity) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let quoteLine = 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      quoteLine = line;
+      cell = '';
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      line++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted && rows.length < maxRows) {
+    throw new Error(`Invalid CSV at line ${quoteLine}: quoted cell is not closed`);
+  }
+
+  if ((cell !== '' || row.length > 0) && rows.length < maxRows) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Finds the delimiter that splits the first lines into the same number of cells
+ * @param {string} text - Delimited text
+ * @returns {string|null} - Delimiter splitting every sniffed row into two or more cells, or null
+ */
+function detectDelimiter(text) {
+  let best = null;
+  let bestColumns = 1;
+
+  for (const delimiter of DELIMITERS) {
+    let rows;
+    try {
+      rows = splitRows(text, delimiter, SNIFF_LINES);
+    } catch {
+      continue;
+    }
+
+    // The last sniffed row may be cut short by the sniffing limit or a truncated response
+    const complete = rows.length > 2 ? rows.slice(0, -1) : rows;
+    const columns = complete[0] ? complete[0].length : 0;
+
+    if (complete.length > 0 && columns > bestColumns && complete.every(row => row.length === columns)) {
+      best = delimiter;
+      bestColumns = columns;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Coerces a cell to a number, boolean, ISO 8601 date or null
+ * Dates written as YYYY/MM/DD or with a space before the time are rewritten in ISO 8601 so
+ * their format is detected; ambiguous day-month orders are left as written.
+ * @param {string} cell - Raw cell
+ * @returns {*} - Coerced value; empty cells are null
+ */
+function coerceCell(cell) {
+  const text = cell.trim();
+
+  if (text === '') {
+    return null;
+  }
+
+  const date = /^(\d{4})[/.](\d{2})[/.](\d{2})$/.exec(text);
+  if (date) {
+    return `${date[1]}-${date[2]}-${date[3]}`;
+  }
+
+  const dateTime = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)$/i.exec(text);
+  if (dateTime) {
+    return `${dateTime[1]}T${dateTime[2]}`;
+  }
+
+  return coerceText(text);
+}
+
+/**
+ * Decides whether the first row names the columns: all of its cells are text rather than values
+ * @param {Array<string>} firstRow - First row of raw cells
+ * @returns {boolean} - True if the first row is a header
+ */
+function isHeaderRow(firstRow) {
+  const cells = firstRow.map(cell => cell.trim()).filter(Boolean);
+  return cells.length > 0 && cells.every(cell => typeof coerceCell(cell) === 'string' && !/^\d{4}-\d{2}-\d{2}/.test(cell));
+}
+
+/**
+ * Names columns after the header, numbering unnamed and repeated columns
+ * @param {Array<string>|null} headerRow - Header cells, or null without header
+ * @param {number} count - Number of columns
+ * @returns {Array<string>} - Unique column names
+ */
+function columnNames(headerRow, count) {
+  const seen = new Map();
+
+  return Array.from({ length: count }, (_, index) => {
+    const base = (headerRow && headerRow[index] && headerRow[index].trim()) || `column${index + 1}`;
+    const uses = (seen.get(base) || 0) + 1;
+    seen.set(base, uses);
+    return uses === 1 ? base : `${base}_${uses}`;
+  });
+}
+
+/**
+ * Parses delimited text into row objects
+ * @param {string} text - CSV or TSV text
+ * @param {Object} options - Parse options
+ * @param {string} options.delimiter - Cell delimiter (default: detected, or comma)
+ * @param {boolean} options.header - Whether the first row is a header (default: detected)
+ * @returns {{rows: Array<Object>, delimiter: string, header: boolean, columns: Array<string>}} - Rows and the layout read
+ * @throws {Error} - If a quoted cell is not closed
+ */
+function parseDelimited(text, options = {}) {
+  const delimiter = options.delimiter || detectDelimiter(text) || ',';
+  const cells = splitRows(text.replace(/^\uFEFF/, ''), delimiter);
+
+  if (cells.length === 0) {
+    return { rows: [], delimiter, header: false, columns: [] };
+  }
+
+  const header = options.header === undefined ? isHeaderRow(cells[0]) : !!options.header;
+  const data = header ? cells.slice(1) : cells;
+
+  // Counted in a loop: spreading every row length into Math.max overflows the stack on long files
+  let width = header ? cells[0].length : 0;
+  data.forEach(row => {
+    width = row.length > width ? row.length : width;
+  });
+  const columns = columnNames(header ? cells[0] : null, width);
+
+  const rows = data.map(row =>
+    Object.fromEntries(columns.map((column, index) => [column, index < row.length ? coerceCell(row[index]) : null]))
+  );
+
+  return { rows, delimiter, header, columns };
+}
+
+/**
+ * Parses newline-delimited JSON
+ * @param {string} text - One JSON value per line
+ * @returns {Array} - Parsed values; blank lines are skipped
+ * @throws {Error} - If a line is not valid JSON
+ */
+function parseNdjson(text) {
+  const rows = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+    try {
+      rows.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Invalid NDJSON at line ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Checks whether text looks like NDJSON: several lines that are each a JSON object or array
+ * @param {string} text - Response text
+ * @returns {boolean} - True if the sniffed lines all parse
+ */
+function looksLikeNdjson(text) {
+  const lines = text.split(/\r?\n/, SNIFF_LINES + 1).slice(0, SNIFF_LINES).filter(line => line.trim() !== '');
+  // The last sniffed line may be cut short by the sniffing limit
+  const complete = lines.length > 2 ? lines.slice(0, -1) : lines;
+
+  return complete.length >= 2 && complete.every(line => {
+    if (!/^\s*[{[]/.test(line)) {
+      return false;
+    }
+    try {
+      JSON.parse(line);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * Reads a CSV, TSV or NDJSON response as rows, by content type or by sniffing untyped text
+ * @param {*} data - Response data
+ * @param {Object} headers - Response headers
+ * @param {Object} options - Read options
+ * @param {boolean} options.partial - The body was cut short; its last, possibly incomplete line is dropped
+ * @returns {{format: string, rows: Array, delimiter?: string, header?: boolean, columns?: Array<string>}|null} - Rows, or null if not tabular
+ * @throws {Error} - If the body has a tabular content type but cannot be parsed
+ */
+function parseTabularResponse(data, headers = {}, options = {}) {
+  if (typeof data !== 'string') {
+    return null;
+  }
+
+  const text = options.partial ? data.slice(0, data.lastIndexOf('\n') + 1) : data;
+  const contentType = String(headers['content-type'] || '').toLowerCase();
+
+  if (/ndjson|jsonl|json-seq|jsonlines/.test(contentType)) {
+    return { format: 'ndjson', rows: parseNdjson(text) };
+  }
+
+  if (/tab-separated-values/.test(contentType)) {
+    return { format: 'tsv', ...parseDelimited(text, { delimiter: '\t' }) };
+  }
+
+  if (/[/+]csv\b/.test(contentType)) {
+    const parsed = parseDelimited(text);
+    return { format: parsed.delimiter === '\t' ? 'tsv' : 'csv', ...parsed };
+  }
+
+  // NDJSON is often served as JSON, which then fails to parse as a whole
+  if (contentType.includes('json')) {
+    return looksLikeNdjson(text) ? { format: 'ndjson', rows: parseNdjson(text) } : null;
+  }
+
+  // Other declared types (HTML, XML) are not sniffed; plain or missing types are
+  if (contentType && !/^text\/plain|^application\/octet-stream/.test(contentType)) {
+    return null;
+  }
+
+  if (looksLikeNdjson(text)) {
+    return { format: 'ndjson', rows: parseNdjson(text) };
+  }
+
+  const delimiter = detectDelimiter(text);
+  if (!delimiter || splitRows(text, delimiter, 2).length < 2) {
+    return null;
+  }
+
+  return { format: delimiter === '\t' ? 'tsv' : 'csv', ...parseDelimited(text, { delimiter }) };
+}
+
+module.exports = {
+  TABULAR_FORMATS,
+  detectDelimiter,
+  parseDelimited,
+  parseNdjson,
+  parseTabularResponse
+};
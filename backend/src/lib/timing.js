@@ -0,0 +1,77 @@
+/**
+ * Request timing: DNS lookup, TCP connect, TLS handshake, time to first byte and download
+ */
+const http = require('http');
+const https = require('https');
+
+/**
+ * Rounds a duration to a tenth of a millisecond
+ * @param {number} ms - Duration in ms
+ * @returns {number} - Rounded duration
+ */
+function round(ms) {
+  return Math.round(ms * 10) / 10;
+}
+
+/**
+ * Creates an axios transport that records the timing of the request it sends
+ * Phases of a reused keep-alive connection are not recorded since they did not happen. The
+ * response is not read here, so it is still paused when handed to the caller.
+ * @param {Object} timing - Object receiving the timestamps (start, lookup, connect, secureConnect, firstByte, end)
+ * @returns {{request: Function}} - Transport with the signature of http.request
+ */
+function createTimedTransport(timing) {
+  return {
+    request(options, callback) {
+      const transport = options.protocol === 'https:' ? https : http;
+
+      timing.start = performance.now();
+
+      const req = transport.request(options, callback);
+
+      req.once('socket', socket => {
+        if (!socket.connecting) {
+          return;
+        }
+        socket.once('lookup', () => { timing.lookup = performance.now(); });
+        socket.once('connect', () => { timing.connect = performance.now(); });
+        socket.once('secureConnect', () => { timing.secureConnect = performance.now(); });
+      });
+
+      req.once('response', res => {
+        timing.firstByte = performance.now();
+        res.once('end', () => { timing.end = performance.now(); });
+      });
+
+      return req;
+    }
+  };
+}
+
+/**
+ * Turns the timestamps recorded by a timed transport into phase durations
+ * @param {Object} timing - Timestamps recorded by createTimedTransport
+ * @returns {Object} - { dns, connect, tls, ttfb, download, total } in ms; phases that did not happen are null
+ */
+function summarizeTiming(timing) {
+  if (timing.start === undefined) {
+    return { dns: null, connect: null, tls: null, ttfb: null, download: null, total: 0 };
+  }
+
+  const connected = timing.secureConnect || timing.connect || timing.lookup || timing.start;
+  const finished = timing.end || timing.firstByte || performance.now();
+
+  return {
+    dns: timing.lookup ? round(timing.lookup - timing.start) : null,
+    connect: timing.connect ? round(timing.connect - (timing.lookup || timing.start)) : null,
+    tls: timing.secureConnect && timing.connect ? round(timing.secureConnect - timing.connect) : null,
+    ttfb: timing.firstByte ? round(timing.firstByte - connected) : null,
+    download: timing.end && timing.firstByte ? round(timing.end - timing.firstByte) : null,
+    total: round(finished - timing.start)
+  };
+}
+
+module.exports = {
+  createTimedTransport,
+  summarizeTiming
+};
@@ -0,0 +1,274 @@
+/**
+ * TypeScript and Zod source generation from inferred schemas
+ *
+ * Both generators render the JSON Schema produced by generateJsonSchema, so nesting,
+ * unions, nullability and optional fields are decided in one place.
+ */
+const { generateJsonSchema } = require('./generator');
+const { entityNameFromPath } = require('./schema');
+
+/**
+ * Zod string refinements for detected formats
+ */
+const ZOD_STRING_FORMATS = {
+  'email': '.email()',
+  'uuid': '.uuid()',
+  'uri': '.url()',
+  // Detected date-times may omit the time zone
+  'date-time': '.datetime({ offset: true, local: true })',
+  'ipv4': ".ip({ version: 'v4' })",
+  'ipv6': ".ip({ version: 'v6' })"
+};
+
+/**
+ * Converts a name such as order_lines or line-item to PascalCase
+ * @param {string} name - Source name
+ * @returns {string} - PascalCase identifier
+ */
+function toPascalCase(name) {
+  const pascal = String(name)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+
+  return /^[A-Za-z_]/.test(pascal) ? pascal : `T${pascal}`;
+}
+
+/**
+ * Converts a name such as X-API-Key or api_key to camelCase
+ * @param {string} name - Source name
+ * @returns {string} - camelCase identifier
+ */
+function toCamelCase(name) {
+  const pascal = toPascalCase(name);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+/**
+ * Picks the item type name for a schema
+ * @param {Object} schema - Schema from inferSchema
+ * @param {Object} opts - Options
+ * @param {string} opts.typeName - Explicit item type name
+ * @returns {string} - PascalCase type name
+ */
+function resolveTypeName(schema, opts = {}) {
+  if (opts.typeName) {
+    return toPascalCase(opts.typeName);
+  }
+
+  const entity = entityNameFromPath(schema.samplePath || '$');
+  return entity ? toPascalCase(entity) : 'Item';
+}
+
+/**
+ * Formats an object key for TypeScript or JavaScript source
+ * @param {string} key - Property name
+ * @returns {string} - Bare identifier or quoted string
+ */
+function formatKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Lists the JSON Schema types of a node, folding integer into number when both appear
+ * @param {Object} node - JSON Schema node
+ * @returns {Array<string>} - Types
+ */
+function nodeTypes(node) {
+  const types = Array.isArray(node.type) ? node.type : (node.type ? [node.type] : []);
+
+  if (types.includes('integer') && types.includes('number')) {
+    return types.filter(type => type !== 'integer');
+  }
+
+  return types;
+}
+
+/**
+ * Renders a JSON Schema node as a TypeScript type
+ * @param {Object} node - JSON Schema node
+ * @param {string} itemName - Name used for $ref to the item type
+ * @param {string} indent - Current indentation
+ * @returns {string} - TypeScript type expression
+ */
+function toTypeScript(node, itemName, indent = '') {
+  if (node.$ref) {
+    return itemName;
+  }
+
+  if (Array.isArray(node.enum)) {
+    return node.enum.map(value => JSON.stringify(value)).join(' | ');
+  }
+
+  const types = nodeTypes(node);
+  if (types.length === 0) {
+    return 'unknown';
+  }
+
+  return types.map(type => {
+    if (type === 'integer' || type === 'number') {
+      return 'number';
+    }
+
+    if (type === 'array') {
+      return node.items ? `Array<${toTypeScript(node.items, itemName, indent)}>` : 'unknown[]';
+    }
+
+    if (type === 'object') {
+      const entries = Object.entries(node.properties || {});
+      if (entries.length === 0) {
+        return 'Record<string, unknown>';
+      }
+
+      const required = node.required || [];
+      const inner = `${indent}  `;
+      const lines = entries.map(([key, child]) =>
+        `${inner}${formatKey(key)}${required.includes(key) ? '' : '?'}: ${toTypeScript(child, itemName, inner)};`
+      );
+      return `{\n${lines.join('\n')}\n${indent}}`;
+    }
+
+    return type;
+  }).join(' | ');
+}
+
+/**
+ * Renders a JSON Schema node as a Zod schema expression
+ * @param {Object} node - JSON Schema node
+ * @param {string} itemName - Name of the item schema constant used for $ref
+ * @param {string} indent - Current indentation
+ * @returns {string} - Zod expression
+ */
+function toZod(node, itemName, indent = '') {
+  if (node.$ref) {
+    return itemName;
+  }
+
+  const types = nodeTypes(node);
+  const nullable = types.includes('null');
+  const nonNull = types.filter(type => type !== 'null');
+
+  let expression;
+
+  if (Array.isArray(node.enum) && node.enum.some(value => typeof value === 'string')) {
+    const values = node.enum.filter(value => value !== null).map(value => JSON.stringify(value));
+    expression = `z.enum([${values.join(', ')}])`;
+  } else {
+    const variants = nonNull.map(type => {
+      if (type === 'string') {
+        return `z.string()${ZOD_STRING_FORMATS[node.format] || ''}`;
+      }
+
+      if (type === 'integer') {
+        return 'z.number().int()';
+      }
+
+      if (type === 'number') {
+        return 'z.number()';
+      }
+
+      if (type === 'boolean') {
+        return 'z.boolean()';
+      }
+
+      if (type === 'array') {
+        return `z.array(${node.items ? toZod(node.items, itemName, indent) : 'z.unknown()'})`;
+      }
+
+      if (type === 'object') {
+        const entries = Object.entries(node.properties || {});
+        if (entries.length === 0) {
+          return 'z.record(z.string(), z.unknown())';
+        }
+
+        const required = node.required || [];
+        const inner = `${indent}  `;
+        const lines = entries.map(([key, child]) =>
+          `${inner}${formatKey(key)}: ${toZod(child, itemName, inner)}${required.includes(key) ? '' : '.optional()'},`
+        );
+        return `z.object({\n${lines.join('\n')}\n${indent}})`;
+      }
+
+      return 'z.unknown()';
+    });
+
+    if (variants.length === 0) {
+      expression = nullable ? 'z.null()' : 'z.unknown()';
+    } else {
+      expression = variants.length === 1 ? variants[0] : `z.union([${variants.join(', ')}])`;
+    }
+  }
+
+  return nullable && nonNull.length > 0 ? `${expression}.nullable()` : expression;
+}
+
+/**
+ * Declares a named TypeScript type, as an interface when the type is an object literal
+ * @param {string} name - Type name
+ * @param {string} type - TypeScript type expression
+ * @returns {string} - Declaration
+ */
+function declareType(name, type) {
+  return type.startsWith('{')
+    ? `export interface ${name} ${type}`
+    : `export type ${name} = ${type};`;
+}
+
+/**
+ * Generates TypeScript interfaces for the item type and the full response
+ * @param {Object} schema - Schema from inferSchema
+ * @param {Object} opts - Options
+ * @param {string} opts.typeName - Item type name (default: singular of the collection name)
+ * @returns {string} - TypeScript source
+ */
+function generateTypeScript(schema, opts = {}) {
+  const name = resolveTypeName(schema, opts);
+  const document = generateJsonSchema(schema);
+
+  const lines = [
+    `// Generated by Smart Data Connector from ${schema.url || 'a sample response'}`,
+    '',
+    declareType(name, toTypeScript(document.$defs.Item, name)),
+    '',
+    declareType(`${name}Response`, toTypeScript(document, name))
+  ];
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Generates Zod schemas (and inferred types) for the item type and the full response
+ * @param {Object} schema - Schema from inferSchema
+ * @param {Object} opts - Options
+ * @param {string} opts.typeName - Item type name (default: singular of the collection name)
+ * @returns {string} - TypeScript source using zod
+ */
+function generateZod(schema, opts = {}) {
+  const name = resolveTypeName(schema, opts);
+  const document = generateJsonSchema(schema);
+  const itemSchemaName = `${name}Schema`;
+
+  const lines = [
+    `// Generated by Smart Data Connector from ${schema.url || 'a sample response'}`,
+    "import { z } from 'zod';",
+    '',
+    `export const ${itemSchemaName} = ${toZod(document.$defs.Item, itemSchemaName)};`,
+    '',
+    `export type ${name} = z.infer<typeof ${itemSchemaName}>;`,
+    '',
+    `export const ${name}ResponseSchema = ${toZod(document, itemSchemaName)};`,
+    '',
+    `export type ${name}Response = z.infer<typeof ${name}ResponseSchema>;`
+  ];
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  generateTypeScript,
+  generateZod,
+  resolveTypeName,
+  toCamelCase,
+  toPascalCase
+};
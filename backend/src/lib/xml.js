@@ -0,0 +1,331 @@
+/**
+ * XML and SOAP responses as JSON trees, so they go through the same schema inference
+ * Attributes become @name keys, text next to attributes or children becomes #text, and
+ * repeated elements become arrays.
+ */
+const { coerceText } = require('./formats');
+
+/**
+ * Ways of handling namespace prefixes: strip them from names, or keep names and xmlns attributes as written
+ */
+const XML_NAMESPACE_MODES = ['strip', 'preserve'];
+
+/**
+ * Predefined XML entities
+ */
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+/**
+ * Decodes entity and character references
+ * @param {string} text - Raw text or attribute value
+ * @returns {string} - Decoded text; unknown entities are kept as written
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[A-Za-z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Returns the local part of a possibly prefixed name
+ * @param {string} name - Element or attribute name such as soap:Body
+ * @returns {string} - Name without prefix
+ */
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+/**
+ * Parses XML text into elements
+ * DOCTYPE declarations are skipped, so external entities are never resolved.
+ * @param {string} text - XML document
+ * @returns {Object} - Root element { name, attributes, children, text }
+ * @throws {Error} - If the document is not well-formed
+ */
+function parseXml(text) {
+  let pos = 0;
+
+  const fail = (message) => {
+    const line = text.slice(0, pos).split('\n').length;
+    throw new Error(`Invalid XML at line ${line}: ${message}`);
+  };
+
+  const skipPast = (terminator) => {
+    const end = text.indexOf(terminator, pos);
+    if (end === -1) {
+      fail(`missing ${terminator}`);
+    }
+    pos = end + terminator.length;
+  };
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      pos++;
+    }
+  };
+
+  const readName = () => {
+    const match = /^[^\s/>=<"']+/.exec(text.slice(pos, pos + 256));
+    if (!match) {
+      fail('expected a name');
+    }
+    pos += match[0].length;
+    return match[0];
+  };
+
+  // Comments, processing instructions and declarations outside the root element
+  const skipMisc = () => {
+    while (true) {
+      skipWhitespace();
+      if (text.startsWith('<?', pos)) {
+        skipPast('?>');
+      } else if (text.startsWith('<!--', pos)) {
+        skipPast('-->');
+      } else if (text.startsWith('<!DOCTYPE', pos)) {
+        const subset = text.indexOf('[', pos);
+        const close = text.indexOf('>', pos);
+        if (subset !== -1 && subset < close) {
+          pos = subset;
+          skipPast(']');
+        }
+        skipPast('>');
+      } else {
+        return;
+      }
+    }
+  };
+
+  const parseElement = () => {
+    if (text[pos] !== '<') {
+      fail('expected an element');
+    }
+    pos++;
+
+    const element = { name: readName(), attributes: [], children: [], text: '' };
+
+    while (true) {
+      skipWhitespace();
+
+      if (text.startsWith('/>', pos)) {
+        pos += 2;
+        return element;
+      }
+
+      if (text[pos] === '>') {
+        pos++;
+        break;
+      }
+
+      const name = readName();
+      skipWhitespace();
+      if (text[pos] !== '=') {
+        fail(`attribute ${name} has no value`);
+      }
+      pos++;
+      skipWhitespace();
+
+      const quote = text[pos];
+      if (quote !== '"' && quote !== '\'') {
+        fail(`value of attribute ${name} must be quoted`);
+      }
+      const end = text.indexOf(quote, pos + 1);
+      if (end === -1) {
+        fail(`unterminated value of attribute ${name}`);
+      }
+      element.attributes.push([name, decodeEntities(text.slice(pos + 1, end))]);
+      pos = end + 1;
+    }
+
+    while (true) {
+      if (pos >= text.length) {
+        fail(`element <${element.name}> is not closed`);
+      }
+
+      if (text.startsWith('</', pos)) {
+        pos += 2;
+        const name = readName();
+        if (name !== element.name) {
+          fail(`</${name}> closes <${element.name}>`);
+        }
+        skipWhitespace();
+        if (text[pos] !== '>') {
+          fail(`malformed closing tag </${name}>`);
+        }
+        pos++;
+        return element;
+      }
+
+      if (text.startsWith('<![CDATA[', pos)) {
+        const start = pos + 9;
+        skipPast(']]>');
+        element.text += text.slice(start, pos - 3);
+      } else if (text.startsWith('<!--', pos)) {
+        skipPast('-->');
+      } else if (text.startsWith('<?', pos)) {
+        skipPast('?>');
+      } else if (text[pos] === '<') {
+        element.children.push(parseElement());
+      } else {
+        const end = text.indexOf('<', pos);
+        const stop = end === -1 ? text.length : end;
+        element.text += decodeEntities(text.slice(pos, stop));
+        pos = stop;
+      }
+    }
+  };
+
+  skipMisc();
+  if (pos >= text.length) {
+    fail('no root element');
+  }
+
+  const root = parseElement();
+
+  skipMisc();
+  if (pos < text.length) {
+    fail('content after the root element');
+  }
+
+  return root;
+}
+
+/**
+ * Converts an element to its JSON value
+ * @param {Object} element - Element from parseXml
+ * @param {Object} options - Conversion options ({ namespaces, coerce })
+ * @returns {*} - Object for elements with attributes or children, text value otherwise, null if empty or xsi:nil
+ */
+function elementToValue(element, options) {
+  const strip = options.namespaces === 'strip';
+  const convertText = options.coerce ? coerceText : text => text;
+  const node = {};
+
+  for (const [name, value] of element.attributes) {
+    if (localName(name) === 'nil' && name.includes(':') && value === 'true') {
+      return null;
+    }
+    if (strip && (name === 'xmlns' || name.startsWith('xmlns:'))) {
+      continue;
+    }
+    node[`@${strip ? localName(name) : name}`] = convertText(value);
+  }
+
+  for (const child of element.children) {
+    const key = strip ? localName(child.name) : child.name;
+    const value = elementToValue(child, options);
+
+    // Element values are never arrays themselves, so an array here holds repeated elements.
+    // Only own keys count, and defineProperty keeps elements named __proto__ from replacing the prototype.
+    if (!Object.prototype.hasOwnProperty.call(node, key)) {
+      Object.defineProperty(node, key, { value, writable: true, enumerable: true, configurable: true });
+    } else if (Array.isArray(node[key])) {
+      node[key].push(value);
+    } else {
+      node[key] = [node[key], value];
+    }
+  }
+
+  const text = element.text.trim();
+
+  if (Object.keys(node).length === 0) {
+    return text === '' ? null : convertText(text);
+  }
+
+  if (text !== '') {
+    node['#text'] = convertText(text);
+  }
+
+  return node;
+}
+
+/**
+ * Reads the code and message of a SOAP 1.1 or 1.2 fault
+ * @param {Object} fault - Converted Fault element
+ * @returns {{code: string, message: string}} - Fault code and reason
+ */
+function readFault(fault) {
+  const find = (node, name) => {
+    if (!node || typeof node !== 'object') {
+      return undefined;
+    }
+    const key = Object.keys(node).find(candidate => localName(candidate) === name);
+    return key === undefined ? undefined : node[key];
+  };
+  const text = (value) => {
+    const first = Array.isArray(value) ? value[0] : value;
+    return first && typeof first === 'object' ? first['#text'] : first;
+  };
+
+  const code = text(find(fault, 'faultcode')) ?? text(find(find(fault, 'Code'), 'Value'));
+  const message = text(find(fault, 'faultstring')) ?? text(find(find(fault, 'Reason'), 'Text'));
+
+  return { code: code === undefined ? 'Unknown' : String(code), message: message === undefined ? 'No reason given' : String(message) };
+}
+
+/**
+ * Converts an XML document to a JSON tree
+ * SOAP envelopes are unwrapped to the content of their Body; a SOAP Fault is returned as fault.
+ * @param {string} text - XML document
+ * @param {Object} options - Conversion options
+ * @param {string} options.namespaces - strip or preserve namespace prefixes (default: strip)
+ * @param {boolean} options.coerce - Convert numeric and boolean text (default: true)
+ * @returns {{data: Object, soap: boolean, fault: Object|null}} - Tree keyed by the root (or Body child) element names
+ * @throws {Error} - If the document is not well-formed
+ */
+function xmlToJson(text, options = {}) {
+  const settings = { namespaces: 'strip', coerce: true, ...options };
+  const root = parseXml(text);
+  const strip = settings.namespaces === 'strip';
+
+  const body = localName(root.name) === 'Envelope'
+    ? root.children.find(child => localName(child.name) === 'Body')
+    : null;
+
+  if (!body) {
+    return { data: { [strip ? localName(root.name) : root.name]: elementToValue(root, settings) }, soap: false, fault: null };
+  }
+
+  const content = elementToValue({ ...body, attributes: [] }, settings) || {};
+  const faultKey = Object.keys(content).find(key => localName(key) === 'Fault');
+
+  return {
+    data: content,
+    soap: true,
+    fault: faultKey === undefined ? null : readFault(content[faultKey])
+  };
+}
+
+/**
+ * Checks if a response is XML
+ * @param {*} data - Response data
+ * @param {Object} headers - Response headers
+ * @returns {boolean} - True for XML content types, or untyped text starting like an XML document
+ */
+function isXmlResponse(data, headers = {}) {
+  if (typeof data !== 'string') {
+    return false;
+  }
+
+  const contentType = String(headers['content-type'] || '').toLowerCase();
+
+  if (/[/+]xml\b/.test(contentType)) {
+    return true;
+  }
+
+  if (contentType.includes('html')) {
+    return false;
+  }
+
+  return /^\s*<(\?xml|[A-Za-z_][\w.:-]*[\s/>])/.test(data) && !/^\s*<html[\s>]/i.test(data);
+}
+
+module.exports = {
+  XML_NAMESPACE_MODES,
+  parseXml,
+  xmlToJson,
+  isXmlResponse
+};
@@ -26,6 +26,21 @@ const apiTestSchema = new mongoose.Schema({
     of: String,
     default: {}
   },
+  body: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  bodyType: {
+    type: String,
+    enum: ['json', 'form', 'multipart', 'raw']
+  },
+  // Auth scheme with secrets masked
+  auth: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Request signer with secrets masked
+  signing: {
+    type: mongoose.Schema.Types.Mixed
+  },
 
   // Test Results
   success: {
@@ -36,14 +51,46 @@ const apiTestSchema = new mongoose.Schema({
     type: Number
   },
   responseTime: {
-    type: Number, // in milliseconds
+    type: Number, // in milliseconds, last attempt only
+    default: 0
+  },
+  totalTime: {
+    type: Number, // in milliseconds, including retries and backoff delays
     default: 0
   },
+  responseSize: {
+    type: Number, // in bytes of the body read, after decompression
+    default: 0
+  },
+  // Body read only partially: larger than the maximum response size, or enough items for sampling
+  truncated: {
+    type: Boolean,
+    default: false
+  },
+  // Redirects followed by the last attempt: { url, status, location, timing }
+  redirects: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  // Every attempt: { attempt, status, delay, reason, startedAt, timing, size, redirects }
+  attempts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
   errorMessage: {
     type: String
   },
 
   // Schema Information
+  responseFormat: {
+    type: String,
+    enum: ['json', 'xml', 'soap', 'csv', 'tsv', 'ndjson'],
+    default: 'json'
+  },
+  // Delimited text layout: { delimiter, header, columns }
+  formatOptions: {
+    type: mongoose.Schema.Types.Mixed
+  },
   samplePath: {
     type: String
   },
@@ -51,6 +98,9 @@ const apiTestSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: []
   },
+  keys: {
+    type: mongoose.Schema.Types.Mixed
+  },
   pagination: {
     type: mongoose.Schema.Types.Mixed
   },
@@ -69,7 +119,7 @@ const apiTestSchema = new mongoose.Schema({
 });
 
 // Index for faster queries
-apiTestSchema.index({ url: 1, testedAt: -1 });
+apiTestSchema.index({ url: 1, method: 1, testedAt: -1 });
 apiTestSchema.index({ success: 1 });
 
 // Virtual for formatted date
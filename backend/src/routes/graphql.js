@@ -0,0 +1,85 @@
+/**
+ * GraphQL routes for exploring an endpoint before testing a query
+ */
+const express = require('express');
+const { generateHints } = require('../lib/fetcher');
+const { validateAuth } = require('../lib/auth');
+const { validateSigning } = require('../lib/signing');
+const { introspect, listQueries } = require('../lib/graphql');
+
+const router = express.Router();
+
+/**
+ * Hint returned when the schema cannot be introspected
+ */
+const INTROSPECTION_HINTS = 'Many servers disable introspection in production. Write the query by hand; ' +
+  'field types are then inferred from the response.';
+
+/**
+ * POST /api/graphql/introspect
+ * Runs the introspection query and lists the root query fields with a generated query for each
+ */
+router.post('/introspect', async (req, res) => {
+  const { url, headers = {}, queryParams = {}, auth, signing } = req.body;
+
+  if (!url) {
+    return res.status(400).json({
+      ok: false,
+      message: 'URL is required'
+    });
+  }
+
+  try {
+    new URL(url);
+  } catch {
+    return res.status(400).json({
+      ok: false,
+      message: 'Invalid URL format'
+    });
+  }
+
+  const optionsError = validateAuth(auth) || validateSigning(signing);
+  if (optionsError) {
+    return res.status(400).json({
+      ok: false,
+      message: optionsError
+    });
+  }
+
+  try {
+    const { schema, response, error } = await introspect({ url, headers, queryParams, auth, signing });
+
+    if (!schema && response.status === 0) {
+      return res.status(200).json({
+        ok: false,
+        // OAuth and policy errors are not network errors and explain themselves
+        message: ['OAUTH_ERROR', 'POLICY_VIOLATION'].includes(response.errorType) ? error : `Network error: ${error}`,
+        hints: generateHints(0, response.errorType),
+        errorType: response.errorType
+      });
+    }
+
+    if (!schema) {
+      return res.status(200).json({
+        ok: false,
+        status: response.status,
+        message: error,
+        hints: [401, 403].includes(response.status) ? generateHints(response.status) : INTROSPECTION_HINTS
+      });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      queryType: schema.queryType,
+      queries: listQueries(schema)
+    });
+  } catch (error) {
+    return res.status(500).json({
+      ok: false,
+      message: `Unexpected error: ${error.message}`,
+      hints: 'An unexpected error occurred while introspecting the API.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,474 @@
+/**
+ * Import routes for creating datasources from API descriptions
+ */
+const express = require('express');
+const { HTTP_METHODS, fetchWithRetry, isJsonResponse, generateHints, truncate } = require('../lib/fetcher');
+const { inferSchema } = require('../lib/schema');
+const { generateImportWrapper, generateFilename } = require('../lib/generator');
+const { parseSpec, getBaseUrl, listOperations, mergeDeclaredFields } = require('../lib/openapiImport');
+const { parseCollection, listRequests } = require('../lib/postman');
+const { parseRequestImport } = require('../lib/requestImport');
+const { saveApiTest } = require('../controllers/apiTestController');
+const { saveDatasource } = require('../controllers/datasourceController');
+
+const router = express.Router();
+
+/**
+ * Hint returned when a document cannot be read
+ */
+const SPEC_HINTS = 'Paste or upload an OpenAPI 3 or Swagger 2 document in JSON or YAML format.';
+
+/**
+ * Parses a document and lists its GET operations
+ * @param {string|Object} input - Document as JSON or YAML text, or parsed object
+ * @returns {{spec: Object, operations: Array<Object>}} - Parsed document and its operations
+ * @throws {Error} - If the document cannot be read; malformed sections such as non-array parameters included
+ */
+function readSpec(input) {
+  const spec = parseSpec(input);
+
+  try {
+    return { spec, operations: listOperations(spec) };
+  } catch (error) {
+    throw new Error(`Invalid OpenAPI document: ${error.message}`);
+  }
+}
+
+/**
+ * Hint returned when a collection cannot be read
+ */
+const COLLECTION_HINTS = 'In Postman, use Export and choose Collection v2.1, then upload or paste the JSON file.';
+
+/**
+ * Most requests one POST /api/import/postman runs; each can take its full timeout and a retry
+ */
+const MAX_COLLECTION_REQUESTS = 50;
+
+/**
+ * Most operations one POST /api/import/openapi/generate samples with live inference
+ */
+const MAX_LIVE_OPERATIONS = 50;
+
+/**
+ * Hint returned when a pasted request cannot be read
+ */
+const REQUEST_HINTS = 'In browser devtools, right-click a request and choose Copy as cURL (bash), or Save all as HAR, then paste it here.';
+
+/**
+ * Sends one imported request and infers its schema, like POST /api/test
+ * @param {Object} request - Request from listRequests
+ * @returns {Promise<Object>} - Per-request result with ok, status, message/hints or schema details
+ */
+async function runImportedRequest(request) {
+  const { name, folder, method, url, headers, queryParams, body, bodyType = 'json', warnings } = request;
+  const result = { name, folder, method, url, warnings };
+
+  if (!HTTP_METHODS.includes(method)) {
+    return { ...result, ok: false, message: `Unsupported method: ${method}` };
+  }
+
+  try {
+    new URL(url);
+  } catch {
+    return { ...result, ok: false, message: 'Invalid URL format', hints: 'Define the collection variables used in the URL.' };
+  }
+
+  const requestInfo = { url, method, headers, queryParams, body, bodyType: body === undefined ? undefined : bodyType };
+  const startTime = Date.now();
+
+  const response = await fetchWithRetry({
+    url,
+    method,
+    headers,
+    queryParams,
+    body,
+    bodyType,
+    maxRetries: 1,
+    initialDelay: 500,
+    timeout: 10000
+  });
+
+  const responseTime = Date.now() - startTime;
+
+  if (!response.success && response.status === 0) {
+    await saveApiTest({ ...requestInfo, success: false, status: 0, responseTime, errorMessage: response.error });
+    return {
+      ...result,
+      ok: false,
+      status: 0,
+      message: response.errorType === 'POLICY_VIOLATION' ? response.error : `Network error: ${response.error}`,
+      hints: generateHints(0, response.errorType)
+    };
+  }
+
+  if (response.status < 200 || response.status >= 300) {
+    const message = `HTTP ${response.status}: ${response.statusText || 'Request failed'}`;
+    await saveApiTest({ ...requestInfo, success: false, status: response.status, responseTime, errorMessage: message });
+    return { ...result, ok: false, status: response.status, message, hints: generateHints(response.status) };
+  }
+
+  if (!isJsonResponse(response.data, response.headers)) {
+    return {
+      ...result,
+      ok: false,
+      status: response.status,
+      message: 'Non-JSON response received',
+      rawSnippet: truncate(response.data, 200)
+    };
+  }
+
+  const schema = inferSchema(response.data, response.headers);
+
+  if (!schema) {
+    return {
+      ...result,
+      ok: false,
+      status: response.status,
+      message: 'Could not infer schema from response',
+      hints: 'The response may be empty or not contain array data.'
+    };
+  }
+
+  await saveApiTest({
+    ...requestInfo,
+    success: true,
+    status: response.status,
+    responseTime,
+    samplePath: schema.samplePath,
+    fields: schema.fields,
+    keys: schema.keys,
+    pagination: schema.pagination
+  });
+
+  return {
+    ...result,
+    ok: true,
+    status: response.status,
+    responseTime,
+    samplePath: schema.samplePath,
+    fields: schema.fields,
+    keys: schema.keys,
+    pagination: schema.pagination
+  };
+}
+
+/**
+ * Infers the schema of an operation from a live response and merges the declared fields into it
+ * @param {Object} operation - Operation from listOperations
+ * @param {Object} request - Request to send ({ url, headers, queryParams })
+ * @returns {Promise<{schema: Object|null, warning: string|null}>} - Merged schema parts, or a warning
+ */
+async function inferLiveSchema(operation, request) {
+  if (operation.pathParams.length > 0) {
+    return { schema: null, warning: `Live inference skipped: path parameters ${operation.pathParams.join(', ')} need values` };
+  }
+
+  const response = await fetchWithRetry({
+    ...request,
+    maxRetries: 1,
+    initialDelay: 500,
+    timeout: 10000
+  });
+
+  if (!response.success || !isJsonResponse(response.data, response.headers)) {
+    const reason = response.status ? `HTTP ${response.status}` : response.error;
+    return { schema: null, warning: `Live inference failed (${reason}); using the declared schema` };
+  }
+
+  // Prefer the declared collection, falling back to detection when the live response differs
+  const inferred = (operation.isList && inferSchema(response.data, response.headers, { samplePath: operation.samplePath })) ||
+    inferSchema(response.data, response.headers);
+
+  if (!inferred) {
+    return { schema: null, warning: 'Live response contained no array of items; using the declared schema' };
+  }
+
+  return {
+    schema: {
+      samplePath: inferred.samplePath,
+      fields: mergeDeclaredFields(operation.fields, inferred.fields),
+      keys: inferred.keys,
+      pagination: inferred.pagination || operation.pagination
+    },
+    warning: null
+  };
+}
+
+/**
+ * POST /api/import/openapi
+ * Lists the GET operations of an OpenAPI/Swagger document with their declared schemas
+ */
+router.post('/openapi', (req, res) => {
+  const { spec: input } = req.body;
+
+  if (!input) {
+    return res.status(400).json({
+      ok: false,
+      message: 'OpenAPI document is required',
+      hints: SPEC_HINTS
+    });
+  }
+
+  let spec;
+  let operations;
+  try {
+    ({ spec, operations } = readSpec(input));
+  } catch (error) {
+    return res.status(400).json({
+      ok: false,
+      message: error.message,
+      hints: SPEC_HINTS
+    });
+  }
+
+  return res.status(200).json({
+    ok: true,
+    title: (spec.info && spec.info.title) || 'Untitled API',
+    version: (spec.info && spec.info.version) || null,
+    baseUrl: getBaseUrl(spec),
+    operations
+  });
+});
+
+/**
+ * POST /api/import/openapi/generate
+ * Generates ToolJet datasources for the selected operations of an OpenAPI/Swagger document
+ */
+router.post('/openapi/generate', async (req, res) => {
+  const { spec: input, operationIds, baseUrl, headers = {}, live = false } = req.body;
+
+  if (!input) {
+    return res.status(400).json({
+      ok: false,
+      message: 'OpenAPI document is required',
+      hints: SPEC_HINTS
+    });
+  }
+
+  if (!Array.isArray(operationIds) || operationIds.length === 0) {
+    return res.status(400).json({
+      ok: false,
+      message: 'Select at least one operation (operationIds)'
+    });
+  }
+
+  if (live && operationIds.length > MAX_LIVE_OPERATIONS) {
+    return res.status(400).json({
+      ok: false,
+      message: `Live inference samples at most ${MAX_LIVE_OPERATIONS} operations at once (${operationIds.length} selected)`,
+      hints: 'Select fewer operations, or generate the rest in another run.'
+    });
+  }
+
+  let spec;
+  let operations;
+  try {
+    ({ spec, operations } = readSpec(input));
+  } catch (error) {
+    return res.status(400).json({
+      ok: false,
+      message: error.message,
+      hints: SPEC_HINTS
+    });
+  }
+  const datasources = [];
+  const skipped = [];
+
+  try {
+    for (const operationId of operationIds) {
+      const operation = operations.find(op => op.id === operationId);
+
+      if (!operation) {
+        skipped.push({ operationId, message: 'Operation not found in the document' });
+        continue;
+      }
+
+      const url = baseUrl ? `${baseUrl.replace(/\/$/, '')}${operation.path}` : operation.url;
+
+      try {
+        new URL(url);
+      } catch {
+        skipped.push({ operationId, message: 'The document has no absolute server URL. Provide a base URL.' });
+        continue;
+      }
+
+      let schema = {
+        url,
+        headers,
+        queryParams: operation.queryParams,
+        samplePath: operation.samplePath,
+        fields: operation.fields,
+        keys: operation.keys,
+        pagination: operation.pagination
+      };
+      let source = 'spec';
+      let warning = null;
+
+      if (live) {
+        const result = await inferLiveSchema(operation, { url, headers, queryParams: operation.queryParams });
+        warning = result.warning;
+        if (result.schema) {
+          schema = { ...schema, ...result.schema };
+          source = operation.fields.length > 0 ? 'merged' : 'live';
+        }
+      }
+
+      if (schema.fields.length === 0) {
+        skipped.push({
+          operationId,
+          message: warning || 'No response schema with an array of objects is declared. Enable live inference to sample the API.'
+        });
+        continue;
+      }
+
+      const config = generateImportWrapper(schema, { name: operation.summary || operation.id });
+
+      await saveDatasource({
+        name: operation.summary || `Datasource for ${url}`,
+        url,
+        description: `Imported from OpenAPI operation ${operation.id}`,
+        config,
+        samplePath: schema.samplePath,
+        fieldCount: schema.fields.length,
+        hasPagination: !!schema.pagination
+      });
+
+      datasources.push({
+        operationId,
+        path: operation.path,
+        source,
+        warning,
+        filename: generateFilename(schema),
+        config
+      });
+    }
+  } catch (error) {
+    return res.status(500).json({
+      ok: false,
+      message: `Failed to generate datasources: ${error.message}`
+    });
+  }
+
+  if (datasources.length === 0) {
+    return res.status(200).json({
+      ok: false,
+      message: 'No datasources could be generated for the selected operations',
+      hints: skipped.map(entry => `${entry.operationId}: ${entry.message}`).join(' '),
+      skipped
+    });
+  }
+
+  return res.status(200).json({
+    ok: true,
+    datasources,
+    skipped
+  });
+});
+
+/**
+ * POST /api/import/request
+ * Parses a cURL command or HAR file into the /api/test request shape
+ */
+router.post('/request', (req, res) => {
+  const { input } = req.body;
+
+  if (!input) {
+    return res.status(400).json({
+      ok: false,
+      message: 'cURL command or HAR file is required',
+      hints: REQUEST_HINTS
+    });
+  }
+
+  let parsed;
+  try {
+    parsed = parseRequestImport(input);
+  } catch (error) {
+    return res.status(400).json({
+      ok: false,
+      message: error.message,
+      hints: REQUEST_HINTS
+    });
+  }
+
+  if (parsed.requests.length === 0) {
+    return res.status(400).json({
+      ok: false,
+      message: 'The HAR file contains no HTTP requests',
+      hints: REQUEST_HINTS
+    });
+  }
+
+  return res.status(200).json({
+    ok: true,
+    source: parsed.source,
+    requests: parsed.requests
+  });
+});
+
+/**
+ * POST /api/import/postman
+ * Runs every request of a Postman v2.1 collection and infers the schema of each response
+ */
+router.post('/postman', async (req, res) => {
+  const { collection: input, variables = {} } = req.body;
+
+  if (!input) {
+    return res.status(400).json({
+      ok: false,
+      message: 'Postman collection is required',
+      hints: COLLECTION_HINTS
+    });
+  }
+
+  let collection;
+  try {
+    collection = parseCollection(input);
+  } catch (error) {
+    return res.status(400).json({
+      ok: false,
+      message: error.message,
+      hints: COLLECTION_HINTS
+    });
+  }
+
+  const requests = listRequests(collection, variables);
+
+  if (requests.length === 0) {
+    return res.status(200).json({
+      ok: false,
+      message: 'The collection contains no requests',
+      hints: COLLECTION_HINTS
+    });
+  }
+
+  if (requests.length > MAX_COLLECTION_REQUESTS) {
+    return res.status(400).json({
+      ok: false,
+      message: `The collection contains ${requests.length} requests; at most ${MAX_COLLECTION_REQUESTS} run at once`,
+      hints: 'Export a single folder of the collection, or split it into smaller collections.'
+    });
+  }
+
+  try {
+    // Requests run one after another so rate limits and shared sessions behave as in Postman
+    const results = [];
+    for (const request of requests) {
+      results.push(await runImportedRequest(request));
+    }
+
+    return res.status(200).json({
+      ok: true,
+      name: collection.info.name || 'Postman collection',
+      results
+    });
+  } catch (error) {
+    return res.status(500).json({
+      ok: false,
+      message: `Unexpected error: ${error.message}`,
+      hints: 'An unexpected error occurred while running the collection.'
+    });
+  }
+});
+
+module.exports = router;
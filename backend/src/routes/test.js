@@ -2,20 +2,214 @@
  * Test route for API connection testing
  */
 const express = require('express');
-const { fetchWithRetry, isJsonResponse, generateHints, truncate } = require('../lib/fetcher');
-const { inferSchema } = require('../lib/schema');
-const { generateImportWrapper, generateFilename } = require('../lib/generator');
+const { HTTP_METHODS, BODY_TYPES, RETRY_STATUSES, fetchWithRetry, isJsonResponse, generateHints, truncate } = require('../lib/fetcher');
+const { SAMPLING_STRATEGIES, MAX_SAMPLE_BYTES, inferSchema, parseJsonPath, isPlainObject, sampleItemLimit } = require('../lib/schema');
+const { generateImportWrapper, generateJsonSchema, generateFilename } = require('../lib/generator');
+const { generateTypeScript, generateZod } = require('../lib/typegen');
+const { generateOpenApi } = require('../lib/openapi');
+const { generatePostmanCollection } = require('../lib/postman');
+const { validateAuth, maskAuth } = require('../lib/auth');
+const { validateSigning, maskSigning } = require('../lib/signing');
+const { XML_NAMESPACE_MODES, xmlToJson, isXmlResponse } = require('../lib/xml');
+const { parseTabularResponse } = require('../lib/tabular');
+const { validateGraphql, buildGraphqlBody, describeErrors, resolveItemType, applyIntrospectedTypes, introspect } = require('../lib/graphql');
 const { saveApiTest } = require('../controllers/apiTestController');
 const { saveDatasource } = require('../controllers/datasourceController');
 
 const router = express.Router();
 
+/**
+ * Output formats supported by POST /api/generate
+ */
+const GENERATE_FORMATS = ['full', 'datasource', 'jsonschema', 'typescript', 'zod', 'openapi', 'postman'];
+
+/**
+ * Formats that produce a ToolJet datasource and are saved to the database
+ */
+const TOOLJET_FORMATS = ['full', 'datasource'];
+
+/**
+ * Formats that produce TypeScript source instead of JSON
+ */
+const SOURCE_FORMATS = ['typescript', 'zod'];
+
+/**
+ * Checks an optional samplePath override
+ * @param {*} samplePath - JSONPath chosen by the user
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateSamplePath(samplePath) {
+  if (samplePath === undefined || samplePath === null) {
+    return null;
+  }
+
+  if (typeof samplePath !== 'string') {
+    return 'samplePath must be a string';
+  }
+
+  try {
+    parseJsonPath(samplePath);
+    return null;
+  } catch {
+    return 'Invalid samplePath: use a JSONPath such as $.data.items';
+  }
+}
+
+/**
+ * Checks optional sampling options
+ * @param {*} sampling - Sampling options ({ strategy, size, maxBytes })
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateSampling(sampling) {
+  if (sampling === undefined || sampling === null) {
+    return null;
+  }
+
+  if (typeof sampling !== 'object' || Array.isArray(sampling)) {
+    return 'sampling must be an object with strategy, size or maxBytes';
+  }
+
+  if (sampling.strategy !== undefined && !SAMPLING_STRATEGIES.includes(sampling.strategy)) {
+    return `Unsupported sampling strategy: ${sampling.strategy}. Use one of ${SAMPLING_STRATEGIES.join(', ')}`;
+  }
+
+  for (const key of ['size', 'maxBytes']) {
+    if (sampling[key] !== undefined && !(Number.isInteger(sampling[key]) && sampling[key] > 0)) {
+      return `sampling.${key} must be a positive integer`;
+    }
+  }
+
+  // The budget also bounds the memory the all strategy may use
+  if (sampling.maxBytes > MAX_SAMPLE_BYTES) {
+    return `sampling.maxBytes must be at most ${MAX_SAMPLE_BYTES}`;
+  }
+
+  return null;
+}
+
+/**
+ * Checks optional XML options
+ * @param {*} xml - XML options ({ namespaces })
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateXml(xml) {
+  if (xml === undefined || xml === null) {
+    return null;
+  }
+
+  if (typeof xml !== 'object' || Array.isArray(xml)) {
+    return 'xml must be an object with namespaces';
+  }
+
+  if (xml.namespaces !== undefined && !XML_NAMESPACE_MODES.includes(xml.namespaces)) {
+    return `Unsupported xml.namespaces: ${xml.namespaces}. Use one of ${XML_NAMESPACE_MODES.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Hint for SOAP faults, which name the failed operation rather than an HTTP problem
+ */
+const SOAP_FAULT_HINT = 'The SOAP service returned a fault. Check the SOAPAction header, the request envelope and the operation parameters.';
+
+/**
+ * Hint for GraphQL errors, which point at the query rather than the connection
+ */
+const GRAPHQL_ERROR_HINT = 'The GraphQL server rejected the query. Check field names and arguments against the schema, and the variables.';
+
+/**
+ * Converts XML, SOAP, CSV, TSV and NDJSON responses into data for schema inference
+ * @param {Object} response - Fetcher result
+ * @param {Object} xml - XML options ({ namespaces })
+ * @returns {Object} - { data, responseFormat, formatOptions, fault, error }; data is unchanged for JSON and unrecognized text
+ */
+function convertResponse(response, xml) {
+  const result = { data: response.data, responseFormat: 'json', formatOptions: undefined, fault: null, error: null };
+
+  // JSON bodies arrive parsed, so text that is still a string was not JSON as a whole
+  if (typeof response.data !== 'string') {
+    return result;
+  }
+
+  try {
+    if (isXmlResponse(response.data, response.headers)) {
+      const converted = xmlToJson(response.data, xml || {});
+      return { ...result, data: converted.data, responseFormat: converted.soap ? 'soap' : 'xml', fault: converted.fault };
+    }
+
+    // The whole body read is parsed: it is bounded by maxResponseSize, and sampling needs every row
+    const tabular = parseTabularResponse(response.data, response.headers, { partial: response.truncated });
+    if (tabular) {
+      const { format, rows, ...layout } = tabular;
+      return { ...result, data: rows, responseFormat: format, formatOptions: format === 'ndjson' ? undefined : layout };
+    }
+  } catch (error) {
+    return { ...result, error };
+  }
+
+  return result;
+}
+
+/**
+ * Upper bounds of the retry options of POST /api/test
+ */
+const MAX_RETRIES = 5;
+const MAX_RETRY_BUDGET_MS = 120000;
+
+/**
+ * Checks optional retry options
+ * @param {*} retry - Retry options ({ maxRetries, statuses, budgetMs })
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateRetry(retry) {
+  if (retry === undefined || retry === null) {
+    return null;
+  }
+
+  if (typeof retry !== 'object' || Array.isArray(retry)) {
+    return 'retry must be an object with maxRetries, statuses or budgetMs';
+  }
+
+  if (retry.maxRetries !== undefined && !(Number.isInteger(retry.maxRetries) && retry.maxRetries >= 0 && retry.maxRetries <= MAX_RETRIES)) {
+    return `retry.maxRetries must be an integer from 0 to ${MAX_RETRIES}`;
+  }
+
+  if (retry.statuses !== undefined &&
+    !(Array.isArray(retry.statuses) && retry.statuses.every(status => Number.isInteger(status) && status >= 400 && status <= 599))) {
+    return 'retry.statuses must be a list of HTTP status codes from 400 to 599';
+  }
+
+  if (retry.budgetMs !== undefined && !(Number.isInteger(retry.budgetMs) && retry.budgetMs > 0 && retry.budgetMs <= MAX_RETRY_BUDGET_MS)) {
+    return `retry.budgetMs must be a positive integer up to ${MAX_RETRY_BUDGET_MS}`;
+  }
+
+  return null;
+}
+
 /**
  * POST /api/test
  * Tests an API endpoint and returns schema information or error details
  */
 router.post('/test', async (req, res) => {
-  const { url, headers = {}, queryParams = {} } = req.body;
+  const {
+    url,
+    headers = {},
+    queryParams = {},
+    body,
+    bodyType = 'json',
+    auth,
+    signing,
+    retry,
+    samplePath,
+    flatten = false,
+    sampling,
+    xml,
+    graphql
+  } = req.body;
+  // GraphQL queries are always posted; methods that are not strings fail the method check below
+  const requestedMethod = req.body.method || 'GET';
+  const method = graphql ? 'POST' : (typeof requestedMethod === 'string' ? requestedMethod.toUpperCase() : requestedMethod);
 
   // Validate required fields
   if (!url) {
@@ -35,79 +229,258 @@ router.post('/test', async (req, res) => {
     });
   }
 
+  const optionsError = validateSamplePath(samplePath) || validateSampling(sampling) || validateAuth(auth) || validateSigning(signing) ||
+    validateRetry(retry) || validateXml(xml) || validateGraphql(graphql);
+  if (optionsError) {
+    return res.status(400).json({
+      ok: false,
+      message: optionsError
+    });
+  }
+
+  // SigV4 owns the Authorization header; only API keys can be sent alongside it
+  if (signing && signing.type === 'aws-sigv4' && auth && auth.type !== 'apikey') {
+    return res.status(400).json({
+      ok: false,
+      message: `AWS SigV4 signing sets the Authorization header and cannot be combined with ${auth.type} auth`
+    });
+  }
+
+  // Validate method and body
+  if (!HTTP_METHODS.includes(method)) {
+    return res.status(400).json({
+      ok: false,
+      message: `Unsupported method: ${method}. Use one of ${HTTP_METHODS.join(', ')}`
+    });
+  }
+
+  if (!BODY_TYPES.includes(bodyType)) {
+    return res.status(400).json({
+      ok: false,
+      message: `Unsupported body type: ${bodyType}. Use one of ${BODY_TYPES.join(', ')}`
+    });
+  }
+
+  const hasBody = body !== undefined && body !== null && body !== '';
+
+  if (hasBody && graphql) {
+    return res.status(400).json({
+      ok: false,
+      message: 'A GraphQL request sends the query and variables as its body. Leave the body empty.'
+    });
+  }
+
+  if (hasBody && method === 'GET') {
+    return res.status(400).json({
+      ok: false,
+      message: 'A request body cannot be sent with GET. Choose POST, PUT, PATCH or DELETE.'
+    });
+  }
+
+  if (hasBody && bodyType === 'multipart' && signing) {
+    return res.status(400).json({
+      ok: false,
+      message: 'Multipart bodies cannot be signed. Send the body as json, form or raw.'
+    });
+  }
+
+  if (hasBody && bodyType === 'multipart' && typeof body !== 'object') {
+    return res.status(400).json({
+      ok: false,
+      message: 'Body must be an object of key/value pairs for multipart requests'
+    });
+  }
+
+  // GraphQL queries are sent as a JSON body of query, variables and operation name
+  const sent = graphql
+    ? { body: buildGraphqlBody(graphql), bodyType: 'json' }
+    : { body: hasBody ? body : undefined, bodyType: hasBody ? bodyType : undefined };
+
+  // Fields describing the request, stored with every test result
+  const requestInfo = {
+    url,
+    method,
+    headers,
+    queryParams,
+    body: sent.body,
+    bodyType: sent.bodyType,
+    auth: maskAuth(auth) || undefined,
+    signing: maskSigning(signing) || undefined
+  };
+
+  const { maxRetries = 2, statuses = RETRY_STATUSES, budgetMs = 30000 } = retry || {};
+
   try {
     const startTime = Date.now();
 
     // Fetch data with retry
     const response = await fetchWithRetry({
       url,
+      method,
       headers,
       queryParams,
-      maxRetries: 2,
+      body: sent.body,
+      bodyType: sent.bodyType || bodyType,
+      auth,
+      signing,
+      maxRetries,
+      retryOn: statuses,
+      retryBudget: budgetMs,
       initialDelay: 500,
-      timeout: 10000
+      timeout: 10000,
+      // Large responses are read only as far as sampling needs
+      maxItems: sampleItemLimit(sampling || {})
     });
 
-    const responseTime = Date.now() - startTime;
+    // Latency of the last attempt; retries and backoff delays only count towards the total time
+    const attempts = response.attempts || [];
+    const lastAttempt = attempts[attempts.length - 1];
+    const trace = {
+      responseTime: lastAttempt ? Math.round(lastAttempt.timing.total) : 0,
+      totalTime: Date.now() - startTime,
+      responseSize: lastAttempt ? lastAttempt.size : 0,
+      redirects: lastAttempt ? lastAttempt.redirects : [],
+      truncated: !!response.truncated,
+      attempts
+    };
 
     // Handle network errors
     if (!response.success && response.status === 0) {
       // Save failed test to database
       await saveApiTest({
-        url,
-        headers,
-        queryParams,
+        ...requestInfo,
         success: false,
         status: 0,
-        responseTime,
+        ...trace,
         errorMessage: response.error
       });
 
       return res.status(200).json({
         ok: false,
-        message: `Network error: ${response.error}`,
+        // OAuth and policy errors are not network errors and explain themselves
+        message: ['OAUTH_ERROR', 'POLICY_VIOLATION'].includes(response.errorType) ? response.error : `Network error: ${response.error}`,
         hints: generateHints(0, response.errorType),
-        errorType: response.errorType
+        errorType: response.errorType,
+        ...trace
       });
     }
 
+    // XML, SOAP, CSV, TSV and NDJSON responses are converted and inferred like JSON
+    const { data, responseFormat, formatOptions, fault, error: formatError } = convertResponse(response, xml);
+
     // Check if response is successful (2xx)
     if (response.status >= 200 && response.status < 300) {
+      if (formatError) {
+        return res.status(200).json({
+          ok: false,
+          message: `Could not read the response: ${formatError.message}`,
+          status: response.status,
+          contentType: response.headers['content-type'],
+          rawSnippet: truncate(response.data, 500),
+          hints: response.truncated
+            ? 'The response exceeds the maximum response size and was cut short. Request a smaller page or raise MAX_RESPONSE_SIZE.'
+            : 'The API returned malformed XML, CSV or NDJSON. Try pasting a sample JSON response manually to continue.',
+          ...trace
+        });
+      }
+
+      if (fault) {
+        return res.status(200).json({
+          ok: false,
+          message: `SOAP fault ${fault.code}: ${fault.message}`,
+          status: response.status,
+          hints: SOAP_FAULT_HINT,
+          ...trace
+        });
+      }
+
       // Check if response is JSON
-      if (!isJsonResponse(response.data, response.headers)) {
+      if (responseFormat === 'json' && !isJsonResponse(response.data, response.headers)) {
         return res.status(200).json({
           ok: false,
           message: 'Non-JSON response received',
           status: response.status,
           contentType: response.headers['content-type'],
           rawSnippet: truncate(response.data, 500),
-          hints: 'The API returned non-JSON data. Try pasting a sample JSON response manually to continue.'
+          hints: 'The API returned data that is not JSON, XML, CSV or NDJSON. Try pasting a sample JSON response manually to continue.',
+          ...trace
+        });
+      }
+
+      // GraphQL results carry errors next to the data; a result without data failed as a whole
+      if (graphql && (!isPlainObject(data) || !('data' in data || 'errors' in data))) {
+        return res.status(200).json({
+          ok: false,
+          message: 'The response is not a GraphQL result',
+          status: response.status,
+          rawSnippet: truncate(data, 500),
+          hints: 'Check that the URL is the GraphQL endpoint of the API, which often ends in /graphql.',
+          ...trace
+        });
+      }
+
+      if (graphql && (data.data === null || data.data === undefined)) {
+        const message = `GraphQL error: ${describeErrors(Array.isArray(data.errors) ? data.errors : [])}`;
+        await saveApiTest({ ...requestInfo, success: false, status: response.status, ...trace, errorMessage: message });
+
+        return res.status(200).json({
+          ok: false,
+          message,
+          status: response.status,
+          hints: GRAPHQL_ERROR_HINT,
+          ...trace
         });
       }
 
-      // Infer schema
-      const schema = inferSchema(response.data, response.headers);
+      // Infer schema; GraphQL schemas come from the data payload only, so errors are never taken for items
+      const schema = inferSchema(graphql ? { data: data.data } : data, response.headers, { samplePath, flatten, sampling });
 
       if (!schema) {
         return res.status(200).json({
           ok: false,
           message: 'Could not infer schema from response',
           status: response.status,
-          rawSnippet: truncate(response.data, 500),
-          hints: 'The response may be empty or not contain array data.'
+          rawSnippet: truncate(data, 500),
+          hints: response.truncated
+            ? 'The response exceeds the maximum response size and no complete items were read before the limit. Request a smaller page or raise MAX_RESPONSE_SIZE.'
+            : (samplePath
+              ? `No non-empty array found at ${samplePath}. Choose one of the detected collections instead.`
+              : 'The response may be empty or not contain array data.'),
+          ...trace
         });
       }
 
+      // Introspected types replace sampled ones where the schema describes the sampled items;
+      // the schema is cached per endpoint, so repeated tests do not introspect again
+      let graphqlInfo;
+      if (graphql) {
+        const introspection = await introspect({ url, headers, queryParams, auth, signing }, { cached: true });
+        const itemType = introspection.schema && resolveItemType(introspection.schema, schema.samplePath);
+
+        if (itemType) {
+          schema.fields = applyIntrospectedTypes(schema.fields, introspection.schema, itemType);
+        }
+
+        graphqlInfo = {
+          typeSource: itemType ? 'introspection' : 'sample',
+          warning: itemType ? null : (introspection.error
+            ? `Introspection failed (${introspection.error}); field types are inferred from the response`
+            : `The schema does not describe ${schema.samplePath} (aliased fields?); field types are inferred from the response`),
+          errors: Array.isArray(data.errors) ? data.errors.map(error => error.message) : []
+        };
+      }
+
       // Save successful test to database
       await saveApiTest({
-        url,
-        headers,
-        queryParams,
+        ...requestInfo,
         success: true,
         status: response.status,
-        responseTime,
+        ...trace,
+        responseFormat,
+        formatOptions,
         samplePath: schema.samplePath,
         fields: schema.fields,
+        keys: schema.keys,
         pagination: schema.pagination
       });
 
@@ -115,30 +488,47 @@ router.post('/test', async (req, res) => {
       return res.status(200).json({
         ok: true,
         status: response.status,
+        method,
         samplePath: schema.samplePath,
         fields: schema.fields,
+        keys: schema.keys,
         pagination: schema.pagination,
-        sample: truncate(JSON.stringify(response.data), 1000)
+        alternatives: schema.alternatives,
+        sampling: schema.sampling,
+        responseFormat,
+        formatOptions,
+        graphql: graphqlInfo,
+        sample: truncate(JSON.stringify(data), 1000),
+        ...trace
       });
     } else {
+      // SOAP services report failed operations as faults, usually with HTTP 500, and GraphQL
+      // servers invalid queries as errors, usually with HTTP 400
+      const graphqlErrors = graphql && isPlainObject(data) && Array.isArray(data.errors) ? data.errors : null;
+      let message = `HTTP ${response.status}: ${response.statusText || 'Request failed'}`;
+      if (fault) {
+        message = `HTTP ${response.status}: SOAP fault ${fault.code}: ${fault.message}`;
+      } else if (graphqlErrors) {
+        message = `HTTP ${response.status}: GraphQL error: ${describeErrors(graphqlErrors)}`;
+      }
+
       // Save failed test to database
       await saveApiTest({
-        url,
-        headers,
-        queryParams,
+        ...requestInfo,
         success: false,
         status: response.status,
-        responseTime,
-        errorMessage: `HTTP ${response.status}: ${response.statusText || 'Request failed'}`
+        ...trace,
+        errorMessage: message
       });
 
       // Non-2xx status code
       return res.status(200).json({
         ok: false,
         status: response.status,
-        message: `HTTP ${response.status}: ${response.statusText || 'Request failed'}`,
-        hints: generateHints(response.status),
-        rawSnippet: truncate(response.data, 500)
+        message,
+        hints: (fault && SOAP_FAULT_HINT) || (graphqlErrors && GRAPHQL_ERROR_HINT) || generateHints(response.status),
+        rawSnippet: truncate(response.data, 500),
+        ...trace
       });
     }
   } catch (error) {
@@ -156,7 +546,7 @@ router.post('/test', async (req, res) => {
  * Tests schema inference from pasted sample JSON
  */
 router.post('/test-sample', async (req, res) => {
-  const { sample } = req.body;
+  const { sample, samplePath, flatten = false, sampling } = req.body;
 
   // Validate required fields
   if (!sample || sample.trim() === '') {
@@ -166,6 +556,14 @@ router.post('/test-sample', async (req, res) => {
     });
   }
 
+  const optionsError = validateSamplePath(samplePath) || validateSampling(sampling);
+  if (optionsError) {
+    return res.status(400).json({
+      ok: false,
+      message: optionsError
+    });
+  }
+
   try {
     // Parse the sample JSON
     let parsedSample;
@@ -180,13 +578,15 @@ router.post('/test-sample', async (req, res) => {
     }
 
     // Infer schema from the sample
-    const schema = inferSchema(parsedSample, {});
+    const schema = inferSchema(parsedSample, {}, { samplePath, flatten, sampling });
 
     if (!schema) {
       return res.status(200).json({
         ok: false,
         message: 'Could not infer schema from sample',
-        hints: 'The sample data may be empty or not contain array data. Please provide a sample with an array of objects.'
+        hints: samplePath
+          ? `No non-empty array found at ${samplePath}. Choose one of the detected collections instead.`
+          : 'The sample data may be empty or not contain array data. Please provide a sample with an array of objects.'
       });
     }
 
@@ -195,7 +595,10 @@ router.post('/test-sample', async (req, res) => {
       ok: true,
       samplePath: schema.samplePath,
       fields: schema.fields,
+      keys: schema.keys,
       pagination: schema.pagination,
+      alternatives: schema.alternatives,
+      sampling: schema.sampling,
       sample: truncate(JSON.stringify(parsedSample), 1000),
       source: 'pasted-sample'
     });
@@ -214,7 +617,7 @@ router.post('/test-sample', async (req, res) => {
  * Generates a downloadable ToolJet datasource JSON from schema
  */
 router.post('/generate', async (req, res) => {
-  const { schema, format = 'full', filename } = req.body;
+  const { schema, format = 'full', filename, typeName } = req.body;
 
   // Validate schema input
   if (!schema) {
@@ -232,6 +635,21 @@ router.post('/generate', async (req, res) => {
     });
   }
 
+  // Validate output format
+  if (!GENERATE_FORMATS.includes(format)) {
+    return res.status(400).json({
+      ok: false,
+      message: `Unsupported format: ${format}. Use one of ${GENERATE_FORMATS.join(', ')}`
+    });
+  }
+
+  if (format === 'postman' && !schema.url) {
+    return res.status(400).json({
+      ok: false,
+      message: 'Schema must include the tested url for the postman format'
+    });
+  }
+
   try {
     let output;
 
@@ -239,29 +657,52 @@ router.post('/generate', async (req, res) => {
       // Generate datasource JSON only
       const { generateDatasourceJSON } = require('../lib/generator');
       output = generateDatasourceJSON(schema);
+    } else if (format === 'jsonschema') {
+      // Generate JSON Schema document for the response
+      output = generateJsonSchema(schema);
+    } else if (format === 'typescript') {
+      // Generate TypeScript interfaces for the item and response
+      output = generateTypeScript(schema, { typeName });
+    } else if (format === 'zod') {
+      // Generate Zod schemas for the item and response
+      output = generateZod(schema, { typeName });
+    } else if (format === 'openapi') {
+      // Generate OpenAPI 3.1 document for the tested request
+      output = generateOpenApi(schema, { typeName });
+    } else if (format === 'postman') {
+      // Generate a Postman collection with credentials as variables
+      output = generatePostmanCollection(schema);
     } else {
       // Generate full import wrapper (default)
       output = generateImportWrapper(schema);
     }
 
     // Save datasource to database
-    await saveDatasource({
-      name: schema.url ? `Datasource for ${schema.url}` : 'API Datasource',
-      url: schema.url || 'unknown',
-      description: `Generated from ${schema.fields?.length || 0} fields`,
-      config: output,
-      samplePath: schema.samplePath || '$',
-      fieldCount: schema.fields?.length || 0,
-      hasPagination: !!schema.pagination
-    });
+    if (TOOLJET_FORMATS.includes(format)) {
+      await saveDatasource({
+        name: schema.url ? `Datasource for ${schema.url}` : 'API Datasource',
+        url: schema.url || 'unknown',
+        description: `Generated from ${schema.fields?.length || 0} fields`,
+        config: output,
+        samplePath: schema.samplePath || '$',
+        fieldCount: schema.fields?.length || 0,
+        hasPagination: !!schema.pagination
+      });
+    }
 
     // Generate filename
-    const downloadFilename = filename || generateFilename(schema);
+    const downloadFilename = filename || generateFilename(schema, format);
 
     // Set headers for download
-    res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', `attachment; filename="${downloadFilename}"`);
 
+    if (SOURCE_FORMATS.includes(format)) {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(200).send(output);
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+
     // Return JSON
     return res.status(200).json(output);
   } catch (error) {
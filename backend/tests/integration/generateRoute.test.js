@@ -140,4 +140,72 @@ describe('POST /api/generate', () => {
       expect.objectContaining({ name: 'amount', key: 'amount' })
     ]);
   });
+
+  test('generates a JSON Schema document', async () => {
+    const res = await request(app)
+      .post('/api/generate')
+      .send({ schema: sampleSchema, format: 'jsonschema' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.$schema).toBe('https://json-schema.org/draft/2020-12/schema');
+    expect(res.body.properties.orders.items).toEqual({ $ref: '#/$defs/Item' });
+    expect(Object.keys(res.body.$defs.Item.properties)).toEqual(['id', 'customer', 'amount']);
+    expect(res.headers['content-disposition']).toMatch(/\.schema\.json"/);
+  });
+
+  test('generates TypeScript interfaces as text', async () => {
+    const res = await request(app)
+      .post('/api/generate')
+      .send({ schema: sampleSchema, format: 'typescript' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/plain/);
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="types-.*\.ts"$/);
+    expect(res.text).toContain('export interface Order {');
+    expect(res.text).toContain('export interface OrderResponse {');
+  });
+
+  test('generates Zod schemas with a custom type name', async () => {
+    const res = await request(app)
+      .post('/api/generate')
+      .send({ schema: sampleSchema, format: 'zod', typeName: 'purchase' });
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain("import { z } from 'zod';");
+    expect(res.text).toContain('export const PurchaseSchema = z.object({');
+    expect(res.text).toContain('export type PurchaseResponse = z.infer<typeof PurchaseResponseSchema>;');
+  });
+
+  test('generates an OpenAPI document without credentials', async () => {
+    const res = await request(app)
+      .post('/api/generate')
+      .send({ schema: sampleSchema, format: 'openapi' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toBe('3.1.0');
+    expect(res.body.paths['/orders'].get.security).toEqual([{ bearerAuth: [] }]);
+    expect(res.headers['content-disposition']).toMatch(/\.openapi\.json"/);
+    expect(res.text).not.toContain('secret-token-123');
+  });
+
+  test('generates a Postman collection with credential variables', async () => {
+    const res = await request(app)
+      .post('/api/generate')
+      .send({ schema: sampleSchema, format: 'postman' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.item[0].request.auth.type).toBe('bearer');
+    expect(res.body.variable).toContainEqual({ key: 'token', value: '', type: 'secret' });
+    expect(res.headers['content-disposition']).toMatch(/\.postman_collection\.json"/);
+    expect(res.text).not.toContain('secret-token-123');
+  });
+
+  test('rejects unsupported formats', async () => {
+    const res = await request(app)
+      .post('/api/generate')
+      .send({ schema: sampleSchema, format: 'yaml' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/unsupported format/i);
+  });
 });
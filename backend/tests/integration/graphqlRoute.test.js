@@ -0,0 +1,37 @@
+const request = require('supertest');
+const app = require('../../src/index');
+
+describe('POST /api/graphql/introspect', () => {
+  test('lists the root query fields with generated queries', async () => {
+    const res = await request(app)
+      .post('/api/graphql/introspect')
+      .send({ url: 'http://localhost:3001/graphql', headers: { Authorization: 'Bearer demo' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.ok).toBe(true);
+    expect(res.body.queryType).toBe('Query');
+    expect(res.body.queries.map(query => query.name)).toEqual(['orders', 'order']);
+    expect(res.body.queries[0].isConnection).toBe(true);
+    expect(res.body.queries[0].query).toContain('pageInfo {');
+  });
+
+  test('reports endpoints that refuse the introspection query', async () => {
+    const res = await request(app)
+      .post('/api/graphql/introspect')
+      .send({ url: 'http://localhost:3001/graphql' });
+
+    expect(res.body.ok).toBe(false);
+    expect(res.body.status).toBe(401);
+    expect(res.body.message).toBe('HTTP 401: Unauthorized');
+  });
+
+  test('validates the URL and auth', async () => {
+    expect((await request(app).post('/api/graphql/introspect').send({})).body.message).toBe('URL is required');
+
+    const res = await request(app)
+      .post('/api/graphql/introspect')
+      .send({ url: 'http://localhost:3001/graphql', auth: { type: 'kerberos' } });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,203 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { mockOpenApi } = require('../../mock-server/openapi');
+
+describe('POST /api/import/openapi', () => {
+  test('lists operations of a pasted document', async () => {
+    const res = await request(app)
+      .post('/api/import/openapi')
+      .send({ spec: JSON.stringify(mockOpenApi) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.ok).toBe(true);
+    expect(res.body.title).toBe('Mock Orders API');
+    expect(res.body.baseUrl).toBe('http://localhost:3001');
+    expect(res.body.operations.map(op => op.id)).toEqual(['listOrders', 'listOrderFeed']);
+  });
+
+  test('returns 400 with hints for unreadable documents', async () => {
+    const res = await request(app)
+      .post('/api/import/openapi')
+      .send({ spec: 'openapi: 3.0.0' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.ok).toBe(false);
+    expect(res.body.hints).toMatch(/JSON or YAML/);
+  });
+
+  test('returns 400 for documents with malformed sections', async () => {
+    const malformed = {
+      openapi: '3.0.0',
+      paths: { '/orders': { parameters: { name: 'page' }, get: { responses: {} } } }
+    };
+
+    for (const path of ['/api/import/openapi', '/api/import/openapi/generate']) {
+      const res = await request(app)
+        .post(path)
+        .send({ spec: malformed, operationIds: ['GET /orders'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.ok).toBe(false);
+      expect(res.body.message).toMatch(/^Invalid OpenAPI document: /);
+    }
+  });
+});
+
+describe('POST /api/import/openapi/generate', () => {
+  test('generates datasources from declared schemas', async () => {
+    const res = await request(app)
+      .post('/api/import/openapi/generate')
+      .send({ spec: mockOpenApi, operationIds: ['listOrders', 'listOrderFeed'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.ok).toBe(true);
+    expect(res.body.datasources).toHaveLength(2);
+
+    const [orders] = res.body.datasources;
+    expect(orders.source).toBe('spec');
+    expect(orders.config.datasource.url).toBe('http://localhost:3001/orders');
+    expect(orders.config.components.table.dataBinding).toBe('{{datasource.data.orders}}');
+    expect(orders.config.components.table.keyColumn).toBe('id');
+    expect(orders.config.components.pagination.pageParam).toBe('page');
+  });
+
+  test('merges declared schemas with live responses', async () => {
+    const res = await request(app)
+      .post('/api/import/openapi/generate')
+      .send({
+        spec: mockOpenApi,
+        operationIds: ['listOrders'],
+        headers: { Authorization: 'Bearer demo' },
+        live: true
+      });
+
+    expect(res.status).toBe(200);
+    const [orders] = res.body.datasources;
+    expect(orders.source).toBe('merged');
+    expect(orders.warning).toBeNull();
+    expect(orders.config.components.pagination.metaPaths.total).toBe('meta.total');
+    expect(orders.config.datasource.headers.Authorization).toBe('<masked>');
+  });
+
+  test('reports unknown operations and requires a selection', async () => {
+    const missing = await request(app)
+      .post('/api/import/openapi/generate')
+      .send({ spec: mockOpenApi, operationIds: ['nope'] });
+
+    expect(missing.body.ok).toBe(false);
+    expect(missing.body.skipped).toEqual([{ operationId: 'nope', message: 'Operation not found in the document' }]);
+
+    const empty = await request(app)
+      .post('/api/import/openapi/generate')
+      .send({ spec: mockOpenApi, operationIds: [] });
+
+    expect(empty.status).toBe(400);
+  });
+
+  test('returns 400 when live inference would sample too many operations', async () => {
+    const operationIds = Array.from({ length: 51 }, (_, index) => `op${index}`);
+    const res = await request(app)
+      .post('/api/import/openapi/generate')
+      .send({ spec: mockOpenApi, operationIds, live: true });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Live inference samples at most 50 operations at once (51 selected)');
+  });
+});
+
+describe('POST /api/import/request', () => {
+  test('parses a cURL command into the /api/test request shape', async () => {
+    const res = await request(app)
+      .post('/api/import/request')
+      .send({ input: "curl 'http://localhost:3001/orders?page=1' -H 'Authorization: Bearer demo'" });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      ok: true,
+      source: 'curl',
+      requests: [{
+        method: 'GET',
+        url: 'http://localhost:3001/orders',
+        queryParams: { page: '1' },
+        headers: { Authorization: 'Bearer demo' }
+      }]
+    });
+
+    const test = await request(app).post('/api/test').send(res.body.requests[0]);
+    expect(test.body.ok).toBe(true);
+  });
+
+  test('returns 400 with hints for unreadable input', async () => {
+    const missing = await request(app).post('/api/import/request').send({});
+    expect(missing.status).toBe(400);
+    expect(missing.body.hints).toMatch(/Copy as cURL/);
+
+    const invalid = await request(app).post('/api/import/request').send({ input: "curl 'http://[bad/'" });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.message).toBe('Invalid URL: http://[bad/');
+
+    const empty = await request(app).post('/api/import/request').send({ input: '{"log":{"entries":[]}}' });
+    expect(empty.status).toBe(400);
+    expect(empty.body.message).toBe('The HAR file contains no HTTP requests');
+  });
+});
+
+describe('POST /api/import/postman', () => {
+  const collection = {
+    info: {
+      name: 'Mock orders',
+      schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+    },
+    variable: [{ key: 'baseUrl', value: 'http://localhost:3001' }],
+    auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{token}}' }] },
+    item: [
+      { name: 'Orders', request: { method: 'GET', url: '{{baseUrl}}/orders?page=1&limit=5' } },
+      {
+        name: 'Search',
+        request: {
+          method: 'POST',
+          url: '{{baseUrl}}/orders/search',
+          body: { mode: 'urlencoded', urlencoded: [{ key: 'status', value: 'pending' }] }
+        }
+      },
+      { name: 'Unauthorized', request: { method: 'GET', url: '{{baseUrl}}/orders', auth: { type: 'noauth' } } }
+    ]
+  };
+
+  test('runs each request and reports per-request results', async () => {
+    const res = await request(app)
+      .post('/api/import/postman')
+      .send({ collection, variables: { token: 'demo' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.ok).toBe(true);
+    expect(res.body.name).toBe('Mock orders');
+
+    const [orders, search, unauthorized] = res.body.results;
+    expect(orders).toMatchObject({ ok: true, status: 200, samplePath: '$.orders' });
+    expect(orders.pagination.type).toBe('page');
+    expect(search).toMatchObject({ ok: true, method: 'POST', samplePath: '$.results' });
+    expect(unauthorized).toMatchObject({ ok: false, status: 401 });
+    expect(unauthorized.hints).toMatch(/auth/i);
+  });
+
+  test('returns 400 for files that are not collections', async () => {
+    const res = await request(app)
+      .post('/api/import/postman')
+      .send({ collection: JSON.stringify(mockOpenApi) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.hints).toMatch(/Collection v2\.1/);
+  });
+
+  test('returns 400 for collections with too many requests, without running them', async () => {
+    const item = Array.from({ length: 51 }, (_, index) => ({ name: `Order ${index}`, request: { method: 'GET', url: `http://10.255.255.1/orders/${index}` } }));
+    const res = await request(app)
+      .post('/api/import/postman')
+      .send({ collection: { ...collection, item } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('The collection contains 51 requests; at most 50 run at once');
+  });
+});
+
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const request = require('supertest');
 const app = require('../../mock-server/app'); // export express app for tests
 
@@ -14,4 +15,137 @@ describe('mock server', () => {
     const res = await request(app).get('/orders');
     expect(res.status).toBe(401);
   });
+
+  test('filters orders by search body', async () => {
+    const res = await request(app)
+      .post('/orders/search')
+      .set('Authorization', 'Bearer demo')
+      .send({ status: 'completed' });
+    expect(res.status).toBe(200);
+    expect(res.body.results.length).toBeGreaterThan(0);
+    expect(res.body.results.every(order => order.status === 'completed')).toBe(true);
+    expect(res.body.total).toBe(res.body.results.length);
+  });
+
+  test('returns a Link header for the next feed page', async () => {
+    const res = await request(app).get('/orders/feed?limit=5').set('Authorization', 'Bearer demo');
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(5);
+    expect(res.headers.link).toMatch(/cursor=5.*rel="next"/);
+  });
+
+  test('issues OAuth tokens accepted until they are revoked', async () => {
+    const token = await request(app)
+      .post('/oauth/token')
+      .auth('demo-client', 'demo-secret')
+      .type('form')
+      .send({ grant_type: 'client_credentials' });
+
+    expect(token.status).toBe(200);
+    expect(token.body).toMatchObject({ token_type: 'bearer', expires_in: 3600 });
+
+    const bearer = `Bearer ${token.body.access_token}`;
+    expect((await request(app).get('/oauth/orders').set('Authorization', bearer)).status).toBe(200);
+    expect((await request(app).get('/oauth/orders').set('Authorization', 'Bearer demo')).status).toBe(401);
+
+    await request(app).post('/oauth/revoke').type('form').send({ token: token.body.access_token });
+    expect((await request(app).get('/oauth/orders').set('Authorization', bearer)).status).toBe(401);
+  });
+
+  test('rotates refresh tokens and rejects unknown clients', async () => {
+    const refreshed = await request(app)
+      .post('/oauth/token')
+      .type('form')
+      .send({ grant_type: 'refresh_token', refresh_token: 'demo-refresh', client_id: 'demo-client', client_secret: 'demo-secret' });
+
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.refresh_token).toMatch(/^mock-refresh-/);
+
+    const rotated = { grant_type: 'refresh_token', refresh_token: refreshed.body.refresh_token };
+    expect((await request(app).post('/oauth/token').auth('demo-client', 'demo-secret').type('form').send(rotated)).status).toBe(200);
+    expect((await request(app).post('/oauth/token').auth('demo-client', 'demo-secret').type('form').send(rotated)).status).toBe(400);
+
+    const unknown = await request(app).post('/oauth/token').auth('demo-client', 'wrong').type('form').send({ grant_type: 'client_credentials' });
+    expect(unknown.status).toBe(401);
+    expect(unknown.body.error).toBe('invalid_client');
+  });
+
+  test('rejects unsigned and stale HMAC requests', async () => {
+    const timestamp = String(Math.floor(Date.now() / 1000) - 600);
+    const emptyHash = crypto.createHash('sha256').update('').digest('hex');
+    const signature = crypto.createHmac('sha256', 'demo-signing-secret')
+      .update(`GET\n/signed/orders\n\n${timestamp}\n${emptyHash}`)
+      .digest('hex');
+
+    expect((await request(app).get('/signed/orders')).status).toBe(401);
+
+    const stale = await request(app)
+      .get('/signed/orders')
+      .set({ 'X-Key-Id': 'demo-key', 'X-Timestamp': timestamp, 'X-Signature': signature });
+
+    expect(stale.status).toBe(401);
+    expect(stale.body.error).toBe('invalid_signature');
+  });
+
+  test('serves orders as XML and SOAP', async () => {
+    const xml = await request(app).get('/xml/orders?limit=2').set('Authorization', 'Bearer demo');
+    expect(xml.status).toBe(200);
+    expect(xml.headers['content-type']).toMatch(/application\/xml/);
+    expect(xml.text).toContain('<order id="2">');
+
+    const fault = await request(app).post('/soap/orders?fault=1').set('Authorization', 'Bearer demo');
+    expect(fault.status).toBe(500);
+    expect(fault.text).toContain('<faultstring>Unknown customer account</faultstring>');
+  });
+
+  test('serves order reports as CSV, TSV and NDJSON', async () => {
+    const csv = await request(app).get('/reports/orders').set('Authorization', 'Bearer demo');
+    expect(csv.status).toBe(200);
+    expect(csv.headers['content-type']).toMatch(/text\/csv/);
+    expect(csv.text.split('\r\n')[0]).toBe('id,customer,amount,status,date');
+    expect(csv.text).toContain('"Smith, ""Jr."""');
+
+    const tsv = await request(app).get('/reports/orders?format=tsv').set('Authorization', 'Bearer demo');
+    expect(tsv.headers['content-type']).toMatch(/text\/tab-separated-values/);
+    expect(tsv.text.split('\r\n')[0]).toBe('id\tcustomer\tamount\tstatus\tdate');
+
+    const ndjson = await request(app).get('/reports/orders?format=ndjson').set('Authorization', 'Bearer demo');
+    expect(ndjson.headers['content-type']).toMatch(/application\/x-ndjson/);
+    expect(JSON.parse(ndjson.text.split('\n')[1]).id).toBe(2);
+
+    const invalid = await request(app).get('/reports/orders?format=xls').set('Authorization', 'Bearer demo');
+    expect(invalid.status).toBe(400);
+  });
+
+  test('answers GraphQL introspection and Relay-paged order queries', async () => {
+    const introspection = await request(app)
+      .post('/graphql')
+      .set('Authorization', 'Bearer demo')
+      .send({ query: '{ __schema { types { name } } }' });
+    expect(introspection.body.data.__schema.queryType.name).toBe('Query');
+
+    const first = await request(app)
+      .post('/graphql')
+      .set('Authorization', 'Bearer demo')
+      .send({ query: '{ orders { edges { node { id } } } }', variables: { first: 2 } });
+    const { edges, pageInfo } = first.body.data.orders;
+    expect(edges.map(edge => edge.node.id)).toEqual(['1', '2']);
+    expect(pageInfo.hasNextPage).toBe(true);
+
+    const next = await request(app)
+      .post('/graphql')
+      .set('Authorization', 'Bearer demo')
+      .send({ query: '{ orders { edges { node { id } } } }', variables: { first: 2, after: pageInfo.endCursor } });
+    expect(next.body.data.orders.edges[0].node.id).toBe('3');
+
+    const missing = await request(app).post('/graphql').set('Authorization', 'Bearer demo').send({});
+    expect(missing.status).toBe(400);
+  });
+
+  test('serves its OpenAPI document without auth', async () => {
+    const res = await request(app).get('/openapi.json');
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toMatch(/^3\./);
+    expect(Object.keys(res.body.paths)).toContain('/orders');
+  });
 });
@@ -18,6 +18,33 @@ describe('POST /api/test', () => {
     expect(res.body.pagination).toBeDefined();
   });
 
+  test('returns field statistics and enum detection', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/orders?page=1&limit=10',
+        headers: { Authorization: 'Bearer demo' }
+      });
+
+    const status = res.body.fields.find(f => f.name === 'status');
+    const amount = res.body.fields.find(f => f.name === 'amount');
+
+    expect(status.isEnum).toBe(true);
+    expect(status.enumValues).toEqual(expect.arrayContaining(['completed', 'pending', 'shipped']));
+    expect(amount.stats).toMatchObject({ min: 95.25, max: 490 });
+  });
+
+  test('returns primary key candidates', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/orders?page=1&limit=10',
+        headers: { Authorization: 'Bearer demo' }
+      });
+
+    expect(res.body.keys).toEqual({ primaryKey: 'id', primaryKeyCandidates: ['id'], foreignKeys: [] });
+  });
+
   test('returns error when auth fails (401)', async () => {
     const res = await request(app)
       .post('/api/test')
@@ -50,6 +77,148 @@ describe('POST /api/test', () => {
     expect(res.body.hints.toLowerCase()).toMatch(/paste.*sample|sample.*json/i);
   });
 
+  test('infers schemas from XML responses', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/xml/orders?page=1&limit=5',
+        headers: { Authorization: 'Bearer demo' }
+      });
+
+    expect(res.body.ok).toBe(true);
+    expect(res.body.responseFormat).toBe('xml');
+    expect(res.body.samplePath).toBe('$.orders.order');
+    expect(res.body.fields.map(field => field.name)).toEqual(['@id', 'customer', 'amount', 'status', 'date']);
+    expect(res.body.fields.find(field => field.name === 'amount').type).toMatch(/number/);
+  });
+
+  test('unwraps SOAP envelopes and reports SOAP faults', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/soap/orders',
+        method: 'POST',
+        headers: { Authorization: 'Bearer demo', SOAPAction: 'urn:mock-erp:orders#GetOrders' },
+        body: '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body><GetOrders/></soap:Body></soap:Envelope>',
+        bodyType: 'raw',
+        xml: { namespaces: 'preserve' }
+      });
+
+    expect(res.body.ok).toBe(true);
+    expect(res.body.responseFormat).toBe('soap');
+    expect(res.body.samplePath).toBe('$[\'m:GetOrdersResponse\'][\'m:GetOrdersResult\'][\'m:order\']');
+
+    const fault = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/soap/orders?fault=1',
+        method: 'POST',
+        headers: { Authorization: 'Bearer demo' },
+        body: '<soap:Envelope/>',
+        bodyType: 'raw'
+      });
+
+    expect(fault.body.ok).toBe(false);
+    expect(fault.body.message).toBe('HTTP 500: SOAP fault soap:Client: Unknown customer account');
+    expect(fault.body.hints).toMatch(/SOAPAction/);
+  });
+
+  test('infers schemas from CSV rows and records their layout', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/reports/orders',
+        headers: { Authorization: 'Bearer demo' }
+      });
+
+    expect(res.body.ok).toBe(true);
+    expect(res.body.responseFormat).toBe('csv');
+    expect(res.body.formatOptions).toEqual({ delimiter: ',', header: true, columns: ['id', 'customer', 'amount', 'status', 'date'] });
+    expect(res.body.samplePath).toBe('$');
+    expect(res.body.fields.find(field => field.name === 'id').type).toBe('integer');
+    expect(res.body.fields.find(field => field.name === 'date').format).toBe('date');
+    expect(res.body.sample).toContain('Smith, \\"Jr.\\"');
+  });
+
+  test('reads every CSV row of a complete body, however few are sampled', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/reports/orders',
+        headers: { Authorization: 'Bearer demo' },
+        sampling: { size: 10 }
+      });
+
+    expect(res.body.ok).toBe(true);
+    expect(res.body.truncated).toBe(false);
+    expect(res.body.sampling).toEqual({ strategy: 'first', sampledCount: 10, totalCount: 25 });
+  });
+
+  test('infers schemas from NDJSON rows', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/reports/orders?format=ndjson',
+        headers: { Authorization: 'Bearer demo' }
+      });
+
+    expect(res.body.ok).toBe(true);
+    expect(res.body.responseFormat).toBe('ndjson');
+    expect(res.body.formatOptions).toBeUndefined();
+    expect(res.body.fields.map(field => field.name)).toEqual(['id', 'customer', 'amount', 'status', 'date']);
+  });
+
+  test('infers GraphQL schemas from the data payload with introspected types', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/graphql',
+        headers: { Authorization: 'Bearer demo' },
+        graphql: {
+          query: 'query Orders($first: Int) { orders(first: $first) { edges { cursor node { id customer amount status } } pageInfo { hasNextPage endCursor } } }',
+          variables: { first: 5 }
+        }
+      });
+
+    expect(res.body.ok).toBe(true);
+    expect(res.body.method).toBe('POST');
+    expect(res.body.samplePath).toBe('$.data.orders.edges');
+    expect(res.body.graphql).toEqual({ typeSource: 'introspection', warning: null, errors: [] });
+    expect(res.body.fields.find(field => field.name === 'amount')).toMatchObject({ type: 'number', graphqlType: 'Float!' });
+    expect(res.body.fields.find(field => field.name === 'status').enumValues).toEqual(['completed', 'pending', 'shipped']);
+    expect(res.body.pagination).toMatchObject({ style: 'relay', cursorParam: 'after', cursorPath: 'data.orders.pageInfo.endCursor' });
+  });
+
+  test('reports GraphQL errors and results without data', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/graphql',
+        headers: { Authorization: 'Bearer demo' },
+        graphql: { query: '{ invoices { id } }' }
+      });
+
+    expect(res.body.ok).toBe(false);
+    expect(res.body.message).toBe('GraphQL error: Cannot query field "invoices" on type "Query".');
+    expect(res.body.hints).toMatch(/schema/);
+
+    const withBody = await request(app)
+      .post('/api/test')
+      .send({ url: 'http://localhost:3001/graphql', method: 'POST', body: '{}', graphql: { query: '{ orders { totalCount } }' } });
+
+    expect(withBody.status).toBe(400);
+    expect(withBody.body.message).toMatch(/Leave the body empty/);
+  });
+
+  test('rejects unsupported XML namespace modes', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({ url: 'http://localhost:3001/xml/orders', xml: { namespaces: 'rename' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Unsupported xml.namespaces: rename. Use one of strip, preserve');
+  });
+
   test('returns error when URL is unreachable', async () => {
     const res = await request(app)
       .post('/api/test')
@@ -101,6 +270,289 @@ describe('POST /api/test', () => {
     expect(res.body.ok).toBe(true);
     expect(res.body.fields).toBeDefined();
   });
+
+  test('sends POST requests with a JSON body', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/orders/search',
+        method: 'POST',
+        body: { status: 'shipped' },
+        headers: { Authorization: 'Bearer demo' }
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.ok).toBe(true);
+    expect(res.body.method).toBe('POST');
+    expect(res.body.samplePath).toBe('$.results');
+    const statusField = res.body.fields.find(f => f.name === 'status');
+    expect(statusField.sample).toBe('shipped');
+  });
+
+  test('sends form-urlencoded bodies', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/orders/search',
+        method: 'post',
+        bodyType: 'form',
+        body: { status: 'pending', minAmount: 300 },
+        headers: { Authorization: 'Bearer demo' }
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.ok).toBe(true);
+    const amountField = res.body.fields.find(f => f.name === 'amount');
+    expect(amountField.sample).toBeGreaterThanOrEqual(300);
+  });
+
+  test('detects Link header pagination on top-level arrays', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/orders/feed?limit=5',
+        headers: { Authorization: 'Bearer demo' }
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.ok).toBe(true);
+    expect(res.body.samplePath).toBe('$');
+    expect(res.body.pagination).toMatchObject({ type: 'link', cursorParam: 'cursor', limitParam: 'limit' });
+  });
+
+  test('applies sampling options to live requests', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/orders?limit=25',
+        headers: { Authorization: 'Bearer demo' },
+        sampling: { strategy: 'random', size: 8 }
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.sampling).toEqual({ strategy: 'random', sampledCount: 8, totalCount: 25 });
+    expect(res.body.fields.find(f => f.name === 'id').observedCount).toBe(8);
+  });
+
+  test('obtains an OAuth access token before calling the API', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/oauth/orders',
+        auth: {
+          type: 'oauth2',
+          tokenUrl: 'http://localhost:3001/oauth/token',
+          clientId: 'demo-client',
+          clientSecret: 'demo-secret'
+        }
+      });
+
+    expect(res.body.ok).toBe(true);
+    expect(res.body.samplePath).toBe('$.orders');
+  });
+
+  test('reports OAuth token failures with hints', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/oauth/orders',
+        auth: {
+          type: 'oauth2',
+          tokenUrl: 'http://localhost:3001/oauth/token',
+          clientId: 'demo-client',
+          clientSecret: 'wrong'
+        }
+      });
+
+    expect(res.body.ok).toBe(false);
+    expect(res.body.errorType).toBe('OAUTH_ERROR');
+    expect(res.body.message).toBe('OAuth token request failed: HTTP 401: invalid_client');
+    expect(res.body.hints).toMatch(/client secret/);
+  });
+
+  test('refuses URLs blocked by the outbound policy', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({ url: 'http://169.254.169.254/latest/meta-data' });
+
+    expect(res.body.ok).toBe(false);
+    expect(res.body.errorType).toBe('POLICY_VIOLATION');
+    expect(res.body.message).toBe('Blocked by outbound policy: 169.254.169.254 is a link-local address');
+    expect(res.body.hints).toMatch(/OUTBOUND_ALLOW/);
+  });
+
+  test('applies typed auth schemes', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/orders',
+        headers: { Authorization: 'Token stale' },
+        auth: { type: 'bearer', token: 'demo' }
+      });
+
+    expect(res.body.ok).toBe(true);
+
+    const invalid = await request(app)
+      .post('/api/test')
+      .send({ url: 'http://localhost:3001/orders', auth: { type: 'apikey', name: 'api_key' } });
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.message).toBe('auth.name and auth.value are required for API key auth');
+  });
+
+  test('signs requests with HMAC', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/signed/orders',
+        queryParams: { limit: 5 },
+        signing: { type: 'hmac', keyId: 'demo-key', secret: 'demo-signing-secret' }
+      });
+
+    expect(res.body.ok).toBe(true);
+    expect(res.body.keys.primaryKey).toBe('id');
+  });
+
+  test('rejects signing combinations that cannot be sent', async () => {
+    const signing = { type: 'aws-sigv4', region: 'us-east-1', service: 'execute-api', accessKeyId: 'AKID', secretAccessKey: 'secret' };
+
+    const withBearer = await request(app)
+      .post('/api/test')
+      .send({ url: 'http://localhost:3001/orders', signing, auth: { type: 'bearer', token: 'demo' } });
+
+    expect(withBearer.status).toBe(400);
+    expect(withBearer.body.message).toBe('AWS SigV4 signing sets the Authorization header and cannot be combined with bearer auth');
+
+    const multipart = await request(app)
+      .post('/api/test')
+      .send({ url: 'http://localhost:3001/orders', method: 'POST', body: { a: '1' }, bodyType: 'multipart', signing });
+
+    expect(multipart.status).toBe(400);
+    expect(multipart.body.message).toMatch(/Multipart bodies cannot be signed/);
+  });
+
+  test('retries rate-limited responses and reports every attempt', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/orders/flaky',
+        headers: { Authorization: 'Bearer demo' },
+        queryParams: { failures: 1, status: 503, key: `route-${Date.now()}` }
+      });
+
+    expect(res.body.ok).toBe(true);
+    expect(res.body.attempts).toMatchObject([
+      { attempt: 1, status: 503, delay: 0, reason: 'HTTP 503, retrying after Retry-After' },
+      { attempt: 2, status: 200, delay: 0, reason: null }
+    ]);
+
+    const noRetries = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/orders/flaky',
+        headers: { Authorization: 'Bearer demo' },
+        queryParams: { failures: 1, status: 429, key: `route-429-${Date.now()}` },
+        retry: { maxRetries: 0 }
+      });
+
+    expect(noRetries.body.ok).toBe(false);
+    expect(noRetries.body.status).toBe(429);
+    expect(noRetries.body.attempts).toHaveLength(1);
+    expect(noRetries.body.hints).toMatch(/retry budget/);
+  });
+
+  test('reports the timing, size and redirects of the last attempt', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({ url: 'http://localhost:3001/orders/legacy', headers: { Authorization: 'Bearer demo' } });
+
+    expect(res.body.ok).toBe(true);
+    expect(res.body.responseSize).toBeGreaterThan(0);
+    expect(res.body).toEqual(expect.objectContaining({ responseTime: expect.any(Number), totalTime: expect.any(Number) }));
+    expect(res.body.redirects).toMatchObject([{ status: 301, location: 'http://localhost:3001/orders' }]);
+    expect(res.body.attempts[0].timing).toEqual(expect.objectContaining({ ttfb: expect.any(Number), download: expect.any(Number) }));
+  });
+
+  test('infers schemas from the beginning of large responses', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/orders/export?count=50000',
+        headers: { Authorization: 'Bearer demo' }
+      });
+
+    expect(res.body.ok).toBe(true);
+    expect(res.body.truncated).toBe(true);
+    expect(res.body.samplePath).toBe('$.orders');
+    expect(res.body.sampling.sampledCount).toBe(50);
+    expect(res.body.sampling.totalCount).toBeLessThan(50000);
+  });
+
+  test('validates retry options', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({ url: 'http://localhost:3001/orders', retry: { statuses: [200] } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('retry.statuses must be a list of HTTP status codes from 400 to 599');
+  });
+
+  test('rejects incomplete OAuth configurations', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/oauth/orders',
+        auth: { type: 'oauth2', tokenUrl: 'http://localhost:3001/oauth/token' }
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('auth.clientId is required for OAuth 2.0');
+  });
+
+  test('rejects unsupported methods', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/orders',
+        method: 'TRACE'
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/unsupported method/i);
+
+    const numeric = await request(app)
+      .post('/api/test')
+      .send({ url: 'http://localhost:3001/orders', method: 1 });
+
+    expect(numeric.status).toBe(400);
+    expect(numeric.body.message).toMatch(/^Unsupported method: 1\./);
+  });
+
+  test('rejects a body on GET requests', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/orders',
+        body: { status: 'pending' }
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/body.*GET/i);
+  });
+
+  test('rejects unsupported body types', async () => {
+    const res = await request(app)
+      .post('/api/test')
+      .send({
+        url: 'http://localhost:3001/orders/search',
+        method: 'POST',
+        bodyType: 'xml',
+        body: '<q/>'
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/unsupported body type/i);
+  });
 });
 
 describe('POST /api/test-sample', () => {
@@ -146,6 +598,99 @@ describe('POST /api/test-sample', () => {
     expect(res.body.fields.some(f => f.name === 'price')).toBe(true);
   });
 
+  test('finds deeply nested collections and lists alternatives', async () => {
+    const sampleData = {
+      data: {
+        items: [{ sku: 'A', qty: 1 }, { sku: 'B', qty: 2 }],
+        warnings: [{ code: 'W1' }]
+      }
+    };
+
+    const res = await request(app)
+      .post('/api/test-sample')
+      .send({ sample: JSON.stringify(sampleData) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.ok).toBe(true);
+    expect(res.body.samplePath).toBe('$.data.items');
+    expect(res.body.alternatives.map(c => c.samplePath)).toEqual(['$.data.warnings']);
+  });
+
+  test('infers the collection chosen through samplePath', async () => {
+    const sampleData = {
+      data: {
+        items: [{ sku: 'A', qty: 1 }, { sku: 'B', qty: 2 }],
+        warnings: [{ code: 'W1' }]
+      }
+    };
+
+    const res = await request(app)
+      .post('/api/test-sample')
+      .send({ sample: JSON.stringify(sampleData), samplePath: '$.data.warnings' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.samplePath).toBe('$.data.warnings');
+    expect(res.body.fields.map(f => f.name)).toEqual(['code']);
+  });
+
+  test('flattens nested objects when requested', async () => {
+    const sampleData = [
+      { id: 1, customer: { name: 'Ann', address: { city: 'Oslo' } } },
+      { id: 2, customer: { name: 'Bo', address: { city: 'Rome' } } }
+    ];
+
+    const res = await request(app)
+      .post('/api/test-sample')
+      .send({ sample: JSON.stringify(sampleData), flatten: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.fields.map(f => f.name)).toEqual(['id', 'customer.name', 'customer.address.city']);
+  });
+
+  test('samples all rows when requested', async () => {
+    const sampleData = Array.from({ length: 30 }, (_, i) => ({ id: i, ...(i === 25 ? { note: 'late' } : {}) }));
+
+    const res = await request(app)
+      .post('/api/test-sample')
+      .send({ sample: JSON.stringify(sampleData), sampling: { strategy: 'all' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.sampling).toEqual({ strategy: 'all', sampledCount: 30, totalCount: 30 });
+    expect(res.body.fields.find(f => f.name === 'note')).toMatchObject({ observedCount: 1, presenceRatio: 0.03 });
+  });
+
+  test('rejects invalid sampling options', async () => {
+    const res = await request(app)
+      .post('/api/test-sample')
+      .send({ sample: '[{"id":1}]', sampling: { strategy: 'every-other' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/sampling strategy/i);
+
+    const sizeRes = await request(app)
+      .post('/api/test-sample')
+      .send({ sample: '[{"id":1}]', sampling: { size: -2 } });
+
+    expect(sizeRes.status).toBe(400);
+    expect(sizeRes.body.message).toMatch(/size must be a positive integer/i);
+
+    const bytesRes = await request(app)
+      .post('/api/test-sample')
+      .send({ sample: '[{"id":1}]', sampling: { strategy: 'all', maxBytes: 2 ** 31 } });
+
+    expect(bytesRes.status).toBe(400);
+    expect(bytesRes.body.message).toBe('sampling.maxBytes must be at most 10485760');
+  });
+
+  test('rejects malformed samplePath', async () => {
+    const res = await request(app)
+      .post('/api/test-sample')
+      .send({ sample: '[{"id":1}]', samplePath: 'data[[' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/invalid samplePath/i);
+  });
+
   test('returns error when sample is not valid JSON', async () => {
     const res = await request(app)
       .post('/api/test-sample')
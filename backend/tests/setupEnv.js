@@ -0,0 +1,2 @@
+// Tests call the mock server and in-process servers on loopback addresses, which the outbound policy blocks
+process.env.OUTBOUND_ALLOW = 'localhost,127.0.0.1,::1';
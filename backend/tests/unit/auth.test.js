@@ -0,0 +1,109 @@
+const { templateVariables, validateAuth, applyAuth, maskAuth, toToolJetAuth } = require('../../src/lib/auth');
+
+describe('Auth schemes', () => {
+  const oauth = {
+    type: 'oauth2',
+    tokenUrl: 'https://auth.example.com/token',
+    clientId: 'app',
+    clientSecret: 'secret',
+    scopes: 'orders:read'
+  };
+
+  describe('validateAuth', () => {
+    test('accepts every supported scheme', () => {
+      expect(validateAuth(undefined)).toBeNull();
+      expect(validateAuth({ type: 'basic', username: 'demo', password: '' })).toBeNull();
+      expect(validateAuth({ type: 'bearer', token: 'abc' })).toBeNull();
+      expect(validateAuth({ type: 'apikey', name: 'api_key', value: 'k1', in: 'query' })).toBeNull();
+      expect(validateAuth({ type: 'custom', header: 'Authorization', template: 'Token {{token}}', values: { token: 't' } })).toBeNull();
+      expect(validateAuth(oauth)).toBeNull();
+    });
+
+    test('reports missing fields by type', () => {
+      expect(validateAuth('Bearer abc')).toBe('auth must be an object with a type');
+      expect(validateAuth({ type: 'digest' })).toBe('Unsupported auth type: digest. Use one of basic, bearer, apikey, custom, oauth2');
+      expect(validateAuth({ type: 'basic' })).toBe('auth.username is required for basic auth');
+      expect(validateAuth({ type: 'bearer', token: '' })).toBe('auth.token is required for bearer auth');
+      expect(validateAuth({ type: 'apikey', name: 'key', value: 'v', in: 'cookie' })).toMatch(/Unsupported auth.in: cookie/);
+      expect(validateAuth({ type: 'custom', header: 'X-Auth', template: '{{id}}:{{secret}}', values: { id: 'a' } }))
+        .toBe('auth.values.secret is required by the template');
+      expect(validateAuth({ ...oauth, clientId: '' })).toBe('auth.clientId is required for OAuth 2.0');
+    });
+  });
+
+  test('templateVariables lists each variable once', () => {
+    expect(templateVariables('{{ id }}:{{secret}}/{{id}}')).toEqual(['id', 'secret']);
+  });
+
+  describe('applyAuth', () => {
+    test('replaces the Authorization header for basic and bearer', () => {
+      const basic = applyAuth({ type: 'basic', username: 'demo', password: 'pw' }, { authorization: 'Bearer old', Accept: 'application/json' });
+      expect(basic.headers).toEqual({ Accept: 'application/json', Authorization: `Basic ${Buffer.from('demo:pw').toString('base64')}` });
+
+      expect(applyAuth({ type: 'bearer', token: 'abc' }).headers).toEqual({ Authorization: 'Bearer abc' });
+    });
+
+    test('sends API keys in a header or the query string', () => {
+      expect(applyAuth({ type: 'apikey', name: 'X-API-Key', value: 'k1' }, {}, { page: '1' }))
+        .toEqual({ headers: { 'X-API-Key': 'k1' }, queryParams: { page: '1' } });
+      expect(applyAuth({ type: 'apikey', name: 'api_key', value: 'k1', in: 'query' }, {}, { page: '1' }))
+        .toEqual({ headers: {}, queryParams: { page: '1', api_key: 'k1' } });
+    });
+
+    test('fills custom header templates', () => {
+      const { headers } = applyAuth({
+        type: 'custom',
+        header: 'Authorization',
+        template: 'Token token="{{token}}", user="{{user}}"',
+        values: { token: 't1', user: 'ann' }
+      });
+
+      expect(headers.Authorization).toBe('Token token="t1", user="ann"');
+    });
+
+    test('leaves OAuth to the fetcher and copies its inputs', () => {
+      const headers = { Accept: 'application/json' };
+      const result = applyAuth(oauth, headers);
+
+      expect(result.headers).toEqual(headers);
+      expect(result.headers).not.toBe(headers);
+    });
+  });
+
+  describe('maskAuth', () => {
+    test('masks secrets by type', () => {
+      expect(maskAuth({ type: 'basic', username: 'demo', password: 'pw' })).toEqual({ type: 'basic', username: 'demo', password: '<masked>' });
+      expect(maskAuth({ type: 'bearer', token: 'abc' })).toEqual({ type: 'bearer', token: '<masked>' });
+      expect(maskAuth({ type: 'apikey', name: 'api_key', value: 'k1', in: 'query' }))
+        .toEqual({ type: 'apikey', name: 'api_key', in: 'query', value: '<masked>' });
+      expect(maskAuth({ type: 'custom', header: 'X-Auth', template: '{{id}}:{{secret}}', values: { id: 'a', secret: 'b', unused: 'c' } }))
+        .toEqual({ type: 'custom', header: 'X-Auth', template: '{{id}}:{{secret}}', values: { id: '<masked>', secret: '<masked>' } });
+      expect(maskAuth(oauth).clientSecret).toBe('<masked>');
+      expect(maskAuth(undefined)).toBeNull();
+    });
+  });
+
+  describe('toToolJetAuth', () => {
+    test('maps schemes ToolJet supports natively', () => {
+      expect(toToolJetAuth(maskAuth({ type: 'basic', username: 'demo', password: 'pw' })))
+        .toEqual({ auth_type: 'basic', username: 'demo', password: '<masked>' });
+      expect(toToolJetAuth(maskAuth({ type: 'bearer', token: 'abc' }))).toEqual({ auth_type: 'bearer', bearer_token: '<masked>' });
+      expect(toToolJetAuth(maskAuth({ ...oauth, clientAuth: 'body' }))).toEqual({
+        auth_type: 'oauth2',
+        grant_type: 'client_credentials',
+        access_token_url: 'https://auth.example.com/token',
+        client_id: 'app',
+        client_secret: '<masked>',
+        scopes: 'orders:read',
+        client_auth: 'body',
+        add_token_to: 'header',
+        header_prefix: 'Bearer '
+      });
+    });
+
+    test('falls back to no auth type for keys and custom headers', () => {
+      expect(toToolJetAuth(maskAuth({ type: 'apikey', name: 'X-API-Key', value: 'k1' }))).toEqual({ auth_type: 'none' });
+      expect(toToolJetAuth(null)).toEqual({ auth_type: 'none' });
+    });
+  });
+});
@@ -0,0 +1,283 @@
+const http = require('http');
+const mockApp = require('../../mock-server/app');
+const { buildRequestBody, parseRetryDelay, backoffDelay, fetchWithRetry } = require('../../src/lib/fetcher');
+const { createPolicy } = require('../../src/lib/outboundPolicy');
+
+describe('Fetcher', () => {
+  describe('buildRequestBody', () => {
+    test('serializes JSON bodies', () => {
+      const { data, contentType } = buildRequestBody({ status: 'pending' }, 'json');
+
+      expect(data).toBe('{"status":"pending"}');
+      expect(contentType).toBe('application/json');
+    });
+
+    test('passes JSON strings through unchanged', () => {
+      const { data } = buildRequestBody('{"q":"shoes"}', 'json');
+      expect(data).toBe('{"q":"shoes"}');
+    });
+
+    test('encodes form bodies as urlencoded', () => {
+      const { data, contentType } = buildRequestBody({ q: 'red shoes', page: 2 }, 'form');
+
+      expect(data).toBe('q=red+shoes&page=2');
+      expect(contentType).toBe('application/x-www-form-urlencoded');
+    });
+
+    test('builds FormData for multipart bodies', () => {
+      const { data, contentType } = buildRequestBody({ name: 'report', year: 2025 }, 'multipart');
+
+      expect(data).toBeInstanceOf(FormData);
+      expect(data.get('year')).toBe('2025');
+      expect(contentType).toBeNull();
+    });
+
+    test('sends nested form and multipart values as JSON', () => {
+      const body = { tags: ['a', 'b'], meta: { draft: true }, note: null };
+
+      expect(buildRequestBody(body, 'multipart').data.get('meta')).toBe('{"draft":true}');
+      expect(buildRequestBody(body, 'multipart').data.get('note')).toBe('null');
+      expect(buildRequestBody(body, 'form').data).toBe('tags=%5B%22a%22%2C%22b%22%5D&meta=%7B%22draft%22%3Atrue%7D&note=null');
+    });
+
+    test('sends raw bodies as text', () => {
+      const { data, contentType } = buildRequestBody('query { orders }', 'raw');
+
+      expect(data).toBe('query { orders }');
+      expect(contentType).toBe('text/plain');
+    });
+
+    test('returns no data for empty bodies', () => {
+      expect(buildRequestBody(undefined).data).toBeUndefined();
+      expect(buildRequestBody('').data).toBeUndefined();
+    });
+
+    test('throws on unsupported body types', () => {
+      expect(() => buildRequestBody({ a: 1 }, 'xml')).toThrow(/unsupported body type/i);
+    });
+  });
+
+  describe('parseRetryDelay', () => {
+    const now = Date.parse('2025-01-15T10:00:00Z');
+
+    test('reads Retry-After as seconds or an HTTP date', () => {
+      expect(parseRetryDelay({ 'retry-after': '3' }, now)).toEqual({ delay: 3000, source: 'Retry-After' });
+      expect(parseRetryDelay({ 'Retry-After': 'Wed, 15 Jan 2025 10:00:05 GMT' }, now)).toEqual({ delay: 5000, source: 'Retry-After' });
+      expect(parseRetryDelay({ 'retry-after': 'Wed, 15 Jan 2025 09:00:00 GMT' }, now).delay).toBe(0);
+    });
+
+    test('reads X-RateLimit-Reset as an epoch time or a number of seconds', () => {
+      expect(parseRetryDelay({ 'x-ratelimit-reset': String(now / 1000 + 2) }, now)).toEqual({ delay: 2000, source: 'X-RateLimit-Reset' });
+      expect(parseRetryDelay({ 'x-ratelimit-reset': String(now + 1500) }, now).delay).toBe(1500);
+      expect(parseRetryDelay({ 'x-ratelimit-reset': '4' }, now).delay).toBe(4000);
+    });
+
+    test('prefers Retry-After and ignores unusable values', () => {
+      expect(parseRetryDelay({ 'retry-after': '1', 'x-ratelimit-reset': '9' }, now).source).toBe('Retry-After');
+      expect(parseRetryDelay({ 'retry-after': 'soon' }, now)).toBeNull();
+      expect(parseRetryDelay({}, now)).toBeNull();
+    });
+  });
+
+  test('backoffDelay draws a full-jitter delay below the capped exponential delay', () => {
+    expect(backoffDelay(1, 500, 30000, () => 0.5)).toBe(250);
+    expect(backoffDelay(3, 500, 30000, () => 0.5)).toBe(1000);
+    expect(backoffDelay(10, 500, 30000, () => 0.999)).toBeLessThan(30000);
+    expect(backoffDelay(2, 500, 30000, () => 0)).toBe(0);
+  });
+
+  describe('fetchWithRetry', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(done => {
+      server = mockApp.listen(0, () => {
+        baseUrl = `http://localhost:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    const flaky = (query) => ({
+      url: `${baseUrl}/orders/flaky`,
+      headers: { Authorization: 'Bearer demo' },
+      queryParams: { key: `${query.status}-${Math.random()}`, ...query },
+      initialDelay: 10
+    });
+
+    test('retries 503 responses after the Retry-After delay', async () => {
+      const response = await fetchWithRetry(flaky({ failures: 2, status: 503 }));
+
+      expect(response.status).toBe(200);
+      expect(response.attempts).toMatchObject([
+        { attempt: 1, status: 503, delay: 0, reason: 'HTTP 503, retrying after Retry-After' },
+        { attempt: 2, status: 503, delay: 0, reason: 'HTTP 503, retrying after Retry-After' },
+        { attempt: 3, status: 200, delay: 0, reason: null }
+      ]);
+    });
+
+    test('waits for the rate limit window of 429 responses', async () => {
+      const response = await fetchWithRetry(flaky({ failures: 1, status: 429 }));
+
+      expect(response.status).toBe(200);
+      expect(response.attempts[0].reason).toBe('HTTP 429, retrying after X-RateLimit-Reset');
+      expect(response.attempts[0].delay).toBeLessThanOrEqual(1000);
+    });
+
+    test('stops when retries or the retry budget run out', async () => {
+      const exhausted = await fetchWithRetry({ ...flaky({ failures: 5, status: 503 }), maxRetries: 1 });
+      expect(exhausted.status).toBe(503);
+      expect(exhausted.attempts.map(attempt => attempt.reason)).toEqual([
+        'HTTP 503, retrying after Retry-After',
+        'HTTP 503, retries exhausted'
+      ]);
+
+      const overBudget = await fetchWithRetry({ ...flaky({ failures: 1, status: 503, retryAfter: '5' }), retryBudget: 1000 });
+      expect(overBudget.status).toBe(503);
+      expect(overBudget.attempts).toMatchObject([{ attempt: 1, status: 503, delay: 0, reason: 'HTTP 503, retry budget exhausted' }]);
+    });
+
+    test('only retries the configured statuses', async () => {
+      const response = await fetchWithRetry({ ...flaky({ failures: 1, status: 503 }), retryOn: [429] });
+
+      expect(response.status).toBe(503);
+      expect(response.attempts).toHaveLength(1);
+      expect(response.attempts[0].reason).toBe('HTTP 503, not retried');
+    });
+
+    test('times each attempt and follows redirects', async () => {
+      const response = await fetchWithRetry({
+        url: `${baseUrl}/orders/legacy`,
+        headers: { Authorization: 'Bearer demo' },
+        queryParams: { limit: 2 },
+        maxRetries: 0
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.data.orders).toHaveLength(2);
+
+      const [attempt] = response.attempts;
+      expect(attempt.size).toBe(Buffer.byteLength(JSON.stringify(response.data)));
+      expect(attempt.timing.total).toBeGreaterThanOrEqual(attempt.timing.ttfb);
+      expect(attempt.redirects).toEqual([{
+        url: `${baseUrl}/orders/legacy`,
+        status: 301,
+        location: `${baseUrl}/orders?limit=2`,
+        timing: expect.objectContaining({ total: expect.any(Number) })
+      }]);
+    });
+
+    test('follows redirects like a browser and keeps credentials on the same origin', async () => {
+      const received = [];
+      const redirecting = http.createServer((req, res) => {
+        received.push({ method: req.method, url: req.url, authorization: req.headers.authorization });
+        if (req.url === '/submit') {
+          res.writeHead(303, { Location: '/result' });
+        } else if (req.url === '/result') {
+          res.writeHead(302, { Location: `http://127.0.0.1:${redirecting.address().port}/elsewhere` });
+        } else {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.write('{"done":true}');
+        }
+        res.end();
+      });
+      await new Promise(resolve => redirecting.listen(0, resolve));
+
+      try {
+        const response = await fetchWithRetry({
+          url: `http://localhost:${redirecting.address().port}/submit`,
+          method: 'POST',
+          headers: { Authorization: 'Bearer secret' },
+          body: { a: 1 },
+          maxRetries: 0
+        });
+
+        expect(response.data).toEqual({ done: true });
+        expect(response.attempts[0].redirects.map(redirect => redirect.status)).toEqual([303, 302]);
+        expect(received).toEqual([
+          { method: 'POST', url: '/submit', authorization: 'Bearer secret' },
+          { method: 'GET', url: '/result', authorization: 'Bearer secret' },
+          { method: 'GET', url: '/elsewhere', authorization: undefined }
+        ]);
+      } finally {
+        await new Promise(resolve => redirecting.close(resolve));
+      }
+    });
+
+    test('checks every redirect against the outbound policy', async () => {
+      const redirecting = http.createServer((req, res) => {
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data' });
+        res.end();
+      });
+      await new Promise(resolve => redirecting.listen(0, resolve));
+
+      try {
+        const response = await fetchWithRetry({ url: `http://localhost:${redirecting.address().port}/`, maxRetries: 2 });
+
+        expect(response).toMatchObject({
+          success: false,
+          errorType: 'POLICY_VIOLATION',
+          error: 'Blocked by outbound policy: 169.254.169.254 is a link-local address'
+        });
+        expect(response.attempts).toHaveLength(1);
+        expect(response.attempts[0].redirects).toHaveLength(1);
+        expect(response.attempts[0].reason).toBe('POLICY_VIOLATION, not retried');
+      } finally {
+        await new Promise(resolve => redirecting.close(resolve));
+      }
+    });
+
+    test('refuses host names resolving to blocked addresses', async () => {
+      const response = await fetchWithRetry({ url: 'http://localhost:1/orders', policy: createPolicy(), maxRetries: 2 });
+
+      expect(response.errorType).toBe('POLICY_VIOLATION');
+      expect(response.error).toMatch(/localhost resolves to .+, which is a loopback address/);
+      expect(response.attempts).toHaveLength(1);
+    });
+
+    test('stops reading large responses once enough items were read', async () => {
+      const response = await fetchWithRetry({
+        url: `${baseUrl}/orders/export?count=50000`,
+        headers: { Authorization: 'Bearer demo' },
+        maxItems: 20
+      });
+
+      expect(response.truncated).toBe(true);
+      // Responses are read whole up to 1 MB before items are counted
+      expect(response.data.orders.length).toBeGreaterThanOrEqual(20);
+      expect(response.data.orders[response.data.orders.length - 1]).toHaveProperty('date');
+      expect(response.data.total).toBeUndefined();
+      expect(response.attempts[0].size).toBeLessThan(2 * 1024 * 1024);
+    });
+
+    test('cuts responses at the maximum response size', async () => {
+      const response = await fetchWithRetry({
+        url: `${baseUrl}/orders/export?count=1000`,
+        headers: { Authorization: 'Bearer demo' },
+        maxResponseSize: 10000
+      });
+
+      expect(response.truncated).toBe(true);
+      expect(response.data.orders.length).toBeGreaterThan(0);
+      expect(response.data.orders.length).toBeLessThan(1000);
+
+      const complete = await fetchWithRetry({ url: `${baseUrl}/orders/export?count=10`, headers: { Authorization: 'Bearer demo' } });
+      expect(complete.truncated).toBe(false);
+      expect(complete.data).toMatchObject({ total: 10 });
+    });
+
+    test('backs off with jitter after network errors', async () => {
+      const response = await fetchWithRetry({ url: 'http://localhost:1/', maxRetries: 2, initialDelay: 20 });
+
+      expect(response).toMatchObject({ success: false, errorType: 'ECONNREFUSED' });
+      expect(response.attempts).toHaveLength(3);
+      expect(response.attempts[0].reason).toBe('ECONNREFUSED, retrying after backoff');
+      expect(response.attempts[0].delay).toBeLessThan(20);
+      expect(response.attempts[1].delay).toBeLessThan(40);
+      expect(response.attempts[2].reason).toBe('ECONNREFUSED, retries exhausted');
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const { detectFormat } = require('../../src/lib/formats');
+
+describe('Format detection', () => {
+  describe('detectFormat', () => {
+    test.each([
+      ['date', ['2025-01-15', '2025-02-03']],
+      ['date-time', ['2025-01-15T10:30:00Z', '2025-01-16T08:00+02:00', '2025-01-17T09:15:00']],
+      ['uuid', ['3f2504e0-4f89-11d3-9a0c-0305e82c3301', 'A987FBC9-4BED-4078-8F07-9141BA07C9F3']],
+      ['email', ['ann@example.com', 'bo.smith@mail.example.org']],
+      ['uri', ['https://example.com/a', 'http://localhost:3001/orders?page=2']],
+      ['ipv4', ['10.0.0.1', '192.168.1.254']],
+      ['ipv6', ['::1', '2001:db8::ff00:42:8329']],
+      ['numeric', ['42', '-3.14']],
+      ['currency', ['$1,250.00', '€ 99.5', '12.00 USD']],
+      ['phone', ['+1 (555) 010-9999', '020 7946 0958']]
+    ])('detects %s', (format, values) => {
+      expect(detectFormat(values)).toEqual({ format, confidence: 1 });
+    });
+
+    test('reports the share of matching values', () => {
+      const values = ['2025-01-15', '2025-01-16', '2025-01-17', '2025-01-18', 'soon'];
+      expect(detectFormat(values)).toEqual({ format: 'date', confidence: 0.8 });
+    });
+
+    test('ignores nulls when computing confidence', () => {
+      expect(detectFormat([null, 'a@b.co', null])).toEqual({ format: 'email', confidence: 1 });
+    });
+
+    test('returns null below the confidence threshold', () => {
+      expect(detectFormat(['2025-01-15', 'tomorrow', 'next week'])).toBeNull();
+    });
+
+    test('returns null for free text', () => {
+      expect(detectFormat(['completed', 'pending'])).toBeNull();
+    });
+
+    test('leaves date-times with a space separator unformatted', () => {
+      expect(detectFormat(['2025-01-16 08:00:00+02:00', '2025-01-17 09:15'])).toBeNull();
+    });
+
+    test('rejects impossible dates', () => {
+      expect(detectFormat(['2025-13-45'])).toBeNull();
+    });
+
+    test('detects epoch timestamps on time-like integer fields', () => {
+      expect(detectFormat([1736899200, 1736985600], 'created_at')).toEqual({ format: 'epoch', confidence: 1 });
+      expect(detectFormat([1736899200000], 'updatedAt')).toEqual({ format: 'epoch', confidence: 1 });
+    });
+
+    test('does not treat ids as epoch timestamps', () => {
+      expect(detectFormat([1736899200, 1736985600], 'id')).toBeNull();
+    });
+  });
+});
@@ -1,4 +1,11 @@
-const { generateDatasourceJSON, generateImportWrapper, maskSensitiveHeaders } = require('../../src/lib/generator');
+const {
+  generateDatasourceJSON,
+  generateImportWrapper,
+  generateJsonSchema,
+  generateFilename,
+  maskSensitiveHeaders,
+  mapFieldType
+} = require('../../src/lib/generator');
 
 describe('Generator', () => {
   describe('maskSensitiveHeaders', () => {
@@ -77,6 +84,71 @@ describe('Generator', () => {
       expect(out.datasource.headers.Authorization).toBe('<masked>');
     });
 
+    test('carries a masked OAuth block instead of the Authorization header', () => {
+      const out = generateDatasourceJSON({
+        url: 'http://api.example.com/data',
+        fields: [],
+        headers: { Authorization: 'Bearer short-lived', 'X-Tenant': 'acme' },
+        auth: {
+          type: 'oauth2',
+          tokenUrl: 'http://api.example.com/oauth/token',
+          clientId: 'app',
+          clientSecret: 'secret',
+          scopes: ['read']
+        }
+      });
+
+      expect(out.datasource.headers).toEqual({ 'X-Tenant': 'acme' });
+      expect(out.datasource.auth).toEqual({
+        type: 'oauth2',
+        grantType: 'client_credentials',
+        tokenUrl: 'http://api.example.com/oauth/token',
+        clientId: 'app',
+        clientSecret: '<masked>',
+        scopes: ['read'],
+        clientAuth: 'basic'
+      });
+    });
+
+    test('maps typed auth schemes to ToolJet auth settings', () => {
+      const out = generateDatasourceJSON({
+        url: 'http://api.example.com/data',
+        fields: [],
+        headers: { Authorization: 'Basic stale' },
+        auth: { type: 'basic', username: 'demo', password: 'pw' }
+      });
+
+      expect(out.datasource.headers).toEqual({});
+      expect(out.datasource.auth).toEqual({ type: 'basic', username: 'demo', password: '<masked>' });
+      expect(out.datasource.authOptions).toEqual({ auth_type: 'basic', username: 'demo', password: '<masked>' });
+    });
+
+    test('masks API keys sent in the query string', () => {
+      const typed = generateDatasourceJSON({
+        url: 'http://api.example.com/data',
+        fields: [],
+        queryParams: { page: '1' },
+        auth: { type: 'apikey', name: 'key', value: 'k1', in: 'query' }
+      });
+
+      expect(typed.datasource.queryParams).toEqual({ page: '1', key: '<masked>' });
+      expect(typed.datasource.authOptions).toEqual({ auth_type: 'none' });
+
+      const untyped = generateDatasourceJSON({ url: 'http://api.example.com/data', fields: [], queryParams: { api_key: 'k1' } });
+      expect(untyped.datasource.queryParams).toEqual({ api_key: '<masked>' });
+    });
+
+    test('keeps pagination tokens in the query string', () => {
+      const out = generateDatasourceJSON({
+        url: 'http://api.example.com/data',
+        fields: [],
+        queryParams: { pageToken: 'p2', page_token: 'p2', nextToken: 'n1' },
+        auth: { type: 'apikey', name: 'access_token', value: 'k1', in: 'query' }
+      });
+
+      expect(out.datasource.queryParams).toEqual({ pageToken: 'p2', page_token: 'p2', nextToken: 'n1', access_token: '<masked>' });
+    });
+
     test('includes pagination configuration', () => {
       const input = {
         url: 'http://api.example.com/items',
@@ -131,6 +203,74 @@ describe('Generator', () => {
 
       expect(out.datasource.queryParams).toEqual({ status: 'active', type: 'user' });
     });
+
+    test('defaults method to GET', () => {
+      const out = generateDatasourceJSON({ url: 'http://api.example.com/data', fields: [] });
+
+      expect(out.datasource.method).toBe('GET');
+      expect(out.datasource).not.toHaveProperty('body');
+    });
+
+    test('carries method and body for POST requests', () => {
+      const input = {
+        url: 'http://api.example.com/search',
+        fields: [],
+        method: 'post',
+        body: { query: 'shoes' },
+        bodyType: 'json'
+      };
+
+      const out = generateDatasourceJSON(input);
+
+      expect(out.datasource.method).toBe('POST');
+      expect(out.datasource.body).toEqual({ query: 'shoes' });
+      expect(out.datasource.bodyType).toBe('json');
+    });
+
+    test('marks datasources whose data is converted from XML', () => {
+      const out = generateDatasourceJSON({ url: 'http://erp.example.com/orders', fields: [], responseFormat: 'soap' });
+
+      expect(out.datasource.responseFormat).toBe('soap');
+      expect(generateDatasourceJSON({ url: 'http://api.example.com/data', fields: [], responseFormat: 'json' }).datasource)
+        .not.toHaveProperty('responseFormat');
+    });
+
+    test('generates GraphQL datasources with the query and variables', () => {
+      const out = generateDatasourceJSON({
+        url: 'https://api.example.com/graphql',
+        headers: { Authorization: 'Bearer secret' },
+        graphql: { query: 'query Orders($first: Int) { orders(first: $first) { edges { node { id } } } }', variables: { first: 10 } }
+      });
+
+      expect(out.datasource).toMatchObject({
+        type: 'graphql',
+        method: 'POST',
+        query: 'query Orders($first: Int) { orders(first: $first) { edges { node { id } } } }',
+        variables: { first: 10 },
+        headers: { Authorization: '<masked>' }
+      });
+      expect(out.datasource).not.toHaveProperty('body');
+    });
+
+    test('adds a transformation that parses CSV and NDJSON responses into rows', () => {
+      const csv = generateDatasourceJSON({
+        url: 'http://api.example.com/reports',
+        fields: [],
+        responseFormat: 'csv',
+        formatOptions: { delimiter: ';', header: true, columns: ['id', 'name', 'paid'] }
+      }).datasource;
+
+      expect(csv.responseFormat).toBe('csv');
+      expect(csv.transformation.language).toBe('javascript');
+      const parseCsv = new Function('data', csv.transformation.code);
+      expect(parseCsv('id;name;paid\r\n1;"A; B";true\r\n2;C\r\n')).toEqual([
+        { id: 1, name: 'A; B', paid: true },
+        { id: 2, name: 'C', paid: null }
+      ]);
+
+      const ndjson = generateDatasourceJSON({ url: 'http://api.example.com/events', fields: [], responseFormat: 'ndjson' }).datasource;
+      expect(new Function('data', ndjson.transformation.code)('{"id":1}\n\n{"id":2}\n')).toEqual([{ id: 1 }, { id: 2 }]);
+    });
   });
 
   describe('generateImportWrapper', () => {
@@ -156,6 +296,33 @@ describe('Generator', () => {
       expect(wrapper.components.table.columns).toHaveLength(3);
     });
 
+    test('selects Relay nodes and pages with GraphQL variables', () => {
+      const wrapper = generateImportWrapper({
+        url: 'https://api.example.com/graphql',
+        fields: [{ name: 'id', type: 'string', path: ['node', 'id'] }],
+        samplePath: '$.data.orders.edges',
+        pagination: {
+          type: 'cursor',
+          style: 'relay',
+          cursorSource: 'body',
+          cursorPath: 'data.orders.pageInfo.endCursor',
+          cursorParam: 'after',
+          limitParam: 'first',
+          paramLocation: 'variables',
+          terminal: { path: 'data.orders.pageInfo.hasNextPage', condition: 'false' }
+        }
+      });
+
+      expect(wrapper.components.table.columns[0].selector).toBe('$.data.orders.edges[].node.id');
+      expect(wrapper.components.pagination).toMatchObject({
+        cursorParam: 'after',
+        limitParam: 'first',
+        paramLocation: 'variables',
+        cursorBinding: '{{datasource.data.data.orders.pageInfo.endCursor}}',
+        hasMoreBinding: '{{datasource.data.data.orders.pageInfo.hasNextPage === true}}'
+      });
+    });
+
     test('includes pagination controls when pagination present', () => {
       const input = {
         url: 'http://api.example.com/data',
@@ -174,6 +341,67 @@ describe('Generator', () => {
       expect(wrapper.components.pagination).toHaveProperty('limitParam', 'limit');
     });
 
+    test('generates cursor pagination controls', () => {
+      const input = {
+        url: 'http://api.example.com/members',
+        fields: [{ name: 'id', type: 'string' }],
+        samplePath: '$.members',
+        pagination: {
+          type: 'cursor',
+          cursorSource: 'body',
+          cursorPath: 'response_metadata.next_cursor',
+          cursorParam: 'cursor',
+          terminal: { path: 'response_metadata.next_cursor', condition: 'empty' }
+        }
+      };
+
+      const wrapper = generateImportWrapper(input);
+
+      expect(wrapper.components.pagination).toMatchObject({
+        type: 'cursor',
+        cursorParam: 'cursor',
+        cursorBinding: '{{datasource.data.response_metadata.next_cursor}}',
+        hasMoreBinding: '{{!!datasource.data.response_metadata.next_cursor}}'
+      });
+    });
+
+    test('binds last item cursors to the item array', () => {
+      const input = {
+        url: 'http://api.example.com/customers',
+        fields: [{ name: 'id', type: 'string' }],
+        samplePath: '$.data',
+        pagination: {
+          type: 'cursor',
+          cursorSource: 'lastItem',
+          cursorPath: 'data[-1].id',
+          cursorParam: 'starting_after',
+          terminal: { path: 'has_more', condition: 'false' }
+        }
+      };
+
+      const { pagination } = generateImportWrapper(input).components;
+
+      expect(pagination.cursorBinding).toBe('{{datasource.data.data.at(-1)?.id}}');
+      expect(pagination.hasMoreBinding).toBe('{{datasource.data.has_more === true}}');
+    });
+
+    test('generates link pagination controls', () => {
+      const input = {
+        url: 'http://api.example.com/repos',
+        fields: [{ name: 'id', type: 'integer' }],
+        pagination: { type: 'link', rel: 'next', pageParam: 'page', terminal: { header: 'link', condition: 'no-next-link' } }
+      };
+
+      const { pagination } = generateImportWrapper(input).components;
+
+      expect(pagination).toMatchObject({
+        type: 'link',
+        nextUrlBinding: '{{datasource.links.next}}',
+        pageParam: 'page',
+        hasMoreBinding: '{{!!datasource.links.next}}'
+      });
+    });
+
     test('generates table columns from fields', () => {
       const input = {
         url: 'http://api.example.com/users',
@@ -193,6 +421,73 @@ describe('Generator', () => {
       ]);
     });
 
+    test('builds selectors from flattened field paths', () => {
+      const input = {
+        url: 'http://api.example.com/users',
+        fields: [
+          { name: 'id', type: 'integer' },
+          { name: 'address.city', type: 'string', path: ['address', 'city'] },
+          { name: 'meta.first name', type: 'string', path: ['meta', 'first name'] }
+        ],
+        samplePath: '$.users'
+      };
+
+      const { columns } = generateImportWrapper(input).components.table;
+
+      expect(columns[0].selector).toBe('$.users[].id');
+      expect(columns[1]).toMatchObject({ key: 'address.city', type: 'text', selector: '$.users[].address.city' });
+      expect(columns[2].selector).toBe("$.users[].meta['first name']");
+    });
+
+    test('generates dropdown filters for enum fields', () => {
+      const input = {
+        url: 'http://api.example.com/orders',
+        fields: [
+          { name: 'id', type: 'integer' },
+          { name: 'status', type: 'string', isEnum: true, enumValues: ['completed', 'pending'] }
+        ],
+        samplePath: '$.orders'
+      };
+
+      const wrapper = generateImportWrapper(input);
+
+      expect(wrapper.components.filters).toEqual([{
+        component: 'Dropdown',
+        label: 'status',
+        column: 'status',
+        selector: '$.orders[].status',
+        options: [
+          { label: 'completed', value: 'completed' },
+          { label: 'pending', value: 'pending' }
+        ],
+        multiSelect: true
+      }]);
+    });
+
+    test('omits filters when no enum fields exist', () => {
+      const wrapper = generateImportWrapper({ fields: [{ name: 'id', type: 'integer' }] });
+      expect(wrapper.components).not.toHaveProperty('filters');
+    });
+
+    test('sets the table key column from the detected primary key', () => {
+      const input = {
+        fields: [{ name: 'id', type: 'integer' }, { name: 'customer_id', type: 'integer' }],
+        samplePath: '$.orders',
+        keys: { primaryKey: 'id', primaryKeyCandidates: ['id'], foreignKeys: [] }
+      };
+
+      expect(generateImportWrapper(input).components.table.keyColumn).toBe('id');
+    });
+
+    test('ignores a primary key that is not a column', () => {
+      const input = {
+        fields: [{ name: 'name', type: 'string' }],
+        keys: { primaryKey: 'id' }
+      };
+
+      expect(generateImportWrapper(input).components.table).not.toHaveProperty('keyColumn');
+    });
+
     test('includes datasource binding', () => {
       const input = {
         url: 'http://api.example.com/products',
@@ -206,4 +501,130 @@ describe('Generator', () => {
       expect(wrapper.components.table.dataBinding).toContain('datasource');
     });
   });
+
+  describe('mapFieldType', () => {
+    test('maps basic types', () => {
+      expect(mapFieldType('integer')).toBe('number');
+      expect(mapFieldType('string')).toBe('text');
+      expect(mapFieldType('boolean|string')).toBe('text');
+    });
+
+    test('maps detected formats to date, link and number columns', () => {
+      expect(mapFieldType('string', 'date')).toBe('date');
+      expect(mapFieldType('null|string', 'date-time')).toBe('date');
+      expect(mapFieldType('integer', 'epoch')).toBe('date');
+      expect(mapFieldType('string', 'uri')).toBe('link');
+      expect(mapFieldType('string', 'currency')).toBe('number');
+      expect(mapFieldType('string', 'numeric')).toBe('number');
+    });
+
+    test('keeps text for formats without a dedicated column', () => {
+      expect(mapFieldType('string', 'email')).toBe('text');
+      expect(mapFieldType('boolean|string', 'date')).toBe('text');
+    });
+  });
+
+  describe('generateJsonSchema', () => {
+    const input = {
+      url: 'http://api.example.com/orders',
+      samplePath: '$.data.orders',
+      fields: [
+        { name: 'id', type: 'integer', sample: 1, presenceRatio: 1 },
+        { name: 'status', type: 'null|string', sample: 'paid', presenceRatio: 1, isEnum: true, enumValues: ['paid', 'open'] },
+        { name: 'placed_at', type: 'string', sample: '2025-01-15T10:00:00Z', presenceRatio: 1, format: 'date-time' },
+        { name: 'total', type: 'string', sample: '$10.00', presenceRatio: 0.5, format: 'currency' },
+        { name: 'address.city', type: 'string', sample: 'Oslo', path: ['address', 'city'], presenceRatio: 1 },
+        { name: 'lines', type: 'array', sample: [{ sku: 'A' }], presenceRatio: 1, itemFields: [{ name: 'sku', type: 'string', presenceRatio: 1 }] },
+        { name: 'tags', type: 'array', sample: ['vip'], presenceRatio: 1 },
+        { name: 'value', type: 'boolean|integer', sample: 1, presenceRatio: 1 }
+      ]
+    };
+
+    test('produces a draft 2020-12 document wrapping the item array', () => {
+      const doc = generateJsonSchema(input);
+
+      expect(doc.$schema).toBe('https://json-schema.org/draft/2020-12/schema');
+      expect(doc.title).toBe('Response of http://api.example.com/orders');
+      expect(doc.type).toBe('object');
+      expect(doc.properties.data.properties.orders).toEqual({ type: 'array', items: { $ref: '#/$defs/Item' } });
+      expect(doc.required).toEqual(['data']);
+    });
+
+    test('uses a top-level array for $ sample paths', () => {
+      const doc = generateJsonSchema({ fields: [], samplePath: '$' });
+      expect(doc.type).toBe('array');
+      expect(doc.items).toEqual({ $ref: '#/$defs/Item' });
+    });
+
+    test('maps types, unions, nullability, formats and enums', () => {
+      const { properties } = generateJsonSchema(input).$defs.Item;
+
+      expect(properties.id).toEqual({ type: 'integer', examples: [1] });
+      expect(properties.status).toEqual({ type: ['null', 'string'], enum: ['paid', 'open', null], examples: ['paid'] });
+      expect(properties.placed_at.format).toBe('date-time');
+      expect(properties.total['x-format']).toBe('currency');
+      expect(properties.total).not.toHaveProperty('format');
+      expect(properties.value.type).toEqual(['boolean', 'integer']);
+    });
+
+    test('nests flattened fields and describes arrays', () => {
+      const item = generateJsonSchema(input).$defs.Item;
+
+      expect(item.properties.address).toEqual({
+        type: 'object',
+        properties: { city: { type: 'string', examples: ['Oslo'] } },
+        required: ['city']
+      });
+      expect(item.properties.lines.items).toEqual({
+        type: 'object',
+        properties: { sku: { type: 'string' } },
+        required: ['sku']
+      });
+      expect(item.properties.tags.items).toEqual({ type: 'string' });
+    });
+
+    test('only requires fields present in every sample', () => {
+      const item = generateJsonSchema(input).$defs.Item;
+      expect(item.required).toEqual(['id', 'status', 'placed_at', 'address', 'lines', 'tags', 'value']);
+    });
+
+    test('describes unflattened nested objects from their sample', () => {
+      const doc = generateJsonSchema({
+        fields: [{ name: 'geo', type: 'object', sample: { lat: 1.5, lng: 2 } }]
+      });
+
+      expect(doc.$defs.Item.properties.geo).toEqual({
+        type: 'object',
+        properties: {
+          lat: { type: 'number', examples: [1.5] },
+          lng: { type: 'integer', examples: [2] }
+        },
+        required: ['lat', 'lng']
+      });
+    });
+
+    test('adds pagination meta to the response wrapper', () => {
+      const doc = generateJsonSchema({
+        samplePath: '$.orders',
+        fields: [{ name: 'id', type: 'integer', sample: 1 }],
+        pagination: { type: 'page', metaPaths: { page: 'meta.page', total: 'meta.total' } }
+      });
+
+      expect(doc.properties.meta).toEqual({
+        type: 'object',
+        properties: { page: { type: 'integer' }, total: { type: 'integer' } }
+      });
+      expect(doc.required).toEqual(['orders']);
+    });
+  });
+
+  describe('generateFilename', () => {
+    test('names files per format', () => {
+      const schema = { url: 'http://api.example.com/orders' };
+
+      expect(generateFilename(schema)).toMatch(/^tooljet-api-example-com-orders-\d{4}-\d{2}-\d{2}\.json$/);
+      expect(generateFilename(schema, 'jsonschema')).toMatch(/^jsonschema-api-example-com-orders-.*\.schema\.json$/);
+      expect(generateFilename(schema, 'typescript')).toMatch(/^types-api-example-com-orders-.*\.ts$/);
+    });
+  });
 });
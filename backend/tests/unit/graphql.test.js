@@ -0,0 +1,133 @@
+const http = require('http');
+const {
+  validateGraphql,
+  buildGraphqlBody,
+  typeToString,
+  readIntrospection,
+  listQueries,
+  resolveItemType,
+  applyIntrospectedTypes,
+  introspect,
+  clearIntrospectionCache
+} = require('../../src/lib/graphql');
+const { mergeFieldTypes } = require('../../src/lib/schema');
+const { mockIntrospection } = require('../../mock-server/graphql');
+
+describe('GraphQL', () => {
+  const schema = readIntrospection(mockIntrospection);
+
+  describe('validateGraphql', () => {
+    test('requires a query and object variables', () => {
+      expect(validateGraphql(undefined)).toBeNull();
+      expect(validateGraphql({ query: '{ orders { totalCount } }', variables: { first: 5 } })).toBeNull();
+      expect(validateGraphql({ query: ' ' })).toBe('graphql.query is required');
+      expect(validateGraphql({ query: '{ a }', variables: [1] })).toBe('graphql.variables must be an object');
+      expect(validateGraphql('{ a }')).toMatch(/must be an object/);
+    });
+  });
+
+  describe('buildGraphqlBody', () => {
+    test('leaves out empty variables and operation names', () => {
+      expect(buildGraphqlBody({ query: '{ a }', variables: {} })).toEqual({ query: '{ a }' });
+      expect(buildGraphqlBody({ query: '{ a }', variables: { id: 1 }, operationName: 'A' }))
+        .toEqual({ query: '{ a }', variables: { id: 1 }, operationName: 'A' });
+    });
+  });
+
+  describe('readIntrospection', () => {
+    test('indexes the types of the schema', () => {
+      expect(schema.queryType).toBe('Query');
+      expect(schema.types.Order.kind).toBe('OBJECT');
+      expect(typeToString(schema.types.OrderConnection.fields[0].type)).toBe('[OrderEdge!]!');
+    });
+
+    test('reports disabled introspection and other responses', () => {
+      expect(() => readIntrospection({ errors: [{ message: 'Introspection is disabled' }] }))
+        .toThrow('GraphQL introspection failed: Introspection is disabled');
+      expect(() => readIntrospection({ data: { orders: [] } })).toThrow('The response is not a GraphQL introspection result');
+    });
+  });
+
+  describe('listQueries', () => {
+    test('generates a query per root field, paging connections through their nodes', () => {
+      const [orders, order] = listQueries(schema);
+
+      expect(orders).toMatchObject({ name: 'orders', returnType: 'OrderConnection!', isConnection: true });
+      expect(orders.args).toEqual([
+        { name: 'first', type: 'Int', required: false },
+        { name: 'after', type: 'String', required: false },
+        { name: 'status', type: 'OrderStatus', required: false }
+      ]);
+      expect(orders.query).toMatch(/^query Orders\(\$first: Int, \$after: String, \$status: OrderStatus\) \{\n {2}orders\(first: \$first, after: \$after, status: \$status\) \{/);
+      expect(orders.query).toMatch(/edges \{\s+cursor\s+node \{\s+id\s+customer\s+amount\s+status\s+date\s+note\s+\}\s+\}/);
+      expect(orders.query).toMatch(/pageInfo \{\s+hasNextPage\s+endCursor\s+\}/);
+
+      expect(order.args).toEqual([{ name: 'id', type: 'ID!', required: true }]);
+      expect(order.query).toMatch(/^query Order\(\$id: ID!\) \{\n {2}order\(id: \$id\) \{\n {4}id\n/);
+    });
+  });
+
+  describe('applyIntrospectedTypes', () => {
+    test('replaces sampled types with the schema types of the items', () => {
+      const nodes = [
+        { id: '1', customer: 'Jo', amount: 150, status: 'completed', note: null, total: 2 },
+        { id: '2', customer: 'Al', amount: 280.5, status: 'pending', note: null, total: 3 }
+      ];
+      const fields = mergeFieldTypes(nodes).map(field => ({ ...field, path: ['node', field.name] }));
+      const typed = applyIntrospectedTypes(fields, schema, resolveItemType(schema, '$.data.orders.edges'));
+      const byName = Object.fromEntries(typed.map(field => [field.name, field]));
+
+      expect(byName.id).toMatchObject({ type: 'string', graphqlType: 'ID!', required: true });
+      expect(byName.amount).toMatchObject({ type: 'number', graphqlType: 'Float!', description: 'Order total in USD' });
+      expect(byName.status).toMatchObject({ isEnum: true, enumValues: ['completed', 'pending', 'shipped'] });
+      expect(byName.note).toMatchObject({ type: 'null|string', graphqlType: 'String', required: false });
+      // Aliased and unknown fields keep their sampled type
+      expect(byName.total).not.toHaveProperty('graphqlType');
+      expect(byName.total.type).toBe('integer');
+    });
+
+    test('resolves item types along the data path only', () => {
+      expect(resolveItemType(schema, '$.data.orders.edges')).toBe('OrderEdge');
+      expect(resolveItemType(schema, '$.data.recent')).toBeNull();
+      expect(resolveItemType(schema, '$.errors')).toBeNull();
+    });
+  });
+
+  describe('introspect', () => {
+    test('reuses cached schemas per endpoint and credentials when asked to', async () => {
+      const received = [];
+      const endpoint = http.createServer((req, res) => {
+        received.push(req.headers.authorization);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(mockIntrospection));
+      });
+      await new Promise(resolve => endpoint.listen(0, resolve));
+      const url = `http://127.0.0.1:${endpoint.address().port}/graphql`;
+
+      try {
+        clearIntrospectionCache();
+        const first = await introspect({ url, headers: { Authorization: 'Bearer a' } }, { cached: true });
+        const second = await introspect({ url, headers: { Authorization: 'Bearer a' } }, { cached: true });
+        await introspect({ url, headers: { Authorization: 'Bearer b' } }, { cached: true });
+        // Without cached, the endpoint is queried again and the cache refreshed
+        await introspect({ url, headers: { Authorization: 'Bearer a' } });
+
+        expect(first.schema.queryType).toBe('Query');
+        expect(second).toBe(first);
+        expect(received).toEqual(['Bearer a', 'Bearer b', 'Bearer a']);
+      } finally {
+        clearIntrospectionCache();
+        await new Promise(resolve => endpoint.close(resolve));
+      }
+    });
+
+    test('does not cache network errors', async () => {
+      clearIntrospectionCache();
+      const request = { url: 'http://127.0.0.1:9/graphql', timeout: 1000, maxRetries: 0 };
+
+      const failed = await introspect(request, { cached: true });
+      expect(failed.response.status).toBe(0);
+      expect(await introspect(request, { cached: true })).not.toBe(failed);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const mockApp = require('../../mock-server/app');
+const { fetchWithRetry } = require('../../src/lib/fetcher');
+const { validateOAuthConfig, maskOAuthConfig, getAccessToken, clearTokenCache } = require('../../src/lib/oauth');
+
+describe('OAuth 2.0', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    server = mockApp.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    clearTokenCache();
+  });
+
+  const clientCredentials = () => ({
+    type: 'oauth2',
+    tokenUrl: `${baseUrl}/oauth/token`,
+    clientId: 'demo-client',
+    clientSecret: 'demo-secret',
+    scopes: ['orders:read']
+  });
+
+  describe('validateOAuthConfig', () => {
+    test('accepts complete configurations', () => {
+      expect(validateOAuthConfig(undefined)).toBeNull();
+      expect(validateOAuthConfig(clientCredentials())).toBeNull();
+      expect(validateOAuthConfig({ type: 'oauth2', tokenUrl: 'http://a.test/token', clientId: 'app', refreshToken: 'r1' })).toBeNull();
+    });
+
+    test('reports what is missing', () => {
+      expect(validateOAuthConfig({ type: 'apikey' })).toBe('Unsupported auth type: apikey. Use oauth2');
+      expect(validateOAuthConfig({ type: 'oauth2', tokenUrl: '/token' })).toMatch(/tokenUrl must be an absolute URL/);
+      expect(validateOAuthConfig({ type: 'oauth2', tokenUrl: 'http://a.test/token', clientId: 'app' }))
+        .toBe('auth.clientSecret is required for the client_credentials grant');
+      expect(validateOAuthConfig({ ...clientCredentials(), grantType: 'password' })).toMatch(/Unsupported OAuth grant type: password/);
+      expect(validateOAuthConfig({ ...clientCredentials(), clientAuth: 'jwt' })).toMatch(/Unsupported auth.clientAuth/);
+    });
+  });
+
+  test('maskOAuthConfig hides secrets but keeps the client description', () => {
+    expect(maskOAuthConfig({ ...clientCredentials(), refreshToken: 'r1', grantType: 'client_credentials', scopes: 'a, b' })).toEqual({
+      type: 'oauth2',
+      grantType: 'client_credentials',
+      tokenUrl: `${baseUrl}/oauth/token`,
+      clientId: 'demo-client',
+      clientSecret: '<masked>',
+      refreshToken: '<masked>',
+      scopes: ['a', 'b'],
+      clientAuth: 'basic'
+    });
+    expect(maskOAuthConfig(null)).toBeNull();
+  });
+
+  describe('getAccessToken', () => {
+    test('obtains and caches client-credentials tokens', async () => {
+      const first = await getAccessToken(clientCredentials());
+      const second = await getAccessToken(clientCredentials());
+
+      expect(first).toMatchObject({ success: true, tokenType: 'Bearer' });
+      expect(first.expiresAt).toBeGreaterThan(Date.now());
+      expect(second.accessToken).toBe(first.accessToken);
+
+      const forced = await getAccessToken(clientCredentials(), { forceRefresh: true });
+      expect(forced.accessToken).not.toBe(first.accessToken);
+    });
+
+    test('drops the oldest tokens once the cache is full', async () => {
+      const withScope = scope => ({ ...clientCredentials(), scopes: [scope] });
+      const first = await getAccessToken(withScope('scope-0'));
+
+      for (let i = 1; i <= 100; i++) {
+        await getAccessToken(withScope(`scope-${i}`));
+      }
+
+      expect((await getAccessToken(withScope('scope-100'))).success).toBe(true);
+      expect((await getAccessToken(withScope('scope-0'))).accessToken).not.toBe(first.accessToken);
+    });
+
+    test('drops expired tokens that cannot be refreshed', async () => {
+      const expired = await getAccessToken(clientCredentials());
+      const now = jest.spyOn(Date, 'now').mockReturnValue(expired.expiresAt + 1);
+
+      try {
+        await getAccessToken({ ...clientCredentials(), scopes: ['other'] });
+        now.mockReturnValue(expired.expiresAt - 60000);
+        // The expired token was dropped while storing the other one, so a new one is requested
+        expect((await getAccessToken(clientCredentials())).accessToken).not.toBe(expired.accessToken);
+      } finally {
+        now.mockRestore();
+      }
+    });
+
+    test('sends client credentials in the body when asked', async () => {
+      const token = await getAccessToken({ ...clientCredentials(), clientAuth: 'body' });
+      expect(token.success).toBe(true);
+    });
+
+    test('uses the rotated refresh token on the next refresh', async () => {
+      const auth = { type: 'oauth2', tokenUrl: `${baseUrl}/oauth/token`, clientId: 'demo-client', clientSecret: 'demo-secret', refreshToken: 'demo-refresh' };
+
+      const first = await getAccessToken(auth);
+      expect(first.refreshToken).toMatch(/^mock-refresh-/);
+
+      const second = await getAccessToken(auth, { forceRefresh: true });
+      expect(second.success).toBe(true);
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+    });
+
+    test('reports token endpoint errors', async () => {
+      const token = await getAccessToken({ ...clientCredentials(), clientSecret: 'wrong' });
+      expect(token).toEqual({ success: false, status: 401, error: 'HTTP 401: invalid_client' });
+    });
+  });
+
+  describe('fetchWithRetry', () => {
+    test('sends the access token instead of a static Authorization header', async () => {
+      const response = await fetchWithRetry({
+        url: `${baseUrl}/oauth/orders`,
+        headers: { authorization: 'Bearer stale' },
+        auth: clientCredentials(),
+        maxRetries: 0
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.data.orders.length).toBeGreaterThan(0);
+    });
+
+    test('refreshes the token once after a 401', async () => {
+      const auth = clientCredentials();
+      const { accessToken } = await getAccessToken(auth);
+      await fetchWithRetry({ url: `${baseUrl}/oauth/revoke`, method: 'POST', body: { token: accessToken }, bodyType: 'form' });
+
+      const response = await fetchWithRetry({ url: `${baseUrl}/oauth/orders`, auth, maxRetries: 0 });
+
+      expect(response.status).toBe(200);
+      expect((await getAccessToken(auth)).accessToken).not.toBe(accessToken);
+    });
+
+    test('fails with OAUTH_ERROR when no token can be obtained', async () => {
+      const response = await fetchWithRetry({
+        url: `${baseUrl}/oauth/orders`,
+        auth: { ...clientCredentials(), clientSecret: 'wrong' },
+        maxRetries: 0
+      });
+
+      expect(response).toMatchObject({ success: false, status: 0, errorType: 'OAUTH_ERROR' });
+      expect(response.error).toBe('OAuth token request failed: HTTP 401: invalid_client');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const { deriveSecuritySchemes, generateOpenApi } = require('../../src/lib/openapi');
+
+describe('OpenAPI generation', () => {
+  const schema = {
+    url: 'http://api.example.com/v1/orders?status=paid',
+    samplePath: '$.orders',
+    fields: [
+      { name: 'id', type: 'integer', sample: 1, presenceRatio: 1 },
+      { name: 'customer', type: 'string', sample: 'Ann', presenceRatio: 1 }
+    ],
+    pagination: {
+      type: 'page',
+      pageParam: 'page',
+      limitParam: 'limit',
+      metaPaths: { currentPage: 'meta.page', total: 'meta.total' }
+    },
+    headers: { Authorization: 'Bearer secret', 'X-Tenant': 'acme', Accept: 'application/json' },
+    queryParams: { page: '2' }
+  };
+
+  describe('deriveSecuritySchemes', () => {
+    test('maps Authorization schemes to http security', () => {
+      expect(deriveSecuritySchemes({ Authorization: 'Bearer abc' })).toEqual({
+        bearerAuth: { type: 'http', scheme: 'bearer' }
+      });
+      expect(deriveSecuritySchemes({ authorization: 'Basic dXNlcjpwdw==' })).toEqual({
+        basicAuth: { type: 'http', scheme: 'basic' }
+      });
+    });
+
+    test('maps API key headers and query parameters to apiKey security', () => {
+      expect(deriveSecuritySchemes({ 'X-API-Key': 'k' }, { api_key: 'q', page: '1' })).toEqual({
+        xAPIKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' }
+      });
+    });
+  });
+
+  describe('generateOpenApi', () => {
+    test('describes typed auth schemes as security schemes', () => {
+      const fields = [{ name: 'id', type: 'integer', sample: 1 }];
+      const apiKey = generateOpenApi({ url: 'http://api.example.com/orders', fields, auth: { type: 'apikey', name: 'api_key', value: 'k', in: 'query' } });
+
+      expect(apiKey.components.securitySchemes).toEqual({ apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' } });
+
+      const oauth = generateOpenApi({
+        url: 'http://api.example.com/orders',
+        fields,
+        auth: { type: 'oauth2', tokenUrl: 'http://api.example.com/token', clientId: 'app', clientSecret: 's', scopes: ['orders:read'] }
+      });
+      const operation = oauth.paths['/orders'].get;
+
+      expect(oauth.components.securitySchemes.oauth2.flows.clientCredentials).toEqual({
+        tokenUrl: 'http://api.example.com/token',
+        scopes: { 'orders:read': '' }
+      });
+      expect(operation.security).toEqual([{ oauth2: ['orders:read'] }]);
+    });
+
+    test('describes the server, path and operation', () => {
+      const doc = generateOpenApi(schema);
+
+      expect(doc.openapi).toBe('3.1.0');
+      expect(doc.info.title).toBe('api.example.com API');
+      expect(doc.servers).toEqual([{ url: 'http://api.example.com' }]);
+      expect(doc.paths['/v1/orders'].get.operationId).toBe('getOrders');
+    });
+
+    test('keeps a literal % of the path that is not an escape', () => {
+      const doc = generateOpenApi({ ...schema, url: 'http://x.com/a%zz/caf%C3%A9' });
+
+      expect(Object.keys(doc.paths)).toEqual(['/a%zz/café']);
+    });
+
+    test('lists query, pagination and header parameters', () => {
+      const { parameters } = generateOpenApi(schema).paths['/v1/orders'].get;
+
+      expect(parameters.map(p => `${p.in}:${p.name}`)).toEqual([
+        'query:status',
+        'query:page',
+        'query:limit',
+        'header:X-Tenant'
+      ]);
+      expect(parameters[1].schema).toEqual({ type: 'integer', minimum: 1, examples: [2] });
+    });
+
+    test('references the item schema from the response', () => {
+      const doc = generateOpenApi(schema);
+      const response = doc.paths['/v1/orders'].get.responses['200'].content['application/json'].schema;
+
+      expect(response.properties.orders.items).toEqual({ $ref: '#/components/schemas/Order' });
+      expect(response.properties.meta.properties.total).toEqual({ type: 'integer' });
+      expect(doc.components.schemas.Order.required).toEqual(['id', 'customer']);
+    });
+
+    test('adds a security requirement derived from the auth header', () => {
+      const doc = generateOpenApi(schema);
+
+      expect(doc.paths['/v1/orders'].get.security).toEqual([{ bearerAuth: [] }]);
+      expect(doc.components.securitySchemes.bearerAuth).toEqual({ type: 'http', scheme: 'bearer' });
+      expect(JSON.stringify(doc)).not.toContain('secret');
+    });
+
+    test('describes request bodies and Link pagination headers', () => {
+      const doc = generateOpenApi({
+        url: 'http://api.example.com/search',
+        method: 'POST',
+        body: '{"status":"paid","limit":10}',
+        bodyType: 'json',
+        samplePath: '$',
+        fields: [],
+        pagination: { type: 'link', cursorParam: 'cursor' }
+      });
+      const operation = doc.paths['/search'].post;
+
+      expect(operation.requestBody.content['application/json'].schema.properties).toEqual({
+        status: { type: 'string', examples: ['paid'] },
+        limit: { type: 'integer', examples: [10] }
+      });
+      expect(operation.responses['200'].headers.Link.schema).toEqual({ type: 'string' });
+      expect(operation.parameters[0].name).toBe('cursor');
+      expect(doc).not.toHaveProperty('components.securitySchemes');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const { parseSpec, getBaseUrl, listOperations, mergeDeclaredFields } = require('../../src/lib/openapiImport');
+const { mockOpenApi } = require('../../mock-server/openapi');
+
+describe('OpenAPI import', () => {
+  describe('parseSpec', () => {
+    test('accepts JSON text and objects', () => {
+      expect(parseSpec(JSON.stringify(mockOpenApi)).info.title).toBe('Mock Orders API');
+      expect(parseSpec({ swagger: '2.0', paths: {} }).swagger).toBe('2.0');
+    });
+
+    test('accepts YAML text', () => {
+      const spec = parseSpec('openapi: 3.0.3\ninfo:\n  title: Orders\npaths:\n  /orders:\n    get:\n      operationId: listOrders\n');
+      expect(spec.info.title).toBe('Orders');
+      expect(listOperations(spec).map(op => op.id)).toEqual(['listOrders']);
+    });
+
+    test('rejects unreadable text and other documents', () => {
+      expect(() => parseSpec('openapi: [3.0.0')).toThrow(/^Invalid OpenAPI document: expected JSON or YAML/);
+      expect(() => parseSpec('openapi: 3.0.0')).toThrow(/paths are missing/);
+      expect(() => parseSpec({ asyncapi: '2.0.0', paths: {} })).toThrow(/Unsupported document/);
+      expect(() => parseSpec({ openapi: '3.1.0' })).toThrow(/paths are missing/);
+    });
+  });
+
+  describe('getBaseUrl', () => {
+    test('substitutes OpenAPI 3 server variables', () => {
+      const spec = {
+        openapi: '3.0.0',
+        servers: [{ url: 'https://{region}.example.com/v1/', variables: { region: { default: 'eu' } } }]
+      };
+      expect(getBaseUrl(spec)).toBe('https://eu.example.com/v1');
+    });
+
+    test('builds Swagger 2 URLs from schemes, host and basePath', () => {
+      expect(getBaseUrl({ swagger: '2.0', schemes: ['http'], host: 'api.example.com', basePath: '/v2' }))
+        .toBe('http://api.example.com/v2');
+    });
+  });
+
+  describe('listOperations', () => {
+    test('lists GET operations with their declared item schema', () => {
+      const operations = listOperations(mockOpenApi);
+      const listOrders = operations.find(op => op.id === 'listOrders');
+
+      expect(operations.map(op => op.id)).toEqual(['listOrders', 'listOrderFeed']);
+      expect(listOrders.url).toBe('http://localhost:3001/orders');
+      expect(listOrders.samplePath).toBe('$.orders');
+      expect(listOrders.fields.map(field => field.name)).toEqual(['id', 'customer', 'amount', 'status', 'date', 'note']);
+      expect(listOrders.keys.primaryKey).toBe('id');
+      expect(listOrders.pagination).toEqual({ type: 'page', pageParam: 'page', limitParam: 'limit', metaPaths: {} });
+    });
+
+    test('maps declared types, formats, enums and requiredness', () => {
+      const fields = listOperations(mockOpenApi)[0].fields;
+      const byName = Object.fromEntries(fields.map(field => [field.name, field]));
+
+      expect(byName.id).toEqual({ name: 'id', type: 'integer', sample: 1, required: true });
+      expect(byName.date.format).toBe('date');
+      expect(byName.status).toMatchObject({ isEnum: true, enumValues: ['completed', 'pending', 'shipped'], sample: 'completed' });
+      expect(byName.note).toMatchObject({ type: 'null|string', required: false });
+    });
+
+    test('resolves refs, allOf and Swagger 2 responses', () => {
+      const spec = {
+        swagger: '2.0',
+        host: 'api.example.com',
+        definitions: {
+          Base: { type: 'object', required: ['id'], properties: { id: { type: 'string', format: 'uuid' } } },
+          User: { allOf: [{ $ref: '#/definitions/Base' }, { properties: { email: { type: 'string', format: 'email' } } }] }
+        },
+        paths: {
+          '/users': {
+            get: {
+              parameters: [{ name: 'cursor', in: 'query', type: 'string' }],
+              responses: {
+                200: {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      users: { type: 'array', items: { $ref: '#/definitions/User' } },
+                      next_cursor: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          '/users/{id}': {
+            get: { responses: { 200: { schema: { $ref: '#/definitions/User' } } } }
+          }
+        }
+      };
+      const [users, user] = listOperations(spec);
+
+      expect(users.id).toBe('GET /users');
+      expect(users.fields.map(field => `${field.name}:${field.format}`)).toEqual(['id:uuid', 'email:email']);
+      expect(users.pagination).toMatchObject({ type: 'cursor', cursorParam: 'cursor', cursorPath: 'next_cursor' });
+      expect(user.isList).toBe(false);
+      expect(user.pathParams).toEqual([]);
+    });
+  });
+
+  describe('mergeDeclaredFields', () => {
+    test('enriches inferred fields and appends fields missing from the response', () => {
+      const declared = [
+        { name: 'id', type: 'integer', sample: 1, required: true },
+        { name: 'status', type: 'string', sample: 'paid', required: true, isEnum: true, enumValues: ['paid', 'open'] },
+        { name: 'note', type: 'null|string', sample: null, required: false }
+      ];
+      const inferred = [
+        { name: 'id', type: 'integer', sample: 7, presenceRatio: 1 },
+        { name: 'status', type: 'string', sample: 'open', presenceRatio: 1 }
+      ];
+
+      expect(mergeDeclaredFields(declared, inferred)).toEqual([
+        { name: 'id', type: 'integer', sample: 7, presenceRatio: 1, required: true },
+        { name: 'status', type: 'string', sample: 'open', presenceRatio: 1, required: true, isEnum: true, enumValues: ['paid', 'open'] },
+        { name: 'note', type: 'null|string', sample: null, required: false, observedCount: 0 }
+      ]);
+    });
+  });
+});
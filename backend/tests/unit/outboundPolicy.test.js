@@ -0,0 +1,99 @@
+const { createPolicy, loadPolicy, checkAddress, checkUrl, createPolicyLookup } = require('../../src/lib/outboundPolicy');
+
+describe('Outbound policy', () => {
+  const policy = createPolicy();
+
+  describe('checkUrl', () => {
+    test('allows public hosts on the default schemes', () => {
+      expect(checkUrl('https://api.example.com/orders', policy)).toBeNull();
+      expect(checkUrl('http://93.184.216.34:8080/', policy)).toBeNull();
+    });
+
+    test('blocks private, loopback and link-local addresses', () => {
+      expect(checkUrl('http://169.254.169.254/latest/meta-data', policy).message)
+        .toBe('Blocked by outbound policy: 169.254.169.254 is a link-local address');
+      expect(checkUrl('http://10.1.2.3/', policy).message).toMatch(/is a private address$/);
+      expect(checkUrl('http://127.0.0.1:3001/', policy).message).toMatch(/is a loopback address$/);
+      expect(checkUrl('http://[::1]/', policy).message).toMatch(/::1 is a loopback address$/);
+      expect(checkUrl('http://[fd00::1]/', policy).message).toMatch(/is a private address$/);
+    });
+
+    test('sees through alternative address notations', () => {
+      expect(checkUrl('http://2130706433/', policy).code).toBe('POLICY_VIOLATION');
+      expect(checkUrl('http://[::ffff:169.254.169.254]/', policy).message).toMatch(/link-local/);
+    });
+
+    test('sees through IPv6 addresses that embed an IPv4 address', () => {
+      expect(checkUrl('http://[64:ff9b::a9fe:a9fe]/', policy).message).toMatch(/link-local/);
+      expect(checkUrl('http://[64:ff9b::10.0.0.1]/', policy).message).toMatch(/private/);
+      expect(checkUrl('http://[2002:a9fe:a9fe::1]/', policy).message).toMatch(/link-local/);
+      expect(checkUrl('http://[::7f00:1]/', policy).message).toMatch(/loopback/);
+      expect(checkUrl('http://[64:ff9b:1::a00:1]/', policy).message).toMatch(/NAT64/);
+      // Public IPv4 hosts stay reachable through the same prefixes
+      expect(checkUrl('http://[64:ff9b::5db8:d822]/', policy)).toBeNull();
+      expect(checkUrl('http://[2002:5db8:d822::1]/', policy)).toBeNull();
+    });
+
+    test('restricts schemes and ports', () => {
+      expect(checkUrl('ftp://example.com/file', policy).message)
+        .toBe('Blocked by outbound policy: scheme ftp is not allowed (allowed: http, https)');
+
+      const webPorts = createPolicy({ ports: '80,443' });
+      expect(checkUrl('https://example.com/', webPorts)).toBeNull();
+      expect(checkUrl('http://example.com:22/', webPorts).message).toMatch(/port 22 is not allowed/);
+    });
+
+    test('applies allow and deny lists of hosts and CIDR ranges', () => {
+      const configured = createPolicy({ allow: '10.0.0.0/8', deny: '*.internal.example.com, 93.184.216.0/24' });
+
+      expect(checkUrl('http://10.1.2.3/', configured)).toBeNull();
+      expect(checkUrl('http://192.168.1.1/', configured).code).toBe('POLICY_VIOLATION');
+      expect(checkUrl('https://db.internal.example.com/', configured).message).toMatch(/is on the deny list$/);
+      expect(checkUrl('https://internal.example.com/', configured)).toBeNull();
+      expect(checkUrl('http://93.184.216.34/', configured).message).toMatch(/is on the deny list$/);
+    });
+
+    test('denies fully qualified host names with a trailing dot', () => {
+      const configured = createPolicy({ deny: 'internal.example.com, *.corp.example, other.example.' });
+
+      expect(checkUrl('http://internal.example.com./', configured).message).toBe('Blocked by outbound policy: internal.example.com is on the deny list');
+      expect(checkUrl('http://a.corp.example./', configured).message).toMatch(/is on the deny list$/);
+      expect(checkUrl('http://other.example/', configured).message).toMatch(/is on the deny list$/);
+    });
+  });
+
+  test('loadPolicy reads the environment', () => {
+    const loaded = loadPolicy({ OUTBOUND_SCHEMES: 'https', OUTBOUND_ALLOW_PRIVATE: 'true' });
+
+    expect(checkUrl('http://example.com/', loaded).code).toBe('POLICY_VIOLATION');
+    expect(checkAddress('192.168.1.1', loaded)).toBeNull();
+    expect(checkAddress('192.168.1.1', loadPolicy({}))).toBe('a private address');
+  });
+
+  describe('createPolicyLookup', () => {
+    const lookup = (hostname, lookupPolicy) => new Promise((resolve, reject) => {
+      createPolicyLookup(lookupPolicy)(hostname, {}, (error, address) => (error ? reject(error) : resolve(address)));
+    });
+
+    test('refuses host names that resolve to blocked addresses', async () => {
+      await expect(lookup('localhost', policy)).rejects.toMatchObject({
+        code: 'POLICY_VIOLATION',
+        message: expect.stringMatching(/^Blocked by outbound policy: localhost resolves to .+, which is a loopback address$/)
+      });
+    });
+
+    test('refuses denied host names, as reached by redirects', async () => {
+      const denying = createPolicy({ allowPrivate: true, deny: 'localhost' });
+
+      await expect(lookup('localhost', denying)).rejects.toMatchObject({
+        code: 'POLICY_VIOLATION',
+        message: 'Blocked by outbound policy: localhost is on the deny list'
+      });
+      await expect(lookup('LOCALHOST.', denying)).rejects.toMatchObject({ code: 'POLICY_VIOLATION' });
+    });
+
+    test('resolves allowed host names', async () => {
+      await expect(lookup('localhost', createPolicy({ allow: 'localhost' }))).resolves.toEqual(expect.any(String));
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const { parseCollection, resolveVariables, listRequests, generatePostmanCollection } = require('../../src/lib/postman');
+
+describe('Postman collections', () => {
+  const collection = {
+    info: {
+      name: 'Orders',
+      schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+    },
+    variable: [
+      { key: 'baseUrl', value: 'http://localhost:3001' },
+      { key: 'token', value: 'demo' }
+    ],
+    auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{token}}', type: 'string' }] },
+    item: [
+      {
+        name: 'List orders',
+        request: {
+          method: 'GET',
+          header: [{ key: 'X-Tenant', value: 'acme' }, { key: 'X-Debug', value: '1', disabled: true }],
+          url: {
+            raw: '{{baseUrl}}/orders?page=1',
+            host: ['{{baseUrl}}'],
+            path: ['orders'],
+            query: [{ key: 'page', value: '1' }, { key: 'limit', value: '5', disabled: true }]
+          }
+        }
+      },
+      {
+        name: 'Admin',
+        auth: { type: 'apikey', apikey: [{ key: 'key', value: 'api_key' }, { key: 'value', value: 'k1' }, { key: 'in', value: 'query' }] },
+        item: [
+          {
+            name: 'Search',
+            request: {
+              method: 'POST',
+              url: '{{baseUrl}}/orders/search',
+              body: { mode: 'raw', raw: '{"status":"{{status}}"}', options: { raw: { language: 'json' } } }
+            }
+          },
+          {
+            name: 'Public',
+            request: { method: 'GET', url: '{{baseUrl}}/health', auth: { type: 'noauth' } }
+          }
+        ]
+      }
+    ]
+  };
+
+  describe('parseCollection', () => {
+    test('accepts v2.1 collections as text', () => {
+      expect(parseCollection(JSON.stringify(collection)).info.name).toBe('Orders');
+    });
+
+    test('rejects other documents', () => {
+      expect(() => parseCollection('{')).toThrow(/expected JSON/);
+      expect(() => parseCollection({ openapi: '3.0.0' })).toThrow(/expected info and item/);
+      expect(() => parseCollection({ info: { schema: 'https://schema.getpostman.com/json/collection/v1.0.0/' }, item: [] }))
+        .toThrow(/Collection v2\.1/);
+    });
+  });
+
+  describe('resolveVariables', () => {
+    test('replaces known variables and keeps unknown ones', () => {
+      expect(resolveVariables('{{ host }}/a/{{missing}}', { host: 'http://x' })).toBe('http://x/a/{{missing}}');
+      expect(resolveVariables(5, {})).toBe(5);
+    });
+  });
+
+  describe('listRequests', () => {
+    test('converts requests to the /api/test shape with inherited auth', () => {
+      const [list] = listRequests(collection);
+
+      expect(list).toEqual({
+        folder: null,
+        name: 'List orders',
+        method: 'GET',
+        url: 'http://localhost:3001/orders',
+        headers: { 'X-Tenant': 'acme', Authorization: 'Bearer demo' },
+        queryParams: { page: '1' },
+        warnings: []
+      });
+    });
+
+    test('applies folder auth, bodies and variable overrides', () => {
+      const [, search, open] = listRequests(collection, { status: 'pending' });
+
+      expect(search.folder).toBe('Admin');
+      expect(search.queryParams).toEqual({ api_key: 'k1' });
+      expect(search.headers).toEqual({});
+      expect(search.body).toBe('{"status":"pending"}');
+      expect(search.bodyType).toBe('json');
+      expect(open.headers).toEqual({});
+    });
+
+    test('warns about unresolved variables and unsupported auth', () => {
+      const [request] = listRequests({
+        info: collection.info,
+        auth: { type: 'oauth1', oauth1: [] },
+        item: [{ name: 'x', request: { method: 'GET', url: '{{host}}/x' } }]
+      });
+
+      expect(request.warnings).toEqual([
+        'Auth type oauth1 is not supported; the request was sent without it',
+        'Unresolved variables: {{host}}'
+      ]);
+    });
+  });
+
+  describe('generatePostmanCollection', () => {
+    const schema = {
+      url: 'http://api.example.com/v1/orders?api_key=secret-key',
+      samplePath: '$.data.orders',
+      headers: { Authorization: 'Bearer secret-token', 'X-Tenant': 'acme' },
+      queryParams: { page: '1' }
+    };
+
+    test('emits a v2.1 collection with a baseUrl variable', () => {
+      const output = generatePostmanCollection(schema);
+      const [item] = output.item;
+
+      expect(output.info.schema).toMatch(/v2\.1\.0/);
+      expect(item.name).toBe('GET /v1/orders');
+      expect(item.request.url.raw).toBe('{{baseUrl}}/v1/orders?api_key={{apiKey}}&page=1');
+      expect(item.request.header).toEqual([{ key: 'X-Tenant', value: 'acme' }]);
+      expect(output.variable[0]).toEqual({ key: 'baseUrl', value: 'http://api.example.com', type: 'string' });
+    });
+
+    test('turns credentials into empty secret variables', () => {
+      const output = generatePostmanCollection(schema);
+
+      expect(output.item[0].request.auth.bearer[0].value).toBe('{{token}}');
+      expect(output.variable.slice(1)).toEqual([
+        { key: 'token', value: '', type: 'secret' },
+        { key: 'apiKey', value: '', type: 'secret' }
+      ]);
+      expect(JSON.stringify(output)).not.toMatch(/secret-(token|key)/);
+    });
+
+    test('exports typed auth schemes as Postman auth blocks', () => {
+      const basic = generatePostmanCollection({ url: 'http://api.example.com/orders', auth: { type: 'basic', username: 'demo', password: 'pw' } });
+      expect(basic.item[0].request.auth).toEqual({
+        type: 'basic',
+        basic: [
+          { key: 'username', value: 'demo', type: 'string' },
+          { key: 'password', value: '{{password}}', type: 'string' }
+        ]
+      });
+
+      const apiKey = generatePostmanCollection({ url: 'http://api.example.com/orders', auth: { type: 'apikey', name: 'api_key', value: 'k', in: 'query' } });
+      expect(apiKey.item[0].request.auth.apikey).toContainEqual({ key: 'value', value: '{{apiKey}}', type: 'string' });
+
+      const custom = generatePostmanCollection({
+        url: 'http://api.example.com/orders',
+        headers: { 'X-Auth': 'old' },
+        auth: { type: 'custom', header: 'X-Auth', template: 'Token {{api_token}}', values: { api_token: 't' } }
+      });
+      expect(custom.item[0].request.header).toEqual([{ key: 'X-Auth', value: 'Token {{api_token}}' }]);
+      expect(custom.variable).toContainEqual({ key: 'api_token', value: '', type: 'secret' });
+      expect(JSON.stringify([basic, apiKey, custom])).not.toMatch(/"pw"|"k"|"t"/);
+    });
+
+    test('round-trips through listRequests', () => {
+      const output = generatePostmanCollection({ ...schema, method: 'POST', body: { status: 'paid' }, bodyType: 'form' });
+      const [request] = listRequests(output, { token: 't', apiKey: 'k' });
+
+      expect(request).toMatchObject({
+        method: 'POST',
+        url: 'http://api.example.com/v1/orders',
+        headers: { 'X-Tenant': 'acme', Authorization: 'Bearer t' },
+        queryParams: { api_key: 'k', page: '1' },
+        body: { status: 'paid' },
+        bodyType: 'form'
+      });
+      expect(output.item[0].event[0].script.exec[2]).toContain('pm.response.json().data.orders');
+    });
+  });
+});
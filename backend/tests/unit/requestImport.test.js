@@ -0,0 +1,128 @@
+const { tokenizeShell, parseCurl, parseHar, parseRequestImport } = require('../../src/lib/requestImport');
+
+describe('cURL and HAR import', () => {
+  describe('tokenizeShell', () => {
+    test('honours quotes, escapes and line continuations', () => {
+      const tokens = tokenizeShell(`curl 'http://a.test/x' \\\n  -H "X-Name: \\"quoted\\"" -d $'line\\nbreak' plain\\ space`);
+
+      expect(tokens).toEqual(['curl', 'http://a.test/x', '-H', 'X-Name: "quoted"', '-d', 'line\nbreak', 'plain space']);
+    });
+
+    test('throws on unterminated quotes', () => {
+      expect(() => tokenizeShell("curl 'http://a.test")).toThrow(/Unterminated/);
+    });
+  });
+
+  describe('parseCurl', () => {
+    test('parses headers, query string and the default GET method', () => {
+      const request = parseCurl(
+        "curl 'http://localhost:3001/orders?page=2&per_page=5' -H 'Authorization: Bearer demo' -H 'Accept: application/json' --compressed -s"
+      );
+
+      expect(request).toEqual({
+        method: 'GET',
+        url: 'http://localhost:3001/orders',
+        queryParams: { page: '2', per_page: '5' },
+        headers: { Authorization: 'Bearer demo', Accept: 'application/json' }
+      });
+    });
+
+    test('turns data into a POST body typed by Content-Type', () => {
+      const json = parseCurl(`curl -X POST http://a.test/search -H 'Content-Type: application/json' -d '{"status":"paid"}'`);
+      expect(json).toMatchObject({ method: 'POST', body: '{"status":"paid"}', bodyType: 'json' });
+
+      const form = parseCurl("curl http://a.test/search -d status=paid --data-urlencode 'q=a b'");
+      expect(form).toMatchObject({ method: 'POST', body: 'status=paid&q=a%20b', bodyType: 'form' });
+
+      const multipart = parseCurl('curl http://a.test/upload -F name=report -F kind=csv');
+      expect(multipart).toMatchObject({ method: 'POST', body: { name: 'report', kind: 'csv' }, bodyType: 'multipart' });
+    });
+
+    test('supports --json, attached short options and -u basic auth', () => {
+      const request = parseCurl(`curl -XPUT --json '{"a":1}' -u demo:secret a.test/items`);
+
+      expect(request.method).toBe('PUT');
+      expect(request.url).toBe('http://a.test/items');
+      expect(request.headers).toMatchObject({
+        Authorization: `Basic ${Buffer.from('demo:secret').toString('base64')}`,
+        'Content-Type': 'application/json',
+        Accept: 'application/json'
+      });
+      expect(request.bodyType).toBe('json');
+    });
+
+    test('sends data as query parameters with -G', () => {
+      const request = parseCurl('curl -G http://a.test/orders -d status=paid -d page=1');
+
+      expect(request.method).toBe('GET');
+      expect(request.queryParams).toEqual({ status: 'paid', page: '1' });
+      expect(request.body).toBeUndefined();
+    });
+
+    test('skips values of ignored options and requires a URL', () => {
+      const request = parseCurl('curl -o out.json --max-time 5 --url http://a.test/x');
+      expect(request.url).toBe('http://a.test/x');
+
+      expect(() => parseCurl('curl -H "Accept: */*"')).toThrow('The cURL command has no URL');
+      expect(() => parseCurl('wget http://a.test')).toThrow(/curl/);
+    });
+  });
+
+  describe('parseHar', () => {
+    const har = {
+      log: {
+        entries: [
+          {
+            request: {
+              method: 'GET',
+              url: 'http://localhost:3001/orders?page=1',
+              headers: [
+                { name: ':authority', value: 'localhost:3001' },
+                { name: 'Authorization', value: 'Bearer demo' },
+                { name: 'User-Agent', value: 'Mozilla/5.0' },
+                { name: 'sec-fetch-mode', value: 'cors' }
+              ]
+            },
+            response: { status: 200, content: { mimeType: 'application/json' } }
+          },
+          {
+            request: {
+              method: 'post',
+              url: 'http://localhost:3001/orders/search',
+              headers: [],
+              postData: { mimeType: 'application/x-www-form-urlencoded', params: [{ name: 'status', value: 'paid' }] }
+            },
+            response: { status: 200, content: { mimeType: 'application/json' } }
+          },
+          { request: { method: 'GET', url: 'data:image/png;base64,AAAA', headers: [] } }
+        ]
+      }
+    };
+
+    test('converts entries and drops browser-owned headers', () => {
+      const [list, search, ...rest] = parseHar(JSON.stringify(har));
+
+      expect(rest).toHaveLength(0);
+      expect(list).toEqual({
+        method: 'GET',
+        url: 'http://localhost:3001/orders',
+        queryParams: { page: '1' },
+        headers: { Authorization: 'Bearer demo' },
+        status: 200,
+        mimeType: 'application/json'
+      });
+      expect(search).toMatchObject({ method: 'POST', body: { status: 'paid' }, bodyType: 'form' });
+    });
+
+    test('rejects documents without log entries', () => {
+      expect(() => parseHar('{"info":{}}')).toThrow('Invalid HAR file: expected log.entries');
+      expect(() => parseHar('{not json')).toThrow('Invalid HAR file: expected JSON');
+    });
+
+    test('parseRequestImport detects the input kind', () => {
+      expect(parseRequestImport('curl http://a.test').source).toBe('curl');
+      expect(parseRequestImport(har).source).toBe('har');
+      expect(() => parseRequestImport('GET http://a.test')).toThrow('Paste a cURL command or a HAR file');
+    });
+  });
+});
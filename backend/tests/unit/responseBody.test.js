@@ -0,0 +1,74 @@
+const { Readable } = require('stream');
+const { createJsonScanner, readResponseBody } = require('../../src/lib/responseBody');
+
+/**
+ * Creates a stream of the given chunks
+ * @param {Array<string>} chunks - Chunks of the body
+ * @returns {Readable} - Readable stream of Buffers
+ */
+function streamOf(chunks) {
+  return Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+}
+
+describe('Response bodies', () => {
+  describe('createJsonScanner', () => {
+    test('tracks where the last complete value ends and which containers are open', () => {
+      const scanner = createJsonScanner();
+
+      scanner.write(Buffer.from('{"items":[{"a":"}"},{"b":[1,2]}'));
+      scanner.write(Buffer.from(',{"c":"x\\"]'));
+
+      expect(scanner.isJson).toBe(true);
+      expect(scanner.cut).toBe(31);
+      expect(scanner.closers).toBe(']}');
+    });
+
+    test('reports when an array holds enough objects', () => {
+      const scanner = createJsonScanner({ maxItems: 2 });
+
+      expect(scanner.write(Buffer.from('[{"id":1},'))).toBe(false);
+      expect(scanner.write(Buffer.from('{"id":2},{"id":3}]'))).toBe(true);
+      expect(scanner.cut).toBe(18);
+    });
+
+    test('ignores bodies that are not JSON containers', () => {
+      const scanner = createJsonScanner({ maxItems: 1 });
+
+      expect(scanner.write(Buffer.from('<html>{}</html>'))).toBe(false);
+      expect(scanner.isJson).toBe(false);
+    });
+  });
+
+  describe('readResponseBody', () => {
+    test('parses complete bodies like axios', async () => {
+      await expect(readResponseBody(streamOf(['{"a":', '1}']))).resolves.toEqual({ data: { a: 1 }, truncated: false, bytesRead: 7 });
+      await expect(readResponseBody(streamOf(['plain text']))).resolves.toMatchObject({ data: 'plain text', truncated: false });
+      await expect(readResponseBody(streamOf([]))).resolves.toMatchObject({ data: '', truncated: false });
+    });
+
+    test('keeps the complete items of a body larger than the limit', async () => {
+      const body = await readResponseBody(streamOf(['{"rows":[{"id":1},{"id":2},', '{"id":3},{"id":4}],"total":4}']), { maxBytes: 30 });
+
+      expect(body.truncated).toBe(true);
+      expect(body.data).toEqual({ rows: [{ id: 1 }, { id: 2 }] });
+    });
+
+    test('stops after enough items once past the stream threshold', async () => {
+      const chunks = ['[', ...Array.from({ length: 100 }, (_, index) => `${index ? ',' : ''}{"id":${index + 1}}`), ']'];
+
+      const body = await readResponseBody(streamOf(chunks), { maxItems: 10, streamThreshold: 0 });
+      expect(body.truncated).toBe(true);
+      expect(body.data.map(row => row.id)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+      const small = await readResponseBody(streamOf(chunks), { maxItems: 10 });
+      expect(small.truncated).toBe(false);
+      expect(small.data).toHaveLength(100);
+    });
+
+    test('returns the text read when no complete value fits', async () => {
+      const body = await readResponseBody(streamOf(['<html>', '<body>large</body></html>']), { maxBytes: 8 });
+
+      expect(body).toMatchObject({ data: '<html><b', truncated: true });
+    });
+  });
+});
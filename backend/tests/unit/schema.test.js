@@ -1,4 +1,18 @@
-const { inferSchema, findArrayPath, inferFields, detectPagination } = require('../../src/lib/schema');
+const {
+  inferSchema,
+  findArrayPath,
+  findArrayCandidates,
+  parseJsonPath,
+  getValueAtPath,
+  inferFields,
+  mergeFieldTypes,
+  selectSamples,
+  sampleItemLimit,
+  computeFieldStats,
+  detectKeys,
+  detectPagination,
+  parseLinkHeader
+} = require('../../src/lib/schema');
 
 describe('Schema Inference', () => {
   describe('findArrayPath', () => {
@@ -31,6 +45,58 @@ describe('Schema Inference', () => {
     });
   });
 
+  describe('findArrayCandidates', () => {
+    test('finds arrays nested in objects', () => {
+      const data = { data: { items: [{ id: 1 }, { id: 2 }] } };
+      const result = findArrayPath(data);
+      expect(result).toBe('data.items');
+    });
+
+    test('ignores arrays of primitives', () => {
+      const data = { tags: ['a', 'b'], results: { rows: [{ id: 1 }] } };
+      const candidates = findArrayCandidates(data);
+
+      expect(candidates.map(c => c.samplePath)).toEqual(['$.results.rows']);
+    });
+
+    test('prefers larger and more homogeneous arrays', () => {
+      const data = {
+        errors: [{ code: 1 }, { message: 'x' }],
+        data: {
+          users: Array.from({ length: 50 }, (_, i) => ({ id: i, name: `u${i}` }))
+        }
+      };
+      const candidates = findArrayCandidates(data);
+
+      expect(candidates[0]).toMatchObject({ samplePath: '$.data.users', depth: 2, length: 50, homogeneity: 1 });
+      expect(candidates[1]).toMatchObject({ samplePath: '$.errors', homogeneity: 0 });
+    });
+
+    test('uses bracket notation for unusual keys', () => {
+      const data = { 'result-set': [{ id: 1 }] };
+      expect(findArrayCandidates(data)[0].samplePath).toBe("$['result-set']");
+    });
+  });
+
+  describe('parseJsonPath', () => {
+    test('parses dotted and bracket segments', () => {
+      expect(parseJsonPath("$.data['result-set'][0].id")).toEqual(['data', 'result-set', '0', 'id']);
+    });
+
+    test('returns no segments for the root', () => {
+      expect(parseJsonPath('$')).toEqual([]);
+    });
+
+    test('rejects malformed paths', () => {
+      expect(() => parseJsonPath('$.data..items')).toThrow(/invalid jsonpath/i);
+    });
+
+    test('resolves values at a path', () => {
+      expect(getValueAtPath({ a: { b: [1, 2] } }, '$.a.b')).toEqual([1, 2]);
+      expect(getValueAtPath({ a: 1 }, '$.x.y')).toBeUndefined();
+    });
+  });
+
   describe('inferFields', () => {
     test('infers basic types correctly', () => {
       const sample = {
@@ -87,6 +153,232 @@ describe('Schema Inference', () => {
     });
   });
 
+  describe('flattening and child collections', () => {
+    test('flattens nested objects into dotted fields', () => {
+      const sample = {
+        id: 1,
+        address: { city: 'NYC', geo: { lat: 40.7 } }
+      };
+      const fields = inferFields(sample, { flatten: true });
+
+      expect(fields).toEqual([
+        { name: 'id', type: 'integer', sample: 1 },
+        { name: 'address.city', type: 'string', sample: 'NYC', path: ['address', 'city'] },
+        { name: 'address.geo.lat', type: 'number', sample: 40.7, path: ['address', 'geo', 'lat'] }
+      ]);
+    });
+
+    test('keeps empty nested objects as object fields', () => {
+      const fields = inferFields({ settings: {} }, { flatten: true });
+      expect(fields).toEqual([{ name: 'settings', type: 'object', sample: {} }]);
+    });
+
+    test('marks flattened fields nullable when the parent is null', () => {
+      const fields = mergeFieldTypes([
+        { id: 1, address: { city: 'NYC' } },
+        { id: 2, address: null }
+      ], { flatten: true });
+
+      expect(fields.map(f => f.name)).toEqual(['id', 'address.city']);
+      expect(fields[1].type).toBe('null|string');
+    });
+
+    test('infers item fields of nested arrays across samples', () => {
+      const fields = mergeFieldTypes([
+        { id: 1, lines: [{ sku: 'A', qty: 1 }] },
+        { id: 2, lines: [{ sku: 'B', qty: 2.5, note: 'gift' }] }
+      ]);
+      const lines = fields.find(f => f.name === 'lines');
+
+      expect(lines.type).toBe('array');
+      expect(lines.itemFields).toEqual([
+        expect.objectContaining({ name: 'sku', type: 'string' }),
+        expect.objectContaining({ name: 'qty', type: 'integer|number' }),
+        expect.objectContaining({ name: 'note', type: 'string' })
+      ]);
+    });
+
+    test('does not add item fields to arrays of primitives', () => {
+      const fields = mergeFieldTypes([{ tags: ['a', 'b'] }]);
+      expect(fields[0]).not.toHaveProperty('itemFields');
+    });
+
+    test('inferSchema flattens when asked', () => {
+      const data = { users: [{ id: 1, profile: { email: 'a@b.co' } }] };
+
+      expect(inferSchema(data).fields.map(f => f.name)).toEqual(['id', 'profile']);
+      expect(inferSchema(data, {}, { flatten: true }).fields.map(f => f.name)).toEqual(['id', 'profile.email']);
+    });
+  });
+
+  describe('sampling', () => {
+    const rows = Array.from({ length: 100 }, (_, i) => ({ id: i + 1 }));
+
+    test('takes the first N items by default', () => {
+      expect(selectSamples(rows).map(r => r.id)).toEqual(rows.slice(0, 50).map(r => r.id));
+      expect(selectSamples(rows, { size: 3 }).map(r => r.id)).toEqual([1, 2, 3]);
+    });
+
+    test('takes N random items in document order', () => {
+      const samples = selectSamples(rows, { strategy: 'random', size: 10 });
+      const ids = samples.map(r => r.id);
+
+      expect(new Set(ids).size).toBe(10);
+      expect([...ids].sort((a, b) => a - b)).toEqual(ids);
+    });
+
+    test('takes all items within the byte budget', () => {
+      expect(selectSamples(rows, { strategy: 'all' })).toHaveLength(100);
+      // Each row serializes to 8-10 bytes
+      expect(selectSamples(rows, { strategy: 'all', maxBytes: 30 })).toHaveLength(3);
+      expect(selectSamples(rows, { strategy: 'all', maxBytes: 1 })).toHaveLength(1);
+    });
+
+    test('computes statistics over large samples of all items', () => {
+      const large = Array.from({ length: 300000 }, (_, i) => ({ v: i % 7 }));
+      const res = inferSchema(large, {}, { sampling: { strategy: 'all' } });
+
+      expect(res.sampling.sampledCount).toBeGreaterThan(140000);
+      expect(res.fields[0].stats).toMatchObject({ min: 0, max: 6 });
+
+      const strings = computeFieldStats(Array.from({ length: 300000 }, (_, i) => 'x'.repeat(i % 3)));
+      expect(strings).toMatchObject({ minLength: 0, maxLength: 2 });
+    });
+
+    test('sampleItemLimit tells how many items a strategy may need', () => {
+      expect(sampleItemLimit()).toBe(50);
+      expect(sampleItemLimit({ size: 5 })).toBe(5);
+      expect(sampleItemLimit({ strategy: 'random', size: 5 })).toBe(1000);
+      expect(sampleItemLimit({ strategy: 'all' })).toBeNull();
+    });
+
+    test('reports presence, null ratio and observed count per field', () => {
+      const fields = mergeFieldTypes([
+        { id: 1, nickname: null },
+        { id: 2, nickname: 'Bo' },
+        { id: 3 },
+        { id: 4, nickname: 'Di', coupon: 'X1' }
+      ]);
+
+      expect(fields.find(f => f.name === 'id')).toMatchObject({ observedCount: 4, presenceRatio: 1, nullRatio: 0 });
+      expect(fields.find(f => f.name === 'nickname')).toMatchObject({
+        type: 'null|string',
+        sample: 'Bo',
+        observedCount: 3,
+        presenceRatio: 0.75,
+        nullRatio: 0.33
+      });
+      expect(fields.find(f => f.name === 'coupon')).toMatchObject({ observedCount: 1, presenceRatio: 0.25 });
+    });
+
+    test('finds fields that only appear deep in the collection', () => {
+      const data = rows.map(r => (r.id === 40 ? { ...r, refund: 12.5 } : r));
+
+      expect(inferSchema(data).fields.map(f => f.name)).toEqual(['id', 'refund']);
+      expect(inferSchema(data, {}, { sampling: { size: 5 } }).fields.map(f => f.name)).toEqual(['id']);
+    });
+
+    test('reports what was sampled', () => {
+      const res = inferSchema(rows, {}, { sampling: { strategy: 'random', size: 20 } });
+      expect(res.sampling).toEqual({ strategy: 'random', sampledCount: 20, totalCount: 100 });
+    });
+  });
+
+  describe('field statistics', () => {
+    test('computes numeric range and average', () => {
+      const stats = computeFieldStats([10, 20.5, null, 10]);
+
+      expect(stats).toEqual({
+        distinctCount: 2,
+        topValues: [{ value: 10, count: 2 }, { value: 20.5, count: 1 }],
+        min: 10,
+        max: 20.5,
+        avg: 13.5
+      });
+    });
+
+    test('computes string lengths', () => {
+      const stats = computeFieldStats(['a', 'abcd', 'ab']);
+
+      expect(stats).toMatchObject({ distinctCount: 3, minLength: 1, maxLength: 4 });
+      expect(stats).not.toHaveProperty('min');
+    });
+
+    test('limits top values to five', () => {
+      const stats = computeFieldStats(['a', 'b', 'c', 'd', 'e', 'f', 'a']);
+
+      expect(stats.topValues).toHaveLength(5);
+      expect(stats.topValues[0]).toEqual({ value: 'a', count: 2 });
+    });
+
+    test('skips objects and arrays', () => {
+      expect(computeFieldStats([{ a: 1 }, [1]])).toBeNull();
+    });
+
+    test('flags repeated strings as enums', () => {
+      const { mockOrders } = require('../../mock-server/data');
+      const fields = mergeFieldTypes(mockOrders.slice(0, 10));
+      const status = fields.find(f => f.name === 'status');
+
+      expect(status.isEnum).toBe(true);
+      expect(status.enumValues).toEqual(['completed', 'pending', 'shipped']);
+      expect(fields.find(f => f.name === 'customer')).not.toHaveProperty('isEnum');
+      expect(fields.find(f => f.name === 'date')).not.toHaveProperty('isEnum');
+    });
+
+    test('does not flag rarely repeated strings as enums', () => {
+      const fields = mergeFieldTypes([{ s: 'a' }, { s: 'b' }, { s: 'a' }]);
+      expect(fields[0]).not.toHaveProperty('isEnum');
+    });
+  });
+
+  describe('detectKeys', () => {
+    test('prefers id as the primary key', () => {
+      const fields = mergeFieldTypes([
+        { id: 1, order_id: 'A1', customer_id: 7 },
+        { id: 2, order_id: 'A2', customer_id: 7 }
+      ]);
+
+      expect(detectKeys(fields, '$.orders')).toEqual({
+        primaryKey: 'id',
+        primaryKeyCandidates: ['id', 'order_id'],
+        foreignKeys: [{ field: 'customer_id', references: 'customer' }]
+      });
+    });
+
+    test('uses the collection id field when there is no id', () => {
+      const fields = mergeFieldTypes([
+        { categoryId: 10, parentId: 1 },
+        { categoryId: 11, parentId: 1 }
+      ]);
+      const keys = detectKeys(fields, '$.data.categories');
+
+      expect(keys.primaryKey).toBe('categoryId');
+      expect(keys.foreignKeys).toEqual([{ field: 'parentId', references: 'parent' }]);
+    });
+
+    test('accepts unique UUIDs and Mongo _id', () => {
+      const uuidFields = mergeFieldTypes([
+        { ref: '3f2504e0-4f89-11d3-9a0c-0305e82c3301' },
+        { ref: 'a987fbc9-4bed-4078-8f07-9141ba07c9f3' }
+      ]);
+      expect(detectKeys(uuidFields).primaryKey).toBe('ref');
+
+      const mongoFields = mergeFieldTypes([{ _id: 'a1' }, { _id: 'b2' }]);
+      expect(detectKeys(mongoFields).primaryKey).toBe('_id');
+    });
+
+    test('rejects repeated or missing identifiers', () => {
+      const fields = mergeFieldTypes([{ id: 1 }, { id: 1 }, { name: 'x' }]);
+      expect(detectKeys(fields, '$')).toEqual({ primaryKey: null, primaryKeyCandidates: [], foreignKeys: [] });
+    });
+
+    test('inferSchema returns detected keys', () => {
+      const { mockOrders } = require('../../mock-server/data');
+      expect(inferSchema({ orders: mockOrders }).keys.primaryKey).toBe('id');
+    });
+  });
+
   describe('detectPagination', () => {
     test('detects page-based pagination from meta', () => {
       const data = {
@@ -138,6 +430,111 @@ describe('Schema Inference', () => {
       expect(pagination.offsetParam).toBe('offset');
       expect(pagination.limitParam).toBe('limit');
     });
+
+    test('detects next_cursor pagination nested in metadata', () => {
+      const data = {
+        members: [{ id: 'U1' }],
+        response_metadata: { next_cursor: 'dXNlcjpVMEc5V0ZYTlo=' }
+      };
+      const pagination = detectPagination(data);
+
+      expect(pagination).toEqual({
+        type: 'cursor',
+        cursorSource: 'body',
+        cursorPath: 'response_metadata.next_cursor',
+        cursorParam: 'cursor',
+        limitParam: 'limit',
+        terminal: { path: 'response_metadata.next_cursor', condition: 'empty' }
+      });
+    });
+
+    test('detects nextPageToken pagination', () => {
+      const data = { files: [{ id: 'f1' }], nextPageToken: 'token-2' };
+      const pagination = detectPagination(data);
+
+      expect(pagination.type).toBe('token');
+      expect(pagination.cursorPath).toBe('nextPageToken');
+      expect(pagination.cursorParam).toBe('pageToken');
+    });
+
+    test('detects has_more with starting_after cursor', () => {
+      const data = {
+        object: 'list',
+        data: [{ id: 'cus_1' }, { id: 'cus_2' }],
+        has_more: true
+      };
+      const pagination = detectPagination(data);
+
+      expect(pagination).toMatchObject({
+        type: 'cursor',
+        cursorSource: 'lastItem',
+        cursorPath: 'data[-1].id',
+        cursorParam: 'starting_after',
+        terminal: { path: 'has_more', condition: 'false' }
+      });
+    });
+
+    test('detects Link header pagination', () => {
+      const headers = {
+        link: '<https://api.example.com/repos?page=3&per_page=30>; rel="next", <https://api.example.com/repos?page=9&per_page=30>; rel="last"'
+      };
+      const pagination = detectPagination([{ id: 1 }], headers);
+
+      expect(pagination).toMatchObject({
+        type: 'link',
+        rel: 'next',
+        nextUrl: 'https://api.example.com/repos?page=3&per_page=30',
+        pageParam: 'page',
+        limitParam: 'per_page',
+        terminal: { header: 'link', condition: 'no-next-link' }
+      });
+    });
+
+    test('detects Relay connections as cursor pagination sent as variables', () => {
+      const data = {
+        data: {
+          orders: {
+            edges: [{ cursor: 'YTE=', node: { id: '1', lines: { edges: [], pageInfo: { hasNextPage: false } } } }],
+            pageInfo: { hasNextPage: true, endCursor: 'YTE=' },
+            totalCount: 30
+          }
+        }
+      };
+
+      expect(detectPagination(data)).toEqual({
+        type: 'cursor',
+        style: 'relay',
+        cursorSource: 'body',
+        cursorPath: 'data.orders.pageInfo.endCursor',
+        cursorParam: 'after',
+        limitParam: 'first',
+        paramLocation: 'variables',
+        terminal: { path: 'data.orders.pageInfo.hasNextPage', condition: 'false' }
+      });
+    });
+
+    test('prefers body metadata over Link headers', () => {
+      const data = { items: [{ id: 1 }], meta: { page: 1, per_page: 10, total: 30 } };
+      const headers = { Link: '<https://api.example.com/items?page=2>; rel="next"' };
+
+      expect(detectPagination(data, headers).type).toBe('page');
+    });
+  });
+
+  describe('parseLinkHeader', () => {
+    test('parses multiple rels', () => {
+      const links = parseLinkHeader('<https://a.io/x?page=2>; rel="next", <https://a.io/x?page=1>; rel="prev first"');
+
+      expect(links).toEqual({
+        next: 'https://a.io/x?page=2',
+        prev: 'https://a.io/x?page=1',
+        first: 'https://a.io/x?page=1'
+      });
+    });
+
+    test('returns empty map for missing header', () => {
+      expect(parseLinkHeader(undefined)).toEqual({});
+    });
   });
 
   describe('inferSchema', () => {
@@ -184,6 +581,64 @@ describe('Schema Inference', () => {
       expect(valueField.type).toMatch(/string|number|boolean/);
     });
 
+    test('finds GeoJSON features under nested objects', () => {
+      const data = {
+        response: {
+          type: 'FeatureCollection',
+          features: [
+            { type: 'Feature', properties: { name: 'A' }, geometry: { type: 'Point', coordinates: [1, 2] } },
+            { type: 'Feature', properties: { name: 'B' }, geometry: { type: 'Point', coordinates: [3, 4] } }
+          ]
+        }
+      };
+      const res = inferSchema(data);
+
+      expect(res.samplePath).toBe('$.response.features');
+      expect(res.fields.map(f => f.name)).toEqual(['type', 'properties', 'geometry']);
+    });
+
+    test('lists alternative collections', () => {
+      const data = {
+        orders: [{ id: 1, total: 5 }, { id: 2, total: 7 }],
+        included: { customers: [{ id: 9 }] }
+      };
+      const res = inferSchema(data);
+
+      expect(res.samplePath).toBe('$.orders');
+      expect(res.alternatives).toEqual([
+        expect.objectContaining({ samplePath: '$.included.customers', length: 1 })
+      ]);
+    });
+
+    test('uses an explicit samplePath', () => {
+      const data = {
+        orders: [{ id: 1, total: 5 }, { id: 2, total: 7 }],
+        included: { customers: [{ id: 9, email: 'a@b.co' }] }
+      };
+      const res = inferSchema(data, {}, { samplePath: '$.included.customers' });
+
+      expect(res.samplePath).toBe('$.included.customers');
+      expect(res.fields.map(f => f.name)).toEqual(['id', 'email']);
+      expect(res.alternatives.map(c => c.samplePath)).toEqual(['$.orders']);
+    });
+
+    test('returns null when the explicit samplePath is not an array', () => {
+      expect(inferSchema({ meta: { total: 1 } }, {}, { samplePath: '$.meta' })).toBeNull();
+    });
+
+    test('attaches detected formats to string fields', () => {
+      const data = [
+        { id: 1, email: 'ann@example.com', date: '2025-01-15', created_at: 1736899200 },
+        { id: 2, email: 'bo@example.com', date: '2025-01-16', created_at: 1736985600 }
+      ];
+      const res = inferSchema(data);
+
+      expect(res.fields.find(f => f.name === 'email')).toMatchObject({ format: 'email', formatConfidence: 1 });
+      expect(res.fields.find(f => f.name === 'date')).toMatchObject({ format: 'date', formatConfidence: 1 });
+      expect(res.fields.find(f => f.name === 'created_at')).toMatchObject({ format: 'epoch' });
+      expect(res.fields.find(f => f.name === 'id')).not.toHaveProperty('format');
+    });
+
     test('returns null for empty data', () => {
       const res = inferSchema([]);
       expect(res).toBeNull();
@@ -193,5 +648,25 @@ describe('Schema Inference', () => {
       const res = inferSchema(null);
       expect(res).toBeNull();
     });
+
+    test('describes the nodes of Relay edges', () => {
+      const data = {
+        data: {
+          orders: {
+            edges: [
+              { cursor: 'YTE=', node: { id: '1', total: 12.5 } },
+              { cursor: 'YTI=', node: { id: '2', total: 8 } }
+            ],
+            pageInfo: { hasNextPage: false, endCursor: 'YTI=' }
+          }
+        }
+      };
+      const res = inferSchema(data);
+
+      expect(res.samplePath).toBe('$.data.orders.edges');
+      expect(res.fields.map(field => [field.name, field.path])).toEqual([['id', ['node', 'id']], ['total', ['node', 'total']]]);
+      expect(res.keys.primaryKey).toBe('id');
+      expect(res.pagination.style).toBe('relay');
+    });
   });
 });
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const http = require('http');
+const mockApp = require('../../mock-server/app');
+const { fetchWithRetry } = require('../../src/lib/fetcher');
+const { validateSigning, maskSigning, appendQuery, signRequest } = require('../../src/lib/signing');
+
+describe('Request signing', () => {
+  const hmacSigning = {
+    type: 'hmac',
+    keyId: 'demo-key',
+    secret: 'demo-signing-secret'
+  };
+
+  // Credentials and date of the AWS Signature Version 4 test suite
+  const awsSigning = {
+    type: 'aws-sigv4',
+    region: 'us-east-1',
+    service: 'service',
+    accessKeyId: 'AKIDEXAMPLE',
+    secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY'
+  };
+  const awsNow = new Date('2015-08-30T12:36:00Z');
+
+  describe('validateSigning', () => {
+    test('accepts both signer types', () => {
+      expect(validateSigning(undefined)).toBeNull();
+      expect(validateSigning(hmacSigning)).toBeNull();
+      expect(validateSigning({ ...hmacSigning, algorithm: 'sha512', encoding: 'base64', canonical: '{{method}} {{url}}' })).toBeNull();
+      expect(validateSigning(awsSigning)).toBeNull();
+    });
+
+    test('reports what is missing or unsupported', () => {
+      expect(validateSigning('hmac')).toBe('signing must be an object with a type');
+      expect(validateSigning({ type: 'jws' })).toBe('Unsupported signing type: jws. Use one of hmac, aws-sigv4');
+      expect(validateSigning({ type: 'hmac' })).toBe('signing.secret is required for HMAC signing');
+      expect(validateSigning({ ...hmacSigning, algorithm: 'md5' })).toMatch(/Unsupported signing.algorithm: md5/);
+      expect(validateSigning({ ...hmacSigning, canonical: '{{method}}\n{{date}}' })).toMatch(/Unknown variable \{\{date\}\}/);
+      expect(validateSigning({ ...awsSigning, region: '' })).toBe('signing.region is required for AWS SigV4');
+    });
+  });
+
+  test('maskSigning hides secrets and session tokens', () => {
+    expect(maskSigning(hmacSigning)).toMatchObject({ type: 'hmac', keyId: 'demo-key', secret: '<masked>', algorithm: 'sha256' });
+    expect(maskSigning({ ...awsSigning, sessionToken: 'token' })).toEqual({
+      type: 'aws-sigv4',
+      region: 'us-east-1',
+      service: 'service',
+      accessKeyId: 'AKIDEXAMPLE',
+      secretAccessKey: '<masked>',
+      sessionToken: '<masked>'
+    });
+    expect(maskSigning(null)).toBeNull();
+  });
+
+  test('appendQuery encodes parameters as RFC 3986', () => {
+    expect(appendQuery('https://api.test/items?a=1', { q: "red shoes (new)!", page: 2 }))
+      .toBe('https://api.test/items?a=1&q=red%20shoes%20%28new%29%21&page=2');
+    expect(appendQuery('https://api.test/items', {})).toBe('https://api.test/items');
+  });
+
+  describe('HMAC', () => {
+    test('signs the default canonical string', () => {
+      const now = new Date('2025-01-15T10:00:00Z');
+      const headers = signRequest(hmacSigning, {
+        method: 'post',
+        url: 'https://api.test/orders?page=2',
+        headers: { 'Content-Type': 'application/json' },
+        data: '{"a":1}',
+        now
+      });
+
+      const bodyHash = crypto.createHash('sha256').update('{"a":1}').digest('hex');
+      const expected = crypto.createHmac('sha256', 'demo-signing-secret')
+        .update(`POST\n/orders\npage=2\n1736935200\n${bodyHash}`)
+        .digest('hex');
+
+      expect(headers).toEqual({
+        'Content-Type': 'application/json',
+        'X-Signature': expected,
+        'X-Timestamp': '1736935200',
+        'X-Key-Id': 'demo-key'
+      });
+    });
+
+    test('uses the configured template, algorithm, encoding and header names', () => {
+      const headers = signRequest({
+        ...hmacSigning,
+        algorithm: 'sha1',
+        encoding: 'base64',
+        timestampFormat: 'iso',
+        canonical: '{{host}}|{{timestamp}}|{{nonce}}',
+        signatureHeader: 'Signature',
+        signaturePrefix: 'HMAC ',
+        timestampHeader: 'Date',
+        nonceHeader: 'X-Nonce'
+      }, { method: 'GET', url: 'https://api.test:8443/x', now: new Date('2025-01-15T10:00:00Z') });
+
+      const expected = crypto.createHmac('sha1', 'demo-signing-secret')
+        .update(`api.test:8443|2025-01-15T10:00:00.000Z|${headers['X-Nonce']}`)
+        .digest('base64');
+
+      expect(headers.Signature).toBe(`HMAC ${expected}`);
+      expect(headers.Date).toBe('2025-01-15T10:00:00.000Z');
+    });
+
+    test('refuses to sign multipart bodies', () => {
+      expect(() => signRequest(hmacSigning, { method: 'POST', url: 'https://api.test/', data: new FormData() }))
+        .toThrow(/multipart bodies are not supported/);
+    });
+  });
+
+  describe('AWS SigV4', () => {
+    test('matches the get-vanilla test vector', () => {
+      const headers = signRequest(awsSigning, { method: 'GET', url: 'https://example.amazonaws.com/', now: awsNow });
+
+      expect(headers['X-Amz-Date']).toBe('20150830T123600Z');
+      expect(headers.Authorization).toBe(
+        'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, ' +
+        'SignedHeaders=host;x-amz-date, Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31'
+      );
+    });
+
+    test('sorts query parameters into the canonical query string', () => {
+      const headers = signRequest(awsSigning, {
+        method: 'GET',
+        url: appendQuery('https://example.amazonaws.com/', { Param2: 'value2', Param1: 'value1' }),
+        now: awsNow
+      });
+
+      expect(headers.Authorization).toMatch(/Signature=b97d918cfa904a5beff61c982a1b6f458b799221646efd99d3219ec94cdf2500$/);
+    });
+
+    test('signs query values and S3 paths holding a literal %', () => {
+      const sign = (url, service) => signRequest({ ...awsSigning, service }, { method: 'GET', url, now: awsNow });
+
+      expect(() => sign('https://example.amazonaws.com/?q=100%', 'service')).not.toThrow();
+      expect(() => sign('https://bucket.s3.amazonaws.com/100%/r%C3%A9sum%C3%A9%E9.txt', 's3')).not.toThrow();
+      // The stray % is signed as its encoding, like a value sent already encoded
+      expect(sign('https://example.amazonaws.com/?q=100%', 'service').Authorization)
+        .toBe(sign('https://example.amazonaws.com/?q=100%25', 'service').Authorization);
+    });
+
+    test('signs the session token and replaces a typed Authorization header', () => {
+      const headers = signRequest({ ...awsSigning, sessionToken: 'session' }, {
+        method: 'GET',
+        url: 'https://example.amazonaws.com/',
+        headers: { authorization: 'Bearer stale', 'x-api-key': 'k1' },
+        now: awsNow
+      });
+
+      expect(headers.authorization).toBeUndefined();
+      expect(headers['x-api-key']).toBe('k1');
+      expect(headers['X-Amz-Security-Token']).toBe('session');
+      expect(headers.Authorization).toMatch(/SignedHeaders=host;x-amz-date;x-amz-security-token,/);
+    });
+
+    test('adds the payload hash header for S3', () => {
+      const headers = signRequest({ ...awsSigning, service: 's3' }, { method: 'GET', url: 'https://bucket.s3.amazonaws.com/a%20b', now: awsNow });
+
+      expect(headers['X-Amz-Content-Sha256']).toBe(crypto.createHash('sha256').update('').digest('hex'));
+      expect(headers.Authorization).toMatch(/SignedHeaders=host;x-amz-content-sha256;x-amz-date,/);
+    });
+  });
+
+  describe('fetchWithRetry', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(done => {
+      server = mockApp.listen(0, () => {
+        baseUrl = `http://localhost:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    test('signs requests the mock server verifies', async () => {
+      const request = { url: `${baseUrl}/signed/orders`, queryParams: { page: 1, limit: 5 }, maxRetries: 0 };
+
+      const signed = await fetchWithRetry({ ...request, signing: hmacSigning });
+      const wrongSecret = await fetchWithRetry({ ...request, signing: { ...hmacSigning, secret: 'other' } });
+
+      expect(signed.status).toBe(200);
+      expect(signed.data.orders).toHaveLength(5);
+      expect(wrongSecret.status).toBe(401);
+    });
+
+    test('re-signs every retry attempt', async () => {
+      const nonces = [];
+      const flaky = http.createServer((req, res) => {
+        nonces.push(req.headers['x-nonce']);
+        if (nonces.length === 1) {
+          req.socket.destroy();
+          return;
+        }
+        res.setHeader('Content-Type', 'application/json');
+        res.end('{"ok":true}');
+      });
+      await new Promise(resolve => flaky.listen(0, resolve));
+
+      try {
+        const response = await fetchWithRetry({
+          url: `http://localhost:${flaky.address().port}/`,
+          signing: { ...hmacSigning, nonceHeader: 'X-Nonce', canonical: '{{nonce}}' },
+          maxRetries: 1,
+          initialDelay: 10
+        });
+
+        expect(response.status).toBe(200);
+        expect(nonces).toHaveLength(2);
+        expect(nonces[0]).not.toBe(nonces[1]);
+      } finally {
+        await new Promise(resolve => flaky.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { detectDelimiter, parseDelimited, parseNdjson, parseTabularResponse } = require('../../src/lib/tabular');
+
+describe('Tabular responses', () => {
+  describe('parseDelimited', () => {
+    test('reads headers, quoted cells and coerced values', () => {
+      const { rows, delimiter, header, columns } = parseDelimited(
+        '\uFEFFid,name,active,amount,created,zip\r\n' +
+        '1,"Smith, ""Jr.""",TRUE,12.50,2024/01/15,01234\r\n' +
+        '2,"Two\nlines",false,,2024-01-16 08:30:00,\r\n'
+      );
+
+      expect(delimiter).toBe(',');
+      expect(header).toBe(true);
+      expect(columns).toEqual(['id', 'name', 'active', 'amount', 'created', 'zip']);
+      expect(rows).toEqual([
+        { id: 1, name: 'Smith, "Jr."', active: true, amount: 12.5, created: '2024-01-15', zip: '01234' },
+        { id: 2, name: 'Two\nlines', active: false, amount: null, created: '2024-01-16T08:30:00', zip: null }
+      ]);
+    });
+
+    test('numbers the columns of headerless and irregular data', () => {
+      const { rows, header, columns } = parseDelimited('1\tcompleted\n2\tpending\textra\n', { delimiter: '\t' });
+
+      expect(header).toBe(false);
+      expect(columns).toEqual(['column1', 'column2', 'column3']);
+      expect(rows[0]).toEqual({ column1: 1, column2: 'completed', column3: null });
+      expect(parseDelimited('name,name,\nA,B,C\n').columns).toEqual(['name', 'name_2', 'column3']);
+    });
+
+    test('reads long single-column files', () => {
+      const text = `id\n${Array.from({ length: 300000 }, (_, i) => i + 1).join('\n')}\n`;
+      const parsed = parseDelimited(text, { delimiter: ',' });
+
+      expect(parsed.columns).toEqual(['id']);
+      expect(parsed.rows).toHaveLength(300000);
+      expect(parsed.rows[299999]).toEqual({ id: 300000 });
+    });
+
+    test('reports quoted cells that are not closed', () => {
+      expect(() => parseDelimited('id,name\n1,"Smith\n2,Doe\n')).toThrow('Invalid CSV at line 2: quoted cell is not closed');
+    });
+  });
+
+  describe('detectDelimiter', () => {
+    test('picks the delimiter that splits every row into the same cells', () => {
+      expect(detectDelimiter('a;b;c\n1;2,5;3\n')).toBe(';');
+      expect(detectDelimiter('a|b\n1|2\n')).toBe('|');
+      expect(detectDelimiter('just a sentence, with a comma\nand another line\n')).toBeNull();
+    });
+  });
+
+  describe('parseNdjson', () => {
+    test('parses one value per line and names the line that fails', () => {
+      expect(parseNdjson('{"id":1}\r\n\n{"id":2}\n')).toEqual([{ id: 1 }, { id: 2 }]);
+      expect(() => parseNdjson('{"id":1}\n{"id":\n')).toThrow(/^Invalid NDJSON at line 2: /);
+    });
+  });
+
+  describe('parseTabularResponse', () => {
+    test('reads formats by content type', () => {
+      expect(parseTabularResponse('id,name\n1,A\n', { 'content-type': 'text/csv; charset=utf-8' }))
+        .toMatchObject({ format: 'csv', rows: [{ id: 1, name: 'A' }] });
+      expect(parseTabularResponse('id\tname\n1\tA\n', { 'content-type': 'text/tab-separated-values' }).format).toBe('tsv');
+      expect(parseTabularResponse('{"id":1}\n', { 'content-type': 'application/x-ndjson' }).rows).toEqual([{ id: 1 }]);
+    });
+
+    test('reads every row of a complete body', () => {
+      const csv = `id\n${Array.from({ length: 60 }, (_, i) => i + 1).join('\n')}\n`;
+      expect(parseTabularResponse(csv, { 'content-type': 'text/csv' }).rows).toHaveLength(60);
+
+      const ndjson = Array.from({ length: 60 }, (_, i) => JSON.stringify({ id: i + 1 })).join('\n');
+      expect(parseTabularResponse(ndjson, { 'content-type': 'application/x-ndjson' })).toEqual({
+        format: 'ndjson',
+        rows: Array.from({ length: 60 }, (_, i) => ({ id: i + 1 }))
+      });
+    });
+
+    test('sniffs untyped text and NDJSON served as JSON', () => {
+      expect(parseTabularResponse('id,name\n1,A\n2,B\n', {}).format).toBe('csv');
+      expect(parseTabularResponse('{"id":1}\n{"id":2}\n', { 'content-type': 'application/json' }).format).toBe('ndjson');
+      expect(parseTabularResponse('hello, world', { 'content-type': 'text/plain' })).toBeNull();
+      expect(parseTabularResponse('a,b\n1,2\n', { 'content-type': 'text/html' })).toBeNull();
+      expect(parseTabularResponse({ id: 1 }, { 'content-type': 'text/csv' })).toBeNull();
+    });
+
+    test('drops the incomplete last line of a truncated body', () => {
+      const { rows } = parseTabularResponse('id,name\n1,A\n2,B\n3,"C', { 'content-type': 'text/csv' }, { partial: true });
+      expect(rows).toEqual([{ id: 1, name: 'A' }, { id: 2, name: 'B' }]);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const http = require('http');
+const { createTimedTransport, summarizeTiming } = require('../../src/lib/timing');
+
+describe('Request timing', () => {
+  describe('summarizeTiming', () => {
+    test('turns timestamps into phase durations', () => {
+      expect(summarizeTiming({ start: 100, lookup: 102, connect: 105, secureConnect: 115, firstByte: 140, end: 150.04 })).toEqual({
+        dns: 2,
+        connect: 3,
+        tls: 10,
+        ttfb: 25,
+        download: 10,
+        total: 50
+      });
+    });
+
+    test('leaves out phases of reused connections', () => {
+      expect(summarizeTiming({ start: 0, firstByte: 12, end: 13 })).toEqual({
+        dns: null,
+        connect: null,
+        tls: null,
+        ttfb: 12,
+        download: 1,
+        total: 13
+      });
+    });
+
+    test('reports no timing for requests that were never sent', () => {
+      expect(summarizeTiming({}).total).toBe(0);
+    });
+  });
+
+  test('createTimedTransport records connect, first byte and download', async () => {
+    const server = http.createServer((req, res) => res.end('x'.repeat(2048)));
+    await new Promise(resolve => server.listen(0, resolve));
+
+    try {
+      const timing = {};
+      const transport = createTimedTransport(timing);
+
+      await new Promise((resolve, reject) => {
+        const req = transport.request({ protocol: 'http:', host: 'localhost', port: server.address().port, path: '/', agent: false }, res => {
+          res.resume();
+          res.on('end', resolve);
+        });
+        req.on('error', reject);
+        req.end();
+      });
+
+      const summary = summarizeTiming(timing);
+      expect(summary.connect).toBeGreaterThanOrEqual(0);
+      expect(summary.tls).toBeNull();
+      expect(summary.ttfb).toBeGreaterThanOrEqual(0);
+      expect(summary.total).toBeGreaterThanOrEqual(summary.ttfb);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,103 @@
+const { z } = require('zod');
+const { generateTypeScript, generateZod, toPascalCase } = require('../../src/lib/typegen');
+const { inferSchema } = require('../../src/lib/schema');
+
+describe('Type generation', () => {
+  const schema = {
+    url: 'http://api.example.com/orders',
+    samplePath: '$.data.orders',
+    fields: [
+      { name: 'id', type: 'integer', sample: 1, presenceRatio: 1 },
+      { name: 'status', type: 'null|string', sample: 'paid', presenceRatio: 1, isEnum: true, enumValues: ['paid', 'open'] },
+      { name: 'email', type: 'string', sample: 'a@b.co', presenceRatio: 1, format: 'email' },
+      { name: 'note', type: 'string', sample: 'hi', presenceRatio: 0.5 },
+      { name: 'value', type: 'boolean|integer', sample: 1, presenceRatio: 1 },
+      { name: 'address.city', type: 'string', sample: 'Oslo', path: ['address', 'city'], presenceRatio: 1 },
+      { name: 'line-items', type: 'array', sample: [{ sku: 'A' }], presenceRatio: 1, itemFields: [{ name: 'sku', type: 'string', presenceRatio: 1 }] }
+    ],
+    pagination: { type: 'page', metaPaths: { currentPage: 'meta.page', total: 'meta.total' } }
+  };
+
+  describe('toPascalCase', () => {
+    test('converts snake, kebab and numeric names', () => {
+      expect(toPascalCase('line_item')).toBe('LineItem');
+      expect(toPascalCase('user-profile')).toBe('UserProfile');
+      expect(toPascalCase('2fa')).toBe('T2fa');
+    });
+  });
+
+  describe('generateTypeScript', () => {
+    test('names the item type after the collection', () => {
+      const source = generateTypeScript(schema);
+      expect(source).toContain('export interface Order {');
+      expect(source).toContain('export interface OrderResponse {');
+    });
+
+    test('emits unions, literal enums and optional markers', () => {
+      const source = generateTypeScript(schema);
+
+      expect(source).toContain('  id: number;');
+      expect(source).toContain('  status: "paid" | "open" | null;');
+      expect(source).toContain('  note?: string;');
+      expect(source).toContain('  value: boolean | number;');
+      expect(source).toContain('  "line-items": Array<{\n    sku: string;\n  }>;');
+      expect(source).toContain('  address: {\n    city: string;\n  };');
+    });
+
+    test('wraps the item type in the response with pagination meta', () => {
+      const source = generateTypeScript(schema);
+
+      expect(source).toContain('    orders: Array<Order>;');
+      expect(source).toContain('  meta?: {\n    page?: number;\n    total?: number;\n  };');
+    });
+
+    test('uses a type alias for top-level arrays and honours typeName', () => {
+      const source = generateTypeScript({ samplePath: '$', fields: [] }, { typeName: 'row' });
+
+      expect(source).toContain('export type Row = Record<string, unknown>;');
+      expect(source).toContain('export type RowResponse = Array<Row>;');
+    });
+  });
+
+  describe('generateZod', () => {
+    test('emits schemas and inferred types', () => {
+      const source = generateZod(schema);
+
+      expect(source).toContain("import { z } from 'zod';");
+      expect(source).toContain('export const OrderSchema = z.object({');
+      expect(source).toContain('export type Order = z.infer<typeof OrderSchema>;');
+      expect(source).toContain('    orders: z.array(OrderSchema),');
+      expect(source).toContain('export type OrderResponse = z.infer<typeof OrderResponseSchema>;');
+    });
+
+    test('maps formats, enums, unions and optional fields', () => {
+      const source = generateZod(schema);
+
+      expect(source).toContain('  id: z.number().int(),');
+      expect(source).toContain('  status: z.enum(["paid", "open"]).nullable(),');
+      expect(source).toContain('  email: z.string().email(),');
+      expect(source).toContain('  note: z.string().optional(),');
+      expect(source).toContain('  value: z.union([z.boolean(), z.number().int()]),');
+    });
+
+    test('accepts the values the schema was inferred from', () => {
+      const orders = [
+        { id: 1, placed_at: '2025-01-15T10:30:00Z', shipped_at: '2025-01-16 08:00', updated_at: '2025-01-15T10:30' },
+        { id: 2, placed_at: '2025-01-16T08:00:00.5+0200', shipped_at: '2025-01-17 09:15:00', updated_at: '2025-01-16T08:00:00' }
+      ];
+      const source = generateZod({ url: 'http://api.example.com/orders', ...inferSchema({ orders }) });
+
+      // Run the generated module as plain JavaScript against the real zod
+      const javascript = source
+        .split('\n')
+        .filter(line => !/^(import|export type) /.test(line))
+        .join('\n')
+        .replace(/^export const /gm, 'const ');
+      const OrderSchema = new Function('z', `${javascript}\nreturn OrderSchema;`)(z);
+
+      expect(source).toContain('  placed_at: z.string().datetime({ offset: true, local: true }),');
+      expect(source).toContain('  shipped_at: z.string(),');
+      orders.forEach(order => expect(OrderSchema.safeParse(order).success).toBe(true));
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const { parseXml, xmlToJson, isXmlResponse } = require('../../src/lib/xml');
+
+describe('XML', () => {
+  describe('xmlToJson', () => {
+    test('turns attributes, repeated elements and text into a JSON tree', () => {
+      const { data, soap } = xmlToJson(
+        '<?xml version="1.0"?><orders page="1"><order id="7"><customer>Jo &amp; Co</customer><amount>12.50</amount></order>' +
+        '<order id="8"><customer><![CDATA[<Ann>]]></customer><amount>3</amount><note lang="en">rush</note></order></orders>'
+      );
+
+      expect(soap).toBe(false);
+      expect(data).toEqual({
+        orders: {
+          '@page': 1,
+          order: [
+            { '@id': 7, customer: 'Jo & Co', amount: 12.5 },
+            { '@id': 8, customer: '<Ann>', amount: 3, note: { '@lang': 'en', '#text': 'rush' } }
+          ]
+        }
+      });
+    });
+
+    test('treats elements named like Object.prototype members as plain keys', () => {
+      const { data } = xmlToJson(
+        '<item><constructor>a</constructor><toString>b</toString><__proto__><polluted>1</polluted></__proto__></item>'
+      );
+
+      expect(Object.keys(data.item)).toEqual(['constructor', 'toString', '__proto__']);
+      expect(data.item.constructor).toBe('a');
+      expect(data.item.toString).toBe('b');
+      expect(Object.getPrototypeOf(data.item)).toBe(Object.prototype);
+      expect(data.item.__proto__).toEqual({ polluted: 1 });
+      expect({}.polluted).toBeUndefined();
+    });
+
+    test('keeps codes as strings and maps empty and nil elements to null', () => {
+      const { data } = xmlToJson(
+        '<row xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><zip>01234</zip><big>90071992547409931</big>' +
+        '<active>true</active><middle/><discount xsi:nil="true"/></row>'
+      );
+
+      expect(data.row).toEqual({ zip: '01234', big: '90071992547409931', active: true, middle: null, discount: null });
+      expect(xmlToJson('<row><n>42</n></row>', { coerce: false }).data.row.n).toBe('42');
+    });
+
+    test('strips or preserves namespaces', () => {
+      const xml = '<erp:items xmlns:erp="urn:erp"><erp:item erp:code="A">x</erp:item></erp:items>';
+
+      expect(xmlToJson(xml).data).toEqual({ items: { item: { '@code': 'A', '#text': 'x' } } });
+      expect(xmlToJson(xml, { namespaces: 'preserve' }).data).toEqual({
+        'erp:items': { '@xmlns:erp': 'urn:erp', 'erp:item': { '@erp:code': 'A', '#text': 'x' } }
+      });
+    });
+
+    test('unwraps SOAP envelopes to the content of the Body', () => {
+      const { data, soap, fault } = xmlToJson(
+        '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Header><token>t</token></soap:Header>' +
+        '<soap:Body><GetOrdersResponse><Order><Id>1</Id></Order><Order><Id>2</Id></Order></GetOrdersResponse></soap:Body></soap:Envelope>'
+      );
+
+      expect(soap).toBe(true);
+      expect(fault).toBeNull();
+      expect(data).toEqual({ GetOrdersResponse: { Order: [{ Id: 1 }, { Id: 2 }] } });
+    });
+
+    test('reads SOAP 1.1 and 1.2 faults', () => {
+      const soap11 = xmlToJson(
+        '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body><s:Fault>' +
+        '<faultcode>s:Server</faultcode><faultstring>Database offline</faultstring></s:Fault></s:Body></s:Envelope>'
+      );
+      const soap12 = xmlToJson(
+        '<env:Envelope xmlns:env="http://www.w3.org/2003/05/soap-envelope"><env:Body><env:Fault>' +
+        '<env:Code><env:Value>env:Sender</env:Value></env:Code><env:Reason><env:Text xml:lang="en">Bad input</env:Text></env:Reason>' +
+        '</env:Fault></env:Body></env:Envelope>'
+      );
+
+      expect(soap11.fault).toEqual({ code: 's:Server', message: 'Database offline' });
+      expect(soap12.fault).toEqual({ code: 'env:Sender', message: 'Bad input' });
+    });
+  });
+
+  test('parseXml skips declarations and reports malformed documents with their line', () => {
+    const root = parseXml('<?xml version="1.0"?>\n<!DOCTYPE a [<!ENTITY x "y">]>\n<!-- c -->\n<a>&#x41;&x;</a>');
+    expect(root).toMatchObject({ name: 'a', text: 'A&x;' });
+
+    expect(() => parseXml('<a>\n<b></a>')).toThrow('Invalid XML at line 2: </a> closes <b>');
+    expect(() => parseXml('<a x=1/>')).toThrow(/must be quoted/);
+    expect(() => parseXml('<a/><b/>')).toThrow(/content after the root element/);
+    expect(() => parseXml('')).toThrow(/no root element/);
+  });
+
+  test('isXmlResponse recognizes XML content types and untyped XML text', () => {
+    expect(isXmlResponse('<a/>', { 'content-type': 'application/xml' })).toBe(true);
+    expect(isXmlResponse('<a/>', { 'content-type': 'application/soap+xml; charset=utf-8' })).toBe(true);
+    expect(isXmlResponse('<?xml version="1.0"?><a/>', {})).toBe(true);
+    expect(isXmlResponse('<html><body></body></html>', {})).toBe(false);
+    expect(isXmlResponse('<h1>x</h1>', { 'content-type': 'text/html' })).toBe(false);
+    expect(isXmlResponse({ a: 1 }, { 'content-type': 'application/xml' })).toBe(false);
+  });
+});
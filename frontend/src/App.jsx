@@ -1,10 +1,14 @@
 import TestForm from './components/TestForm';
+import OpenApiImport from './components/OpenApiImport';
+import PostmanImport from './components/PostmanImport';
 import './App.css';
 
 function App() {
   return (
     <div className="app">
       <TestForm />
+      <OpenApiImport />
+      <PostmanImport />
     </div>
   );
 }
@@ -0,0 +1,198 @@
+export const AUTH_SCHEMES = [
+  { value: 'header', label: 'Authorization header' },
+  { value: 'basic', label: 'Basic' },
+  { value: 'bearer', label: 'Bearer' },
+  { value: 'apikey', label: 'API key' },
+  { value: 'custom', label: 'Custom header' },
+  { value: 'oauth2', label: 'OAuth 2.0' },
+];
+
+export const EMPTY_AUTH = {
+  type: 'header',
+  authorization: '',
+  username: '',
+  password: '',
+  token: '',
+  keyName: '',
+  keyValue: '',
+  keyIn: 'header',
+  customHeader: '',
+  template: '',
+  values: {},
+  grantType: 'client_credentials',
+  tokenUrl: '',
+  clientId: '',
+  clientSecret: '',
+  scopes: '',
+  refreshToken: '',
+};
+
+// Same {{variable}} syntax as the backend's custom header templates
+export const templateVariables = (template) => [
+  ...new Set([...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((match) => match[1])),
+];
+
+// Typed auth sent to the backend; the plain Authorization header is sent as a header instead
+export const buildAuth = (auth) => {
+  switch (auth.type) {
+    case 'basic':
+      return { type: 'basic', username: auth.username, password: auth.password };
+    case 'bearer':
+      return { type: 'bearer', token: auth.token };
+    case 'apikey':
+      return { type: 'apikey', name: auth.keyName, value: auth.keyValue, in: auth.keyIn };
+    case 'custom':
+      return {
+        type: 'custom',
+        header: auth.customHeader,
+        template: auth.template,
+        values: Object.fromEntries(
+          templateVariables(auth.template).map((name) => [name, auth.values[name] || ''])
+        ),
+      };
+    case 'oauth2': {
+      const oauth = {
+        type: 'oauth2',
+        grantType: auth.grantType,
+        tokenUrl: auth.tokenUrl,
+        clientId: auth.clientId,
+        scopes: auth.scopes,
+      };
+      if (auth.clientSecret) {
+        oauth.clientSecret = auth.clientSecret;
+      }
+      if (auth.grantType === 'refresh_token') {
+        oauth.refreshToken = auth.refreshToken;
+      }
+      return oauth;
+    }
+    default:
+      return null;
+  }
+};
+
+const AuthEditor = ({ auth, onChange, disabled = false }) => {
+  const update = (changes) => {
+    onChange({ ...auth, ...changes });
+  };
+
+  const field = (id, label, name, props = {}) => (
+    <div>
+      <label htmlFor={id}>{label}</label>
+      <input
+        id={id}
+        type="text"
+        value={auth[name]}
+        onChange={(e) => update({ [name]: e.target.value })}
+        disabled={disabled}
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <div className="form-group auth-group">
+      <label htmlFor="authType">Auth scheme</label>
+      <select
+        id="authType"
+        value={auth.type}
+        onChange={(e) => update({ type: e.target.value })}
+        disabled={disabled}
+      >
+        {AUTH_SCHEMES.map((scheme) => (
+          <option key={scheme.value} value={scheme.value}>{scheme.label}</option>
+        ))}
+      </select>
+
+      {auth.type === 'header' && (
+        <div className="auth-header">
+          <label htmlFor="authorization">Authorization</label>
+          <input
+            id="authorization"
+            type="text"
+            value={auth.authorization}
+            onChange={(e) => update({ authorization: e.target.value })}
+            placeholder="Bearer your-token (optional)"
+            disabled={disabled}
+          />
+        </div>
+      )}
+
+      {auth.type === 'basic' && (
+        <div className="auth-fields">
+          {field('authUsername', 'Username', 'username')}
+          {field('authPassword', 'Password', 'password', { type: 'password' })}
+        </div>
+      )}
+
+      {auth.type === 'bearer' && (
+        <div className="auth-fields">
+          {field('authToken', 'Token', 'token', { type: 'password' })}
+        </div>
+      )}
+
+      {auth.type === 'apikey' && (
+        <div className="auth-fields">
+          {field('authKeyName', 'Key name', 'keyName', { placeholder: 'X-API-Key' })}
+          {field('authKeyValue', 'Key value', 'keyValue', { type: 'password' })}
+          <div>
+            <label htmlFor="authKeyIn">Send key in</label>
+            <select
+              id="authKeyIn"
+              value={auth.keyIn}
+              onChange={(e) => update({ keyIn: e.target.value })}
+              disabled={disabled}
+            >
+              <option value="header">Header</option>
+              <option value="query">Query string</option>
+            </select>
+          </div>
+        </div>
+      )}
+
+      {auth.type === 'custom' && (
+        <div className="auth-fields">
+          {field('authCustomHeader', 'Header name', 'customHeader', { placeholder: 'X-Auth-Token' })}
+          {field('authTemplate', 'Value template', 'template', { placeholder: 'Token {{token}}' })}
+          {templateVariables(auth.template).map((name) => (
+            <div key={name}>
+              <label htmlFor={`authValue-${name}`}>{`Value of ${name}`}</label>
+              <input
+                id={`authValue-${name}`}
+                type="password"
+                value={auth.values[name] || ''}
+                onChange={(e) => update({ values: { ...auth.values, [name]: e.target.value } })}
+                disabled={disabled}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {auth.type === 'oauth2' && (
+        <div className="auth-fields">
+          <div>
+            <label htmlFor="oauthGrantType">Grant type</label>
+            <select
+              id="oauthGrantType"
+              value={auth.grantType}
+              onChange={(e) => update({ grantType: e.target.value })}
+              disabled={disabled}
+            >
+              <option value="client_credentials">Client credentials</option>
+              <option value="refresh_token">Refresh token</option>
+            </select>
+          </div>
+          {field('oauthTokenUrl', 'Token endpoint', 'tokenUrl', { placeholder: 'https://auth.example.com/oauth/token' })}
+          {field('oauthClientId', 'Client ID', 'clientId')}
+          {field('oauthClientSecret', 'Client secret', 'clientSecret', { type: 'password' })}
+          {field('oauthScopes', 'Scopes', 'scopes', { placeholder: 'orders:read orders:write' })}
+          {auth.grantType === 'refresh_token' &&
+            field('oauthRefreshToken', 'Refresh token', 'refreshToken', { type: 'password' })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuthEditor;
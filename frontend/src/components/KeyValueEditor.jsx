@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import './KeyValueEditor.css';
+
+// Disabled entries are kept in bulk text as commented-out lines, as Postman does
+const DISABLED_PREFIX = '//';
+
+export const rowsFromObject = (object = {}) =>
+  Object.entries(object).map(([key, value]) => ({ key, value: String(value), enabled: true }));
+
+export const rowsToObject = (rows) =>
+  Object.fromEntries(
+    rows.filter((row) => row.enabled && row.key.trim()).map((row) => [row.key.trim(), row.value])
+  );
+
+const rowsToText = (rows, separator) =>
+  rows
+    .map((row) => `${row.enabled ? '' : `${DISABLED_PREFIX} `}${row.key}${separator}${row.value}`)
+    .join('\n');
+
+const textToRows = (text, separator) =>
+  text
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => {
+      const disabled = line.trim().startsWith(DISABLED_PREFIX);
+      const entry = disabled ? line.trim().slice(DISABLED_PREFIX.length) : line;
+      const index = entry.indexOf(separator);
+      return {
+        key: (index === -1 ? entry : entry.slice(0, index)).trim(),
+        value: index === -1 ? '' : entry.slice(index + separator.length).trim(),
+        enabled: !disabled,
+      };
+    });
+
+const KeyValueEditor = ({ id, title, itemLabel, rows, onChange, separator = ': ', disabled = false }) => {
+  const [bulk, setBulk] = useState(false);
+  const [bulkText, setBulkText] = useState('');
+
+  const updateRow = (index, changes) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const handleToggleBulk = () => {
+    if (!bulk) {
+      setBulkText(rowsToText(rows, separator));
+    }
+    setBulk(!bulk);
+  };
+
+  const handleBulkChange = (e) => {
+    setBulkText(e.target.value);
+    onChange(textToRows(e.target.value, separator.trim()));
+  };
+
+  return (
+    <div className="key-value-editor">
+      <div className="key-value-header">
+        <span className="key-value-title" id={`${id}-title`}>{title}</span>
+        <button type="button" className="key-value-mode" onClick={handleToggleBulk} disabled={disabled}>
+          {bulk ? 'Key-Value Edit' : 'Bulk Edit'}
+        </button>
+      </div>
+
+      {bulk ? (
+        <textarea
+          id={`${id}-bulk`}
+          aria-labelledby={`${id}-title`}
+          value={bulkText}
+          onChange={handleBulkChange}
+          placeholder={`name${separator}value\n${DISABLED_PREFIX} disabled${separator}value`}
+          rows={Math.max(rows.length + 1, 3)}
+          disabled={disabled}
+        />
+      ) : (
+        <>
+          {rows.map((row, index) => (
+            <div className="key-value-row" key={index}>
+              <input
+                type="checkbox"
+                aria-label={`Enable ${itemLabel} ${index + 1}`}
+                checked={row.enabled}
+                onChange={(e) => updateRow(index, { enabled: e.target.checked })}
+                disabled={disabled}
+              />
+              <input
+                type="text"
+                aria-label={`${itemLabel} name ${index + 1}`}
+                value={row.key}
+                onChange={(e) => updateRow(index, { key: e.target.value })}
+                placeholder="Name"
+                disabled={disabled}
+              />
+              <input
+                type="text"
+                aria-label={`${itemLabel} value ${index + 1}`}
+                value={row.value}
+                onChange={(e) => updateRow(index, { value: e.target.value })}
+                placeholder="Value"
+                disabled={disabled}
+              />
+              <button
+                type="button"
+                className="key-value-remove"
+                aria-label={`Remove ${itemLabel} ${index + 1}`}
+                onClick={() => onChange(rows.filter((_, i) => i !== index))}
+                disabled={disabled}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            className="key-value-add"
+            onClick={() => onChange([...rows, { key: '', value: '', enabled: true }])}
+            disabled={disabled}
+          >
+            Add {itemLabel}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default KeyValueEditor;
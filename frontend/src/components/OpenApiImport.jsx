@@ -0,0 +1,262 @@
+import { useState } from 'react';
+import './ImportPanel.css';
+
+const OpenApiImport = () => {
+  const [specText, setSpecText] = useState('');
+  const [apiInfo, setApiInfo] = useState(null);
+  const [operations, setOperations] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [baseUrl, setBaseUrl] = useState('');
+  const [authorization, setAuthorization] = useState('');
+  const [live, setLive] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [generated, setGenerated] = useState(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (file) {
+      setSpecText(await file.text());
+    }
+  };
+
+  const handleListOperations = async () => {
+    setLoading(true);
+    setError(null);
+    setApiInfo(null);
+    setOperations([]);
+    setGenerated(null);
+
+    try {
+      const response = await fetch('/api/import/openapi', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ spec: specText }),
+      });
+
+      const data = await response.json();
+
+      if (data.ok) {
+        setApiInfo({ title: data.title, version: data.version });
+        setOperations(data.operations);
+        setBaseUrl(data.baseUrl);
+        // Preselect list operations; single-resource operations rarely make a table
+        setSelected(data.operations.filter((op) => op.isList).map((op) => op.id));
+      } else {
+        setError(data);
+      }
+    } catch (err) {
+      setError({
+        ok: false,
+        message: 'Network error occurred',
+        hints: 'Please check your connection and try again.',
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleOperation = (id) => {
+    setSelected((current) =>
+      current.includes(id) ? current.filter((item) => item !== id) : [...current, id]
+    );
+  };
+
+  const handleGenerate = async () => {
+    setLoading(true);
+    setError(null);
+    setGenerated(null);
+
+    try {
+      const response = await fetch('/api/import/openapi/generate', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          spec: specText,
+          operationIds: selected,
+          baseUrl,
+          headers: authorization ? { Authorization: authorization } : {},
+          live,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (data.ok) {
+        setGenerated(data);
+      } else {
+        setError(data);
+      }
+    } catch (err) {
+      setError({
+        ok: false,
+        message: 'Network error occurred',
+        hints: 'Please check your connection and try again.',
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleExportAll = () => {
+    const configs = generated.datasources.map((datasource) => datasource.config);
+    const blob = new Blob([JSON.stringify({ datasources: configs }, null, 2)], {
+      type: 'application/json',
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'tooljet-datasources.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="import-panel">
+      <h2>Import OpenAPI Document</h2>
+      <p className="import-description">
+        Create datasources for many operations of a documented API at once, from an OpenAPI 3 or
+        Swagger 2 document in JSON or YAML.
+      </p>
+
+      <div className="import-group">
+        <label htmlFor="specFile">OpenAPI file</label>
+        <input id="specFile" type="file" accept=".json,.yaml,.yml,application/json,application/yaml" onChange={handleFileChange} />
+      </div>
+
+      <div className="import-group">
+        <label htmlFor="specText">OpenAPI document</label>
+        <textarea
+          id="specText"
+          value={specText}
+          onChange={(e) => setSpecText(e.target.value)}
+          placeholder='{"openapi": "3.0.3", "paths": {...}}'
+          rows={8}
+          disabled={loading}
+        />
+      </div>
+
+      <button
+        onClick={handleListOperations}
+        disabled={!specText || loading}
+        className="import-button"
+      >
+        {loading && operations.length === 0 ? 'Reading...' : 'List Operations'}
+      </button>
+
+      {error && (
+        <div className="import-error">
+          <p className="import-error-message">{error.message}</p>
+          {error.hints && <p className="import-error-hints">{error.hints}</p>}
+        </div>
+      )}
+
+      {apiInfo && (
+        <div className="operations-section">
+          <h3>
+            {apiInfo.title}
+            {apiInfo.version && <span className="api-version"> v{apiInfo.version}</span>}
+          </h3>
+
+          {operations.length === 0 ? (
+            <p>The document has no GET operations.</p>
+          ) : (
+            <ul className="operations-list">
+              {operations.map((op) => (
+                <li key={op.id}>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(op.id)}
+                      onChange={() => toggleOperation(op.id)}
+                    />
+                    <span className="operation-path">{op.method} {op.path}</span>
+                    {op.summary && <span className="operation-summary">{op.summary}</span>}
+                    <span className="operation-fields">
+                      {op.fields.length > 0 ? `${op.fields.length} fields` : 'no declared schema'}
+                    </span>
+                    {!op.isList && <span className="operation-tag">single resource</span>}
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="import-group">
+            <label htmlFor="importBaseUrl">Base URL</label>
+            <input
+              id="importBaseUrl"
+              type="text"
+              value={baseUrl}
+              onChange={(e) => setBaseUrl(e.target.value)}
+              placeholder="https://api.example.com/v1"
+            />
+          </div>
+
+          <div className="import-group">
+            <label htmlFor="importAuth">Auth header</label>
+            <input
+              id="importAuth"
+              type="text"
+              value={authorization}
+              onChange={(e) => setAuthorization(e.target.value)}
+              placeholder="Bearer token"
+            />
+          </div>
+
+          <label className="import-checkbox">
+            <input
+              type="checkbox"
+              checked={live}
+              onChange={(e) => setLive(e.target.checked)}
+            />
+            Merge with live responses
+          </label>
+
+          <button
+            onClick={handleGenerate}
+            disabled={selected.length === 0 || loading}
+            className="import-button"
+          >
+            {loading ? 'Generating...' : `Generate ${selected.length} Datasources`}
+          </button>
+        </div>
+      )}
+
+      {generated && (
+        <div className="import-results">
+          <h3>Generated {generated.datasources.length} datasources</h3>
+          <ul>
+            {generated.datasources.map((datasource) => (
+              <li key={datasource.operationId}>
+                <span className="operation-path">{datasource.path}</span>
+                <span className="operation-source">{datasource.source}</span>
+                {datasource.warning && <span className="operation-warning">{datasource.warning}</span>}
+              </li>
+            ))}
+          </ul>
+          {generated.skipped.length > 0 && (
+            <ul className="skipped-list">
+              {generated.skipped.map((entry) => (
+                <li key={entry.operationId}>
+                  Skipped {entry.operationId}: {entry.message}
+                </li>
+              ))}
+            </ul>
+          )}
+          <button onClick={handleExportAll} className="import-button">
+            Export All
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OpenApiImport;
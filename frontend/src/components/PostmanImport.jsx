@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import './ImportPanel.css';
+
+const PostmanImport = () => {
+  const [collectionText, setCollectionText] = useState('');
+  const [variablesText, setVariablesText] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [run, setRun] = useState(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (file) {
+      setCollectionText(await file.text());
+    }
+  };
+
+  const handleRun = async () => {
+    setError(null);
+    setRun(null);
+
+    // Variables override the collection's own values, e.g. a token kept out of the export
+    let variables = {};
+    if (variablesText.trim()) {
+      try {
+        variables = JSON.parse(variablesText);
+      } catch (err) {
+        setError({
+          ok: false,
+          message: 'Variables must be a JSON object',
+          hints: 'Example: {"token": "abc123"}',
+        });
+        return;
+      }
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await fetch('/api/import/postman', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ collection: collectionText, variables }),
+      });
+
+      const data = await response.json();
+
+      if (data.ok) {
+        setRun(data);
+      } else {
+        setError(data);
+      }
+    } catch (err) {
+      setError({
+        ok: false,
+        message: 'Network error occurred',
+        hints: 'Please check your connection and try again.',
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="import-panel">
+      <h2>Import Postman Collection</h2>
+      <p className="import-description">
+        Run every request of a collection and infer the schema of each response.
+      </p>
+
+      <div className="import-group">
+        <label htmlFor="collectionFile">Collection file</label>
+        <input id="collectionFile" type="file" accept=".json,application/json" onChange={handleFileChange} />
+      </div>
+
+      <div className="import-group">
+        <label htmlFor="collectionText">Postman collection</label>
+        <textarea
+          id="collectionText"
+          value={collectionText}
+          onChange={(e) => setCollectionText(e.target.value)}
+          placeholder='{"info": {"schema": ".../v2.1.0/collection.json"}, "item": [...]}'
+          rows={8}
+          disabled={loading}
+        />
+      </div>
+
+      <div className="import-group">
+        <label htmlFor="collectionVariables">Variables</label>
+        <textarea
+          id="collectionVariables"
+          className="variables-input"
+          value={variablesText}
+          onChange={(e) => setVariablesText(e.target.value)}
+          placeholder='{"token": "abc123"}'
+          rows={3}
+          disabled={loading}
+        />
+      </div>
+
+      <button
+        onClick={handleRun}
+        disabled={!collectionText || loading}
+        className="import-button"
+      >
+        {loading ? 'Running...' : 'Run Collection'}
+      </button>
+
+      {error && (
+        <div className="import-error">
+          <p className="import-error-message">{error.message}</p>
+          {error.hints && <p className="import-error-hints">{error.hints}</p>}
+        </div>
+      )}
+
+      {run && (
+        <div className="import-results">
+          <h3>{run.name}</h3>
+          <table className="run-table">
+            <thead>
+              <tr>
+                <th>Request</th>
+                <th>Status</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {run.results.map((result, index) => (
+                <tr key={`${result.name}-${index}`} className={result.ok ? 'run-ok' : 'run-failed'}>
+                  <td>
+                    <span className="operation-path">{result.method} {result.name}</span>
+                    {result.folder && <span className="operation-summary"> in {result.folder}</span>}
+                  </td>
+                  <td>{result.status || '-'}</td>
+                  <td>
+                    {result.ok
+                      ? `${result.fields.length} fields at ${result.samplePath}${result.pagination ? `, ${result.pagination.type} pagination` : ''}`
+                      : result.message}
+                    {result.hints && !result.ok && <span className="operation-warning">{result.hints}</span>}
+                    {result.warnings && result.warnings.map((warning) => (
+                      <span key={warning} className="operation-warning">{warning}</span>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PostmanImport;
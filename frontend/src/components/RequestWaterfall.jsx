@@ -0,0 +1,104 @@
+import './RequestWaterfall.css';
+
+// Phases measured by the backend fetcher, in the order they happen
+const PHASES = [
+  { key: 'dns', label: 'DNS' },
+  { key: 'connect', label: 'Connect' },
+  { key: 'tls', label: 'TLS' },
+  { key: 'ttfb', label: 'Waiting' },
+  { key: 'download', label: 'Download' },
+];
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatMs = (ms) => `${Math.round(ms * 10) / 10} ms`;
+
+// One row per request: the redirects of an attempt, then its final request
+const requestRows = (attempts) =>
+  attempts.flatMap((attempt) => {
+    let offset = attempt.startedAt || 0;
+    const requests = [
+      ...(attempt.redirects || []).map((redirect) => ({
+        label: `Attempt ${attempt.attempt} redirect`,
+        status: redirect.status,
+        detail: `${redirect.url} → ${redirect.location}`,
+        timing: redirect.timing,
+      })),
+      {
+        label: `Attempt ${attempt.attempt}`,
+        status: attempt.status,
+        detail: [attempt.size ? formatBytes(attempt.size) : null, attempt.reason].filter(Boolean).join(' · '),
+        timing: attempt.timing,
+      },
+    ];
+
+    return requests.map((request) => {
+      const row = { ...request, offset };
+      offset += request.timing.total;
+      return row;
+    });
+  });
+
+const RequestWaterfall = ({ attempts, responseTime, totalTime, responseSize }) => {
+  const rows = requestRows(attempts.filter((attempt) => attempt.timing));
+  const span = Math.max(...rows.map((row) => row.offset + row.timing.total), 1);
+
+  return (
+    <div className="waterfall">
+      <h3>Timing</h3>
+      <p className="waterfall-summary">
+        Last attempt {formatMs(responseTime || 0)}
+        {responseSize > 0 && ` · ${formatBytes(responseSize)}`}
+        {` · ${attempts.length} ${attempts.length === 1 ? 'attempt' : 'attempts'} in ${formatMs(totalTime || 0)}`}
+      </p>
+
+      <ul className="waterfall-rows">
+        {rows.map((row, index) => (
+          <li key={index} className="waterfall-row">
+            <span className="waterfall-label">
+              {row.label}
+              <span className="waterfall-status">{row.status || 'failed'}</span>
+            </span>
+            <span
+              className="waterfall-track"
+              title={PHASES.filter((phase) => row.timing[phase.key] !== null)
+                .map((phase) => `${phase.label} ${formatMs(row.timing[phase.key])}`)
+                .join(', ')}
+            >
+              <span
+                className="waterfall-bar"
+                style={{ left: `${(row.offset / span) * 100}%`, width: `${(row.timing.total / span) * 100}%` }}
+              >
+                {PHASES.filter((phase) => row.timing[phase.key]).map((phase) => (
+                  <span
+                    key={phase.key}
+                    className={`waterfall-phase waterfall-${phase.key}`}
+                    style={{ width: `${(row.timing[phase.key] / row.timing.total) * 100}%` }}
+                  />
+                ))}
+              </span>
+            </span>
+            <span className="waterfall-total">{formatMs(row.timing.total)}</span>
+            {row.detail && <span className="waterfall-detail">{row.detail}</span>}
+          </li>
+        ))}
+      </ul>
+
+      <ul className="waterfall-legend">
+        {PHASES.map((phase) => (
+          <li key={phase.key}>
+            <span className={`waterfall-swatch waterfall-${phase.key}`} />
+            {phase.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RequestWaterfall;
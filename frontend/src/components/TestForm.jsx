@@ -1,9 +1,51 @@
 import { useState } from 'react';
+import AuthEditor, { EMPTY_AUTH, buildAuth } from './AuthEditor';
+import KeyValueEditor, { rowsFromObject, rowsToObject } from './KeyValueEditor';
+import RequestWaterfall from './RequestWaterfall';
 import './TestForm.css';
 
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Form and multipart bodies are edited as key/value pairs, the others as text
+const KEY_VALUE_BODY_TYPES = ['form', 'multipart'];
+
+// Download names for the schema export formats of /api/generate
+const EXPORT_FILENAMES = {
+  jsonschema: 'schema.json',
+  typescript: 'types.ts',
+  zod: 'schema.zod.ts',
+  openapi: 'openapi.json',
+  postman: 'collection.postman_collection.json',
+};
+
+const isJson = (text) => {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// GraphQL variables are optional; null marks text that is not a JSON object
+const parseVariables = (text) => {
+  if (!text.trim()) {
+    return {};
+  }
+  try {
+    const variables = JSON.parse(text);
+    return variables && typeof variables === 'object' && !Array.isArray(variables) ? variables : null;
+  } catch {
+    return null;
+  }
+};
+
+// HAR files hold every request of a page load; the first JSON response is the likely API call
+const preferredEntry = (requests) =>
+  Math.max(requests.findIndex((request) => /json/i.test(request.mimeType || '')), 0);
+
 const TestForm = () => {
   const [url, setUrl] = useState('');
-  const [authorization, setAuthorization] = useState('');
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
@@ -11,8 +53,78 @@ const TestForm = () => {
   const [generating, setGenerating] = useState(false);
   const [showPasteSample, setShowPasteSample] = useState(false);
   const [sampleJSON, setSampleJSON] = useState('');
+  const [lastSample, setLastSample] = useState('');
+  const [flatten, setFlatten] = useState(false);
+  const [samplingStrategy, setSamplingStrategy] = useState('first');
+  const [xmlNamespaces, setXmlNamespaces] = useState('strip');
+  const [method, setMethod] = useState('GET');
+  const [headerRows, setHeaderRows] = useState([]);
+  const [queryRows, setQueryRows] = useState([]);
+  const [bodyType, setBodyType] = useState('json');
+  const [bodyText, setBodyText] = useState('');
+  const [bodyRows, setBodyRows] = useState([]);
+  const [auth, setAuth] = useState(EMPTY_AUTH);
+  const [showImport, setShowImport] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [importedRequests, setImportedRequests] = useState([]);
+  const [importedEntry, setImportedEntry] = useState(0);
+  const [showGraphql, setShowGraphql] = useState(false);
+  const [graphqlQuery, setGraphqlQuery] = useState('');
+  const [graphqlVariables, setGraphqlVariables] = useState('');
+  const [graphqlQueries, setGraphqlQueries] = useState([]);
+  const [graphqlOperation, setGraphqlOperation] = useState('');
+
+  // Request options shared by /api/test and the generators; defaults are left out
+  const buildRequest = () => {
+    const request = {};
+    const headers = rowsToObject(headerRows);
+    const queryParams = rowsToObject(queryRows);
+
+    // Typed schemes are applied by the backend and replace the Authorization header
+    const typedAuth = buildAuth(auth);
+    if (typedAuth) {
+      request.auth = typedAuth;
+    } else if (auth.authorization) {
+      // Add authorization header if provided
+      headers.Authorization = auth.authorization;
+    }
+
+    if (Object.keys(headers).length > 0) {
+      request.headers = headers;
+    }
+
+    if (Object.keys(queryParams).length > 0) {
+      request.queryParams = queryParams;
+    }
+
+    // GraphQL queries are always POSTed with the query and variables as the body
+    if (showGraphql && graphqlQuery.trim()) {
+      request.method = 'POST';
+      request.graphql = { query: graphqlQuery, variables: parseVariables(graphqlVariables) || {} };
+    } else if (method !== 'GET') {
+      request.method = method;
+
+      const body = KEY_VALUE_BODY_TYPES.includes(bodyType) ? rowsToObject(bodyRows) : bodyText;
+      if (typeof body === 'string' ? body.trim() : Object.keys(body).length > 0) {
+        request.body = body;
+        request.bodyType = bodyType;
+      }
+    }
+
+    return request;
+  };
+
+  const handleTest = async (samplePath) => {
+    if (showGraphql && graphqlQuery.trim() && !parseVariables(graphqlVariables)) {
+      setResult(null);
+      setError({
+        ok: false,
+        message: 'GraphQL variables must be a JSON object',
+        hints: 'Example: {"first": 10}',
+      });
+      return;
+    }
 
-  const handleTest = async () => {
     setLoading(true);
     setError(null);
     setResult(null);
@@ -21,13 +133,19 @@ const TestForm = () => {
     try {
       const requestBody = {
         url,
+        ...buildRequest(),
+        flatten,
+        sampling: { strategy: samplingStrategy },
       };
 
-      // Add authorization header if provided
-      if (authorization) {
-        requestBody.headers = {
-          Authorization: authorization,
-        };
+      // XML namespace prefixes are stripped unless the user keeps them
+      if (xmlNamespaces !== 'strip') {
+        requestBody.xml = { namespaces: xmlNamespaces };
+      }
+
+      // Use the collection the user picked instead of the detected one
+      if (samplePath) {
+        requestBody.samplePath = samplePath;
       }
 
       const response = await fetch('/api/test', {
@@ -78,6 +196,19 @@ const TestForm = () => {
     navigator.clipboard.writeText(dataStr);
   };
 
+  const buildSchema = () => ({
+    url,
+    // Generators mask credentials; they are only used to describe the auth scheme
+    headers: {},
+    ...buildRequest(),
+    samplePath: result.samplePath,
+    fields: result.fields,
+    keys: result.keys,
+    pagination: result.pagination,
+    responseFormat: result.responseFormat,
+    formatOptions: result.formatOptions,
+  });
+
   const handleGenerateToolJet = async () => {
     setGenerating(true);
 
@@ -88,12 +219,7 @@ const TestForm = () => {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          schema: {
-            url,
-            samplePath: result.samplePath,
-            fields: result.fields,
-            pagination: result.pagination,
-          },
+          schema: buildSchema(),
           format: 'full',
         }),
       });
@@ -120,7 +246,40 @@ const TestForm = () => {
     URL.revokeObjectURL(url);
   };
 
-  const handleTestSample = async () => {
+  const handleExport = async (format) => {
+    setGenerating(true);
+
+    try {
+      const response = await fetch('/api/generate', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          schema: buildSchema(),
+          format,
+        }),
+      });
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = EXPORT_FILENAMES[format];
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error(`Failed to export ${format}:`, err);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleTestSample = async (samplePath) => {
+    const sample = samplePath ? lastSample : sampleJSON;
+
     setLoading(true);
     setError(null);
     setResult(null);
@@ -133,7 +292,10 @@ const TestForm = () => {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          sample: sampleJSON
+          sample,
+          samplePath,
+          flatten,
+          sampling: { strategy: samplingStrategy },
         }),
       });
 
@@ -142,6 +304,7 @@ const TestForm = () => {
       if (data.ok) {
         setResult(data);
         setShowPasteSample(false);
+        setLastSample(sample);
         setSampleJSON('');
       } else {
         setError(data);
@@ -157,6 +320,141 @@ const TestForm = () => {
     }
   };
 
+  const handleSamplePathChange = (e) => {
+    if (result.source === 'pasted-sample') {
+      handleTestSample(e.target.value);
+    } else {
+      handleTest(e.target.value);
+    }
+  };
+
+  const applyImportedRequest = (request) => {
+    // The Authorization header has its own field; other headers are sent along with it
+    const { Authorization: imported, ...others } = Object.fromEntries(
+      Object.entries(request.headers).map(([key, value]) =>
+        [key.toLowerCase() === 'authorization' ? 'Authorization' : key, value]
+      )
+    );
+
+    const type = request.bodyType || 'json';
+    let { body = '' } = request;
+
+    if (KEY_VALUE_BODY_TYPES.includes(type) && typeof body === 'string') {
+      body = Object.fromEntries(new URLSearchParams(body));
+    }
+
+    setUrl(request.url);
+    setAuth(imported ? { ...auth, type: 'header', authorization: imported } : { ...auth, authorization: '' });
+    setHeaderRows(rowsFromObject(others));
+    setQueryRows(rowsFromObject(request.queryParams));
+    setMethod(METHODS.includes(request.method) ? request.method : 'GET');
+    setBodyType(type);
+    setBodyText(typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+    setBodyRows(typeof body === 'object' ? rowsFromObject(body) : []);
+  };
+
+  const handleImportRequest = async () => {
+    setLoading(true);
+    setError(null);
+    setImportedRequests([]);
+
+    try {
+      const response = await fetch('/api/import/request', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ input: importText }),
+      });
+
+      const data = await response.json();
+
+      if (data.ok) {
+        const entry = preferredEntry(data.requests);
+        applyImportedRequest(data.requests[entry]);
+        setImportedEntry(entry);
+        setImportedRequests(data.requests.length > 1 ? data.requests : []);
+        if (data.requests.length === 1) {
+          setShowImport(false);
+          setImportText('');
+        }
+      } else {
+        setError(data);
+      }
+    } catch (err) {
+      setError({
+        ok: false,
+        message: 'Network error occurred',
+        hints: 'Please check your connection and try again.',
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLoadGraphqlSchema = async () => {
+    setLoading(true);
+    setError(null);
+    setGraphqlQueries([]);
+
+    try {
+      const response = await fetch('/api/graphql/introspect', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ url, ...buildRequest() }),
+      });
+
+      const data = await response.json();
+
+      if (data.ok) {
+        setGraphqlQueries(data.queries);
+        setGraphqlOperation('');
+      } else {
+        setError(data);
+      }
+    } catch (err) {
+      setError({
+        ok: false,
+        message: 'Network error occurred',
+        hints: 'Please check your connection and try again.',
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleGraphqlOperationChange = (e) => {
+    const operation = graphqlQueries.find((query) => query.name === e.target.value);
+    setGraphqlOperation(e.target.value);
+    if (operation) {
+      setGraphqlQuery(operation.query);
+      setGraphqlVariables('');
+    }
+  };
+
+  const handleImportedEntryChange = (e) => {
+    setImportedEntry(Number(e.target.value));
+    applyImportedRequest(importedRequests[Number(e.target.value)]);
+  };
+
+  const handleToggleImport = () => {
+    setShowImport(!showImport);
+    if (!showImport) {
+      setShowPasteSample(false);
+      setError(null);
+    }
+  };
+
+  const handleToggleGraphql = () => {
+    setShowGraphql(!showGraphql);
+    if (!showGraphql) {
+      setShowPasteSample(false);
+      setError(null);
+    }
+  };
+
   const handleTogglePasteSample = () => {
     setShowPasteSample(!showPasteSample);
     if (!showPasteSample) {
@@ -173,31 +471,135 @@ const TestForm = () => {
 
       <div className="form-group">
         <label htmlFor="url">URL</label>
-        <input
-          id="url"
-          type="text"
-          value={url}
-          onChange={(e) => setUrl(e.target.value)}
-          placeholder="https://api.example.com/data"
-          disabled={loading}
-        />
+        <div className="url-row">
+          <select
+            aria-label="Method"
+            value={method}
+            onChange={(e) => setMethod(e.target.value)}
+            disabled={loading}
+          >
+            {METHODS.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <input
+            id="url"
+            type="text"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="https://api.example.com/data"
+            disabled={loading}
+          />
+        </div>
       </div>
 
-      <div className="form-group">
-        <label htmlFor="authorization">Authorization</label>
-        <input
-          id="authorization"
-          type="text"
-          value={authorization}
-          onChange={(e) => setAuthorization(e.target.value)}
-          placeholder="Bearer your-token (optional)"
+      <AuthEditor auth={auth} onChange={setAuth} disabled={loading} />
+
+      <div className="form-group request-options">
+        <KeyValueEditor
+          id="headers"
+          title="Headers"
+          itemLabel="header"
+          rows={headerRows}
+          onChange={setHeaderRows}
+          disabled={loading}
+        />
+        <KeyValueEditor
+          id="queryParams"
+          title="Query parameters"
+          itemLabel="query parameter"
+          rows={queryRows}
+          onChange={setQueryRows}
+          separator="="
           disabled={loading}
         />
+
+        {method !== 'GET' && (
+          <div className="body-editor">
+            <div className="body-editor-header">
+              <label htmlFor="requestBody">Body</label>
+              <select
+                aria-label="Body type"
+                value={bodyType}
+                onChange={(e) => setBodyType(e.target.value)}
+                disabled={loading}
+              >
+                <option value="json">JSON</option>
+                <option value="form">Form (urlencoded)</option>
+                <option value="multipart">Multipart</option>
+                <option value="raw">Raw text</option>
+              </select>
+            </div>
+            {KEY_VALUE_BODY_TYPES.includes(bodyType) ? (
+              <KeyValueEditor
+                id="requestBody"
+                title="Body fields"
+                itemLabel="body field"
+                rows={bodyRows}
+                onChange={setBodyRows}
+                separator="="
+                disabled={loading}
+              />
+            ) : (
+              <>
+                <textarea
+                  id="requestBody"
+                  value={bodyText}
+                  onChange={(e) => setBodyText(e.target.value)}
+                  placeholder={bodyType === 'json' ? '{"key": "value"}' : 'Request body'}
+                  rows={6}
+                  disabled={loading}
+                />
+                {bodyType === 'json' && bodyText.trim() && !isJson(bodyText) && (
+                  <p className="body-hint">Body is not valid JSON; it will be sent as typed.</p>
+                )}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="form-group checkbox-group">
+        <label htmlFor="flatten">
+          <input
+            id="flatten"
+            type="checkbox"
+            checked={flatten}
+            onChange={(e) => setFlatten(e.target.checked)}
+            disabled={loading}
+          />
+          Flatten nested objects into columns
+        </label>
+        <label htmlFor="sampling">
+          Sampling
+          <select
+            id="sampling"
+            value={samplingStrategy}
+            onChange={(e) => setSamplingStrategy(e.target.value)}
+            disabled={loading}
+          >
+            <option value="first">First 50 rows</option>
+            <option value="random">Random 50 rows</option>
+            <option value="all">All rows (up to 1 MB)</option>
+          </select>
+        </label>
+        <label htmlFor="xmlNamespaces">
+          XML namespaces
+          <select
+            id="xmlNamespaces"
+            value={xmlNamespaces}
+            onChange={(e) => setXmlNamespaces(e.target.value)}
+            disabled={loading}
+          >
+            <option value="strip">Strip prefixes</option>
+            <option value="preserve">Keep prefixes</option>
+          </select>
+        </label>
       </div>
 
       <div className="button-group">
         <button
-          onClick={handleTest}
+          onClick={() => handleTest()}
           disabled={!url || loading}
           className="test-button"
         >
@@ -210,8 +612,107 @@ const TestForm = () => {
         >
           {showPasteSample ? 'Use URL' : 'Paste Sample'}
         </button>
+        <button
+          onClick={handleToggleImport}
+          className="paste-sample-button"
+          type="button"
+        >
+          {showImport ? 'Hide Import' : 'Import Request'}
+        </button>
+        <button
+          onClick={handleToggleGraphql}
+          className="paste-sample-button"
+          type="button"
+        >
+          {showGraphql ? 'Hide GraphQL' : 'GraphQL'}
+        </button>
       </div>
 
+      {showGraphql && (
+        <div className="paste-sample-section graphql-section">
+          <button
+            onClick={handleLoadGraphqlSchema}
+            disabled={!url || loading}
+            className="test-sample-button"
+            type="button"
+          >
+            Load Schema
+          </button>
+          {graphqlQueries.length > 0 && (
+            <div className="imported-entries">
+              <label htmlFor="graphqlOperation">Root field</label>
+              <select
+                id="graphqlOperation"
+                value={graphqlOperation}
+                onChange={handleGraphqlOperationChange}
+              >
+                <option value="">Write my own</option>
+                {graphqlQueries.map((query) => (
+                  <option key={query.name} value={query.name}>
+                    {query.name}: {query.returnType}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          <label htmlFor="graphqlQuery">GraphQL query</label>
+          <textarea
+            id="graphqlQuery"
+            value={graphqlQuery}
+            onChange={(e) => setGraphqlQuery(e.target.value)}
+            placeholder="{ orders(first: 10) { edges { node { id } } pageInfo { hasNextPage endCursor } } }"
+            rows={8}
+            disabled={loading}
+          />
+          <label htmlFor="graphqlVariables">GraphQL variables</label>
+          <textarea
+            id="graphqlVariables"
+            value={graphqlVariables}
+            onChange={(e) => setGraphqlVariables(e.target.value)}
+            placeholder='{"first": 10}'
+            rows={3}
+            disabled={loading}
+          />
+        </div>
+      )}
+
+      {showImport && (
+        <div className="paste-sample-section">
+          <label htmlFor="importText">Copied request</label>
+          <textarea
+            id="importText"
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+            placeholder="curl 'https://api.example.com/data' -H 'Authorization: Bearer ...' or a HAR file"
+            rows={8}
+            disabled={loading}
+          />
+          <button
+            onClick={handleImportRequest}
+            disabled={!importText || loading}
+            className="test-sample-button"
+          >
+            Fill Form
+          </button>
+          {importedRequests.length > 1 && (
+            <div className="imported-entries">
+              <label htmlFor="importedEntry">HAR entry</label>
+              <select
+                id="importedEntry"
+                value={importedEntry}
+                onChange={handleImportedEntryChange}
+              >
+                {importedRequests.map((request, index) => (
+                  <option key={index} value={index}>
+                    {request.method} {request.url}{request.status ? ` (${request.status})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+      )}
+
       {showPasteSample && (
         <div className="paste-sample-section">
           <label htmlFor="sampleJSON">Sample JSON</label>
@@ -224,7 +725,7 @@ const TestForm = () => {
             disabled={loading}
           />
           <button
-            onClick={handleTestSample}
+            onClick={() => handleTestSample()}
             disabled={!sampleJSON || loading}
             className="test-sample-button"
           >
@@ -241,6 +742,14 @@ const TestForm = () => {
             {error.message}
           </p>
           {error.hints && <p className="error-hints">{error.hints}</p>}
+          {error.attempts && error.attempts.length > 0 && (
+            <RequestWaterfall
+              attempts={error.attempts}
+              responseTime={error.responseTime}
+              totalTime={error.totalTime}
+              responseSize={error.responseSize}
+            />
+          )}
           <button onClick={handleRetry} className="retry-button">
             Retry
           </button>
@@ -264,6 +773,45 @@ const TestForm = () => {
           {result.samplePath && (
             <div className="sample-path">
               <strong>Sample Path:</strong> {result.samplePath}
+              {result.responseFormat && result.responseFormat !== 'json' && (
+                <span className="response-format"> (converted from {result.responseFormat.toUpperCase()})</span>
+              )}
+            </div>
+          )}
+
+          {result.graphql && (result.graphql.warning || result.graphql.errors.length > 0) && (
+            <div className="truncated-notice">
+              {result.graphql.warning && <p>{result.graphql.warning}</p>}
+              {result.graphql.errors.map((message) => (
+                <p key={message}>Partial result: {message}</p>
+              ))}
+            </div>
+          )}
+
+          {result.truncated && (
+            <div className="truncated-notice">
+              Large response: the schema was inferred from{' '}
+              {result.sampling ? `the first ${result.sampling.totalCount} items` : 'the beginning of the response'}; the rest
+              was not read.
+            </div>
+          )}
+
+          {result.alternatives && result.alternatives.length > 0 && (
+            <div className="collection-select">
+              <label htmlFor="samplePath">Collection</label>
+              <select
+                id="samplePath"
+                value={result.samplePath}
+                onChange={handleSamplePathChange}
+                disabled={loading}
+              >
+                <option value={result.samplePath}>{result.samplePath}</option>
+                {result.alternatives.map((candidate) => (
+                  <option key={candidate.samplePath} value={candidate.samplePath}>
+                    {candidate.samplePath} ({candidate.length} items)
+                  </option>
+                ))}
+              </select>
             </div>
           )}
 
@@ -274,14 +822,32 @@ const TestForm = () => {
                 <tr>
                   <th>Name</th>
                   <th>Type</th>
+                  <th>Presence</th>
                   <th>Sample</th>
                 </tr>
               </thead>
               <tbody>
                 {result.fields.map((field, index) => (
                   <tr key={index}>
-                    <td className="field-name">{field.name}</td>
-                    <td className="field-type">{field.type}</td>
+                    <td className="field-name">
+                      {field.name}
+                      {result.keys && result.keys.primaryKey === field.name && (
+                        <span className="field-key" title="Primary key"> (key)</span>
+                      )}
+                    </td>
+                    <td className="field-type">
+                      {field.type}
+                      {field.format && <span className="field-format"> ({field.format})</span>}
+                      {field.isEnum && (
+                        <span className="field-enum" title={field.enumValues.join(', ')}>
+                          {' '}enum of {field.enumValues.length}
+                        </span>
+                      )}
+                    </td>
+                    <td className="field-presence">
+                      {field.presenceRatio !== undefined && `${Math.round(field.presenceRatio * 100)}%`}
+                      {field.nullRatio > 0 && ` (${Math.round(field.nullRatio * 100)}% null)`}
+                    </td>
                     <td className="field-sample">
                       {JSON.stringify(field.sample)}
                     </td>
@@ -295,12 +861,23 @@ const TestForm = () => {
             <div className="pagination-section">
               <h3>Pagination</h3>
               <p className="pagination-info">
-                Type: {result.pagination.type}, Page parameter: {result.pagination.pageParam}
+                Type: {result.pagination.type}
+                {result.pagination.pageParam && `, Page parameter: ${result.pagination.pageParam}`}
+                {result.pagination.cursorParam && `, Cursor parameter: ${result.pagination.cursorParam}`}
                 {result.pagination.limitParam && `, Limit parameter: ${result.pagination.limitParam}`}
               </p>
             </div>
           )}
 
+          {result.attempts && result.attempts.length > 0 && (
+            <RequestWaterfall
+              attempts={result.attempts}
+              responseTime={result.responseTime}
+              totalTime={result.totalTime}
+              responseSize={result.responseSize}
+            />
+          )}
+
           <div className="generate-section">
             <button
               onClick={handleGenerateToolJet}
@@ -309,6 +886,43 @@ const TestForm = () => {
             >
               {generating ? 'Generating...' : 'Generate ToolJet Datasource'}
             </button>
+            <div className="export-buttons">
+              <button
+                onClick={() => handleExport('jsonschema')}
+                disabled={generating}
+                className="export-button"
+              >
+                Export JSON Schema
+              </button>
+              <button
+                onClick={() => handleExport('typescript')}
+                disabled={generating}
+                className="export-button"
+              >
+                Export TypeScript
+              </button>
+              <button
+                onClick={() => handleExport('zod')}
+                disabled={generating}
+                className="export-button"
+              >
+                Export Zod
+              </button>
+              <button
+                onClick={() => handleExport('openapi')}
+                disabled={generating}
+                className="export-button"
+              >
+                Export OpenAPI
+              </button>
+              <button
+                onClick={() => handleExport('postman')}
+                disabled={generating}
+                className="export-button"
+              >
+                Export Postman
+              </button>
+            </div>
           </div>
         </div>
       )}
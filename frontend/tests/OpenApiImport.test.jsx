@@ -0,0 +1,107 @@
+import { describe, test, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { http, HttpResponse } from 'msw';
+import { setupServer } from 'msw/node';
+import OpenApiImport from '../src/components/OpenApiImport';
+
+const mockOperations = {
+  ok: true,
+  title: 'Mock Orders API',
+  version: '1.0.0',
+  baseUrl: 'http://localhost:3001',
+  operations: [
+    {
+      id: 'listOrders',
+      method: 'GET',
+      path: '/orders',
+      summary: 'List orders',
+      isList: true,
+      fields: [{ name: 'id', type: 'integer' }],
+    },
+    {
+      id: 'getOrder',
+      method: 'GET',
+      path: '/orders/{id}',
+      summary: 'Get an order',
+      isList: false,
+      fields: [],
+    },
+  ],
+};
+
+const server = setupServer(
+  http.post('/api/import/openapi', () => {
+    return HttpResponse.json(mockOperations);
+  })
+);
+
+beforeAll(() => server.listen());
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+
+describe('OpenApiImport', () => {
+  const listOperations = async () => {
+    render(<OpenApiImport />);
+    fireEvent.change(screen.getByLabelText(/OpenAPI document/i), {
+      target: { value: '{"openapi":"3.0.3","paths":{}}' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: /List Operations/i }));
+    await screen.findByText(/Mock Orders API/i);
+  };
+
+  test('lists operations and preselects list operations', async () => {
+    await listOperations();
+
+    const checkboxes = screen.getAllByRole('checkbox', { checked: true });
+    expect(checkboxes).toHaveLength(1);
+    expect(screen.getByText(/single resource/i)).toBeInTheDocument();
+    expect(screen.getByLabelText(/Base URL/i)).toHaveValue('http://localhost:3001');
+  });
+
+  test('generates datasources for the selected operations', async () => {
+    let generateBody;
+    server.use(
+      http.post('/api/import/openapi/generate', async ({ request }) => {
+        generateBody = await request.json();
+        return HttpResponse.json({
+          ok: true,
+          datasources: [{ operationId: 'listOrders', path: '/orders', source: 'spec', warning: null, config: {} }],
+          skipped: [],
+        });
+      })
+    );
+
+    await listOperations();
+    fireEvent.click(screen.getByLabelText(/Merge with live responses/i));
+    fireEvent.click(screen.getByRole('button', { name: /Generate 1 Datasources/i }));
+
+    await screen.findByText(/Generated 1 datasources/i);
+    expect(generateBody.operationIds).toEqual(['listOrders']);
+    expect(generateBody.live).toBe(true);
+    expect(screen.getByRole('button', { name: /Export All/i })).toBeInTheDocument();
+  });
+
+  test('shows hints when the document cannot be read', async () => {
+    server.use(
+      http.post('/api/import/openapi', () => {
+        return HttpResponse.json(
+          {
+            ok: false,
+            message: 'Invalid OpenAPI document: expected JSON or YAML',
+            hints: 'Paste or upload an OpenAPI 3 or Swagger 2 document in JSON or YAML format.'
+          },
+          { status: 400 }
+        );
+      })
+    );
+
+    render(<OpenApiImport />);
+    fireEvent.change(screen.getByLabelText(/OpenAPI document/i), { target: { value: 'openapi: [3.0.0' } });
+    fireEvent.click(screen.getByRole('button', { name: /List Operations/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/expected JSON/i)).toBeInTheDocument();
+    });
+    expect(screen.getByText(/Paste or upload/i)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, test, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { http, HttpResponse } from 'msw';
+import { setupServer } from 'msw/node';
+import PostmanImport from '../src/components/PostmanImport';
+
+const mockRun = {
+  ok: true,
+  name: 'Mock orders',
+  results: [
+    {
+      name: 'Orders',
+      folder: null,
+      method: 'GET',
+      ok: true,
+      status: 200,
+      samplePath: '$.orders',
+      fields: [{ name: 'id' }, { name: 'customer' }],
+      pagination: { type: 'page' },
+      warnings: [],
+    },
+    {
+      name: 'Admin list',
+      folder: 'Admin',
+      method: 'GET',
+      ok: false,
+      status: 401,
+      message: 'HTTP 401: Unauthorized',
+      hints: 'Authentication failed.',
+      warnings: ['Unresolved variables: {{adminToken}}'],
+    },
+  ],
+};
+
+const server = setupServer();
+
+beforeAll(() => server.listen());
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+
+describe('PostmanImport', () => {
+  test('runs the collection with variables and shows per-request results', async () => {
+    let runBody;
+    server.use(
+      http.post('/api/import/postman', async ({ request }) => {
+        runBody = await request.json();
+        return HttpResponse.json(mockRun);
+      })
+    );
+
+    render(<PostmanImport />);
+    fireEvent.change(screen.getByLabelText(/Postman collection/i), { target: { value: '{"info":{},"item":[]}' } });
+    fireEvent.change(screen.getByLabelText(/Variables/i), { target: { value: '{"token":"demo"}' } });
+    fireEvent.click(screen.getByRole('button', { name: /Run Collection/i }));
+
+    expect(await screen.findByText(/2 fields at \$\.orders, page pagination/i)).toBeInTheDocument();
+    expect(screen.getByText('HTTP 401: Unauthorized')).toBeInTheDocument();
+    expect(screen.getByText(/Unresolved variables/i)).toBeInTheDocument();
+    expect(runBody.variables).toEqual({ token: 'demo' });
+  });
+
+  test('rejects variables that are not JSON', async () => {
+    render(<PostmanImport />);
+    fireEvent.change(screen.getByLabelText(/Postman collection/i), { target: { value: '{}' } });
+    fireEvent.change(screen.getByLabelText(/Variables/i), { target: { value: 'token=demo' } });
+    fireEvent.click(screen.getByRole('button', { name: /Run Collection/i }));
+
+    expect(await screen.findByText(/Variables must be a JSON object/i)).toBeInTheDocument();
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, test, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { describe, test, expect, vi, beforeAll, afterAll, afterEach } from 'vitest';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { http, HttpResponse } from 'msw';
 import { setupServer } from 'msw/node';
@@ -329,4 +329,497 @@ describe('TestForm', () => {
 
     expect(screen.getByText(/parse/i)).toBeInTheDocument();
   });
+
+  test('re-tests with the collection chosen from alternatives', async () => {
+    const requests = [];
+    server.use(
+      http.post('/api/test', async ({ request }) => {
+        const body = await request.json();
+        requests.push(body);
+        return HttpResponse.json({
+          ...mockSuccessResponse,
+          samplePath: body.samplePath || '$.orders',
+          alternatives: [
+            { samplePath: body.samplePath ? '$.orders' : '$.included.customers', length: 3 }
+          ]
+        });
+      })
+    );
+
+    render(<TestForm />);
+
+    fireEvent.change(screen.getByLabelText(/URL/i), { target: { value: 'http://localhost:3001/orders' } });
+    fireEvent.click(screen.getByRole('button', { name: /Test Connection/i }));
+
+    const select = await screen.findByLabelText(/Collection/i);
+    expect(screen.getByRole('option', { name: /\$\.included\.customers \(3 items\)/ })).toBeInTheDocument();
+
+    fireEvent.change(select, { target: { value: '$.included.customers' } });
+
+    await waitFor(() => {
+      expect(requests).toHaveLength(2);
+    });
+    expect(requests[1].samplePath).toBe('$.included.customers');
+    await waitFor(() => {
+      expect(screen.getByLabelText(/Collection/i)).toHaveValue('$.included.customers');
+    });
+  });
+
+  test('sends the flatten option when checked', async () => {
+    let sentBody;
+    server.use(
+      http.post('/api/test', async ({ request }) => {
+        sentBody = await request.json();
+        return HttpResponse.json(mockSuccessResponse);
+      })
+    );
+
+    render(<TestForm />);
+
+    fireEvent.change(screen.getByLabelText(/URL/i), { target: { value: 'http://localhost:3001/orders' } });
+    fireEvent.click(screen.getByLabelText(/Flatten nested objects/i));
+    fireEvent.click(screen.getByRole('button', { name: /Test Connection/i }));
+
+    await waitFor(() => {
+      expect(sentBody).toBeDefined();
+    });
+    expect(sentBody.flatten).toBe(true);
+  });
+
+  test('exports the schema as JSON Schema', async () => {
+    let generateBody;
+    server.use(
+      http.post('/api/generate', async ({ request }) => {
+        generateBody = await request.json();
+        return HttpResponse.json({ $schema: 'https://json-schema.org/draft/2020-12/schema' });
+      })
+    );
+    URL.createObjectURL = vi.fn(() => 'blob:schema');
+    URL.revokeObjectURL = vi.fn();
+    // Keep happy-dom from navigating to the blob URL, which aborts later requests
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    render(<TestForm />);
+
+    fireEvent.change(screen.getByLabelText(/URL/i), { target: { value: 'http://localhost:3001/orders' } });
+    fireEvent.click(screen.getByRole('button', { name: /Test Connection/i }));
+    fireEvent.click(await screen.findByRole('button', { name: /Export JSON Schema/i }));
+
+    await waitFor(() => {
+      expect(URL.createObjectURL).toHaveBeenCalled();
+    });
+    expect(generateBody.format).toBe('jsonschema');
+    expect(generateBody.schema.samplePath).toBe('$.orders');
+    expect(click).toHaveBeenCalled();
+    click.mockRestore();
+  });
+
+  test('exports TypeScript types', async () => {
+    let generateBody;
+    server.use(
+      http.post('/api/generate', async ({ request }) => {
+        generateBody = await request.json();
+        return new HttpResponse('export interface Order {}\n', {
+          headers: { 'Content-Type': 'text/plain' },
+        });
+      })
+    );
+    URL.createObjectURL = vi.fn(() => 'blob:types');
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    render(<TestForm />);
+
+    fireEvent.change(screen.getByLabelText(/URL/i), { target: { value: 'http://localhost:3001/orders' } });
+    fireEvent.click(screen.getByRole('button', { name: /Test Connection/i }));
+    fireEvent.click(await screen.findByRole('button', { name: /Export TypeScript/i }));
+
+    await waitFor(() => {
+      expect(URL.createObjectURL).toHaveBeenCalled();
+    });
+    expect(generateBody.format).toBe('typescript');
+    click.mockRestore();
+  });
+
+  test('fills the form from a pasted cURL command', async () => {
+    let testBody;
+    server.use(
+      http.post('/api/import/request', () => {
+        return HttpResponse.json({
+          ok: true,
+          source: 'curl',
+          requests: [{
+            method: 'POST',
+            url: 'http://localhost:3001/orders/search',
+            queryParams: { page: '2' },
+            headers: { authorization: 'Bearer demo', 'X-Tenant': 'acme' },
+            body: '{"status":"paid"}',
+            bodyType: 'json'
+          }]
+        });
+      }),
+      http.post('/api/test', async ({ request }) => {
+        testBody = await request.json();
+        return HttpResponse.json(mockSuccessResponse);
+      })
+    );
+
+    render(<TestForm />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Import Request/i }));
+    fireEvent.change(screen.getByLabelText(/Copied request/i), {
+      target: { value: "curl -X POST 'http://localhost:3001/orders/search?page=2'" }
+    });
+    fireEvent.click(screen.getByRole('button', { name: /Fill Form/i }));
+
+    await waitFor(() => {
+      expect(screen.getByLabelText(/URL/i)).toHaveValue('http://localhost:3001/orders/search');
+    });
+    expect(screen.getByLabelText(/Authorization/i)).toHaveValue('Bearer demo');
+    expect(screen.getByLabelText('Method')).toHaveValue('POST');
+    expect(screen.getByLabelText(/header name 1/i)).toHaveValue('X-Tenant');
+    expect(screen.getByLabelText(/query parameter value 1/i)).toHaveValue('2');
+    expect(screen.getByLabelText('Body')).toHaveValue('{"status":"paid"}');
+
+    fireEvent.click(screen.getByRole('button', { name: /Test Connection/i }));
+
+    await waitFor(() => {
+      expect(testBody).toBeDefined();
+    });
+    expect(testBody).toMatchObject({
+      url: 'http://localhost:3001/orders/search',
+      method: 'POST',
+      headers: { Authorization: 'Bearer demo', 'X-Tenant': 'acme' },
+      queryParams: { page: '2' },
+      body: '{"status":"paid"}',
+      bodyType: 'json'
+    });
+  });
+
+  test('lets the user pick an entry of an imported HAR file', async () => {
+    server.use(
+      http.post('/api/import/request', () => {
+        return HttpResponse.json({
+          ok: true,
+          source: 'har',
+          requests: [
+            { method: 'GET', url: 'http://localhost:3001/app.js', queryParams: {}, headers: {}, status: 200, mimeType: 'text/javascript' },
+            { method: 'GET', url: 'http://localhost:3001/orders', queryParams: {}, headers: { Authorization: 'Bearer demo' }, status: 200, mimeType: 'application/json' }
+          ]
+        });
+      })
+    );
+
+    render(<TestForm />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Import Request/i }));
+    fireEvent.change(screen.getByLabelText(/Copied request/i), { target: { value: '{"log":{"entries":[]}}' } });
+    fireEvent.click(screen.getByRole('button', { name: /Fill Form/i }));
+
+    const entry = await screen.findByLabelText(/HAR entry/i);
+    expect(entry).toHaveValue('1');
+    expect(screen.getByLabelText(/Authorization/i)).toHaveValue('Bearer demo');
+
+    fireEvent.change(entry, { target: { value: '0' } });
+
+    expect(screen.getByDisplayValue('http://localhost:3001/app.js')).toBeInTheDocument();
+    expect(screen.getByLabelText(/Authorization/i)).toHaveValue('');
+  });
+
+  test('loads a GraphQL schema and sends the chosen query with its variables', async () => {
+    let introspectBody;
+    let testBody;
+    server.use(
+      http.post('/api/graphql/introspect', async ({ request }) => {
+        introspectBody = await request.json();
+        return HttpResponse.json({
+          ok: true,
+          queryType: 'Query',
+          queries: [
+            {
+              name: 'orders',
+              returnType: 'OrderConnection!',
+              isConnection: true,
+              query: 'query Orders($first: Int) { orders(first: $first) { edges { node { id } } } }'
+            }
+          ]
+        });
+      }),
+      http.post('/api/test', async ({ request }) => {
+        testBody = await request.json();
+        return HttpResponse.json(mockSuccessResponse);
+      })
+    );
+
+    render(<TestForm />);
+
+    expect(screen.queryByLabelText(/GraphQL query/i)).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText(/URL/i), { target: { value: 'http://localhost:3001/graphql' } });
+    fireEvent.change(screen.getByLabelText(/Authorization/i), { target: { value: 'Bearer demo' } });
+    fireEvent.click(screen.getByRole('button', { name: 'GraphQL' }));
+    fireEvent.click(screen.getByRole('button', { name: /Load Schema/i }));
+
+    fireEvent.change(await screen.findByLabelText(/Root field/i), { target: { value: 'orders' } });
+    expect(introspectBody).toMatchObject({ url: 'http://localhost:3001/graphql', headers: { Authorization: 'Bearer demo' } });
+    expect(screen.getByLabelText(/GraphQL query/i)).toHaveValue(
+      'query Orders($first: Int) { orders(first: $first) { edges { node { id } } } }'
+    );
+
+    fireEvent.change(screen.getByLabelText(/GraphQL variables/i), { target: { value: '[1]' } });
+    fireEvent.click(screen.getByRole('button', { name: /Test Connection/i }));
+    expect(screen.getByText('GraphQL variables must be a JSON object')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText(/GraphQL variables/i), { target: { value: '{"first": 5}' } });
+    fireEvent.click(screen.getByRole('button', { name: /Test Connection/i }));
+
+    await waitFor(() => {
+      expect(testBody).toBeDefined();
+    });
+    expect(testBody).toMatchObject({
+      method: 'POST',
+      graphql: { query: expect.stringContaining('orders(first: $first)'), variables: { first: 5 } }
+    });
+    expect(testBody.body).toBeUndefined();
+  });
+
+  test('sends headers, query parameters and a body from the editors', async () => {
+    let testBody;
+    server.use(
+      http.post('/api/test', async ({ request }) => {
+        testBody = await request.json();
+        return HttpResponse.json(mockSuccessResponse);
+      })
+    );
+
+    render(<TestForm />);
+
+    fireEvent.change(screen.getByLabelText(/URL/i), { target: { value: 'http://localhost:3001/orders/search' } });
+    fireEvent.click(screen.getByRole('button', { name: /Add header/i }));
+    fireEvent.change(screen.getByLabelText(/header name 1/i), { target: { value: 'X-Tenant-Id' } });
+    fireEvent.change(screen.getByLabelText(/header value 1/i), { target: { value: 'acme' } });
+    fireEvent.click(screen.getByRole('button', { name: /Add header/i }));
+    fireEvent.change(screen.getByLabelText(/header name 2/i), { target: { value: 'X-Debug' } });
+    fireEvent.click(screen.getByLabelText(/Enable header 2/i));
+    fireEvent.click(screen.getByRole('button', { name: /Add query parameter/i }));
+    fireEvent.change(screen.getByLabelText(/query parameter name 1/i), { target: { value: 'api_version' } });
+    fireEvent.change(screen.getByLabelText(/query parameter value 1/i), { target: { value: '2024-01' } });
+
+    expect(screen.queryByLabelText('Body')).not.toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Method'), { target: { value: 'POST' } });
+    fireEvent.change(screen.getByLabelText('Body'), { target: { value: '{"status":' } });
+    expect(screen.getByText(/Body is not valid JSON/i)).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Body'), { target: { value: '{"status":"paid"}' } });
+
+    fireEvent.click(screen.getByRole('button', { name: /Test Connection/i }));
+
+    await waitFor(() => {
+      expect(testBody).toBeDefined();
+    });
+    expect(testBody).toMatchObject({
+      method: 'POST',
+      headers: { 'X-Tenant-Id': 'acme' },
+      queryParams: { api_version: '2024-01' },
+      body: '{"status":"paid"}',
+      bodyType: 'json'
+    });
+    expect(testBody.headers).not.toHaveProperty('X-Debug');
+  });
+
+  test('bulk-edits headers as text and removes rows', async () => {
+    let testBody;
+    server.use(
+      http.post('/api/test', async ({ request }) => {
+        testBody = await request.json();
+        return HttpResponse.json(mockSuccessResponse);
+      })
+    );
+
+    render(<TestForm />);
+
+    fireEvent.change(screen.getByLabelText(/URL/i), { target: { value: 'http://localhost:3001/orders' } });
+    const [headerBulk] = screen.getAllByRole('button', { name: /Bulk Edit/i });
+    fireEvent.click(headerBulk);
+    fireEvent.change(screen.getByLabelText('Headers'), {
+      target: { value: 'X-Tenant-Id: acme\n// X-Debug: 1\nAccept: application/json' }
+    });
+    fireEvent.click(screen.getByRole('button', { name: /Key-Value Edit/i }));
+
+    expect(screen.getByLabelText(/header name 2/i)).toHaveValue('X-Debug');
+    expect(screen.getByLabelText(/Enable header 2/i)).not.toBeChecked();
+
+    fireEvent.click(screen.getByLabelText(/Remove header 3/i));
+    fireEvent.click(screen.getByRole('button', { name: /Test Connection/i }));
+
+    await waitFor(() => {
+      expect(testBody).toBeDefined();
+    });
+    expect(testBody.headers).toEqual({ 'X-Tenant-Id': 'acme' });
+    expect(testBody.method).toBeUndefined();
+  });
+
+  test('sends an OAuth configuration instead of the Authorization header', async () => {
+    let testBody;
+    server.use(
+      http.post('/api/test', async ({ request }) => {
+        testBody = await request.json();
+        return HttpResponse.json(mockSuccessResponse);
+      })
+    );
+
+    render(<TestForm />);
+
+    fireEvent.change(screen.getByLabelText(/URL/i), { target: { value: 'http://localhost:3001/oauth/orders' } });
+    fireEvent.change(screen.getByLabelText(/Authorization/i), { target: { value: 'Bearer stale' } });
+    fireEvent.change(screen.getByLabelText(/Auth scheme/i), { target: { value: 'oauth2' } });
+
+    expect(screen.queryByLabelText(/Authorization/i)).not.toBeInTheDocument();
+    expect(screen.queryByLabelText(/Refresh token/i)).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText(/Token endpoint/i), { target: { value: 'http://localhost:3001/oauth/token' } });
+    fireEvent.change(screen.getByLabelText(/Client ID/i), { target: { value: 'demo-client' } });
+    fireEvent.change(screen.getByLabelText(/Client secret/i), { target: { value: 'demo-secret' } });
+    fireEvent.change(screen.getByLabelText(/Scopes/i), { target: { value: 'orders:read' } });
+    fireEvent.click(screen.getByRole('button', { name: /Test Connection/i }));
+
+    await waitFor(() => {
+      expect(testBody).toBeDefined();
+    });
+    expect(testBody.headers).toBeUndefined();
+    expect(testBody.auth).toEqual({
+      type: 'oauth2',
+      grantType: 'client_credentials',
+      tokenUrl: 'http://localhost:3001/oauth/token',
+      clientId: 'demo-client',
+      clientSecret: 'demo-secret',
+      scopes: 'orders:read'
+    });
+  });
+
+  test('sends basic auth and API keys as typed auth schemes', async () => {
+    const bodies = [];
+    server.use(
+      http.post('/api/test', async ({ request }) => {
+        bodies.push(await request.json());
+        return HttpResponse.json(mockSuccessResponse);
+      })
+    );
+
+    render(<TestForm />);
+
+    fireEvent.change(screen.getByLabelText(/URL/i), { target: { value: 'http://localhost:3001/orders' } });
+    fireEvent.change(screen.getByLabelText(/Auth scheme/i), { target: { value: 'basic' } });
+    fireEvent.change(screen.getByLabelText(/Username/i), { target: { value: 'demo' } });
+    fireEvent.change(screen.getByLabelText(/Password/i), { target: { value: 'pw' } });
+    fireEvent.click(screen.getByRole('button', { name: /Test Connection/i }));
+
+    await waitFor(() => {
+      expect(bodies).toHaveLength(1);
+    });
+    expect(bodies[0].auth).toEqual({ type: 'basic', username: 'demo', password: 'pw' });
+
+    fireEvent.change(screen.getByLabelText(/Auth scheme/i), { target: { value: 'apikey' } });
+    fireEvent.change(screen.getByLabelText(/Key name/i), { target: { value: 'api_key' } });
+    fireEvent.change(screen.getByLabelText(/Key value/i), { target: { value: 'k1' } });
+    fireEvent.change(screen.getByLabelText(/Send key in/i), { target: { value: 'query' } });
+    fireEvent.click(screen.getByRole('button', { name: /Test Connection/i }));
+
+    await waitFor(() => {
+      expect(bodies).toHaveLength(2);
+    });
+    expect(bodies[1].headers).toBeUndefined();
+    expect(bodies[1].auth).toEqual({ type: 'apikey', name: 'api_key', value: 'k1', in: 'query' });
+  });
+
+  test('lists one input per custom header template variable', () => {
+    render(<TestForm />);
+
+    fireEvent.change(screen.getByLabelText(/Auth scheme/i), { target: { value: 'custom' } });
+    fireEvent.change(screen.getByLabelText(/Value template/i), { target: { value: 'Token id="{{id}}", secret="{{secret}}"' } });
+
+    expect(screen.getByLabelText('Value of id')).toBeInTheDocument();
+    expect(screen.getByLabelText('Value of secret')).toBeInTheDocument();
+  });
+
+  test('keeps XML namespace prefixes when asked and shows the converted format', async () => {
+    const bodies = [];
+    server.use(
+      http.post('/api/test', async ({ request }) => {
+        bodies.push(await request.json());
+        return HttpResponse.json({ ...mockSuccessResponse, samplePath: '$.GetOrdersResponse.Order', responseFormat: 'soap' });
+      })
+    );
+
+    render(<TestForm />);
+
+    fireEvent.change(screen.getByLabelText(/URL/i), { target: { value: 'http://erp.test/soap/orders' } });
+    fireEvent.change(screen.getByLabelText(/XML namespaces/i), { target: { value: 'preserve' } });
+    fireEvent.click(screen.getByRole('button', { name: /Test Connection/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('(converted from SOAP)')).toBeInTheDocument();
+    });
+    expect(bodies[0].xml).toEqual({ namespaces: 'preserve' });
+  });
+
+  test('notes when the schema was inferred from part of a large response', async () => {
+    server.use(
+      http.post('/api/test', () => HttpResponse.json({
+        ...mockSuccessResponse,
+        truncated: true,
+        sampling: { strategy: 'first', sampledCount: 50, totalCount: 6400 }
+      }))
+    );
+
+    render(<TestForm />);
+
+    fireEvent.change(screen.getByLabelText(/URL/i), { target: { value: 'http://api.test/export' } });
+    fireEvent.click(screen.getByRole('button', { name: /Test Connection/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/Large response/)).toBeInTheDocument();
+    });
+    expect(screen.getByText(/Large response/)).toHaveTextContent(
+      'Large response: the schema was inferred from the first 6400 items; the rest was not read.'
+    );
+  });
+
+  test('shows a timing waterfall of every attempt and redirect', async () => {
+    const timing = (total) => ({ dns: 1, connect: 2, tls: null, ttfb: total - 4, download: 1, total });
+    server.use(
+      http.post('/api/test', () => HttpResponse.json({
+        ...mockSuccessResponse,
+        responseTime: 20,
+        totalTime: 540,
+        responseSize: 2150,
+        attempts: [
+          { attempt: 1, status: 503, delay: 500, reason: 'HTTP 503, retrying after Retry-After', startedAt: 0, timing: timing(10), size: 30, redirects: [] },
+          {
+            attempt: 2,
+            status: 200,
+            delay: 0,
+            reason: null,
+            startedAt: 510,
+            timing: timing(20),
+            size: 2150,
+            redirects: [{ url: 'http://api.test/v1/orders', status: 301, location: 'http://api.test/orders', timing: timing(8) }]
+          }
+        ]
+      }))
+    );
+
+    render(<TestForm />);
+
+    fireEvent.change(screen.getByLabelText(/URL/i), { target: { value: 'http://api.test/v1/orders' } });
+    fireEvent.click(screen.getByRole('button', { name: /Test Connection/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Timing')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Last attempt 20 ms · 2.1 KB · 2 attempts in 540 ms')).toBeInTheDocument();
+    expect(screen.getByText('Attempt 2 redirect')).toBeInTheDocument();
+    expect(screen.getByText('http://api.test/v1/orders → http://api.test/orders')).toBeInTheDocument();
+    expect(screen.getByText('30 B · HTTP 503, retrying after Retry-After')).toBeInTheDocument();
+    expect(screen.getByTitle('DNS 1 ms, Connect 2 ms, Waiting 16 ms, Download 1 ms')).toBeInTheDocument();
+  });
 });
@@ -21,7 +21,8 @@ sleep 2
 
 # Start backend in background
 echo "Starting backend server on port 3000..."
-npm start &
+# The outbound policy blocks loopback addresses, so allow the mock server explicitly
+OUTBOUND_ALLOW=localhost npm start &
 BACKEND_PID=$!
 
 # Wait for backend to be ready